@@ -4,85 +4,247 @@
  * 
  * This application computes all thermodynamic properties of moist air
  * given any two independent state variables, and plots the result on a
- * psychrometric chart for 1 atm (101325 Pa).
+ * psychrometric chart drawn at the active barometric pressure.
  * 
- * References:
- * - ASHRAE Fundamentals Handbook (SI)
- * - Magnus formula for saturation pressure (Lawrence, 2005)
- * - Psychrometric relations (ISO/IEC standards)
+ * The physics comes from the headless library psychrometrics.js, which
+ * the page loads first; this file holds the interface: units, languages,
+ * chart, results, exports and event handling.
  */
 
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
 
-const CONSTANTS = {
-    // Gas constant for dry air [J/(kg·K)]
-    R_DA: 287.058,
-    // Specific heat of dry air [kJ/(kg·K)]
-    C_DA: 1.006,
-    // Latent heat of vaporization at 0°C [kJ/kg]
-    H_FG_0: 2501,
-    // Temperature coefficient for latent heat [kJ/(kg·K)]
-    H_FG_T: 1.86,
-    // Humidity ratio factor
-    K_W: 0.622,
-    // Standard atmospheric pressure [Pa]
-    P_STD: 101325,
-    // Gas constant for water vapor [J/(kg·K)]
-    R_V: 461.52,
-};
+const {
+    CONSTANTS,
+    settings,
+    SATURATION_MODELS,
+    STATE_PROPERTIES,
+    T_SEARCH_MIN,
+    T_SEARCH_MAX,
+    P_TOTAL_MIN,
+    P_TOTAL_MAX,
+    setSaturationModel,
+    PsychroError,
+    formatMessage,
+    errorMessage,
+    pressureFromAltitude,
+    altitudeFromPressure,
+    saturationHumidityRatio,
+    enthalpy,
+    dryBulbFromEnthalpy,
+    specificVolume,
+    solveState,
+    computeState,
+    humidityRatioAt,
+    findRoot,
+    resolveFlows,
+    solveProcess,
+    solveMixing,
+    solveCycle,
+    solveRoomLoad,
+    parseBatchTable,
+    solveBatch,
+    parseEpw,
+    analyzeClimate,
+    SERIES_THRESHOLD_KEYS,
+    parseSeriesTable,
+    solveSeries,
+    COMFORT_PMV_LIMIT,
+    COMFORT_W_MAX,
+    validateComfortOptions,
+    evaluateComfort,
+    comfortZone,
+    PSYCHROMETER_COEFFICIENTS,
+    solvePsychrometer,
+} = Psychrometrics;
 
 /**
- * Variable explanations in French
- * Each entry provides a clear, scientific description
+ * Variable names and explanations, per interface language.
+ * Each entry provides a clear, scientific description; units come from
+ * the display unit of the variable's quantity (VARIABLE_QUANTITIES).
  */
 const VARIABLE_EXPLANATIONS = {
-    tdb: {
-        name: "Température sèche (Tdb)",
-        unit: "°C",
-        explanation: "La température mesurée par un thermomètre classique. C'est la température de l'air sec sans tenir compte de l'humidité. Celle-ci est une variable indépendante fondamentale pour définir l'état de l'air humide."
-    },
-    w: {
-        name: "Ratio d'humidité (W)",
-        unit: "kg_w/kg_da",
-        explanation: "La masse de vapeur d'eau contenue dans 1 kg d'air sec. C'est une mesure absolue de l'humidité, indépendante de la température. Toujours compris entre 0 (air sec) et W_sat (air saturé à la température donnée)."
-    },
-    rh: {
-        name: "Humidité relative (RH)",
-        unit: "%",
-        explanation: "Le rapport entre la pression de vapeur actuelle et la pression de saturation à la même température, exprimé en pourcentage. Varie de 0% (air sec) à 100% (air saturé). Dépend fortement de la température."
-    },
-    h: {
-        name: "Enthalpie (h)",
-        unit: "kJ/kg_da",
-        explanation: "L'énergie totale du système de l'air humide par unité de masse d'air sec. Elle inclut l'énergie thermique de l'air sec et l'énergie latente de la vapeur d'eau. Utilisée pour les calculs de chauffage/refroidissement."
-    },
-    twb: {
-        name: "Température humide (Twb)",
-        unit: "°C",
-        explanation: "La température lue par un thermomètre mouillé exposé à l'air en mouvement. Elle représente la température atteinte par évaporation adiabatique de l'eau. Toujours inférieure ou égale à la température sèche."
-    },
-    tdp: {
-        name: "Température de rosée (Tdp)",
-        unit: "°C",
-        explanation: "La température à laquelle l'air devient saturé en eau si refroidi isobariquement sans échange d'humidité. En dessous de cette température, la condensation commence. Plus elle est élevée, plus l'air est humide."
-    },
-    pv: {
-        name: "Pression de vapeur (Pv)",
-        unit: "Pa",
-        explanation: "La pression partielle de la vapeur d'eau dans l'air humide. Elle est toujours inférieure à la pression de saturation correspondant à la température actuelle. Contrôle le taux d'évaporation et de condensation."
+    fr: {
+        tdb: {
+            name: "Température sèche (Tdb)",
+            explanation: "La température mesurée par un thermomètre classique. C'est la température de l'air sec sans tenir compte de l'humidité. Celle-ci est une variable indépendante fondamentale pour définir l'état de l'air humide."
+        },
+        w: {
+            name: "Ratio d'humidité (W)",
+            explanation: "La masse de vapeur d'eau contenue dans 1 kg d'air sec. C'est une mesure absolue de l'humidité, indépendante de la température. Toujours compris entre 0 (air sec) et W_sat (air saturé à la température donnée)."
+        },
+        rh: {
+            name: "Humidité relative (RH)",
+            explanation: "Le rapport entre la pression de vapeur actuelle et la pression de saturation à la même température, exprimé en pourcentage. Varie de 0% (air sec) à 100% (air saturé). Dépend fortement de la température."
+        },
+        h: {
+            name: "Enthalpie (h)",
+            explanation: "L'énergie totale du système de l'air humide par unité de masse d'air sec. Elle inclut l'énergie thermique de l'air sec et l'énergie latente de la vapeur d'eau. Utilisée pour les calculs de chauffage/refroidissement."
+        },
+        twb: {
+            name: "Température humide (Twb)",
+            explanation: "La température lue par un thermomètre mouillé exposé à l'air en mouvement. Elle représente la température atteinte par évaporation adiabatique de l'eau. Toujours inférieure ou égale à la température sèche."
+        },
+        tdp: {
+            name: "Température de rosée (Tdp)",
+            explanation: "La température à laquelle l'air devient saturé en eau si refroidi isobariquement sans échange d'humidité. En dessous de cette température, la condensation commence. Plus elle est élevée, plus l'air est humide."
+        },
+        tfp: {
+            name: "Température de givre (Tfp)",
+            explanation: "La température à laquelle l'air devient saturé par rapport à la glace si refroidi isobariquement. Sous 0°C, c'est le givre (dépôt de glace) et non la rosée qui se forme : le point de givre est alors légèrement supérieur au point de rosée calculé sur l'eau surfondue."
+        },
+        tib: {
+            name: "Température de bulbe glacé (Tib)",
+            explanation: "L'équivalent de la température humide lorsque la mèche du thermomètre est gelée. L'équilibre se fait par sublimation de la glace au lieu de l'évaporation de l'eau. Elle n'est définie que sous 0°C."
+        },
+        pv: {
+            name: "Pression de vapeur (Pv)",
+            explanation: "La pression partielle de la vapeur d'eau dans l'air humide. Elle est toujours inférieure à la pression de saturation correspondant à la température actuelle. Contrôle le taux d'évaporation et de condensation."
+        },
+        p_total: {
+            name: "Pression totale (P_total)",
+            explanation: "La pression barométrique de l'air humide, somme des pressions partielles de l'air sec et de la vapeur d'eau. Elle diminue avec l'altitude (atmosphère standard : environ 84 500 Pa à 1 500 m) et modifie le ratio d'humidité à saturation, donc tout le diagramme."
+        },
+        v: {
+            name: "Volume spécifique (v)",
+            explanation: "Le volume occupé par le mélange d'air humide rapporté à 1 kg d'air sec. C'est l'inverse de la masse volumique d'air sec, utilisé pour convertir un débit volumique de ventilateur en débit massique d'air sec."
+        },
+        mu: {
+            name: "Degré de saturation (μ)",
+            explanation: "Le rapport entre le ratio d'humidité actuel et le ratio d'humidité à saturation à la même température et pression. Très proche de l'humidité relative aux températures courantes, il vaut 0 pour l'air sec et 1 pour l'air saturé."
+        },
+        ah: {
+            name: "Humidité absolue (ρ_v)",
+            explanation: "La masse de vapeur d'eau contenue dans 1 m³ d'air humide : ρ_v = W / v. Contrairement au ratio d'humidité, elle varie avec la température et la pression, car l'air se dilate. C'est la grandeur mesurée par les hygromètres à absorption et utilisée en météorologie et en séchage."
+        },
+        cp: {
+            name: "Chaleur spécifique de l'air humide (c_p)",
+            explanation: "L'énergie nécessaire pour élever de 1 K la température de l'air humide contenant 1 kg d'air sec, sans changement d'humidité : c_p = 1.006 + 1.86 × W. Elle relie un débit massique d'air sec et un écart de température à une puissance sensible."
+        },
+        s: {
+            name: "Entropie spécifique (s)",
+            explanation: "L'entropie du mélange par kg d'air sec, l'air sec et la vapeur étant traités comme des gaz parfaits à leur pression partielle. Référence (s = 0) : air sec à 0°C et 101325 Pa, eau liquide à 0°C. Utilisée pour l'analyse exergétique et le calcul des irréversibilités des processus."
+        },
+        xv: {
+            name: "Fraction volumique de vapeur (x_v)",
+            explanation: "La part de la vapeur d'eau dans le nombre de moles (ou le volume) du mélange : x_v = Pv / P_total = W / (0.622 + W). Exprimée en ppmv (parties par million en volume), c'est l'unité courante des analyseurs de gaz et des spécifications d'air sec comprimé."
+        },
+        tv: {
+            name: "Température virtuelle (T_v)",
+            explanation: "La température à laquelle de l'air sec à la même pression aurait la même masse volumique que l'air humide. La vapeur d'eau étant plus légère que l'air sec, elle est toujours supérieure ou égale à la température sèche. Utilisée en météorologie pour le calcul de la flottabilité."
+        },
+        pws: {
+            name: "Pression de vapeur saturante (Pws)",
+            explanation: "La pression de vapeur de l'air saturé à la température sèche, sur l'eau au-dessus de 0°C et sur la glace en dessous. Elle ne dépend que de la température : l'humidité relative est le rapport Pv / Pws."
+        },
+        m_da: {
+            name: "Débit masse air sec (ṁ_da)",
+            explanation: "La masse d'air sec qui circule par unité de temps. Utilisée pour les calculs de flux d'énergie dans les systèmes CVC. Elle se conserve à travers les processus, contrairement au débit volumique."
+        },
+        m_ma: {
+            name: "Débit masse air humide (ṁ)",
+            explanation: "La masse totale d'air humide (air sec et vapeur d'eau) qui circule par unité de temps : ṁ = ṁ_da × (1 + W)."
+        },
+        v_dot: {
+            name: "Débit volumétrique (V̇)",
+            explanation: "Le volume d'air humide qui circule par unité de temps aux conditions réelles de température, d'humidité et de pression : V̇ = ṁ_da × v. Utilisé couramment en génie climatique pour dimensionner les conduits et ventilateurs."
+        },
+        v_dot_std: {
+            name: "Débit volumétrique standard (V̇_std)",
+            explanation: "Le débit volumique ramené aux conditions standard (air sec à 20°C et 101325 Pa, ρ = 1.204 kg/m³) : V̇_std = ṁ / 1.204. Il permet de comparer des débits mesurés à des altitudes ou températures différentes."
+        },
     },
-    m_da: {
-        name: "Débit masse air sec (ṁ_da)",
-        unit: "kg/s",
-        explanation: "La masse d'air sec qui circule par unité de temps. Utilisée pour les calculs de flux d'énergie dans les systèmes CVC. Permet de calculer le débit volumétrique à partir de la densité."
+    en: {
+        tdb: {
+            name: "Dry-bulb temperature (Tdb)",
+            explanation: "The temperature read by an ordinary thermometer, regardless of the moisture in the air. It is a fundamental independent variable for defining the state of moist air."
+        },
+        w: {
+            name: "Humidity ratio (W)",
+            explanation: "The mass of water vapor carried by 1 kg of dry air. It is an absolute measure of humidity, independent of temperature. Always between 0 (dry air) and W_sat (air saturated at the given temperature)."
+        },
+        rh: {
+            name: "Relative humidity (RH)",
+            explanation: "The ratio of the actual vapor pressure to the saturation pressure at the same temperature, in percent. It ranges from 0% (dry air) to 100% (saturated air) and depends strongly on temperature."
+        },
+        h: {
+            name: "Enthalpy (h)",
+            explanation: "The total energy of moist air per unit mass of dry air. It includes the sensible energy of the dry air and the latent energy of the water vapor. Used for heating and cooling calculations."
+        },
+        twb: {
+            name: "Wet-bulb temperature (Twb)",
+            explanation: "The temperature read by a wetted thermometer exposed to moving air. It is the temperature reached by adiabatic evaporation of water, and is always lower than or equal to the dry-bulb temperature."
+        },
+        tdp: {
+            name: "Dew-point temperature (Tdp)",
+            explanation: "The temperature at which the air becomes saturated with water when cooled at constant pressure without moisture exchange. Condensation starts below it; the higher it is, the more humid the air."
+        },
+        tfp: {
+            name: "Frost-point temperature (Tfp)",
+            explanation: "The temperature at which the air becomes saturated with respect to ice when cooled at constant pressure. Below 0°C, frost (ice deposit) forms rather than dew, so the frost point is slightly above the dew point computed over supercooled water."
+        },
+        tib: {
+            name: "Ice-bulb temperature (Tib)",
+            explanation: "The equivalent of the wet-bulb temperature when the thermometer wick is frozen: equilibrium is reached by sublimation of ice instead of evaporation of water. It is only defined below 0°C."
+        },
+        pv: {
+            name: "Vapor pressure (Pv)",
+            explanation: "The partial pressure of water vapor in moist air. It is always lower than the saturation pressure at the current temperature, and drives the rate of evaporation and condensation."
+        },
+        p_total: {
+            name: "Total pressure (P_total)",
+            explanation: "The barometric pressure of moist air, the sum of the partial pressures of dry air and water vapor. It decreases with altitude (standard atmosphere: about 84,500 Pa at 1,500 m) and changes the saturation humidity ratio, hence the whole chart."
+        },
+        v: {
+            name: "Specific volume (v)",
+            explanation: "The volume of the moist-air mixture per kg of dry air. It is the inverse of the dry-air density, used to convert a fan volume flow into a dry-air mass flow."
+        },
+        mu: {
+            name: "Degree of saturation (μ)",
+            explanation: "The ratio of the actual humidity ratio to the saturation humidity ratio at the same temperature and pressure. Very close to relative humidity at usual temperatures, it is 0 for dry air and 1 for saturated air."
+        },
+        ah: {
+            name: "Absolute humidity (ρ_v)",
+            explanation: "The mass of water vapor in 1 m³ of moist air: ρ_v = W / v. Unlike the humidity ratio, it changes with temperature and pressure as the air expands. It is the quantity measured by absorption hygrometers and used in meteorology and drying."
+        },
+        cp: {
+            name: "Moist-air specific heat (c_p)",
+            explanation: "The energy needed to raise by 1 K the temperature of the moist air containing 1 kg of dry air, at constant humidity: c_p = 1.006 + 1.86 × W. It relates a dry-air mass flow and a temperature difference to a sensible load."
+        },
+        s: {
+            name: "Specific entropy (s)",
+            explanation: "The entropy of the mixture per kg of dry air, dry air and vapor being treated as ideal gases at their partial pressures. Reference (s = 0): dry air at 0°C and 101325 Pa, liquid water at 0°C. Used in exergy analysis and to evaluate the irreversibility of processes."
+        },
+        xv: {
+            name: "Water vapor volume fraction (x_v)",
+            explanation: "The share of water vapor in the moles (or volume) of the mixture: x_v = Pv / P_total = W / (0.622 + W). In ppmv (parts per million by volume), it is the usual unit of gas analyzers and compressed dry-air specifications."
+        },
+        tv: {
+            name: "Virtual temperature (T_v)",
+            explanation: "The temperature at which dry air at the same pressure would have the density of the moist air. Water vapor being lighter than dry air, it is always greater than or equal to the dry-bulb temperature. Used in meteorology for buoyancy calculations."
+        },
+        pws: {
+            name: "Saturation vapor pressure (Pws)",
+            explanation: "The vapor pressure of saturated air at the dry-bulb temperature, over water above 0°C and over ice below. It depends on temperature only: relative humidity is the ratio Pv / Pws."
+        },
+        m_da: {
+            name: "Dry-air mass flow (ṁ_da)",
+            explanation: "The mass of dry air flowing per unit time. Used for energy flow calculations in HVAC systems, it is conserved through processes, unlike the volume flow."
+        },
+        m_ma: {
+            name: "Moist-air mass flow (ṁ)",
+            explanation: "The total mass of moist air (dry air and water vapor) flowing per unit time: ṁ = ṁ_da × (1 + W)."
+        },
+        v_dot: {
+            name: "Volume flow (V̇)",
+            explanation: "The volume of moist air flowing per unit time at the actual temperature, humidity and pressure: V̇ = ṁ_da × v. Commonly used in HVAC engineering to size ducts and fans."
+        },
+        v_dot_std: {
+            name: "Standard volume flow (V̇_std)",
+            explanation: "The volume flow referred to standard conditions (dry air at 20°C and 101325 Pa, ρ = 1.204 kg/m³): V̇_std = ṁ / 1.204. It allows comparing flows measured at different altitudes or temperatures."
+        },
     },
-    v_dot: {
-        name: "Débit volumétrique (V̇)",
-        unit: "m³/h",
-        explanation: "Le volume d'air humide qui circule par unité de temps. Lié au débit masse par la densité. Utilisé couramment en génie climatique pour dimensionner les conduits et ventilateurs."
-    }
 };
 
 let appState = {
@@ -91,516 +253,1159 @@ let appState = {
     var2: null,
     val1: null,
     val2: null,
-    m_da_ref: 1.0,
+    flow: { type: "m_da", value: 1.0, unit: "kg/s" },
     p_total: 101325,
+    chart: {
+        T_min: -10,
+        T_max: 50,
+        W_min: 0,
+        W_max: 0.03,
+        lines: { rh: true, h: true, twb: true, v: true },
+    },
+    units: { system: "SI", overrides: {} },
+    // Comfort evaluation (MRT null: equal to Tdb)
+    comfort: { enabled: false, met: 1.1, clo: 0.5, airSpeed: 0.1, MRT: null },
+    // Instrument behind a wet-bulb input ("thermodynamic": none)
+    psychrometer: { instrument: "thermodynamic", coefficient: 6.62e-4 },
+    // Saved states (filled from browser storage on load), the ones checked
+    // for comparison and whether they are plotted
+    saved: { entries: [], selected: new Set(), plot: false },
+    // Parameters of the last successful calculation, written into the URL
+    link: null,
+    processType: "single",
+    process: null,
+    mixing: null,
+    room: null,
+    cycle: null,
+    batch: null,
+    climate: null,
+    series: null,
+    // Weather file loaded in climate mode: { name, text }
+    climateFile: null,
     results: null,
+    overlay: null,
+    summary: null,
     error: null,
 };
 
 // ============================================================================
-// THERMODYNAMIC FUNCTIONS
+// LOCALIZATION
 // ============================================================================
 
 /**
- * Magnus formula for saturation vapor pressure over liquid water
- * Valid range: -50°C to +200°C
- * 
- * Reference: Lawrence, M. G. (2005). The relationship between relative humidity 
- * and the dewpoint temperature in moist air: A simple conversion and applications. 
- * Bull. Amer. Meteor. Soc., 86, 225–233.
- * 
- * @param {number} T - Temperature [°C]
- * @returns {number} Saturation vapor pressure [Pa]
+ * Interface messages per language, keyed by dotted message key.
+ * `{name}` placeholders are filled by t(); solver error messages live in
+ * the library (ERROR_MESSAGES). French is the reference catalog.
  */
-function saturationVaporPressure(T) {
-    // For T >= 0°C: Magnus formula
-    const a = 17.27;
-    const b = 237.7; // [°C]
-    const p_ref = 611.2; // [Pa] reference pressure at 0°C
-    
-    const exponent = (a * T) / (b + T);
-    return p_ref * Math.exp(exponent);
-}
+const MESSAGES = {
+    fr: {
+        "locale": "fr-FR",
 
-/**
- * Inverse Magnus formula: find temperature given saturation pressure
- * 
- * @param {number} p_sat - Saturation vapor pressure [Pa]
- * @returns {number} Temperature [°C]
- */
-function temperatureFromSaturationPressure(p_sat) {
-    const a = 17.27;
-    const b = 237.7; // [°C]
-    const p_ref = 611.2; // [Pa]
-    
-    const ratio = Math.log(p_sat / p_ref);
-    return (b * ratio) / (a - ratio);
-}
+        "ui.title": "Calculateur Psychrométrique",
+        "ui.subtitle": "Calcul complet des propriétés thermodynamiques de l'air humide",
+        "ui.language": "Langue",
+        "ui.inputs": "Entrées",
+        "ui.mode.single": "Propriétés d'état unique",
+        "ui.mode.process": "Processus (état d'entrée → état de sortie)",
+        "ui.mode.mixing": "Mélange adiabatique de flux d'air",
+        "ui.mode.batch": "Calcul par lot (CSV)",
+        "ui.mode.room": "Charges du local (air soufflé)",
+        "ui.mode.cycle": "Cycle CTA (étapes enchaînées)",
+        "ui.mode.climate": "Analyse climatique (fichier météo EPW)",
+        "ui.mode.series": "Séries temporelles (enregistreurs)",
+        "ui.room.hint": "Les deux variables ci-dessous définissent l'état de conception du local. Charges positives en refroidissement, négatives en chauffage.",
+        "ui.room.sensible": "Charge sensible",
+        "ui.room.latent": "Charge latente",
+        "ui.room.supply": "Air soufflé défini par",
+        "ui.room.supplyTdb": "Sa température sèche",
+        "ui.room.supplyFlow": "Son débit (champ « Débit » ci-dessous)",
+        "ui.room.supplyTdbValue": "Température de soufflage",
+        "ui.process.hint": "Les deux variables ci-dessous définissent l'état d'entrée.",
+        "ui.process.kind": "Type de processus",
+        "ui.process.sensible": "Chauffage / refroidissement sensible",
+        "ui.process.steam": "Humidification à la vapeur",
+        "ui.process.spray": "Humidification par pulvérisation (adiabatique)",
+        "ui.process.coil": "Batterie froide (refroidissement et déshumidification)",
+        "ui.process.evaporative": "Refroidissement évaporatif",
+        "ui.process.targetTdb": "Température sèche de sortie",
+        "ui.process.targetHum": "Consigne d'humidité de sortie",
+        "ui.coil.mode": "Définition de la batterie",
+        "ui.coil.adp": "Point de rosée de l'appareil (ADP) + facteur de bipasse",
+        "ui.coil.leaving": "État de sortie (Tdb + W/RH)",
+        "ui.evaporative.mode": "Type de refroidisseur",
+        "ui.evaporative.direct": "Direct (humidification adiabatique)",
+        "ui.evaporative.indirect": "Indirect (échangeur et air secondaire humidifié)",
+        "ui.evaporative.twoStage": "Deux étages (indirect puis direct)",
+        "ui.evaporative.directEffectiveness": "Efficacité de saturation (direct)",
+        "ui.evaporative.indirectEffectiveness": "Efficacité humide (indirect)",
+        "ui.evaporative.secondary": "Air secondaire (côté humide de l'échangeur)",
+        "ui.evaporative.secondaryInlet": "Air d'entrée (air extérieur)",
+        "ui.evaporative.secondaryState": "Autre état (air extrait…)",
+        "ui.coil.bf": "Facteur de bipasse",
+        "ui.enterValue": "Entrez la valeur",
+        "ui.mixing.hint": "Chaque flux est défini par deux variables et son propre débit.",
+        "ui.mixing.add": "+ Ajouter un flux",
+        "ui.cycle.hint": "Les deux variables et le débit ci-dessous définissent l'air entrant dans la première étape (par exemple l'air extérieur). Chaque étape part de l'état de sortie de la précédente.",
+        "ui.cycle.add": "+ Ajouter une étape",
+        "ui.cycle.example": "Exemple (hiver)",
+        "ui.cycle.export": "Exporter JSON",
+        "ui.cycle.import": "Importer JSON",
+        "ui.climate.hint": "Chaque heure d'un fichier météo EnergyPlus (.epw) est calculée à partir de sa température sèche, de son point de rosée et de la pression de la station. Les conditions de base sont les valeurs dépassées pendant 0,4 %, 1 % et 2 % des heures de l'année ; l'état détaillé est celui de refroidissement à 0,4 %.",
+        "ui.climate.file": "Fichier météo EPW",
+        "ui.climate.heatingBase": "Base des degrés-jours de chauffage",
+        "ui.climate.coolingBase": "Base des degrés-jours de refroidissement",
+        "ui.climate.display": "Heures sur le diagramme",
+        "ui.climate.density": "Densité (opacité selon le nombre d'heures)",
+        "ui.climate.scatter": "Nuage de points (un point par heure)",
+        "ui.series.hint": "Une ligne d'en-tête puis une ligne par mesure. Colonnes : l'horodatage (time, timestamp, date ou datetime ; AAAA-MM-JJ hh:mm ou JJ/MM/AAAA hh:mm), deux variables d'état par capteur, optionnellement sensor (nom du capteur de la ligne) et p_total. Plusieurs capteurs sur une même ligne : suffixez les colonnes par le nom du capteur (tdb:Bureau, rh:Bureau). Valeurs dans les unités d'affichage.",
+        "ui.series.table": "Relevés (collés ou importés)",
+        "ui.series.placeholder": "time,tdb:Bureau,rh:Bureau,tdb:Archives,rh:Archives\n2024-01-15 08:00,21.5,40,18,55\n2024-01-15 08:15,21.8,41,18.1,56",
+        "ui.series.file": "Importer un fichier CSV",
+        "ui.series.thresholdsHint": "Seuils d'alarme : les heures et les périodes au-delà de chaque seuil sont relevées pour chaque capteur.",
+        "ui.series.addThreshold": "+ Ajouter un seuil",
+        "ui.series.trend": "Propriété tracée dans le temps",
+        "ui.batch.hint": "Une ligne d'en-tête puis une ligne par point. Colonnes : deux variables d'état parmi tdb, w, rh, h, twb, tdp, pv, v, mu, ah, cp, s, xv, tv, pws ; optionnellement label, p_total et un débit (m_da, m_ma, v_actual, v_std). Valeurs dans les unités d'affichage. Séparateur virgule, point-virgule ou tabulation.",
+        "ui.batch.table": "Tableau (collé ou importé)",
+        "ui.batch.placeholder": "label,tdb,rh,p_total\nBureau 1,24,50,101325\nBureau 2,26.5,45,\nExtérieur,32,,84556",
+        "ui.batch.file": "Importer un fichier CSV",
+        "ui.batch.title": "Calcul par lot",
+        "ui.batch.sortHint": "Cliquez sur un en-tête pour trier, sur une ligne pour l'afficher en détail.",
+        "ui.var1": "Variable indépendante 1",
+        "ui.var2": "Variable indépendante 2",
+        "ui.select": "-- Sélectionner --",
+        "ui.val1": "Valeur 1",
+        "ui.val2": "Valeur 2",
+        "ui.flow": "Débit",
+        "ui.flow.spec": "Spécification du débit",
+        "ui.flow.m_da": "Débit masse air sec (ṁ_da)",
+        "ui.flow.m_ma": "Débit masse air humide (ṁ)",
+        "ui.flow.v_actual": "Débit volumique, conditions réelles (V̇)",
+        "ui.flow.v_std": "Débit volumique, conditions standard (V̇_std)",
+        "ui.advanced": "⚙️ Paramètres avancés",
+        "ui.altitude": "Altitude",
+        "ui.pTotal": "Pression totale (P_total)",
+        "ui.unitSystem": "Système d'unités",
+        "ui.unitSystem.SI": "SI (°C, kg/kg, kJ/kg, Pa, m³/h)",
+        "ui.unitSystem.IP": "Impérial IP (°F, gr/lb, Btu/lb, inHg, CFM)",
+        "ui.unitOverrides": "Unités par grandeur",
+        "ui.unitDefault": "Selon le système",
+        "ui.satModel": "Modèle de pression de saturation",
+        "ui.satModel.hyland_wexler": "Hyland–Wexler (ASHRAE), eau et glace",
+        "ui.satModel.iapws": "IAPWS, eau et glace",
+        "ui.satModel.magnus": "Magnus, eau et glace",
+        "ui.comfort": "🧍 Confort thermique",
+        "ui.comfort.hint": "PMV et PPD selon l'ISO 7730 pour l'état calculé, et zone de confort de l'ASHRAE 55 (|PMV| ≤ 0,5 et W ≤ 0,012 kg/kg) sur le diagramme.",
+        "ui.comfort.enabled": "Évaluer le confort et tracer la zone",
+        "ui.comfort.met": "Métabolisme",
+        "ui.comfort.clo": "Habillement",
+        "ui.comfort.presets": "1,0 met assis au repos, 1,1 travail de bureau, 1,2 debout ; 0,5 clo tenue d'été, 1,0 clo tenue d'hiver",
+        "ui.comfort.mrt": "Température radiante moyenne",
+        "ui.comfort.mrtPlaceholder": "Égale à Tdb",
+        "ui.comfort.airSpeed": "Vitesse de l'air",
+        "ui.psychrometer": "Mesure de la température humide",
+        "ui.psychrometer.thermodynamic": "Température humide thermodynamique",
+        "ui.psychrometer.aspirated": "Psychromètre ventilé (Assmann)",
+        "ui.psychrometer.sling": "Psychromètre fronde",
+        "ui.psychrometer.screen": "Psychromètre sous abri, non ventilé",
+        "ui.psychrometer.custom": "Coefficient psychrométrique personnalisé",
+        "ui.psychrometer.coefficient": "Coefficient A",
+        "ui.psychrometer.hint": "Avec Tdb + Twb, la lecture d'un psychromètre est convertie en état réel par l'équation psychrométrique Pv = Pws(Twb) − A·P·(Tdb − Twb).",
+        "ui.calculate": "Calculer",
+        "ui.example": "Exemple",
+        "ui.copyLink": "🔗 Copier le lien",
+        "ui.copyLink.title": "Lien vers ce calcul (entrées, unités et précision)",
+        "ui.calcSuccess": "Calcul réussi!",
+        "ui.results": "Résultats",
+        "ui.digits": "chiffres",
+        "ui.tab.table": "Tableau",
+        "ui.tab.chart": "Diagramme",
+        "ui.col.property": "Propriété",
+        "ui.col.unit": "Unité",
+        "ui.col.value": "Valeur",
+        "ui.exportCsv": "Exporter CSV",
+        "ui.chart.legend": "Point calculé en rouge • Courbe de saturation en bleu • Processus et mélanges en orange • Zone de confort en vert",
+        "ui.chart.help": "Survolez pour lire les propriétés • Cliquez pour définir l'état • Molette pour zoomer • Glissez pour déplacer",
+        "ui.chart.rh": "Humidité relative",
+        "ui.chart.h": "Enthalpie",
+        "ui.chart.twb": "Température humide",
+        "ui.chart.v": "Volume spécifique",
+        "ui.chart.reset": "Réinitialiser la vue",
+        "ui.exportSvg": "Exporter SVG",
+        "ui.exportPng": "Exporter PNG",
+        "ui.printReport": "Rapport imprimable",
+        "ui.close": "Fermer",
+        "ui.explanationUnit": "Unité:",
+        "ui.expected": "attendu",
 
-/**
- * Compute humidity ratio from vapor pressure and dry-air partial pressure
- * W = 0.622 * Pv / (P_total - Pv)
- * 
- * @param {number} Pv - Vapor pressure [Pa]
- * @param {number} P_total - Total pressure [Pa]
- * @returns {number} Humidity ratio [kg_w/kg_da]
- */
-function humidityRatioFromVaporPressure(Pv, P_total) {
-    if (Pv >= P_total) return Infinity;
-    return CONSTANTS.K_W * Pv / (P_total - Pv);
-}
+        "alert.sameVariables": "Sélectionnez deux variables différentes.",
+        "alert.chartRanges": "Plages invalides : T min < T max (entre {min} et {max} {unit}) et 0 ≤ W min < W max.",
 
-/**
- * Inverse: compute vapor pressure from humidity ratio
- * Pv = P_total * W / (0.622 + W)
- * 
- * @param {number} W - Humidity ratio [kg_w/kg_da]
- * @param {number} P_total - Total pressure [Pa]
- * @returns {number} Vapor pressure [Pa]
- */
-function vaporPressureFromHumidityRatio(W, P_total) {
-    return P_total * W / (CONSTANTS.K_W + W);
-}
+        "result.Tdb": "Température sèche",
+        "result.W": "Ratio d'humidité",
+        "result.RH": "Humidité relative",
+        "result.h": "Enthalpie",
+        "result.Twb": "Température humide",
+        "result.T_dew": "Température de rosée",
+        "result.T_frost": "Température de givre",
+        "result.T_ice": "Température de bulbe glacé",
+        "result.rho": "Densité",
+        "result.v": "Volume spécifique",
+        "result.mu": "Degré de saturation",
+        "result.rho_v": "Humidité absolue",
+        "result.x_v": "Fraction volumique de vapeur",
+        "result.cp": "Chaleur spécifique",
+        "result.s": "Entropie spécifique",
+        "result.T_v": "Température virtuelle",
+        "result.Pws": "Pression de vapeur saturante",
+        "result.m_da": "Débit masse air sec",
+        "result.m_ma": "Débit masse air humide",
+        "result.V_dot": "Débit volumétrique (conditions réelles)",
+        "result.V_dot_std": "Débit volumétrique (conditions standard)",
+        "result.Pv": "Pression de vapeur",
+        "result.P_total": "Pression totale",
+        "result.altitude": "Altitude équivalente",
 
-/**
- * Compute relative humidity from vapor pressure and saturation pressure
- * RH = 100 * Pv / p_sat(T)
- * 
- * @param {number} Pv - Vapor pressure [Pa]
- * @param {number} T - Temperature [°C]
- * @returns {number} Relative humidity [%]
- */
-function relativeHumidity(Pv, T) {
-    const p_sat = saturationVaporPressure(T);
-    return 100 * Pv / p_sat;
-}
+        "summary.process": "Bilan du processus",
+        "summary.inletTdb": "Température sèche d'entrée",
+        "summary.inletW": "Ratio d'humidité d'entrée",
+        "summary.Q": "Puissance thermique (Q)",
+        "summary.m_w": "Débit d'eau (ṁ_w)",
+        "summary.adp": "Point de rosée de l'appareil (ADP)",
+        "summary.bf": "Facteur de bipasse (BF)",
+        "summary.Q_total": "Puissance frigorifique totale",
+        "summary.Q_sensible": "Puissance sensible",
+        "summary.Q_latent": "Puissance latente",
+        "summary.SHR": "Facteur de chaleur sensible (SHR)",
+        "summary.m_condensate": "Débit de condensats",
+        "summary.directEffectiveness": "Efficacité de saturation (direct)",
+        "summary.directTwb": "Température humide à l'entrée de l'étage direct",
+        "summary.indirectEffectiveness": "Efficacité humide (indirect)",
+        "summary.indirectTwb": "Température humide de l'air secondaire",
+        "summary.evaporativeCooling": "Puissance frigorifique (sensible)",
+        "summary.evaporativeWater": "Eau évaporée",
+        "summary.mixing": "Bilan du mélange",
+        "summary.streamTdb": "Flux {stream} : température sèche",
+        "summary.streamW": "Flux {stream} : ratio d'humidité",
+        "summary.streamFlow": "Flux {stream} : débit air sec",
+        "summary.streamFraction": "Flux {stream} : fraction massique",
+        "summary.room": "Charges du local et air soufflé",
+        "summary.roomTdb": "Température sèche du local",
+        "summary.roomW": "Ratio d'humidité du local",
+        "summary.roomSensible": "Charge sensible",
+        "summary.roomLatent": "Charge latente",
+        "summary.roomTotal": "Charge totale",
+        "summary.supplyDT": "Écart de soufflage (local − soufflage)",
+        "summary.supplyFlow": "Débit d'air sec soufflé",
+        "summary.supplyVolume": "Débit volumique soufflé",
+        "summary.roomMoisture": "Humidité absorbée par l'air soufflé",
+        "summary.roomAdp": "Droite de charge : intersection avec la saturation",
+        "summary.cycle": "Bilan du cycle",
+        "summary.cycleHeating": "Puissance de chauffage (batteries et humidificateurs)",
+        "summary.cycleCooling": "Puissance frigorifique",
+        "summary.cycleRecovered": "Puissance récupérée",
+        "summary.cycleHumidification": "Eau d'humidification",
+        "summary.cycleCondensate": "Condensats",
+        "summary.cycleEvaporativeCooling": "Refroidissement évaporatif",
+        "summary.cycleEvaporation": "Eau évaporée",
+        "summary.cycleSupplyFlow": "Débit d'air sec en sortie du cycle",
+        "summary.climate": "Bilan climatique",
+        "summary.climateHours": "Heures analysées",
+        "summary.climatePressure": "Pression moyenne de la station",
+        "summary.climateHDD": "Degrés-jours de chauffage (base {base})",
+        "summary.climateCDD": "Degrés-jours de refroidissement (base {base})",
+        "summary.series": "Bilan des relevés",
+        "summary.seriesDuration": "Étendue des relevés",
+        "summary.seriesThreshold": "Au-delà de {threshold} (tous capteurs)",
 
-/**
- * Compute saturation humidity ratio
- * W_sat = 0.622 * p_sat(T) / (P_total - p_sat(T))
- * 
- * @param {number} T - Temperature [°C]
- * @param {number} P_total - Total pressure [Pa]
- * @returns {number} Saturation humidity ratio [kg_w/kg_da]
- */
-function saturationHumidityRatio(T, P_total) {
-    const p_sat = saturationVaporPressure(T);
-    return humidityRatioFromVaporPressure(p_sat, P_total);
-}
+        "comfort.title": "Confort thermique (ASHRAE 55 / ISO 7730)",
+        "comfort.PMV": "Vote moyen prévisible (PMV)",
+        "comfort.PPD": "Pourcentage prévisible d'insatisfaits (PPD)",
+        "comfort.T_op": "Température opérative",
+        "comfort.MRT": "Température radiante moyenne",
+        "comfort.inZone": "✓ Dans la zone de confort",
+        "comfort.outZone": "✗ Hors de la zone de confort : {reason}",
+        "comfort.warm": "ambiance trop chaude (PMV > +0,5)",
+        "comfort.cold": "ambiance trop froide (PMV < −0,5)",
+        "comfort.humid": "ratio d'humidité au-dessus de {limit}",
+        "comfort.outsideModel": "Tdb ou Pv hors du domaine de l'ISO 7730 (10 à 30 °C, Pv ≤ 2700 Pa) : le PMV n'est qu'indicatif.",
 
-/**
- * Compute enthalpy of moist air
- * h = c_da * T + W * (h_fg_0 + h_fg_T * T)
- * 
- * Reference: ASHRAE Fundamentals (SI)
- * 
- * @param {number} T - Dry-bulb temperature [°C]
- * @param {number} W - Humidity ratio [kg_w/kg_da]
- * @returns {number} Enthalpy [kJ/kg_da]
- */
-function enthalpy(T, W) {
-    const h_fg = CONSTANTS.H_FG_0 + CONSTANTS.H_FG_T * T;
-    return CONSTANTS.C_DA * T + W * h_fg;
-}
+        "psychrometer.title": "Lecture du psychromètre",
+        "psychrometer.reading": "Température humide lue",
+        "psychrometer.thermo": "Température humide thermodynamique",
+        "psychrometer.iceBulb": "Température de bulbe glacé thermodynamique",
+        "psychrometer.difference": "Écart lecture − thermodynamique",
+        "psychrometer.coefficient": "Coefficient psychrométrique A",
 
-/**
- * Compute wet-bulb temperature using iterative root-finding
- * Uses bisection method with safeguards.
- * 
- * @param {number} Tdb - Dry-bulb temperature [°C]
- * @param {number} W - Humidity ratio [kg_w/kg_da]
- * @param {number} P_total - Total pressure [Pa]
- * @returns {number} Wet-bulb temperature [°C]
- */
-function wetBulbTemperature(Tdb, W, P_total) {
-    const h_target = enthalpy(Tdb, W);
-    
-    const p_v = vaporPressureFromHumidityRatio(W, P_total);
-    const T_dew = temperatureFromSaturationPressure(p_v);
-    
-    let T_low = Math.max(T_dew - 5, -50);
-    let T_high = Tdb;
-    
-    const tolerance = 0.001; // [°C]
-    const maxIterations = 50;
-    let iterations = 0;
-    
-    while (T_high - T_low > tolerance && iterations < maxIterations) {
-        const T_mid = (T_low + T_high) / 2;
-        const W_sat_mid = saturationHumidityRatio(T_mid, P_total);
-        const h_mid = enthalpy(T_mid, W_sat_mid);
-        
-        if (h_mid < h_target) {
-            T_low = T_mid;
-        } else {
-            T_high = T_mid;
-        }
-        
-        iterations++;
-    }
-    
-    return (T_low + T_high) / 2;
-}
+        "batch.title": "Calcul par lot : {solved} ligne(s) calculée(s)",
+        "batch.errors": ", {errors} en erreur",
+        "batch.label": "Libellé",
 
-/**
- * Compute density of moist air
- * ρ = P_total / (R_mix * T_K)
- * where R_mix = R_da * (1 + 1.6078*W) / (1 + W)
- * 
- * @param {number} Tdb - Dry-bulb temperature [°C]
- * @param {number} W - Humidity ratio [kg_w/kg_da]
- * @param {number} P_total - Total pressure [Pa]
- * @returns {number} Density [kg/m³]
- */
-function density(Tdb, W, P_total) {
-    const T_K = Tdb + 273.15;
-    const R_mix = CONSTANTS.R_DA * (1 + 1.6078 * W) / (1 + W);
-    return P_total / (R_mix * T_K);
-}
+        "stream.title": "Flux {stream}",
+        "stream.remove": "Supprimer ce flux",
+        "stream.flow": "Débit [{unit}]",
+        "cycle.step": "Étape {step}",
+        "cycle.up": "Monter cette étape",
+        "cycle.remove": "Supprimer cette étape",
+        "cycle.label": "Nom (facultatif)",
+        "cycle.kind.recovery": "Récupération de chaleur",
+        "cycle.kind.mixing": "Mélange avec un autre flux",
+        "cycle.kind.room": "Local (apports sensibles et latents)",
+        "cycle.exhaust": "Air extrait (débit équilibré)",
+        "cycle.stream": "Flux mélangé",
+        "cycle.sensibleEffectiveness": "Efficacité sensible",
+        "cycle.latentEffectiveness": "Efficacité latente",
+        "cycle.states": "Points d'état du cycle",
+        "cycle.steps": "Bilan par étape",
+        "cycle.point": "Point",
+        "cycle.start": "Entrée du cycle",
+        "cycle.stepName": "Étape",
+        "cycle.Q": "Puissance",
+        "cycle.m_w": "Eau ajoutée",
+        "cycle.importError": "Fichier invalide : ce n'est pas un export de cycle.",
+        "climate.title": "{location} — {hours} h",
+        "climate.skipped": "{count} heure(s) ignorée(s), dont la ligne {line} : {cause}",
+        "climate.design": "Conditions de base",
+        "climate.zones": "Heures par zone",
+        "climate.percent": "Dépassement annuel",
+        "climate.coolingTdb": "Refroidissement : Tdb",
+        "climate.MCWB": "Twb coïncidente",
+        "climate.dehumidificationTdp": "Déshumidification : Tdp",
+        "climate.dehumidificationW": "W à Tdp",
+        "climate.MCDB": "Tdb coïncidente",
+        "climate.zone": "Zone",
+        "climate.hours": "Heures",
+        "climate.fraction": "Part des heures",
+        "climate.zone.heating": "Chauffage (Tdb < {base})",
+        "climate.zone.cooling": "Refroidissement (Tdb ≥ {base})",
+        "climate.zone.humid": "Déshumidification (W ≥ {limit})",
+        "climate.zone.comfort": "Zone de confort (ASHRAE 55)",
+        "climate.coolingPoint": "Tdb {percent} %",
+        "climate.dehumidificationPoint": "Tdp {percent} %",
+        "series.title": "{samples} mesures, {sensors} capteur(s), du {start} au {end} — état détaillé : dernière mesure de {sensor}",
+        "series.errors": "{count} mesure(s) ignorée(s), dont la ligne {line} : {cause}",
+        "series.sensor": "Capteur",
+        "series.threshold": "Seuil {n}",
+        "series.removeThreshold": "Retirer ce seuil",
+        "series.above": "au-dessus de",
+        "series.below": "en dessous de",
+        "series.thresholds": "Dépassements des seuils",
+        "series.thresholdName": "Seuil",
+        "series.sensorName": "Capteur",
+        "series.hours": "Heures",
+        "series.periods": "Périodes (durée, extrême)",
+        "series.period": "{start} → {end} ({hours} h, {extreme})",
+        "series.morePeriods": "… et {count} autre(s)",
+        "series.noPeriod": "—",
 
-/**
- * Compute volumetric flow rate from mass flow
- * V̇ = (ṁ_da / ρ) * 3.6  [converts m³/s to m³/h]
- * 
- * @param {number} m_da - Dry-air mass flow [kg/s]
- * @param {number} rho - Density [kg/m³]
- * @returns {number} Volumetric flow [m³/h]
- */
-function volumetricFlow(m_da, rho) {
-    return (m_da / rho) * 3.6;
-}
+        "chart.title": "Diagramme psychrométrique — P = {pressure}",
+        "chart.tdb": "Température sèche [{unit}]",
+        "chart.w": "Ratio d'humidité [{unit}]",
+        "chart.comfort": "Zone de confort",
+        "chart.shr": "SHR",
 
-// ============================================================================
-// SOLVER: Given Two Independent Variables
-// ============================================================================
+        "report.title": "Calculateur Psychrométrique — rapport de calcul",
+        "report.inputs": "Entrées",
+        "report.properties": "Propriétés (précision : {precision} chiffres)",
+        "report.mode": "Mode de calcul",
+        "report.batch": "Lot",
+        "report.batchRows": "{solved} / {total} lignes calculées, ligne {selected} détaillée",
+        "report.variable": "Variable {n}",
+        "report.flow": "Débit",
+        "report.process": "Processus",
+        "report.evaporative": "Refroidisseur évaporatif",
+        "report.secondary": "Air secondaire",
+        "report.pressure": "Pression totale",
+        "report.satModel": "Modèle de pression de saturation",
+        "report.comfort": "Confort thermique",
+        "report.comfortInputs": "{met} met, {clo} clo, air à {airSpeed}, TRM {mrt}",
+        "report.psychrometer": "Twb mesurée par",
+        "report.roomLoads": "Charges du local (sensible / latente)",
+        "report.roomSupply": "Air soufflé défini par",
+        "report.cycle": "Étapes du cycle",
+        "report.climate": "Fichier météo",
+        "report.series": "Relevés",
+        "report.noResult": "Calculez d'abord un état à inclure dans le rapport.",
 
-function solveState(inputs) {
-    const { var1, val1, var2, val2, P_total, m_da_ref } = inputs;
-    
-    if (!var1 || !var2 || val1 === null || val2 === null) {
-        throw new Error("Sélectionnez deux variables et entrez les valeurs.");
-    }
-    
-    if (var1 === var2) {
-        throw new Error("Les deux variables indépendantes doivent être différentes.");
-    }
+        "ui.saved": "🗂️ États enregistrés",
+        "ui.saved.hint": "Les états enregistrés sont conservés dans ce navigateur. Cochez-en plusieurs pour les comparer et les tracer ensemble ; l'export JSON permet de les partager.",
+        "ui.saved.name": "Nom de l'état",
+        "ui.saved.namePlaceholder": "Par défaut : Tdb / RH",
+        "ui.saved.save": "Enregistrer l'état affiché",
+        "ui.saved.empty": "Aucun état enregistré.",
+        "ui.saved.compareHint": "Cochez au moins deux états pour les comparer ; les écarts sont donnés par rapport au premier coché.",
+        "ui.saved.plot": "Tracer les états cochés sur le diagramme",
+        "ui.saved.export": "Exporter JSON",
+        "ui.saved.import": "Importer JSON",
+        "saved.select": "Comparer et tracer",
+        "saved.rename": "Renommer",
+        "saved.reload": "Recharger",
+        "saved.delete": "Supprimer",
+        "saved.reference": "référence",
+        "saved.noResult": "Calculez d'abord un état à enregistrer.",
+        "saved.imported": "{count} état(s) importé(s).",
+        "saved.skipped": " {count} entrée(s) invalide(s) ignorée(s).",
+        "saved.importError": "Fichier invalide : ce n'est pas un export d'états enregistrés.",
+        "permalink.noResult": "Calculez d'abord un état à partager.",
+        "permalink.copied": "Lien copié dans le presse-papiers.",
+        "permalink.copy": "Lien vers ce calcul :",
 
-    const vars = [var1, var2].sort();
-    const pair = vars.join("+");
-    
-    let state = {};
-    
-    // Pair-based resolution
-    if (pair === "rh+tdb") {
-        const Tdb = var1 === "tdb" ? val1 : val2;
-        const RH = var1 === "rh" ? val1 : val2;
-        state = solveFromTdbRH(Tdb, RH, P_total);
-    } else if (pair === "tdb+w") {
-        const Tdb = var1 === "tdb" ? val1 : val2;
-        const W = var1 === "w" ? val1 : val2;
-        state = solveFromTdbW(Tdb, W, P_total);
-    } else if (pair === "h+tdb") {
-        const Tdb = var1 === "tdb" ? val1 : val2;
-        const h_val = var1 === "h" ? val1 : val2;
-        state = solveFromTdbH(Tdb, h_val, P_total);
-    } else if (pair === "tdb+twb") {
-        const Tdb = var1 === "tdb" ? val1 : val2;
-        const Twb = var1 === "twb" ? val1 : val2;
-        state = solveFromTdbTwb(Tdb, Twb, P_total);
-    } else if (pair === "tdp+tdb") {
-        const Tdb = var1 === "tdb" ? val1 : val2;
-        const Tdp = var1 === "tdp" ? val1 : val2;
-        state = solveFromTdbTdp(Tdb, Tdp, P_total);
-    } else if (pair === "h+w") {
-        const W = var1 === "w" ? val1 : val2;
-        const h_val = var1 === "h" ? val1 : val2;
-        state = solveFromWH(W, h_val, P_total);
-    } else if (pair === "pv+tdb") {
-        const Tdb = var1 === "tdb" ? val1 : val2;
-        const Pv = var1 === "pv" ? val1 : val2;
-        state = solveFromTdbPv(Tdb, Pv, P_total);
-    } else if (pair === "rh+w") {
-        const RH = var1 === "rh" ? val1 : val2;
-        const W = var1 === "w" ? val1 : val2;
-        state = solveFromRHW(RH, W, P_total);
-    } else {
-        throw new Error(`Paire non implémentée: ${var1} + ${var2}`);
-    }
+        "file.chart": "diagramme-psychrometrique",
+        "file.batch": "calcul-par-lot",
+        "file.states": "etats-enregistres",
+        "file.cycle": "cycle-cta",
 
-    if (!state || state.Tdb === undefined) {
-        throw new Error("Impossible de résoudre cet état (état physiquement impossible).");
-    }
+        "quantity.temperature": "Température",
+        "quantity.humidityRatio": "Ratio d'humidité",
+        "quantity.enthalpy": "Enthalpie",
+        "quantity.pressure": "Pression",
+        "quantity.specificVolume": "Volume spécifique",
+        "quantity.density": "Masse volumique",
+        "quantity.massFlow": "Débit massique",
+        "quantity.volumeFlow": "Débit volumique",
+        "quantity.power": "Puissance",
+        "quantity.length": "Altitude",
+        "quantity.velocity": "Vitesse de l'air",
+        "quantity.absoluteHumidity": "Humidité absolue",
+        "quantity.specificHeat": "Chaleur spécifique",
+        "quantity.entropy": "Entropie",
+        "quantity.volumeFraction": "Fraction volumique",
+    },
+    en: {
+        "locale": "en-US",
 
-    let m_da = m_da_ref;
-    if (var1 === "m_da" || var2 === "m_da") {
-        m_da = var1 === "m_da" ? val1 : val2;
-    }
-    
-    let V_dot = volumetricFlow(m_da, state.rho);
-    if (var1 === "v_dot" || var2 === "v_dot") {
-        V_dot = var1 === "v_dot" ? val1 : val2;
-        m_da = (V_dot / 3.6) * state.rho;
-    }
+        "ui.title": "Psychrometric Calculator",
+        "ui.subtitle": "Complete thermodynamic properties of moist air",
+        "ui.language": "Language",
+        "ui.inputs": "Inputs",
+        "ui.mode.single": "Single state properties",
+        "ui.mode.process": "Process (inlet state → outlet state)",
+        "ui.mode.mixing": "Adiabatic mixing of airstreams",
+        "ui.mode.batch": "Batch calculation (CSV)",
+        "ui.mode.room": "Room loads (supply air)",
+        "ui.mode.cycle": "AHU cycle (chained steps)",
+        "ui.mode.climate": "Climate analysis (EPW weather file)",
+        "ui.mode.series": "Time series (data loggers)",
+        "ui.room.hint": "The two variables below define the room design state. Loads are positive for cooling, negative for heating.",
+        "ui.room.sensible": "Sensible load",
+        "ui.room.latent": "Latent load",
+        "ui.room.supply": "Supply air defined by",
+        "ui.room.supplyTdb": "Its dry-bulb temperature",
+        "ui.room.supplyFlow": "Its flow (“Flow” field below)",
+        "ui.room.supplyTdbValue": "Supply temperature",
+        "ui.process.hint": "The two variables below define the inlet state.",
+        "ui.process.kind": "Process type",
+        "ui.process.sensible": "Sensible heating / cooling",
+        "ui.process.steam": "Steam humidification",
+        "ui.process.spray": "Spray humidification (adiabatic)",
+        "ui.process.coil": "Cooling coil (cooling and dehumidification)",
+        "ui.process.evaporative": "Evaporative cooling",
+        "ui.process.targetTdb": "Leaving dry-bulb temperature",
+        "ui.process.targetHum": "Leaving humidity setpoint",
+        "ui.coil.mode": "Coil definition",
+        "ui.coil.adp": "Apparatus dew point (ADP) + bypass factor",
+        "ui.coil.leaving": "Leaving state (Tdb + W/RH)",
+        "ui.evaporative.mode": "Cooler type",
+        "ui.evaporative.direct": "Direct (adiabatic humidification)",
+        "ui.evaporative.indirect": "Indirect (heat exchanger and wetted secondary air)",
+        "ui.evaporative.twoStage": "Two-stage (indirect, then direct)",
+        "ui.evaporative.directEffectiveness": "Saturation effectiveness (direct)",
+        "ui.evaporative.indirectEffectiveness": "Wet-bulb effectiveness (indirect)",
+        "ui.evaporative.secondary": "Secondary air (wet side of the exchanger)",
+        "ui.evaporative.secondaryInlet": "Inlet air (outdoor air)",
+        "ui.evaporative.secondaryState": "Other state (exhaust air…)",
+        "ui.coil.bf": "Bypass factor",
+        "ui.enterValue": "Enter a value",
+        "ui.mixing.hint": "Each stream is defined by two variables and its own flow.",
+        "ui.mixing.add": "+ Add a stream",
+        "ui.cycle.hint": "The two variables and the flow below define the air entering the first step (for example the outdoor air). Each step starts from the outlet state of the previous one.",
+        "ui.cycle.add": "+ Add a step",
+        "ui.cycle.example": "Example (winter)",
+        "ui.cycle.export": "Export JSON",
+        "ui.cycle.import": "Import JSON",
+        "ui.climate.hint": "Each hour of an EnergyPlus weather file (.epw) is solved from its dry-bulb temperature, dew point and station pressure. Design conditions are the values exceeded during 0.4 %, 1 % and 2 % of the hours of the year; the detailed state is the 0.4 % cooling one.",
+        "ui.climate.file": "EPW weather file",
+        "ui.climate.heatingBase": "Heating degree-day base",
+        "ui.climate.coolingBase": "Cooling degree-day base",
+        "ui.climate.display": "Hours on the chart",
+        "ui.climate.density": "Density (opacity by number of hours)",
+        "ui.climate.scatter": "Scatter (one dot per hour)",
+        "ui.series.hint": "One header line, then one line per reading. Columns: the timestamp (time, timestamp, date or datetime; YYYY-MM-DD hh:mm or DD/MM/YYYY hh:mm), two state variables per sensor, optionally sensor (name of the line's sensor) and p_total. Several sensors on one line: suffix the columns with the sensor name (tdb:Office, rh:Office). Values in display units.",
+        "ui.series.table": "Readings (pasted or imported)",
+        "ui.series.placeholder": "time,tdb:Office,rh:Office,tdb:Archive,rh:Archive\n2024-01-15 08:00,21.5,40,18,55\n2024-01-15 08:15,21.8,41,18.1,56",
+        "ui.series.file": "Import a CSV file",
+        "ui.series.thresholdsHint": "Alarm thresholds: the hours and periods beyond each threshold are reported for each sensor.",
+        "ui.series.addThreshold": "+ Add a threshold",
+        "ui.series.trend": "Property plotted over time",
+        "ui.batch.hint": "A header line, then one line per point. Columns: two state variables among tdb, w, rh, h, twb, tdp, pv, v, mu, ah, cp, s, xv, tv, pws; optionally label, p_total and one flow (m_da, m_ma, v_actual, v_std). Values in display units. Comma, semicolon or tab separator.",
+        "ui.batch.table": "Table (pasted or imported)",
+        "ui.batch.placeholder": "label,tdb,rh,p_total\nOffice 1,24,50,101325\nOffice 2,26.5,45,\nOutdoor,32,,84556",
+        "ui.batch.file": "Import a CSV file",
+        "ui.batch.title": "Batch calculation",
+        "ui.batch.sortHint": "Click a header to sort, a row to show it in detail.",
+        "ui.var1": "Independent variable 1",
+        "ui.var2": "Independent variable 2",
+        "ui.select": "-- Select --",
+        "ui.val1": "Value 1",
+        "ui.val2": "Value 2",
+        "ui.flow": "Flow",
+        "ui.flow.spec": "Flow specification",
+        "ui.flow.m_da": "Dry-air mass flow (ṁ_da)",
+        "ui.flow.m_ma": "Moist-air mass flow (ṁ)",
+        "ui.flow.v_actual": "Volume flow, actual conditions (V̇)",
+        "ui.flow.v_std": "Volume flow, standard conditions (V̇_std)",
+        "ui.advanced": "⚙️ Advanced settings",
+        "ui.altitude": "Altitude",
+        "ui.pTotal": "Total pressure (P_total)",
+        "ui.unitSystem": "Unit system",
+        "ui.unitSystem.SI": "SI (°C, kg/kg, kJ/kg, Pa, m³/h)",
+        "ui.unitSystem.IP": "Inch-pound IP (°F, gr/lb, Btu/lb, inHg, CFM)",
+        "ui.unitOverrides": "Units per quantity",
+        "ui.unitDefault": "System default",
+        "ui.satModel": "Saturation pressure model",
+        "ui.satModel.hyland_wexler": "Hyland–Wexler (ASHRAE), water and ice",
+        "ui.satModel.iapws": "IAPWS, water and ice",
+        "ui.satModel.magnus": "Magnus, water and ice",
+        "ui.comfort": "🧍 Thermal comfort",
+        "ui.comfort.hint": "PMV and PPD per ISO 7730 for the calculated state, and the ASHRAE 55 comfort zone (|PMV| ≤ 0.5 and W ≤ 0.012 kg/kg) on the chart.",
+        "ui.comfort.enabled": "Evaluate comfort and draw the zone",
+        "ui.comfort.met": "Metabolic rate",
+        "ui.comfort.clo": "Clothing",
+        "ui.comfort.presets": "1.0 met seated at rest, 1.1 office work, 1.2 standing; 0.5 clo summer clothing, 1.0 clo winter clothing",
+        "ui.comfort.mrt": "Mean radiant temperature",
+        "ui.comfort.mrtPlaceholder": "Equal to Tdb",
+        "ui.comfort.airSpeed": "Air speed",
+        "ui.psychrometer": "Wet-bulb measurement",
+        "ui.psychrometer.thermodynamic": "Thermodynamic wet-bulb temperature",
+        "ui.psychrometer.aspirated": "Aspirated psychrometer (Assmann)",
+        "ui.psychrometer.sling": "Sling psychrometer",
+        "ui.psychrometer.screen": "Screen psychrometer, unventilated",
+        "ui.psychrometer.custom": "Custom psychrometric coefficient",
+        "ui.psychrometer.coefficient": "Coefficient A",
+        "ui.psychrometer.hint": "With Tdb + Twb, a psychrometer reading is converted to the true state with the psychrometer equation Pv = Pws(Twb) − A·P·(Tdb − Twb).",
+        "ui.calculate": "Calculate",
+        "ui.example": "Example",
+        "ui.copyLink": "🔗 Copy link",
+        "ui.copyLink.title": "Link to this calculation (inputs, units and precision)",
+        "ui.calcSuccess": "Calculation successful!",
+        "ui.results": "Results",
+        "ui.digits": "digits",
+        "ui.tab.table": "Table",
+        "ui.tab.chart": "Chart",
+        "ui.col.property": "Property",
+        "ui.col.unit": "Unit",
+        "ui.col.value": "Value",
+        "ui.exportCsv": "Export CSV",
+        "ui.chart.legend": "Calculated point in red • Saturation curve in blue • Processes and mixing in orange • Comfort zone in green",
+        "ui.chart.help": "Hover to read the properties • Click to set the state • Wheel to zoom • Drag to pan",
+        "ui.chart.rh": "Relative humidity",
+        "ui.chart.h": "Enthalpy",
+        "ui.chart.twb": "Wet-bulb temperature",
+        "ui.chart.v": "Specific volume",
+        "ui.chart.reset": "Reset view",
+        "ui.exportSvg": "Export SVG",
+        "ui.exportPng": "Export PNG",
+        "ui.printReport": "Printable report",
+        "ui.close": "Close",
+        "ui.explanationUnit": "Unit:",
+        "ui.expected": "expected",
 
-    state.m_da = m_da;
-    state.V_dot = V_dot;
-    state.P_total = P_total;
+        "alert.sameVariables": "Select two different variables.",
+        "alert.chartRanges": "Invalid ranges: T min < T max (between {min} and {max} {unit}) and 0 ≤ W min < W max.",
 
-    return state;
-}
+        "result.Tdb": "Dry-bulb temperature",
+        "result.W": "Humidity ratio",
+        "result.RH": "Relative humidity",
+        "result.h": "Enthalpy",
+        "result.Twb": "Wet-bulb temperature",
+        "result.T_dew": "Dew-point temperature",
+        "result.T_frost": "Frost-point temperature",
+        "result.T_ice": "Ice-bulb temperature",
+        "result.rho": "Density",
+        "result.v": "Specific volume",
+        "result.mu": "Degree of saturation",
+        "result.rho_v": "Absolute humidity",
+        "result.x_v": "Water vapor volume fraction",
+        "result.cp": "Specific heat",
+        "result.s": "Specific entropy",
+        "result.T_v": "Virtual temperature",
+        "result.Pws": "Saturation vapor pressure",
+        "result.m_da": "Dry-air mass flow",
+        "result.m_ma": "Moist-air mass flow",
+        "result.V_dot": "Volume flow (actual conditions)",
+        "result.V_dot_std": "Volume flow (standard conditions)",
+        "result.Pv": "Vapor pressure",
+        "result.P_total": "Total pressure",
+        "result.altitude": "Equivalent altitude",
 
-// Individual pair solvers
-function solveFromTdbRH(Tdb, RH, P_total) {
-    if (RH < 0 || RH > 100) {
-        throw new Error("L'humidité relative doit être entre 0 et 100%.");
-    }
-    
-    const p_sat = saturationVaporPressure(Tdb);
-    const Pv = (RH / 100) * p_sat;
-    const W = humidityRatioFromVaporPressure(Pv, P_total);
-    
-    if (W < 0) {
-        throw new Error("État thermodynamiquement impossible.");
-    }
+        "summary.process": "Process balance",
+        "summary.inletTdb": "Inlet dry-bulb temperature",
+        "summary.inletW": "Inlet humidity ratio",
+        "summary.Q": "Heat rate (Q)",
+        "summary.m_w": "Water flow (ṁ_w)",
+        "summary.adp": "Apparatus dew point (ADP)",
+        "summary.bf": "Bypass factor (BF)",
+        "summary.Q_total": "Total cooling capacity",
+        "summary.Q_sensible": "Sensible capacity",
+        "summary.Q_latent": "Latent capacity",
+        "summary.SHR": "Sensible heat ratio (SHR)",
+        "summary.m_condensate": "Condensate flow",
+        "summary.directEffectiveness": "Saturation effectiveness (direct)",
+        "summary.directTwb": "Wet-bulb entering the direct stage",
+        "summary.indirectEffectiveness": "Wet-bulb effectiveness (indirect)",
+        "summary.indirectTwb": "Secondary air wet-bulb",
+        "summary.evaporativeCooling": "Cooling capacity (sensible)",
+        "summary.evaporativeWater": "Water evaporated",
+        "summary.mixing": "Mixing balance",
+        "summary.streamTdb": "Stream {stream}: dry-bulb temperature",
+        "summary.streamW": "Stream {stream}: humidity ratio",
+        "summary.streamFlow": "Stream {stream}: dry-air flow",
+        "summary.streamFraction": "Stream {stream}: mass fraction",
+        "summary.room": "Room loads and supply air",
+        "summary.roomTdb": "Room dry-bulb temperature",
+        "summary.roomW": "Room humidity ratio",
+        "summary.roomSensible": "Sensible load",
+        "summary.roomLatent": "Latent load",
+        "summary.roomTotal": "Total load",
+        "summary.supplyDT": "Supply temperature difference (room − supply)",
+        "summary.supplyFlow": "Supply dry-air flow",
+        "summary.supplyVolume": "Supply volume flow",
+        "summary.roomMoisture": "Moisture picked up by the supply air",
+        "summary.roomAdp": "Load line: intersection with saturation",
+        "summary.cycle": "Cycle balance",
+        "summary.cycleHeating": "Heating power (coils and humidifiers)",
+        "summary.cycleCooling": "Cooling power",
+        "summary.cycleRecovered": "Recovered power",
+        "summary.cycleHumidification": "Humidification water",
+        "summary.cycleCondensate": "Condensate",
+        "summary.cycleEvaporativeCooling": "Evaporative cooling",
+        "summary.cycleEvaporation": "Water evaporated",
+        "summary.cycleSupplyFlow": "Dry-air flow leaving the cycle",
+        "summary.climate": "Climate summary",
+        "summary.climateHours": "Hours analyzed",
+        "summary.climatePressure": "Mean station pressure",
+        "summary.climateHDD": "Heating degree-days (base {base})",
+        "summary.climateCDD": "Cooling degree-days (base {base})",
+        "summary.series": "Readings summary",
+        "summary.seriesDuration": "Time span of the readings",
+        "summary.seriesThreshold": "Beyond {threshold} (all sensors)",
 
-    const h = enthalpy(Tdb, W);
-    const Twb = wetBulbTemperature(Tdb, W, P_total);
-    const T_dew = temperatureFromSaturationPressure(Pv);
-    const rho = density(Tdb, W, P_total);
+        "comfort.title": "Thermal comfort (ASHRAE 55 / ISO 7730)",
+        "comfort.PMV": "Predicted mean vote (PMV)",
+        "comfort.PPD": "Predicted percentage dissatisfied (PPD)",
+        "comfort.T_op": "Operative temperature",
+        "comfort.MRT": "Mean radiant temperature",
+        "comfort.inZone": "✓ Inside the comfort zone",
+        "comfort.outZone": "✗ Outside the comfort zone: {reason}",
+        "comfort.warm": "too warm (PMV > +0.5)",
+        "comfort.cold": "too cold (PMV < −0.5)",
+        "comfort.humid": "humidity ratio above {limit}",
+        "comfort.outsideModel": "Tdb or Pv outside the ISO 7730 range (10 to 30 °C, Pv ≤ 2700 Pa): the PMV is only indicative.",
 
-    return { Tdb, W, RH, h, Twb, T_dew, Pv, rho, P_total };
-}
+        "psychrometer.title": "Psychrometer reading",
+        "psychrometer.reading": "Wet-bulb reading",
+        "psychrometer.thermo": "Thermodynamic wet-bulb temperature",
+        "psychrometer.iceBulb": "Thermodynamic ice-bulb temperature",
+        "psychrometer.difference": "Difference reading − thermodynamic",
+        "psychrometer.coefficient": "Psychrometric coefficient A",
 
-function solveFromTdbW(Tdb, W, P_total) {
-    if (W < 0) {
-        throw new Error("Le ratio d'humidité ne peut pas être négatif.");
-    }
+        "batch.title": "Batch calculation: {solved} row(s) solved",
+        "batch.errors": ", {errors} failed",
+        "batch.label": "Label",
 
-    const Pv = vaporPressureFromHumidityRatio(W, P_total);
-    const p_sat = saturationVaporPressure(Tdb);
-    const RH = 100 * Pv / p_sat;
+        "stream.title": "Stream {stream}",
+        "stream.remove": "Remove this stream",
+        "stream.flow": "Flow [{unit}]",
+        "cycle.step": "Step {step}",
+        "cycle.up": "Move this step up",
+        "cycle.remove": "Remove this step",
+        "cycle.label": "Name (optional)",
+        "cycle.kind.recovery": "Heat recovery",
+        "cycle.kind.mixing": "Mixing with another stream",
+        "cycle.kind.room": "Room (sensible and latent gains)",
+        "cycle.exhaust": "Exhaust air (balanced flow)",
+        "cycle.stream": "Mixed stream",
+        "cycle.sensibleEffectiveness": "Sensible effectiveness",
+        "cycle.latentEffectiveness": "Latent effectiveness",
+        "cycle.states": "Cycle state points",
+        "cycle.steps": "Balance per step",
+        "cycle.point": "Point",
+        "cycle.start": "Cycle inlet",
+        "cycle.stepName": "Step",
+        "cycle.Q": "Power",
+        "cycle.m_w": "Water added",
+        "cycle.importError": "Invalid file: this is not a cycle export.",
+        "climate.title": "{location} — {hours} h",
+        "climate.skipped": "{count} hour(s) skipped, including line {line}: {cause}",
+        "climate.design": "Design conditions",
+        "climate.zones": "Hours per zone",
+        "climate.percent": "Annual exceedance",
+        "climate.coolingTdb": "Cooling: Tdb",
+        "climate.MCWB": "Mean coincident Twb",
+        "climate.dehumidificationTdp": "Dehumidification: Tdp",
+        "climate.dehumidificationW": "W at Tdp",
+        "climate.MCDB": "Mean coincident Tdb",
+        "climate.zone": "Zone",
+        "climate.hours": "Hours",
+        "climate.fraction": "Share of hours",
+        "climate.zone.heating": "Heating (Tdb < {base})",
+        "climate.zone.cooling": "Cooling (Tdb ≥ {base})",
+        "climate.zone.humid": "Dehumidification (W ≥ {limit})",
+        "climate.zone.comfort": "Comfort zone (ASHRAE 55)",
+        "climate.coolingPoint": "Tdb {percent} %",
+        "climate.dehumidificationPoint": "Tdp {percent} %",
+        "series.title": "{samples} readings, {sensors} sensor(s), from {start} to {end} — detailed state: last reading of {sensor}",
+        "series.errors": "{count} reading(s) skipped, including line {line}: {cause}",
+        "series.sensor": "Sensor",
+        "series.threshold": "Threshold {n}",
+        "series.removeThreshold": "Remove this threshold",
+        "series.above": "above",
+        "series.below": "below",
+        "series.thresholds": "Threshold exceedances",
+        "series.thresholdName": "Threshold",
+        "series.sensorName": "Sensor",
+        "series.hours": "Hours",
+        "series.periods": "Periods (duration, extreme)",
+        "series.period": "{start} → {end} ({hours} h, {extreme})",
+        "series.morePeriods": "… and {count} more",
+        "series.noPeriod": "—",
 
-    if (RH > 100.5) {
-        throw new Error("État sursaturé (non physique).");
-    }
+        "chart.title": "Psychrometric chart — P = {pressure}",
+        "chart.tdb": "Dry-bulb temperature [{unit}]",
+        "chart.w": "Humidity ratio [{unit}]",
+        "chart.comfort": "Comfort zone",
+        "chart.shr": "SHR",
 
-    const h = enthalpy(Tdb, W);
-    const Twb = wetBulbTemperature(Tdb, W, P_total);
-    const T_dew = temperatureFromSaturationPressure(Pv);
-    const rho = density(Tdb, W, P_total);
+        "report.title": "Psychrometric Calculator — calculation report",
+        "report.inputs": "Inputs",
+        "report.properties": "Properties (precision: {precision} digits)",
+        "report.mode": "Calculation mode",
+        "report.batch": "Batch",
+        "report.batchRows": "{solved} / {total} rows solved, row {selected} detailed",
+        "report.variable": "Variable {n}",
+        "report.flow": "Flow",
+        "report.process": "Process",
+        "report.evaporative": "Evaporative cooler",
+        "report.secondary": "Secondary air",
+        "report.pressure": "Total pressure",
+        "report.satModel": "Saturation pressure model",
+        "report.comfort": "Thermal comfort",
+        "report.comfortInputs": "{met} met, {clo} clo, air at {airSpeed}, MRT {mrt}",
+        "report.psychrometer": "Twb measured with",
+        "report.roomLoads": "Room loads (sensible / latent)",
+        "report.roomSupply": "Supply air defined by",
+        "report.cycle": "Cycle steps",
+        "report.climate": "Weather file",
+        "report.series": "Readings",
+        "report.noResult": "Calculate a state to report first.",
 
-    return { Tdb, W, RH: Math.min(RH, 100), h, Twb, T_dew, Pv, rho, P_total };
-}
+        "ui.saved": "🗂️ Saved states",
+        "ui.saved.hint": "Saved states are kept in this browser. Check several to compare them and plot them together; the JSON export lets you share them.",
+        "ui.saved.name": "State name",
+        "ui.saved.namePlaceholder": "Default: Tdb / RH",
+        "ui.saved.save": "Save the displayed state",
+        "ui.saved.empty": "No saved state.",
+        "ui.saved.compareHint": "Check at least two states to compare them; differences are given from the first one checked.",
+        "ui.saved.plot": "Plot the checked states on the chart",
+        "ui.saved.export": "Export JSON",
+        "ui.saved.import": "Import JSON",
+        "saved.select": "Compare and plot",
+        "saved.rename": "Rename",
+        "saved.reload": "Reload",
+        "saved.delete": "Delete",
+        "saved.reference": "reference",
+        "saved.noResult": "Calculate a state to save first.",
+        "saved.imported": "{count} state(s) imported.",
+        "saved.skipped": " {count} invalid entry(ies) skipped.",
+        "saved.importError": "Invalid file: this is not a saved-states export.",
+        "permalink.noResult": "Calculate a state to share first.",
+        "permalink.copied": "Link copied to the clipboard.",
+        "permalink.copy": "Link to this calculation:",
 
-function solveFromTdbH(Tdb, h_target, P_total) {
-    const W_max = saturationHumidityRatio(Tdb, P_total);
-    
-    let W_low = 0;
-    let W_high = W_max;
-    const tolerance = 1e-6;
-    const maxIterations = 100;
-    let iterations = 0;
-
-    while (W_high - W_low > tolerance && iterations < maxIterations) {
-        const W_mid = (W_low + W_high) / 2;
-        const h_mid = enthalpy(Tdb, W_mid);
-        
-        if (h_mid < h_target) {
-            W_low = W_mid;
-        } else {
-            W_high = W_mid;
-        }
-        iterations++;
-    }
+        "file.chart": "psychrometric-chart",
+        "file.batch": "batch-calculation",
+        "file.states": "saved-states",
+        "file.cycle": "ahu-cycle",
+
+        "quantity.temperature": "Temperature",
+        "quantity.humidityRatio": "Humidity ratio",
+        "quantity.enthalpy": "Enthalpy",
+        "quantity.pressure": "Pressure",
+        "quantity.specificVolume": "Specific volume",
+        "quantity.density": "Density",
+        "quantity.massFlow": "Mass flow",
+        "quantity.volumeFlow": "Volume flow",
+        "quantity.power": "Power",
+        "quantity.length": "Altitude",
+        "quantity.velocity": "Air speed",
+        "quantity.absoluteHumidity": "Absolute humidity",
+        "quantity.specificHeat": "Specific heat",
+        "quantity.entropy": "Entropy",
+        "quantity.volumeFraction": "Volume fraction",
+    },
+};
 
-    const W = (W_low + W_high) / 2;
-    const Pv = vaporPressureFromHumidityRatio(W, P_total);
-    const p_sat = saturationVaporPressure(Tdb);
-    const RH = 100 * Pv / p_sat;
-    const Twb = wetBulbTemperature(Tdb, W, P_total);
-    const T_dew = temperatureFromSaturationPressure(Pv);
-    const rho = density(Tdb, W, P_total);
+// Browser storage key of the chosen language
+const LANGUAGE_STORAGE_KEY = "psychro.language";
 
-    return { Tdb, W, RH, h: h_target, Twb, T_dew, Pv, rho, P_total };
+/**
+ * Message in the current language, with `{name}` placeholders filled from
+ * `params`. Error parameters are themselves translated (see errorMessage).
+ * Missing messages fall back to French, then to the key.
+ * 
+ * @param {string} key - Message key, e.g. "ui.calculate"
+ * @param {Object} [params] - Placeholder values
+ * @returns {string}
+ */
+function t(key, params = {}) {
+    const messages = MESSAGES[settings.language] || MESSAGES.fr;
+    const template = messages[key] !== undefined ? messages[key]
+        : MESSAGES.fr[key] !== undefined ? MESSAGES.fr[key] : key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return value instanceof Error ? errorMessage(value) : String(value);
+    });
 }
 
-function solveFromTdbTwb(Tdb, Twb, P_total) {
-    if (Twb > Tdb) {
-        throw new Error("La température humide ne peut pas dépasser la température sèche.");
-    }
+/**
+ * Name and explanation of a variable in the current language
+ * 
+ * @returns {Object|undefined} { name, explanation }
+ */
+function variableInfo(key) {
+    return (VARIABLE_EXPLANATIONS[settings.language] || VARIABLE_EXPLANATIONS.fr)[key];
+}
 
-    const W_sat_wb = saturationHumidityRatio(Twb, P_total);
-    const h_target = enthalpy(Twb, W_sat_wb);
-    
-    const W_sat = saturationHumidityRatio(Tdb, P_total);
-    let W_low = 0;
-    let W_high = W_sat;
-    const tolerance = 1e-6;
-    const maxIterations = 100;
-    let iterations = 0;
-
-    while (W_high - W_low > tolerance && iterations < maxIterations) {
-        const W_mid = (W_low + W_high) / 2;
-        const h_mid = enthalpy(Tdb, W_mid);
-        
-        if (h_mid < h_target) {
-            W_low = W_mid;
-        } else {
-            W_high = W_mid;
-        }
-        iterations++;
+/**
+ * Language to start with: the remembered choice, else the browser's
+ * (French for French-speaking browsers, English otherwise)
+ */
+function preferredLanguage() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (e) {
+        // Storage disabled (private mode, file:// in some browsers)
     }
+    if (MESSAGES[stored]) return stored;
+    return (navigator.language || "").toLowerCase().startsWith("fr") ? "fr" : "en";
+}
 
-    const W = (W_low + W_high) / 2;
-    const Pv = vaporPressureFromHumidityRatio(W, P_total);
-    const p_sat = saturationVaporPressure(Tdb);
-    const RH = 100 * Pv / p_sat;
-    const h = enthalpy(Tdb, W);
-    const T_dew = temperatureFromSaturationPressure(Pv);
-    const rho = density(Tdb, W, P_total);
+// ============================================================================
+// PSYCHROMETRIC CHART VISUALIZATION
+// ============================================================================
 
-    return { Tdb, W, RH, h, Twb, T_dew, Pv, rho, P_total };
-}
+/**
+ * Iso-line families drawn on the chart. Each line is a constant value of a
+ * STATE_PROPERTIES entry, traced with the solver's own inverse
+ * (humidityRatioAt) so that the chart and the results always agree.
+ * `values(view)` lists the line values for the visible range.
+ */
+const CHART_LINE_FAMILIES = {
+    rh: {
+        color: "rgba(0, 140, 70, 0.65)",
+        label: (value) => `${value}%`,
+        labelAt: "end",
+        values: () => [10, 20, 30, 40, 50, 60, 70, 80, 90],
+    },
+    h: {
+        color: "rgba(130, 60, 170, 0.55)",
+        label: (value) => `${roundDisplay(toDisplay("enthalpy", value))} ${unitOf("enthalpy")}`,
+        labelAt: "start",
+        values: (view) => chartTicks(
+            "enthalpy", enthalpy(view.T_min, view.W_min), enthalpy(view.T_max, view.W_max), 12
+        ).ticks.map(tick => tick.value),
+    },
+    twb: {
+        color: "rgba(0, 120, 150, 0.6)",
+        dashed: true,
+        label: (value) => `${roundDisplay(toDisplay("temperature", value))}${unitOf("temperature")}`,
+        labelAt: "start",
+        // Nearly straight, and each point costs a wet-bulb iteration
+        steps: 15,
+        values: (view) => chartTicks("temperature", view.T_min, view.T_max, 12).ticks.map(tick => tick.value),
+    },
+    v: {
+        color: "rgba(150, 100, 40, 0.6)",
+        label: (value) => String(roundDisplay(toDisplay("specificVolume", value))),
+        labelAt: "end",
+        values: (view) => chartTicks(
+            "specificVolume",
+            specificVolume(view.T_min, view.W_min, view.P_total),
+            specificVolume(view.T_max, view.W_max, view.P_total),
+            8
+        ).ticks.map(tick => tick.value),
+    },
+};
 
-function solveFromTdbTdp(Tdb, Tdp, P_total) {
-    if (Tdp > Tdb + 0.1) {
-        throw new Error("La température de rosée ne peut pas dépasser la température sèche.");
+/**
+ * Round values of a quantity in display units between two SI bounds,
+ * so that grid lines and iso-lines fall on round numbers in any unit system
+ * 
+ * @returns {Object} { step, ticks: [{ value (SI), display }] }
+ */
+function chartTicks(quantity, minSI, maxSI, targetTicks) {
+    const min = toDisplay(quantity, minSI);
+    const max = toDisplay(quantity, maxSI);
+    const step = niceStep(max - min, targetTicks);
+    const ticks = [];
+    for (let k = Math.ceil(min / step - 1e-9); k * step <= max + 1e-9 * step; k++) {
+        // Rounded to avoid float noise in labels and cache keys
+        const display = roundDisplay(k * step);
+        ticks.push({ value: fromDisplay(quantity, display), display });
     }
+    return { step, ticks };
+}
 
-    const Pv = saturationVaporPressure(Tdp);
-    const W = humidityRatioFromVaporPressure(Pv, P_total);
-    const p_sat = saturationVaporPressure(Tdb);
-    const RH = 100 * Pv / p_sat;
-    const h = enthalpy(Tdb, W);
-    const Twb = wetBulbTemperature(Tdb, W, P_total);
-    const rho = density(Tdb, W, P_total);
-
-    return { Tdb, W, RH, h, Twb, T_dew: Tdp, Pv, rho, P_total };
+/**
+ * "Nice" tick spacing (1, 2 or 5 × 10^n) giving about `targetTicks` ticks
+ */
+function niceStep(span, targetTicks) {
+    const raw = span / targetTicks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const normalized = raw / magnitude;
+    const nice = normalized < 1.5 ? 1 : normalized < 3.5 ? 2 : normalized < 7.5 ? 5 : 10;
+    return nice * magnitude;
 }
 
-function solveFromWH(W, h_target, P_total) {
-    let T_low = -50;
-    let T_high = 100;
-    const tolerance = 0.01;
-    const maxIterations = 100;
-    let iterations = 0;
+// Traced iso-lines, keyed by family, value, range, pressure and model
+const chartLineCache = new Map();
 
-    while (T_high - T_low > tolerance && iterations < maxIterations) {
-        const T_mid = (T_low + T_high) / 2;
-        const h_mid = enthalpy(T_mid, W);
-        
-        if (h_mid < h_target) {
-            T_low = T_mid;
-        } else {
-            T_high = T_mid;
-        }
-        iterations++;
+/**
+ * Points (Tdb, W) of one iso-line covering the visible temperature range.
+ * Lines are traced over a domain snapped to a round step and padded on
+ * both sides, so that panning the chart reuses the cached lines.
+ * Lines that meet the saturation curve start exactly on it.
+ * 
+ * @returns {Object[]} Polyline points { Tdb, W }
+ */
+function chartIsoLine(key, value, view) {
+    const unit = niceStep(view.T_max - view.T_min, 1);
+    const domain = {
+        T_min: Math.max(T_SEARCH_MIN, Math.floor(view.T_min / unit) * unit - unit),
+        T_max: Math.min(T_SEARCH_MAX, Math.ceil(view.T_max / unit) * unit + unit),
+        T_step: unit / (CHART_LINE_FAMILIES[key].steps || 60),
+    };
+    const cacheKey = [key, value, domain.T_min, domain.T_max, unit, view.P_total, settings.saturationModel].join("|");
+    if (!chartLineCache.has(cacheKey)) {
+        if (chartLineCache.size > 500) chartLineCache.clear();
+        chartLineCache.set(cacheKey, traceIsoLine(key, value, domain, view.P_total));
     }
-
-    const Tdb = (T_low + T_high) / 2;
-    const Pv = vaporPressureFromHumidityRatio(W, P_total);
-    const p_sat = saturationVaporPressure(Tdb);
-    const RH = 100 * Pv / p_sat;
-    const Twb = wetBulbTemperature(Tdb, W, P_total);
-    const T_dew = temperatureFromSaturationPressure(Pv);
-    const rho = density(Tdb, W, P_total);
-
-    return { Tdb, W, RH, h: h_target, Twb, T_dew, Pv, rho, P_total };
+    return chartLineCache.get(cacheKey);
 }
 
-function solveFromTdbPv(Tdb, Pv, P_total) {
-    const W = humidityRatioFromVaporPressure(Pv, P_total);
-    const p_sat = saturationVaporPressure(Tdb);
-    const RH = 100 * Pv / p_sat;
+function traceIsoLine(key, value, domain, P_total) {
+    const prop = STATE_PROPERTIES[key];
+    const points = [];
+    let T_start = domain.T_min;
 
-    if (RH > 100.5) {
-        throw new Error("État sursaturé (pression de vapeur trop élevée).");
+    if (key !== "rh") {
+        // At saturation the wet-bulb equals the dry-bulb
+        const T_sat = key === "twb" ? value : findRoot(
+            (T) => prop.compute(T, saturationHumidityRatio(T, P_total), P_total) - value,
+            T_SEARCH_MIN, domain.T_max, 150
+        );
+        if (T_sat === null) return points;
+        if (T_sat > domain.T_min) {
+            T_start = T_sat;
+            points.push({ Tdb: T_sat, W: saturationHumidityRatio(T_sat, P_total) });
+        }
     }
 
-    const h = enthalpy(Tdb, W);
-    const Twb = wetBulbTemperature(Tdb, W, P_total);
-    const T_dew = temperatureFromSaturationPressure(Pv);
-    const rho = density(Tdb, W, P_total);
-
-    return { Tdb, W, RH: Math.min(RH, 100), h, Twb, T_dew, Pv, rho, P_total };
+    const dT = domain.T_step;
+    for (let T = T_start + (points.length ? dT / 2 : 0); T <= domain.T_max + 1e-9; T += dT) {
+        const W = humidityRatioAt(prop, value, T, P_total);
+        if (W === null) {
+            // Past the W = 0 axis the line cannot come back
+            if (points.length) break;
+            continue;
+        }
+        points.push({ Tdb: T, W });
+    }
+    return points;
 }
 
-function solveFromRHW(RH, W, P_total) {
-    const Pv = vaporPressureFromHumidityRatio(W, P_total);
-    const p_sat_target = 100 * Pv / RH;
-    const Tdb = temperatureFromSaturationPressure(p_sat_target);
+// Comfort zone outlines, keyed by comfort options, pressure and model
+const comfortZoneCache = new Map();
 
-    const h = enthalpy(Tdb, W);
-    const Twb = wetBulbTemperature(Tdb, W, P_total);
-    const T_dew = temperatureFromSaturationPressure(Pv);
-    const rho = density(Tdb, W, P_total);
-
-    return { Tdb, W, RH, h, Twb, T_dew, Pv, rho, P_total };
+/**
+ * Comfort zone outline for the current comfort options, cached because
+ * each outline costs a few thousand PMV evaluations
+ * 
+ * @returns {Object[]} Polygon points { Tdb, W }
+ */
+function chartComfortZone(P_total) {
+    const { met, clo, airSpeed, MRT } = appState.comfort;
+    const cacheKey = [met, clo, airSpeed, MRT, P_total, settings.saturationModel].join("|");
+    if (!comfortZoneCache.has(cacheKey)) {
+        if (comfortZoneCache.size > 20) comfortZoneCache.clear();
+        comfortZoneCache.set(cacheKey, comfortZone(appState.comfort, P_total));
+    }
+    return comfortZoneCache.get(cacheKey);
 }
 
-// ============================================================================
-// PSYCHROMETRIC CHART VISUALIZATION
-// ============================================================================
+// Default axis ranges, restored by the reset button
+const CHART_DEFAULT_VIEW = { T_min: -10, T_max: 50, W_min: 0, W_max: 0.03 };
+
+// Layout of the last drawn chart, used to map pointer positions to states
+let chartLayout = null;
 
 /**
- * Generate a psychrometric chart at 1 atm (101325 Pa)
- * Plots saturation curve and grid lines
+ * Generate a psychrometric chart at the pressure of the current state
+ * (or the pressure entered in the advanced panel when no state is given)
+ * The canvas follows its displayed width and the device pixel ratio,
+ * so the chart stays sharp on high-DPI screens and resizable layouts.
+ * 
+ * @param {Object} state - Current state (red point)
+ * @param {Object} [overlay] - Optional process overlay:
+ *   { paths: [{ states: [...], color }], points: [{ state, label }],
+ *     protractor: { state, SHR }, density: { bins: [{ T, W, count }], dT,
+ *     dW, max }, scatter: [{ states, color, size }] }
  */
-function drawPsychrometricChart(state) {
+function drawPsychrometricChart(state, overlay) {
     const canvas = document.getElementById("psychrometricChart");
     if (!canvas) return;
     
-    const ctx = canvas.getContext("2d");
-    const w = canvas.width;
-    const h = canvas.height;
+    // Hidden tabs report a zero width: keep the nominal 600×500 size
+    const w = Math.round(canvas.clientWidth) || 600;
+    const h = Math.round(w * 5 / 6);
+    const dpr = window.devicePixelRatio || 1;
+    
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+        canvas.width = Math.round(w * dpr);
+        canvas.height = Math.round(h * dpr);
+    }
     
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    chartLayout = renderChart(ctx, w, h, state, overlay);
+}
+
+/**
+ * Draw the chart on any 2D context of w × h CSS pixels.
+ * Plots saturation curve, grid lines and the enabled iso-line families
+ * over the axis ranges set in appState.chart
+ * 
+ * @returns {Object} Layout: plot rectangle, pressure and coordinate mappings
+ */
+function renderChart(ctx, w, h, state, overlay) {
     // Clear canvas
     ctx.fillStyle = "white";
     ctx.fillRect(0, 0, w, h);
     
-    // Temperature range: -10 to 50°C, W range: 0 to 0.03 kg/kg
-    const T_min = -10, T_max = 50;
-    const W_min = 0, W_max = 0.03;
+    const { T_min, T_max, W_min, W_max } = appState.chart;
+    const P_total = state ? state.P_total : appState.p_total;
+    const view = { T_min, T_max, W_min, W_max, P_total };
     
-    const marginLeft = 60, marginBottom = 60, marginTop = 30, marginRight = 30;
+    const marginLeft = 60, marginBottom = 60, marginTop = 40, marginRight = 30;
     const chartWidth = w - marginLeft - marginRight;
     const chartHeight = h - marginBottom - marginTop;
     
     // Helper functions to convert physical to canvas coordinates
     const toCanvasX = (T) => marginLeft + ((T - T_min) / (T_max - T_min)) * chartWidth;
     const toCanvasY = (W) => h - marginBottom - ((W - W_min) / (W_max - W_min)) * chartHeight;
+    const inside = (x, y) => x >= marginLeft && x <= w - marginRight && y >= marginTop && y <= h - marginBottom;
+    
+    const T_axis = chartTicks("temperature", T_min, T_max, 12);
+    const W_axis = chartTicks("humidityRatio", W_min, W_max, 6);
+    
+    // Everything physical is clipped to the plot area
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(marginLeft, marginTop, chartWidth, chartHeight);
+    ctx.clip();
     
     // Draw grid
     ctx.strokeStyle = "rgba(200, 200, 200, 0.3)";
     ctx.lineWidth = 0.5;
     
     // Temperature grid
-    for (let T = T_min; T <= T_max; T += 5) {
-        const x = toCanvasX(T);
+    T_axis.ticks.forEach(tick => {
+        const x = toCanvasX(tick.value);
         ctx.beginPath();
         ctx.moveTo(x, marginTop);
         ctx.lineTo(x, h - marginBottom);
         ctx.stroke();
-    }
+    });
     
     // W grid
-    for (let W = 0; W <= W_max; W += 0.005) {
-        const y = toCanvasY(W);
+    W_axis.ticks.forEach(tick => {
+        const y = toCanvasY(tick.value);
         ctx.beginPath();
         ctx.moveTo(marginLeft, y);
         ctx.lineTo(w - marginRight, y);
         ctx.stroke();
+    });
+    
+    // Comfort zone, under the iso-lines
+    if (appState.comfort.enabled) {
+        const zone = chartComfortZone(P_total);
+        if (zone.length > 2) {
+            ctx.beginPath();
+            zone.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(toCanvasX(p.Tdb), toCanvasY(p.W));
+                else ctx.lineTo(toCanvasX(p.Tdb), toCanvasY(p.W));
+            });
+            ctx.closePath();
+            ctx.fillStyle = "rgba(40, 170, 80, 0.15)";
+            ctx.fill();
+            ctx.strokeStyle = "rgb(30, 140, 60)";
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            
+            // Label above the top edge (the zone's highest humidity ratio)
+            const top = zone.reduce((a, b) => b.W > a.W ? b : a);
+            ctx.fillStyle = "rgb(30, 140, 60)";
+            ctx.font = "bold 11px sans-serif";
+            ctx.textAlign = "left";
+            ctx.fillText(t("chart.comfort"), toCanvasX(top.Tdb), toCanvasY(top.W) - 4);
+        }
     }
     
+    // Iso-lines (RH, enthalpy, wet-bulb, specific volume)
+    ctx.font = "10px sans-serif";
+    Object.entries(CHART_LINE_FAMILIES).forEach(([key, family]) => {
+        if (!appState.chart.lines[key]) return;
+        
+        ctx.strokeStyle = family.color;
+        ctx.fillStyle = family.color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash(family.dashed ? [4, 3] : []);
+        
+        family.values(view).forEach(value => {
+            const points = chartIsoLine(key, value, view);
+            if (points.length < 2) return;
+            
+            ctx.beginPath();
+            points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(toCanvasX(p.Tdb), toCanvasY(p.W));
+                else ctx.lineTo(toCanvasX(p.Tdb), toCanvasY(p.W));
+            });
+            ctx.stroke();
+            
+            // Label at the first (or last) point inside the plot area
+            const ordered = family.labelAt === "start" ? points : points.slice().reverse();
+            const anchor = ordered.find(p => inside(toCanvasX(p.Tdb), toCanvasY(p.W)));
+            if (anchor) {
+                ctx.textAlign = family.labelAt === "start" ? "right" : "left";
+                ctx.textBaseline = "bottom";
+                ctx.fillText(family.label(value), toCanvasX(anchor.Tdb) + (family.labelAt === "start" ? -3 : 3), toCanvasY(anchor.W) - 2);
+            }
+        });
+    });
+    ctx.setLineDash([]);
+    ctx.textBaseline = "alphabetic";
+    
     // Draw saturation curve (blue)
     ctx.strokeStyle = "rgb(0, 100, 200)";
     ctx.lineWidth = 2;
     ctx.beginPath();
     let firstPoint = true;
     
-    for (let T = T_min; T <= T_max; T += 0.5) {
-        const W_sat = saturationHumidityRatio(T, CONSTANTS.P_STD);
-        if (W_sat > W_max) continue;
+    const T_satStep = (T_max - T_min) / 240;
+    for (let T = T_min; T <= T_max + 1e-9; T += T_satStep) {
+        const W_sat = saturationHumidityRatio(T, P_total);
+        if (W_sat > 2 * W_max - W_min) break;
         
         const x = toCanvasX(T);
         const y = toCanvasY(W_sat);
@@ -614,6 +1419,15 @@ function drawPsychrometricChart(state) {
     }
     ctx.stroke();
     
+    // Process lines and labelled points
+    if (overlay) {
+        drawChartOverlay(ctx, overlay, toCanvasX, toCanvasY);
+    }
+    const saved = savedStatesOverlay();
+    if (saved) {
+        drawChartOverlay(ctx, saved, toCanvasX, toCanvasY);
+    }
+    
     // Plot current point (red)
     if (state) {
         const x = toCanvasX(state.Tdb);
@@ -632,8 +1446,13 @@ function drawPsychrometricChart(state) {
         // Label the point
         ctx.fillStyle = "rgb(0, 0, 0)";
         ctx.font = "12px sans-serif";
-        ctx.fillText(`(${state.Tdb.toFixed(1)}°C, ${state.W.toFixed(4)})`, x + 12, y - 10);
+        ctx.textAlign = "left";
+        ctx.fillText(
+            `(${toDisplay("temperature", state.Tdb).toFixed(1)}${unitOf("temperature")}, ${formatValue(toDisplay("humidityRatio", state.W), 3)})`,
+            x + 12, y - 10
+        );
     }
+    ctx.restore();
     
     // Draw axes
     ctx.strokeStyle = "black";
@@ -644,235 +1463,3642 @@ function drawPsychrometricChart(state) {
     ctx.lineTo(w - marginRight, h - marginBottom);
     ctx.stroke();
     
-    // Axis labels
+    // Title with the active pressure
     ctx.fillStyle = "black";
-    ctx.font = "bold 13px sans-serif";
+    ctx.font = "bold 14px sans-serif";
     ctx.textAlign = "center";
-    ctx.fillText("Température sèche [°C]", w / 2, h - 10);
+    ctx.fillText(
+        t("chart.title", { pressure: formatPressure(P_total) }),
+        w / 2, 22
+    );
+    
+    // Axis labels
+    ctx.font = "bold 13px sans-serif";
+    ctx.fillText(t("chart.tdb", { unit: unitOf("temperature") }), w / 2, h - 10);
     
     ctx.save();
     ctx.translate(15, h / 2);
     ctx.rotate(-Math.PI / 2);
-    ctx.fillText("Ratio d'humidité [kg_w/kg_da]", 0, 0);
+    ctx.fillText(t("chart.w", { unit: unitOf("humidityRatio") }), 0, 0);
     ctx.restore();
     
     // Axis ticks and labels
+    const decimals = (step) => Math.max(0, -Math.floor(Math.log10(step)));
     ctx.font = "11px sans-serif";
     ctx.textAlign = "center";
-    for (let T = T_min; T <= T_max; T += 5) {
-        const x = toCanvasX(T);
-        ctx.fillText(T.toString(), x, h - marginBottom + 20);
-    }
+    T_axis.ticks.forEach(tick => {
+        ctx.fillText(tick.display.toFixed(decimals(T_axis.step)), toCanvasX(tick.value), h - marginBottom + 20);
+    });
     
     ctx.textAlign = "right";
     ctx.textBaseline = "middle";
-    for (let W = 0; W <= W_max; W += 0.005) {
-        const y = toCanvasY(W);
-        ctx.fillText(W.toFixed(3), marginLeft - 10, y);
-    }
+    W_axis.ticks.forEach(tick => {
+        ctx.fillText(tick.display.toFixed(decimals(W_axis.step)), marginLeft - 10, toCanvasY(tick.value));
+    });
+    ctx.textBaseline = "alphabetic";
+    
+    return {
+        left: marginLeft,
+        right: w - marginRight,
+        top: marginTop,
+        bottom: h - marginBottom,
+        P_total,
+        toCanvasX,
+        toCanvasY,
+        fromCanvasX: (x) => T_min + ((x - marginLeft) / chartWidth) * (T_max - T_min),
+        fromCanvasY: (y) => W_min + ((h - marginBottom - y) / chartHeight) * (W_max - W_min),
+    };
 }
 
-// ============================================================================
-// FORMATTING & DISPLAY
-// ============================================================================
-
-function formatValue(value, precision = 4) {
-    if (value === undefined || value === null) return "–";
-    if (!isFinite(value)) return "∞";
+/**
+ * Draw process paths (with direction arrows), labelled state points and
+ * the SHR protractor
+ */
+function drawChartOverlay(ctx, overlay, toCanvasX, toCanvasY) {
+    // Hour clouds first, under the lines and points: bins shaded by their
+    // count, or one small dot per state
+    if (overlay.density) {
+        const { bins, dT, dW, max } = overlay.density;
+        bins.forEach(bin => {
+            const x = toCanvasX(bin.T);
+            const y = toCanvasY(bin.W + dW);
+            ctx.fillStyle = `rgba(30, 100, 200, ${(0.1 + 0.8 * bin.count / max).toFixed(2)})`;
+            ctx.fillRect(x, y, toCanvasX(bin.T + dT) - x, toCanvasY(bin.W) - y);
+        });
+    }
+    (overlay.scatter || []).forEach(cloud => {
+        const size = cloud.size || 2;
+        ctx.fillStyle = cloud.color || "rgba(30, 100, 200, 0.35)";
+        cloud.states.forEach(state => {
+            ctx.fillRect(toCanvasX(state.Tdb) - size / 2, toCanvasY(state.W) - size / 2, size, size);
+        });
+    });
+
+    if (overlay.protractor) {
+        drawShrProtractor(ctx, overlay.protractor, toCanvasX, toCanvasY);
+    }
+
+    (overlay.paths || []).forEach(path => {
+        ctx.strokeStyle = path.color || "rgb(230, 130, 0)";
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(path.dashed ? [6, 4] : []);
+        
+        ctx.beginPath();
+        path.states.forEach((s, i) => {
+            const x = toCanvasX(s.Tdb);
+            const y = toCanvasY(s.W);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Arrow head at the middle of each segment
+        for (let i = 1; i < path.states.length; i++) {
+            const x1 = toCanvasX(path.states[i - 1].Tdb), y1 = toCanvasY(path.states[i - 1].W);
+            const x2 = toCanvasX(path.states[i].Tdb), y2 = toCanvasY(path.states[i].W);
+            if (Math.hypot(x2 - x1, y2 - y1) < 12) continue;
+            
+            const angle = Math.atan2(y2 - y1, x2 - x1);
+            const xm = (x1 + x2) / 2, ym = (y1 + y2) / 2;
+            ctx.beginPath();
+            ctx.moveTo(xm + 6 * Math.cos(angle), ym + 6 * Math.sin(angle));
+            ctx.lineTo(xm - 6 * Math.cos(angle - 0.5), ym - 6 * Math.sin(angle - 0.5));
+            ctx.lineTo(xm - 6 * Math.cos(angle + 0.5), ym - 6 * Math.sin(angle + 0.5));
+            ctx.closePath();
+            ctx.fill();
+        }
+    });
+    
+    (overlay.points || []).forEach(point => {
+        const x = toCanvasX(point.state.Tdb);
+        const y = toCanvasY(point.state.W);
+        
+        ctx.fillStyle = point.color || "rgb(230, 130, 0)";
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        
+        if (point.label) {
+            ctx.fillStyle = "rgb(0, 0, 0)";
+            ctx.font = "bold 12px sans-serif";
+            ctx.textAlign = "left";
+            ctx.fillText(point.label, x + 8, y + 14);
+        }
+    });
+}
+
+// Sensible heat ratios marked on the protractor, and its radius [px]
+const PROTRACTOR_TICKS = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+const PROTRACTOR_RADIUS = 70;
+
+/**
+ * Draw a protractor in the top-left corner of the plot, as on paper
+ * charts: each ray is parallel to the room load lines of its sensible heat
+ * ratio at the room state, and the ray of the current load is highlighted.
+ * A load line of ratio SHR has Δh/ΔW = h_g / (1 - SHR), h_g taken at the
+ * room dry-bulb temperature.
+ * 
+ * @param {Object} protractor - { state: room state, SHR }
+ */
+function drawShrProtractor(ctx, protractor, toCanvasX, toCanvasY) {
+    const { state, SHR } = protractor;
+    const h_g = CONSTANTS.H_FG_0 + CONSTANTS.H_FG_T * state.Tdb;
+    // Direction on the canvas of a line of the given SHR through the room state
+    const direction = (ratio) => {
+        const dW = (1 - ratio) / h_g;
+        const T = dryBulbFromEnthalpy(state.h + 1, state.W + dW);
+        const dx = toCanvasX(T) - toCanvasX(state.Tdb);
+        const dy = toCanvasY(state.W + dW) - toCanvasY(state.W);
+        const length = Math.hypot(dx, dy);
+        return { x: dx / length, y: dy / length };
+    };
+
+    const R = PROTRACTOR_RADIUS;
+    const cx = toCanvasX(appState.chart.T_min) + 25;
+    const cy = toCanvasY(appState.chart.W_max) + 25 + R;
+    const angles = PROTRACTOR_TICKS.map(ratio => {
+        const d = direction(ratio);
+        return Math.atan2(d.y, d.x);
+    });
+
+    ctx.strokeStyle = "rgb(90, 90, 90)";
+    ctx.fillStyle = "rgb(90, 90, 90)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(cx, cy, R, angles[0], angles[angles.length - 1]);
+    ctx.stroke();
+
+    ctx.font = "9px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    PROTRACTOR_TICKS.forEach((ratio, i) => {
+        const cos = Math.cos(angles[i]), sin = Math.sin(angles[i]);
+        ctx.beginPath();
+        ctx.moveTo(cx + 0.9 * R * cos, cy + 0.9 * R * sin);
+        ctx.lineTo(cx + R * cos, cy + R * sin);
+        ctx.stroke();
+        if (i % 2 === 0) {
+            ctx.fillText(ratio.toFixed(1), cx + 1.15 * R * cos, cy + 1.15 * R * sin);
+        }
+    });
+    ctx.font = "bold 10px sans-serif";
+    ctx.fillText(t("chart.shr"), cx + 12, cy + 10);
+
+    // Ray of the current load, drawn to the scale (none when Q_total = 0)
+    ctx.textBaseline = "alphabetic";
+    if (!Number.isFinite(SHR)) return;
+    const d = direction(SHR);
+    ctx.strokeStyle = "rgb(200, 40, 120)";
+    ctx.fillStyle = "rgb(200, 40, 120)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(cx + R * d.x, cy + R * d.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(cx, cy, 2.5, 0, 2 * Math.PI);
+    ctx.fill();
+}
+
+// ============================================================================
+// UNITS
+// ============================================================================
+
+/**
+ * Display units per physical quantity. Everything is stored and solved in
+ * SI (the first unit of each quantity); a unit is either the factor that
+ * converts it to SI, or a { toSI, fromSI } pair for offset scales.
+ * Enthalpy in Btu/lb follows the ASHRAE inch-pound datum (dry air at 0 °F,
+ * liquid water at 32 °F), hence its offset; enthalpy differences convert
+ * without it. Entropy keeps the SI datum in every unit.
+ */
+const UNITS = {
+    temperature: {
+        "°C": 1,
+        "°F": { toSI: (x) => (x - 32) / 1.8, fromSI: (x) => x * 1.8 + 32 },
+        "K": { toSI: (x) => x - 273.15, fromSI: (x) => x + 273.15 },
+    },
+    temperatureDiff: { "K": 1, "°F": 1 / 1.8 },
+    humidityRatio: { "kg_w/kg_da": 1, "g/kg": 1e-3, "lb/lb": 1, "gr/lb": 1 / 7000 },
+    enthalpy: {
+        "kJ/kg_da": 1,
+        "Btu/lb": { toSI: (x) => (x - 7.68) * 2.326, fromSI: (x) => x / 2.326 + 7.68 },
+    },
+    enthalpyDiff: { "kJ/kg_da": 1, "Btu/lb": 2.326 },
+    pressure: { "Pa": 1, "kPa": 1000, "inHg": 3386.389, "psia": 6894.757 },
+    specificVolume: { "m³/kg_da": 1, "ft³/lb": 0.06242796 },
+    density: { "kg/m³": 1, "lb/ft³": 16.01846 },
+    massFlow: { "kg/s": 1, "kg/h": 1 / 3600, "lb/h": 0.45359237 / 3600 },
+    volumeFlow: { "m³/h": 1, "m³/s": 3600, "L/s": 3.6, "CFM": 1.6990108 },
+    power: { "kW": 1, "Btu/h": 2.9307107e-4 },
+    length: { "m": 1, "ft": 0.3048 },
+    velocity: { "m/s": 1, "fpm": 0.00508 },
+    psychrometerCoefficient: { "1/K": 1, "1/°F": 1.8 },
+    absoluteHumidity: { "kg/m³": 1, "g/m³": 1e-3, "gr/ft³": 2.2883519e-3 },
+    specificHeat: { "kJ/(kg_da·K)": 1, "Btu/(lb·°F)": 4.1868 },
+    entropy: { "kJ/(kg_da·K)": 1, "Btu/(lb·°F)": 4.1868 },
+    volumeFraction: { "–": 1, "ppmv": 1e-6, "%": 1e-2 },
+    percent: { "%": 1 },
+    ratio: { "–": 1 },
+    hours: { "h": 1 },
+    degreeDays: { "K·d": 1, "°F·d": 1 / 1.8 },
+};
+
+// Default unit of every quantity in each unit system
+const UNIT_SYSTEMS = {
+    SI: {
+        temperature: "°C", humidityRatio: "kg_w/kg_da", enthalpy: "kJ/kg_da", pressure: "Pa",
+        specificVolume: "m³/kg_da", density: "kg/m³", massFlow: "kg/s", volumeFlow: "m³/h",
+        power: "kW", length: "m", velocity: "m/s", absoluteHumidity: "g/m³",
+        specificHeat: "kJ/(kg_da·K)", entropy: "kJ/(kg_da·K)", volumeFraction: "ppmv",
+    },
+    IP: {
+        temperature: "°F", humidityRatio: "gr/lb", enthalpy: "Btu/lb", pressure: "inHg",
+        specificVolume: "ft³/lb", density: "lb/ft³", massFlow: "lb/h", volumeFlow: "CFM",
+        power: "Btu/h", length: "ft", velocity: "fpm", absoluteHumidity: "gr/ft³",
+        specificHeat: "Btu/(lb·°F)", entropy: "Btu/(lb·°F)", volumeFraction: "ppmv",
+    },
+};
+
+// Quantities whose unit follows another one
+const DERIVED_UNITS = {
+    temperatureDiff: () => unitOf("temperature") === "°F" ? "°F" : "K",
+    enthalpyDiff: () => unitOf("enthalpy"),
+    psychrometerCoefficient: () => unitOf("temperature") === "°F" ? "1/°F" : "1/K",
+    percent: () => "%",
+    ratio: () => "–",
+    hours: () => "h",
+    degreeDays: () => unitOf("temperature") === "°F" ? "°F·d" : "K·d",
+};
+
+// Quantity of each variable (state inputs and explained results)
+const VARIABLE_QUANTITIES = {
+    tdb: "temperature",
+    w: "humidityRatio",
+    rh: "percent",
+    h: "enthalpy",
+    twb: "temperature",
+    tdp: "temperature",
+    tfp: "temperature",
+    tib: "temperature",
+    pv: "pressure",
+    p_total: "pressure",
+    v: "specificVolume",
+    rho: "density",
+    mu: "ratio",
+    ah: "absoluteHumidity",
+    cp: "specificHeat",
+    s: "entropy",
+    xv: "volumeFraction",
+    tv: "temperature",
+    pws: "pressure",
+    m_da: "massFlow",
+    m_ma: "massFlow",
+    v_dot: "volumeFlow",
+    v_dot_std: "volumeFlow",
+};
+
+/**
+ * Display unit of a quantity: per-quantity override, else the unit system's
+ */
+function unitOf(quantity) {
+    if (DERIVED_UNITS[quantity]) return DERIVED_UNITS[quantity]();
+    return appState.units.overrides[quantity] || UNIT_SYSTEMS[appState.units.system][quantity];
+}
+
+/**
+ * Convert between SI and a given unit of a quantity
+ * 
+ * @param {boolean} toSI - Direction: unit → SI when true, SI → unit otherwise
+ */
+function convertUnit(quantity, value, unit, toSI) {
+    if (value === null || value === undefined || !isFinite(value)) return value;
+    const def = UNITS[quantity][unit];
+    if (typeof def === "number") return toSI ? value * def : value / def;
+    return toSI ? def.toSI(value) : def.fromSI(value);
+}
+
+/**
+ * SI value → display unit
+ */
+function toDisplay(quantity, value) {
+    if (!quantity) return value;
+    return convertUnit(quantity, value, unitOf(quantity), false);
+}
+
+/**
+ * Display unit → SI value
+ */
+function fromDisplay(quantity, value) {
+    if (!quantity) return value;
+    return convertUnit(quantity, value, unitOf(quantity), true);
+}
+
+/**
+ * Round a converted value for inputs and labels (6 significant digits)
+ */
+function roundDisplay(value) {
+    return parseFloat(value.toPrecision(6));
+}
+
+/**
+ * Quantity in which a flow of the given type is entered
+ */
+function flowQuantityOf(type) {
+    return type === "v_actual" || type === "v_std" ? "volumeFlow" : "massFlow";
+}
+
+/**
+ * Pressure with its equivalent standard-atmosphere altitude, in display units
+ */
+function formatPressure(P_total) {
+    const altitude = toDisplay("length", altitudeFromPressure(P_total));
+    return `${formatValue(toDisplay("pressure", P_total), 6)} ${unitOf("pressure")} (≈ ${Math.round(altitude)} ${unitOf("length")})`;
+}
+
+// ============================================================================
+// FORMATTING & DISPLAY
+// ============================================================================
+
+function formatValue(value, precision = 4) {
+    if (value === undefined || value === null) return "–";
+    if (!isFinite(value)) return "∞";
     return value.toPrecision(precision);
 }
 
-function displayResults(state) {
-    const tbody = document.getElementById("resultsBody");
-    tbody.innerHTML = "";
+/**
+ * Escape text for HTML templates (labels, names and messages that may
+ * come from user input, imported files or permalinks)
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+// Rows of the property table, in display order (labels: "result." + key,
+// explanations: variable key of VARIABLE_EXPLANATIONS)
+const RESULT_DEFS = [
+    { key: "Tdb", quantity: "temperature", variable: "tdb" },
+    { key: "W", quantity: "humidityRatio", variable: "w" },
+    { key: "RH", quantity: "percent", variable: "rh" },
+    { key: "h", quantity: "enthalpy", variable: "h" },
+    { key: "Twb", quantity: "temperature", variable: "twb" },
+    { key: "T_dew", quantity: "temperature", variable: "tdp" },
+    { key: "T_frost", quantity: "temperature", variable: "tfp" },
+    { key: "T_ice", quantity: "temperature", variable: "tib" },
+    { key: "rho", quantity: "density", variable: "rho" },
+    { key: "v", quantity: "specificVolume", variable: "v" },
+    { key: "mu", quantity: "ratio", variable: "mu" },
+    { key: "rho_v", quantity: "absoluteHumidity", variable: "ah" },
+    { key: "x_v", quantity: "volumeFraction", variable: "xv" },
+    { key: "cp", quantity: "specificHeat", variable: "cp" },
+    { key: "s", quantity: "entropy", variable: "s" },
+    { key: "T_v", quantity: "temperature", variable: "tv" },
+    { key: "m_da", quantity: "massFlow", variable: "m_da" },
+    { key: "m_ma", quantity: "massFlow", variable: "m_ma" },
+    { key: "V_dot", quantity: "volumeFlow", variable: "v_dot" },
+    { key: "V_dot_std", quantity: "volumeFlow", variable: "v_dot_std" },
+    { key: "Pv", quantity: "pressure", variable: "pv" },
+    { key: "Pws", quantity: "pressure", variable: "pws" },
+    { key: "P_total", quantity: "pressure", variable: "p_total" },
+    { key: "altitude", quantity: "length", variable: "p_total" },
+];
+
+function displayResults(state, overlay = null) {
+    const tbody = document.getElementById("resultsBody");
+    tbody.innerHTML = "";
+
+    RESULT_DEFS.forEach(def => {
+        const value = state[def.key];
+        // Frost point and ice-bulb only exist below freezing
+        if (value === null) return;
+        const tr = document.createElement("tr");
+        const hasExplanation = variableInfo(def.variable);
+
+        tr.innerHTML = `
+            <td class="label">${t(`result.${def.key}`)}</td>
+            <td class="unit">${unitOf(def.quantity)}</td>
+            <td class="value">${formatValue(toDisplay(def.quantity, value), appState.precision)}</td>
+            <td>${hasExplanation ? `<button class="info-btn" data-var="${def.variable}">ℹ️</button>` : ""}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+
+    document.getElementById("results").style.display = "block";
+    document.getElementById("errorBox").classList.remove("show");
+    document.getElementById("processSummary").style.display = "none";
+    document.getElementById("batchSummary").style.display = "none";
+    document.getElementById("cycleSummary").style.display = "none";
+    document.getElementById("climateSummary").style.display = "none";
+    document.getElementById("seriesSummary").style.display = "none";
+    appState.summary = null;
+    displayComfort(state);
+    displayPsychrometer(state);
+    
+    // Draw chart
+    appState.overlay = overlay;
+    drawPsychrometricChart(state, overlay);
+}
+
+/**
+ * Display a process result: outlet properties in the main table,
+ * plus the process balance (deltas and flows) and the process line
+ */
+function displayProcessResults(result) {
+    const overlay = {
+        paths: [{ states: [result.inlet, result.outlet] }],
+        points: [
+            { state: result.inlet, label: "1" },
+            { state: result.outlet, label: "2" },
+        ],
+    };
+
+    // Coil line extended to the apparatus dew point on the saturation curve
+    if (result.coil) {
+        const adpState = {
+            Tdb: result.coil.adp,
+            W: saturationHumidityRatio(result.coil.adp, result.inlet.P_total),
+        };
+        overlay.paths.push({ states: [result.outlet, adpState], dashed: true });
+        overlay.points.push({ state: adpState, label: "ADP" });
+    }
+
+    // Evaporative stages: through the intermediate state of a two-stage
+    // unit, each wet-bulb line dashed up to the saturation curve
+    if (result.evaporative) {
+        const { stages, secondary } = result.evaporative;
+        const P_total = result.inlet.P_total;
+        const saturated = (Twb) => ({ Tdb: Twb, W: saturationHumidityRatio(Twb, P_total) });
+        overlay.paths[0].states = [result.inlet, ...stages.map(stage => stage.outlet)];
+        if (stages.length > 1) {
+            overlay.points.push({ state: stages[0].outlet, label: "1'" });
+        }
+        stages.forEach(stage => {
+            if (stage.stage === "direct") {
+                overlay.paths.push({ states: [stage.outlet, saturated(stage.Twb)], dashed: true });
+                return;
+            }
+            // Secondary air wetted on the other side of the exchanger
+            overlay.paths.push({ states: [secondary, saturated(stage.Twb)], color: "rgb(30, 100, 200)", dashed: true });
+            if (secondary !== result.inlet) {
+                overlay.points.push({ state: secondary, label: "S", color: "rgb(30, 100, 200)" });
+            }
+        });
+    }
+
+    displayResults(result.outlet, overlay);
+    // Instrument readings describe the inlet
+    displayPsychrometer(result.inlet);
+
+    const rows = [
+        { label: t("summary.inletTdb"), quantity: "temperature", value: result.inlet.Tdb },
+        { label: t("summary.inletW"), quantity: "humidityRatio", value: result.inlet.W },
+        { label: "ΔT", quantity: "temperatureDiff", value: result.dT },
+        { label: "ΔW", quantity: "humidityRatio", value: result.dW },
+        { label: "Δh", quantity: "enthalpyDiff", value: result.dh },
+        { label: t("summary.Q"), quantity: "power", value: result.Q },
+        { label: t("summary.m_w"), quantity: "massFlow", value: result.m_w },
+    ];
+
+    if (result.coil) {
+        rows.push(
+            { label: t("summary.adp"), quantity: "temperature", value: result.coil.adp },
+            { label: t("summary.bf"), quantity: "ratio", value: result.coil.bf },
+            { label: t("summary.Q_total"), quantity: "power", value: result.coil.Q_total },
+            { label: t("summary.Q_sensible"), quantity: "power", value: result.coil.Q_sensible },
+            { label: t("summary.Q_latent"), quantity: "power", value: result.coil.Q_latent },
+            { label: t("summary.SHR"), quantity: "ratio", value: result.coil.SHR },
+            { label: t("summary.m_condensate"), quantity: "massFlow", value: result.coil.m_condensate },
+        );
+    }
+
+    if (result.evaporative) {
+        result.evaporative.stages.forEach(stage => {
+            rows.push(
+                { label: t(`summary.${stage.stage}Effectiveness`), quantity: "ratio", value: stage.effectiveness },
+                { label: t(`summary.${stage.stage}Twb`), quantity: "temperature", value: stage.Twb },
+            );
+        });
+        rows.push(
+            { label: t("summary.evaporativeCooling"), quantity: "power", value: result.evaporative.Q_cooling },
+            { label: t("summary.evaporativeWater"), quantity: "massFlow", value: result.evaporative.m_water },
+        );
+    }
+
+    displaySummary(t("summary.process"), rows);
+}
+
+/**
+ * Display a room load result: supply-air properties in the main table,
+ * plus the loads, the supply flow and the room load line with its protractor
+ */
+function displayRoomResults(result) {
+    const overlay = {
+        paths: [{ states: result.line, color: "rgb(200, 40, 120)", dashed: true }],
+        points: [
+            { state: result.room, label: "R", color: "rgb(200, 40, 120)" },
+            { state: result.supply, label: "S", color: "rgb(200, 40, 120)" },
+        ],
+        protractor: { state: result.room, SHR: result.SHR },
+    };
+    if (result.adp !== null) {
+        overlay.points.push({ state: result.line[result.line.length - 1], label: "ADP", color: "rgb(200, 40, 120)" });
+    }
+
+    displayResults(result.supply, overlay);
+    // Instrument readings describe the room
+    displayPsychrometer(result.room);
+
+    const rows = [
+        { label: t("summary.roomTdb"), quantity: "temperature", value: result.room.Tdb },
+        { label: t("summary.roomW"), quantity: "humidityRatio", value: result.room.W },
+        { label: t("summary.roomSensible"), quantity: "power", value: result.Q_sensible },
+        { label: t("summary.roomLatent"), quantity: "power", value: result.Q_latent },
+        { label: t("summary.roomTotal"), quantity: "power", value: result.Q_total },
+        { label: t("summary.SHR"), quantity: "ratio", value: result.SHR },
+        { label: t("summary.supplyDT"), quantity: "temperatureDiff", value: result.dT },
+        { label: t("summary.supplyFlow"), quantity: "massFlow", value: result.supply.m_da },
+        { label: t("summary.supplyVolume"), quantity: "volumeFlow", value: result.supply.V_dot },
+        { label: t("summary.roomMoisture"), quantity: "massFlow", value: result.m_w },
+    ];
+    if (result.adp !== null) {
+        rows.push({ label: t("summary.roomAdp"), quantity: "temperature", value: result.adp });
+    }
+
+    displaySummary(t("summary.room"), rows);
+}
+
+/**
+ * Display a mixing result: mixed-state properties in the main table,
+ * plus each stream's contribution and the mixing lines
+ */
+function displayMixingResults(result) {
+    const labels = result.streams.map((_, i) => String.fromCharCode(65 + i));
+
+    displayResults(result.mixed, {
+        paths: result.streams.map(s => ({ states: [s, result.mixed], dashed: true })),
+        points: result.streams.map((s, i) => ({ state: s, label: labels[i] }))
+            .concat([{ state: result.mixed, label: "M" }]),
+    });
+
+    const rows = [];
+    result.streams.forEach((s, i) => {
+        rows.push(
+            { label: t("summary.streamTdb", { stream: labels[i] }), quantity: "temperature", value: s.Tdb },
+            { label: t("summary.streamW", { stream: labels[i] }), quantity: "humidityRatio", value: s.W },
+            { label: t("summary.streamFlow", { stream: labels[i] }), quantity: "massFlow", value: s.m_da },
+            { label: t("summary.streamFraction", { stream: labels[i] }), quantity: "percent", value: 100 * result.fractions[i] },
+        );
+    });
+    displaySummary(t("summary.mixing"), rows);
+}
+
+/**
+ * Display a cycle: the last state in the main table, the state points and
+ * the balance of each step below, the totals in the summary, and the
+ * cycle as a connected path with the exhaust and mixed streams lettered
+ */
+function displayCycleResults(cycle) {
+    const overlay = {
+        paths: [{ states: cycle.states }],
+        points: cycle.states.map((state, i) => ({ state, label: String(i) })),
+    };
+    let letter = 0;
+    cycle.processes.forEach((process, i) => {
+        const air = process.stream || process.exhaust || process.secondary;
+        if (!air) return;
+        const label = String.fromCharCode(65 + letter++);
+        overlay.points.push({ state: air, label, color: "rgb(230, 130, 0)" });
+        if (process.stream) {
+            overlay.paths.push({ states: [air, cycle.states[i + 1]], dashed: true });
+        }
+    });
+
+    const last = cycle.states[cycle.states.length - 1];
+    displayResults(last, overlay);
+    // Instrument readings describe the start state
+    displayPsychrometer(cycle.states[0]);
+
+    const column = (label, quantity) => `<th>${label}${quantity ? `<br><span class="unit">${unitOf(quantity)}</span>` : ""}</th>`;
+    const cell = (quantity, value) => `<td class="value">${formatValue(toDisplay(quantity, value), appState.precision)}</td>`;
+    const names = cycle.definitions.map(cycleStepName);
+
+    const stateColumns = RESULT_DEFS.filter(def => ["Tdb", "W", "RH", "h", "Twb", "m_da"].includes(def.key));
+    document.getElementById("cycleStatesHead").innerHTML = `<tr>${column("#")}${column(t("cycle.point"))}${
+        stateColumns.map(def => column(t(`result.${def.key}`), def.quantity)).join("")}</tr>`;
+    document.getElementById("cycleStatesBody").innerHTML = cycle.states.map((state, i) => `
+        <tr>
+            <td>${i}</td>
+            <td>${i === 0 ? t("cycle.start") : escapeHtml(names[i - 1])}</td>
+            ${stateColumns.map(def => cell(def.quantity, state[def.key])).join("")}
+        </tr>
+    `).join("");
+
+    document.getElementById("cycleStepsHead").innerHTML = `<tr>${column("#")}${column(t("cycle.stepName"))}${
+        column("ΔT", "temperatureDiff")}${column("ΔW", "humidityRatio")}${column(t("cycle.Q"), "power")}${
+        column(t("cycle.m_w"), "massFlow")}</tr>`;
+    document.getElementById("cycleStepsBody").innerHTML = cycle.steps.map((step, i) => `
+        <tr>
+            <td>${i}→${i + 1}</td>
+            <td>${escapeHtml(names[i])}</td>
+            ${cell("temperatureDiff", step.dT)}${cell("humidityRatio", step.dW)}${cell("power", step.Q)}${cell("massFlow", step.m_w)}
+        </tr>
+    `).join("");
+    document.getElementById("cycleSummary").style.display = "block";
+
+    displaySummary(t("summary.cycle"), [
+        { label: t("summary.cycleHeating"), quantity: "power", value: cycle.heating },
+        { label: t("summary.cycleCooling"), quantity: "power", value: cycle.cooling },
+        { label: t("summary.cycleRecovered"), quantity: "power", value: cycle.recovered },
+        { label: t("summary.cycleHumidification"), quantity: "massFlow", value: cycle.humidification },
+        { label: t("summary.cycleCondensate"), quantity: "massFlow", value: cycle.condensate },
+        { label: t("summary.cycleEvaporativeCooling"), quantity: "power", value: cycle.evaporativeCooling },
+        { label: t("summary.cycleEvaporation"), quantity: "massFlow", value: cycle.evaporation },
+        { label: t("summary.cycleSupplyFlow"), quantity: "massFlow", value: last.m_da },
+    ]);
+}
+
+/**
+ * Display a climate analysis: the 0.4 % cooling design state in the main
+ * table, the hours as a density or scatter cloud on the chart, and the
+ * design conditions, zone hours and degree-days below
+ */
+function displayClimateResults(climate) {
+    const [cooling] = climate.cooling;
+    const [dehumidification] = climate.dehumidification;
+    const overlay = {
+        points: [
+            { state: climate.coolingState, label: t("climate.coolingPoint", { percent: cooling.percent }), color: "rgb(255, 50, 50)" },
+            { state: climate.dehumidificationState, label: t("climate.dehumidificationPoint", { percent: dehumidification.percent }), color: "rgb(30, 100, 200)" },
+        ],
+    };
+    if (document.getElementById("climateDisplay").value === "scatter") {
+        overlay.scatter = [{ states: climate.hours.map(hour => hour.state) }];
+    } else {
+        const max = climate.bins.reduce((most, bin) => Math.max(most, bin.count), 0);
+        overlay.density = { bins: climate.bins, ...CLIMATE_BIN, max };
+    }
+    displayResults(climate.coolingState, overlay);
+
+    const { city, region, country } = climate.location;
+    const location = [city, region, country].filter(Boolean).join(", ") || climate.name;
+    document.getElementById("climateSummaryTitle").textContent = t("climate.title", { location, hours: climate.hours.length });
+    const [skipped] = climate.skipped;
+    document.getElementById("climateSkipped").textContent = skipped
+        ? t("climate.skipped", { count: climate.skipped.length, line: skipped.line, cause: errorMessage(skipped.error) })
+        : "";
+
+    const column = (label, quantity) => `<th>${label}${quantity ? `<br><span class="unit">${unitOf(quantity)}</span>` : ""}</th>`;
+    const cell = (quantity, value) => `<td class="value">${formatValue(toDisplay(quantity, value), appState.precision)}</td>`;
+
+    document.getElementById("climateDesignHead").innerHTML = `<tr>${column(t("climate.percent"), "percent")}${
+        column(t("climate.coolingTdb"), "temperature")}${column(t("climate.MCWB"), "temperature")}${
+        column(t("climate.dehumidificationTdp"), "temperature")}${column(t("climate.dehumidificationW"), "humidityRatio")}${
+        column(t("climate.MCDB"), "temperature")}</tr>`;
+    document.getElementById("climateDesignBody").innerHTML = climate.cooling.map((design, i) => {
+        const humid = climate.dehumidification[i];
+        return `
+        <tr>
+            <td>${design.percent}</td>
+            ${cell("temperature", design.Tdb)}${cell("temperature", design.MCWB)}
+            ${cell("temperature", humid.Tdp)}${cell("humidityRatio", humid.W)}${cell("temperature", humid.MCDB)}
+        </tr>
+    `;
+    }).join("");
+
+    const temperature = (value) => `${roundDisplay(toDisplay("temperature", value))} ${unitOf("temperature")}`;
+    const zoneName = (zone) => t(`climate.zone.${zone.name}`, {
+        base: temperature(zone.name === "heating" ? climate.degreeDays.heatingBase : climate.degreeDays.coolingBase),
+        limit: `${roundDisplay(toDisplay("humidityRatio", COMFORT_W_MAX))} ${unitOf("humidityRatio")}`,
+    });
+    document.getElementById("climateZonesHead").innerHTML = `<tr>${column(t("climate.zone"))}${
+        column(t("climate.hours"), "hours")}${column(t("climate.fraction"), "percent")}</tr>`;
+    document.getElementById("climateZonesBody").innerHTML = climate.zones.map(zone => `
+        <tr>
+            <td>${zoneName(zone)}</td>
+            <td class="value">${zone.hours}</td>${cell("percent", zone.fraction * 100)}
+        </tr>
+    `).join("");
+    document.getElementById("climateSummary").style.display = "block";
+
+    displaySummary(t("summary.climate"), [
+        { label: t("summary.climateHours"), quantity: "hours", value: climate.hours.length },
+        { label: t("summary.climatePressure"), quantity: "pressure", value: climate.P_mean },
+        { label: t("summary.climateHDD", { base: temperature(climate.degreeDays.heatingBase) }), quantity: "degreeDays", value: climate.degreeDays.heating },
+        { label: t("summary.climateCDD", { base: temperature(climate.degreeDays.coolingBase) }), quantity: "degreeDays", value: climate.degreeDays.cooling },
+    ]);
+}
+
+/**
+ * Name of a cycle step: its label, else its kind
+ */
+function cycleStepName(step) {
+    if (step.label) return step.label;
+    return t(CYCLE_EXTRA_KINDS.includes(step.kind) ? `cycle.kind.${step.kind}` : `ui.process.${step.kind}`);
+}
+
+/**
+ * Display a batch: the selected row in the main table, every solved point
+ * on the chart, and the sortable table of all rows below
+ */
+function displayBatchResults(batch) {
+    const solved = batch.rows.filter(row => row.state);
+    const selected = batch.rows[batch.selected];
+
+    displayResults(selected.state, {
+        points: solved.map(row => ({
+            state: row.state,
+            // Row numbers stay readable up to a few dozen points
+            label: solved.length <= 25 ? String(row.line - 1) : null,
+            color: row === selected ? "rgb(255, 50, 50)" : "rgb(230, 130, 0)",
+        })),
+    });
+
+    const errors = batch.rows.length - solved.length;
+    document.getElementById("batchSummaryTitle").textContent =
+        t("batch.title", { solved: solved.length }) + (errors ? t("batch.errors", { errors }) : "");
+
+    // Header with sort indicators
+    const columns = [
+        { key: "line", label: "#" },
+        { key: "label", label: t("batch.label") },
+    ].concat(RESULT_DEFS.map(def => ({ ...def, label: t(`result.${def.key}`) })));
+    const head = document.getElementById("batchHead");
+    head.innerHTML = `<tr>${columns.map(col => {
+        const arrow = batch.sort.key === col.key ? (batch.sort.dir > 0 ? " ▲" : " ▼") : "";
+        return `<th data-sort="${col.key}">${col.label}${col.quantity ? `<br><span class="unit">${unitOf(col.quantity)}</span>` : ""}${arrow}</th>`;
+    }).join("")}</tr>`;
+
+    head.querySelectorAll("th").forEach(th => {
+        th.addEventListener("click", () => {
+            const key = th.dataset.sort;
+            batch.sort = { key, dir: batch.sort.key === key ? -batch.sort.dir : 1 };
+            displayBatchResults(batch);
+        });
+    });
+
+    // Rows, with the failing ones showing their error across the property columns
+    const body = document.getElementById("batchBody");
+    body.innerHTML = "";
+    sortedBatchRows(batch).forEach(({ row, index }) => {
+        const tr = document.createElement("tr");
+        tr.classList.toggle("selected", index === batch.selected);
+        tr.classList.toggle("batch-error", !row.state);
+
+        const cells = row.state
+            ? RESULT_DEFS.map(def => `<td class="value">${formatValue(toDisplay(def.quantity, row.state[def.key]), appState.precision)}</td>`).join("")
+            : `<td colspan="${RESULT_DEFS.length}">${escapeHtml(errorMessage(row.error))}</td>`;
+        tr.innerHTML = `<td>${row.line - 1}</td><td>${escapeHtml(row.label)}</td>${cells}`;
+
+        if (row.state) {
+            tr.addEventListener("click", () => {
+                batch.selected = index;
+                appState.results = row.state;
+                displayBatchResults(batch);
+            });
+        }
+        body.appendChild(tr);
+    });
+
+    document.getElementById("batchSummary").style.display = "block";
+}
+
+/**
+ * Batch rows in the current sort order; rows without a value
+ * (errors, or frost point above 0 °C) always come last
+ * 
+ * @returns {Object[]} { row, index } with index into batch.rows
+ */
+function sortedBatchRows(batch) {
+    const { key, dir } = batch.sort;
+    const value = (row) => key === "line" || key === "label" ? row[key] : row.state ? row.state[key] : null;
+
+    return batch.rows.map((row, index) => ({ row, index })).sort((a, b) => {
+        const va = value(a.row);
+        const vb = value(b.row);
+        if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+        if (vb === null || vb === undefined) return -1;
+        return (typeof va === "string" ? va.localeCompare(vb) : va - vb) * dir;
+    });
+}
+
+/**
+ * Fill the summary table shown below the main results
+ * 
+ * @param {string} title - Summary heading
+ * @param {Object[]} rows - { label, quantity, value } with value in SI
+ */
+function displaySummary(title, rows) {
+    const tbody = document.getElementById("processBody");
+    tbody.innerHTML = "";
+    document.getElementById("processSummaryTitle").textContent = title;
+    appState.summary = { title, rows };
+
+    rows.forEach(row => {
+        const tr = document.createElement("tr");
+        tr.innerHTML = `
+            <td class="label">${escapeHtml(row.label)}</td>
+            <td class="unit">${unitOf(row.quantity)}</td>
+            <td class="value">${formatValue(toDisplay(row.quantity, row.value), appState.precision)}</td>
+            <td></td>
+        `;
+        tbody.appendChild(tr);
+    });
+
+    document.getElementById("processSummary").style.display = "block";
+}
+
+/**
+ * Show the comfort evaluation of the displayed state (PMV, PPD,
+ * operative temperature) and whether it lies in the comfort zone
+ * 
+ * @param {Object} state - Displayed state
+ */
+function displayComfort(state) {
+    const box = document.getElementById("comfortSummary");
+    if (!appState.comfort.enabled) {
+        box.style.display = "none";
+        return;
+    }
+
+    const comfort = evaluateComfort(state, appState.comfort);
+    const rows = [
+        { label: t("comfort.PMV"), quantity: "ratio", value: comfort.PMV },
+        { label: t("comfort.PPD"), quantity: "percent", value: comfort.PPD },
+        { label: t("comfort.T_op"), quantity: "temperature", value: comfort.T_op },
+        { label: t("comfort.MRT"), quantity: "temperature", value: comfort.MRT },
+    ];
+    document.getElementById("comfortBody").innerHTML = rows.map(row => `
+        <tr>
+            <td class="label">${escapeHtml(row.label)}</td>
+            <td class="unit">${unitOf(row.quantity)}</td>
+            <td class="value">${formatValue(toDisplay(row.quantity, row.value), appState.precision)}</td>
+            <td></td>
+        </tr>
+    `).join("");
+
+    const limit = `${roundDisplay(toDisplay("humidityRatio", COMFORT_W_MAX))} ${unitOf("humidityRatio")}`;
+    const reasons = [];
+    if (comfort.PMV > COMFORT_PMV_LIMIT) reasons.push(t("comfort.warm"));
+    if (comfort.PMV < -COMFORT_PMV_LIMIT) reasons.push(t("comfort.cold"));
+    if (state.W > COMFORT_W_MAX) reasons.push(t("comfort.humid", { limit }));
+    const verdict = document.getElementById("comfortVerdict");
+    verdict.textContent = comfort.inZone ? t("comfort.inZone") : t("comfort.outZone", { reason: reasons.join(", ") });
+    verdict.classList.toggle("in", comfort.inZone);
+    verdict.classList.toggle("out", !comfort.inZone);
+
+    const note = document.getElementById("comfortNote");
+    note.textContent = comfort.withinModel ? "" : t("comfort.outsideModel");
+
+    box.style.display = "block";
+}
+
+/**
+ * Psychrometer reading of a state solved from instrument readings:
+ * the reading, the thermodynamic wet-bulb and their difference
+ */
+function displayPsychrometer(state) {
+    const box = document.getElementById("psychrometerSummary");
+    const reading = state.psychrometer;
+    if (!reading) {
+        box.style.display = "none";
+        return;
+    }
+
+    const rows = [
+        { label: t("psychrometer.reading"), quantity: "temperature", value: reading.Twb_reading },
+        {
+            label: t(reading.Twb_reading < 0 ? "psychrometer.iceBulb" : "psychrometer.thermo"),
+            quantity: "temperature",
+            value: reading.Twb_thermo,
+        },
+        { label: t("psychrometer.difference"), quantity: "temperatureDiff", value: reading.dTwb },
+        { label: t("psychrometer.coefficient"), quantity: "psychrometerCoefficient", value: reading.A },
+    ];
+    document.getElementById("psychrometerBody").innerHTML = rows.map(row => `
+        <tr>
+            <td class="label">${escapeHtml(row.label)}</td>
+            <td class="unit">${unitOf(row.quantity)}</td>
+            <td class="value">${formatValue(toDisplay(row.quantity, row.value), appState.precision)}</td>
+            <td></td>
+        </tr>
+    `).join("");
+    box.style.display = "block";
+}
+
+/**
+ * Re-render the current results (single state, process, mixing, batch,
+ * room loads, cycle or climate)
+ */
+function renderResults() {
+    if (appState.process) {
+        displayProcessResults(appState.process);
+    } else if (appState.batch) {
+        displayBatchResults(appState.batch);
+    } else if (appState.mixing) {
+        displayMixingResults(appState.mixing);
+    } else if (appState.room) {
+        displayRoomResults(appState.room);
+    } else if (appState.cycle) {
+        displayCycleResults(appState.cycle);
+    } else if (appState.climate) {
+        displayClimateResults(appState.climate);
+    } else if (appState.series) {
+        displaySeriesResults(appState.series);
+    } else {
+        displayResults(appState.results);
+    }
+}
+
+/**
+ * Show an error in place of the results. The error is kept so that its
+ * message can be shown again in another language.
+ * 
+ * @param {Error} error - PsychroError, or any other error
+ */
+function showError(error) {
+    appState.error = error;
+    document.getElementById("errorBox").textContent = errorMessage(error);
+    document.getElementById("errorBox").classList.add("show");
+    document.getElementById("results").style.display = "none";
+    document.getElementById("successBox").classList.remove("show");
+}
+
+// ============================================================================
+// EXPORT & REPORT
+// ============================================================================
+
+/**
+ * Minimal Canvas 2D look-alike that records the drawing as SVG, so the
+ * same renderChart code produces the vector export.
+ * Supports the subset of the API used by renderChart and drawChartOverlay.
+ * 
+ * @returns {Object} Context with a toSVG() method
+ */
+function createSvgContext(w, h) {
+    const body = [];
+    const stack = [];
+    let path = [];
+    let openGroups = 0;
+    let clipCount = 0;
+
+    const num = (x) => Number(x.toFixed(2));
+    const ANCHORS = { left: "start", start: "start", center: "middle", right: "end", end: "end" };
+    const BASELINES = { middle: "central", top: "hanging", hanging: "hanging", bottom: "text-after-edge" };
+
+    const ctx = {
+        fillStyle: "black",
+        strokeStyle: "black",
+        lineWidth: 1,
+        font: "10px sans-serif",
+        textAlign: "start",
+        textBaseline: "alphabetic",
+        lineDash: [],
+
+        save() {
+            stack.push({
+                fillStyle: ctx.fillStyle, strokeStyle: ctx.strokeStyle, lineWidth: ctx.lineWidth,
+                font: ctx.font, textAlign: ctx.textAlign, textBaseline: ctx.textBaseline,
+                lineDash: ctx.lineDash, openGroups,
+            });
+        },
+        restore() {
+            const saved = stack.pop();
+            if (!saved) return;
+            while (openGroups > saved.openGroups) {
+                body.push("</g>");
+                openGroups--;
+            }
+            Object.assign(ctx, saved);
+        },
+        setTransform() {},
+        translate(x, y) {
+            body.push(`<g transform="translate(${num(x)} ${num(y)})">`);
+            openGroups++;
+        },
+        rotate(angle) {
+            body.push(`<g transform="rotate(${num(angle * 180 / Math.PI)})">`);
+            openGroups++;
+        },
+        setLineDash(dash) {
+            ctx.lineDash = dash;
+        },
+        beginPath() {
+            path = [];
+        },
+        moveTo(x, y) {
+            path.push(`M${num(x)} ${num(y)}`);
+        },
+        lineTo(x, y) {
+            path.push(`L${num(x)} ${num(y)}`);
+        },
+        closePath() {
+            path.push("Z");
+        },
+        rect(x, y, rw, rh) {
+            path.push(`M${num(x)} ${num(y)}h${num(rw)}v${num(rh)}h${num(-rw)}Z`);
+        },
+        arc(x, y, r, start, end) {
+            // Full circles are split in two half arcs, as SVG cannot draw a closed arc
+            const sweep = Math.min(end - start, 2 * Math.PI);
+            const point = (a) => `${num(x + r * Math.cos(a))} ${num(y + r * Math.sin(a))}`;
+            path.push(`M${point(start)}`);
+            if (sweep >= 2 * Math.PI - 1e-9) {
+                path.push(`A${num(r)} ${num(r)} 0 1 1 ${point(start + Math.PI)}`);
+                path.push(`A${num(r)} ${num(r)} 0 1 1 ${point(start)}`);
+            } else {
+                path.push(`A${num(r)} ${num(r)} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(end)}`);
+            }
+        },
+        clip() {
+            const id = `clip${++clipCount}`;
+            body.push(`<clipPath id="${id}"><path d="${path.join("")}"/></clipPath>`);
+            body.push(`<g clip-path="url(#${id})">`);
+            openGroups++;
+        },
+        stroke() {
+            const dash = ctx.lineDash.length ? ` stroke-dasharray="${ctx.lineDash.join(" ")}"` : "";
+            body.push(`<path d="${path.join("")}" fill="none" stroke="${ctx.strokeStyle}" stroke-width="${ctx.lineWidth}"${dash}/>`);
+        },
+        fill() {
+            body.push(`<path d="${path.join("")}" fill="${ctx.fillStyle}"/>`);
+        },
+        fillRect(x, y, rw, rh) {
+            body.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(rw)}" height="${num(rh)}" fill="${ctx.fillStyle}"/>`);
+        },
+        fillText(text, x, y) {
+            const baseline = BASELINES[ctx.textBaseline] ? ` dominant-baseline="${BASELINES[ctx.textBaseline]}"` : "";
+            body.push(`<text x="${num(x)}" y="${num(y)}" fill="${ctx.fillStyle}" style="font: ${ctx.font}" text-anchor="${ANCHORS[ctx.textAlign] || "start"}"${baseline}>${escapeHtml(text)}</text>`);
+        },
+        toSVG() {
+            const closing = "</g>".repeat(openGroups);
+            return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">${body.join("")}${closing}</svg>`;
+        },
+    };
+    return ctx;
+}
+
+/**
+ * Size of the exported chart: the displayed size, or 600×500 when hidden
+ */
+function chartExportSize() {
+    const canvas = document.getElementById("psychrometricChart");
+    const w = Math.round(canvas.clientWidth) || 600;
+    return { w, h: Math.round(w * 5 / 6) };
+}
+
+/**
+ * Current chart (axis ranges, line toggles and overlay) as an SVG document
+ */
+function chartToSVG() {
+    const { w, h } = chartExportSize();
+    const ctx = createSvgContext(w, h);
+    renderChart(ctx, w, h, appState.results, appState.overlay);
+    return ctx.toSVG();
+}
+
+/**
+ * Render the current chart on an off-screen canvas at `scale` × its size
+ * 
+ * @returns {HTMLCanvasElement}
+ */
+function chartToCanvas(scale) {
+    const { w, h } = chartExportSize();
+    const canvas = document.createElement("canvas");
+    canvas.width = w * scale;
+    canvas.height = h * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    renderChart(ctx, w, h, appState.results, appState.overlay);
+    return canvas;
+}
+
+/**
+ * Offer a Blob as a file download
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportChartSVG() {
+    downloadBlob(new Blob([chartToSVG()], { type: "image/svg+xml" }), `${t("file.chart")}.svg`);
+}
+
+function exportChartPNG() {
+    chartToCanvas(3).toBlob(blob => downloadBlob(blob, `${t("file.chart")}.png`), "image/png");
+}
+
+/**
+ * Full batch table as CSV (comma separated, full precision, display units)
+ */
+function batchToCSV(rows) {
+    const quote = (cell) => /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    const header = ["line", "label", "var1", "val1", "var2", "val2"]
+        .concat(RESULT_DEFS.map(def => `${def.key} [${unitOf(def.quantity)}]`), ["error"]);
+
+    const lines = rows.map(row => {
+        const input = row.input || {};
+        const inputValue = (key, value) => value === undefined ? "" : toDisplay(VARIABLE_QUANTITIES[key], value);
+        const values = RESULT_DEFS.map(def => {
+            const value = row.state ? row.state[def.key] : null;
+            return value === null || value === undefined ? "" : String(toDisplay(def.quantity, value));
+        });
+        return [String(row.line - 1), row.label, input.var1 || "", inputValue(input.var1, input.val1), input.var2 || "", inputValue(input.var2, input.val2)]
+            .map(String)
+            .concat(values, [row.error ? errorMessage(row.error) : ""])
+            .map(quote)
+            .join(",");
+    });
+
+    return [header.map(quote).join(",")].concat(lines).join("\n");
+}
+
+function exportBatchCSV() {
+    const csv = batchToCSV(sortedBatchRows(appState.batch).map(({ row }) => row));
+    downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `${t("file.batch")}.csv`);
+}
+
+/**
+ * Text of the selected option of a <select>
+ */
+function selectedOptionText(id) {
+    const select = document.getElementById(id);
+    return select.options[select.selectedIndex].text;
+}
+
+/**
+ * Input rows of the report for the last calculation
+ * 
+ * @returns {Object[]} { label, value }
+ */
+function reportInputRows() {
+    const mode = document.querySelector('input[name="processType"]:checked');
+    const rows = [{ label: t("report.mode"), value: document.querySelector(`label[for="${mode.id}"]`).textContent }];
+
+    if (appState.processType === "batch") {
+        const solved = appState.batch.rows.filter(row => row.state).length;
+        rows.push({
+            label: t("report.batch"),
+            value: t("report.batchRows", { solved, total: appState.batch.rows.length, selected: appState.batch.selected + 1 }),
+        });
+    }
+
+    if (["single", "process", "room", "cycle"].includes(appState.processType)) {
+        [[appState.var1, appState.val1], [appState.var2, appState.val2]].forEach(([key, value], i) => {
+            const quantity = VARIABLE_QUANTITIES[key];
+            rows.push({ label: t("report.variable", { n: i + 1 }), value: `${variableInfo(key).name} = ${roundDisplay(toDisplay(quantity, value))} ${unitOf(quantity)}` });
+        });
+        // In room mode the flow field only serves a supply defined by its flow
+        if (appState.processType !== "room" || document.getElementById("roomSupplyMode").value === "flow") {
+            const flowQuantity = flowQuantityOf(appState.flow.type);
+            rows.push({ label: t("report.flow"), value: `${selectedOptionText("flowType")} = ${roundDisplay(toDisplay(flowQuantity, appState.flow.value))} ${unitOf(flowQuantity)}` });
+        }
+    }
+
+    if (appState.processType === "process") {
+        rows.push({ label: t("report.process"), value: selectedOptionText("processKind") });
+        if (appState.process && appState.process.evaporative) {
+            const { secondary } = appState.process.evaporative;
+            rows.push({ label: t("report.evaporative"), value: selectedOptionText("evaporativeMode") });
+            if (secondary && secondary !== appState.process.inlet) {
+                const temperature = (value) => `${roundDisplay(toDisplay("temperature", value))} ${unitOf("temperature")}`;
+                rows.push({ label: t("report.secondary"), value: `Tdb ${temperature(secondary.Tdb)}, Twb ${temperature(secondary.Twb)}` });
+            }
+        }
+    }
+
+    if (appState.room) {
+        const power = (value) => `${roundDisplay(toDisplay("power", value))} ${unitOf("power")}`;
+        rows.push({ label: t("report.roomLoads"), value: `${power(appState.room.Q_sensible)} / ${power(appState.room.Q_latent)}` });
+        const supply = document.getElementById("roomSupplyMode").value === "tdb"
+            ? ` = ${roundDisplay(toDisplay("temperature", appState.room.supply.Tdb))} ${unitOf("temperature")}`
+            : "";
+        rows.push({ label: t("report.roomSupply"), value: `${selectedOptionText("roomSupplyMode")}${supply}` });
+    }
+
+    if (appState.cycle) {
+        rows.push({ label: t("report.cycle"), value: appState.cycle.definitions.map(cycleStepName).join(" → ") });
+    }
+
+    if (appState.climate) {
+        rows.push({ label: t("report.climate"), value: `${appState.climate.name} (${document.getElementById("climateSummaryTitle").textContent})` });
+    }
+
+    if (appState.series) {
+        rows.push({ label: t("report.series"), value: document.getElementById("seriesSummaryTitle").textContent });
+        appState.series.thresholds.forEach(threshold => {
+            rows.push({ label: thresholdName(threshold), value: `${formatValue(threshold.hours, appState.precision)} ${unitOf("hours")}` });
+        });
+    }
+
+    const reading = appState.process ? appState.process.inlet.psychrometer
+        : appState.room ? appState.room.room.psychrometer
+        : appState.cycle ? appState.cycle.states[0].psychrometer : appState.results.psychrometer;
+    if (reading) {
+        rows.push({
+            label: t("report.psychrometer"),
+            value: `${selectedOptionText("psychrometerType")} (A = ${formatValue(toDisplay("psychrometerCoefficient", reading.A))} ${unitOf("psychrometerCoefficient")})`,
+        });
+    }
+
+    if (appState.comfort.enabled) {
+        const { met, clo, airSpeed, MRT } = appState.comfort;
+        rows.push({
+            label: t("report.comfort"),
+            value: t("report.comfortInputs", {
+                met,
+                clo,
+                airSpeed: `${roundDisplay(toDisplay("velocity", airSpeed))} ${unitOf("velocity")}`,
+                mrt: MRT === null ? t("ui.comfort.mrtPlaceholder")
+                    : `${roundDisplay(toDisplay("temperature", MRT))} ${unitOf("temperature")}`,
+            }),
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Build the one-page printable report and open the print dialog
+ * (the browser's "Save as PDF" produces the PDF for submittals)
+ */
+function printReport() {
+    const state = appState.results;
+    if (!state || appState.error) {
+        alert(t("report.noResult"));
+        return;
+    }
+    const report = document.getElementById("printReport");
+    const P_total = state.P_total;
+    const cell = (quantity, value) => formatValue(toDisplay(quantity, value), appState.precision);
+
+    const inputRows = reportInputRows().concat([
+        { label: t("report.pressure"), value: `${formatPressure(P_total)}` },
+        { label: t("report.satModel"), value: SATURATION_MODELS[settings.saturationModel].name },
+    ]);
+
+    const propertyRows = RESULT_DEFS
+        .filter(def => state[def.key] !== null && state[def.key] !== undefined)
+        .map(def => `<tr><td>${t(`result.${def.key}`)}</td><td>${unitOf(def.quantity)}</td><td class="value">${cell(def.quantity, state[def.key])}</td></tr>`)
+        .join("");
+
+    const summary = appState.summary
+        ? `<h3>${escapeHtml(appState.summary.title)}</h3>
+           <table>${appState.summary.rows.map(row => `<tr><td>${escapeHtml(row.label)}</td><td>${unitOf(row.quantity)}</td><td class="value">${cell(row.quantity, row.value)}</td></tr>`).join("")}</table>`
+        : "";
+
+    const comfort = appState.comfort.enabled
+        ? `<h3>${t("comfort.title")}</h3>
+           <p>${document.getElementById("comfortVerdict").textContent}</p>
+           <table>${document.getElementById("comfortBody").innerHTML}</table>`
+        : "";
+
+    const psychrometer = document.getElementById("psychrometerSummary").style.display === "block"
+        ? `<h3>${t("psychrometer.title")}</h3>
+           <table>${document.getElementById("psychrometerBody").innerHTML}</table>`
+        : "";
+
+    report.innerHTML = `
+        <h1>${t("report.title")}</h1>
+        <p class="report-date">${new Date().toLocaleString(t("locale"))}</p>
+        <div class="report-columns">
+            <div>
+                <h3>${t("report.inputs")}</h3>
+                <table>${inputRows.map(row => `<tr><td>${escapeHtml(row.label)}</td><td>${escapeHtml(row.value)}</td></tr>`).join("")}</table>
+                ${summary}
+                ${psychrometer}
+                ${comfort}
+            </div>
+            <div>
+                <h3>${t("report.properties", { precision: appState.precision })}</h3>
+                <table>${propertyRows}</table>
+            </div>
+        </div>
+        <div class="report-chart">${chartToSVG()}</div>
+    `;
+
+    window.print();
+}
+
+// ============================================================================
+// MODAL & EXPLANATIONS
+// ============================================================================
+
+function showExplanation(varKey) {
+    const info = variableInfo(varKey);
+    if (!info) return;
+    
+    document.getElementById("explanationTitle").textContent = info.name;
+    document.getElementById("explanationText").innerHTML = `
+        <strong>${t("ui.explanationUnit")}</strong> ${unitOf(VARIABLE_QUANTITIES[varKey])}<br><br>
+        ${info.explanation}
+    `;
+    document.getElementById("explanationModal").classList.add("show");
+}
+
+function closeExplanation() {
+    document.getElementById("explanationModal").classList.remove("show");
+}
+
+// ============================================================================
+// SELF-TEST
+// ============================================================================
+
+const EXAMPLE_DATA = {
+    inputs: { var1: "tdb", val1: 40.227, var2: "rh", val2: 50.456 },
+    expected: {
+        Tdb: 40.227,
+        W: 0.024140,
+        RH: 50.456,
+        h: 102.590,
+        Twb: 30.589,
+        T_dew: 27.950,
+    }
+};
+
+function runSelfTest() {
+    const testResults = document.getElementById("testResults");
+    testResults.innerHTML = "";
+
+    const tests = [
+        {
+            name: "Tdb + RH → W",
+            fn: () => {
+                const state = solveState({
+                    var1: "tdb", val1: 40.227,
+                    var2: "rh", val2: 50.456,
+                    P_total: 101325
+                });
+                const match = Math.abs(state.W - 0.024140) < 0.001;
+                return { pass: match, actual: state.W, expected: 0.024140 };
+            }
+        },
+        {
+            name: "Tdb + RH → h",
+            fn: () => {
+                const state = solveState({
+                    var1: "tdb", val1: 40.227,
+                    var2: "rh", val2: 50.456,
+                    P_total: 101325
+                });
+                const match = Math.abs(state.h - 102.590) < 2;
+                return { pass: match, actual: state.h, expected: 102.590 };
+            }
+        },
+        {
+            name: "Tdb + RH → Twb",
+            fn: () => {
+                const state = solveState({
+                    var1: "tdb", val1: 40.227,
+                    var2: "rh", val2: 50.456,
+                    P_total: 101325
+                });
+                const match = Math.abs(state.Twb - 30.589) < 1;
+                return { pass: match, actual: state.Twb, expected: 30.589 };
+            }
+        },
+        {
+            name: "Tdb + RH → Tdp",
+            fn: () => {
+                const state = solveState({
+                    var1: "tdb", val1: 40.227,
+                    var2: "rh", val2: 50.456,
+                    P_total: 101325
+                });
+                const match = Math.abs(state.T_dew - 27.950) < 1;
+                return { pass: match, actual: state.T_dew, expected: 27.950 };
+            }
+        },
+        {
+            name: "Tdb + W → RH",
+            fn: () => {
+                const state = solveState({
+                    var1: "tdb", val1: 40.227,
+                    var2: "w", val2: 0.024140,
+                    P_total: 101325
+                });
+                const match = Math.abs(state.RH - 50.456) < 2;
+                return { pass: match, actual: state.RH, expected: 50.456 };
+            }
+        }
+    ];
+
+    let passCount = 0;
+    tests.forEach(test => {
+        try {
+            const result = test.fn();
+            const className = result.pass ? "pass" : "fail";
+            const icon = result.pass ? "✓" : "✗";
+            const item = document.createElement("div");
+            item.className = `test-item ${className}`;
+            item.innerHTML = `
+                <span class="test-icon">${icon}</span>
+                <span>${test.name}: ${formatValue(result.actual, 4)} (${t("ui.expected")}: ${formatValue(result.expected, 4)})</span>
+            `;
+            testResults.appendChild(item);
+            if (result.pass) passCount++;
+        } catch (e) {
+            const item = document.createElement("div");
+            item.className = "test-item fail";
+            item.innerHTML = `<span class="test-icon">✗</span><span>${test.name}: ${errorMessage(e)}</span>`;
+            testResults.appendChild(item);
+        }
+    });
+
+    testResults.classList.add("show");
+    console.log(`✓ Tests: ${passCount}/${tests.length} réussis`);
+}
+
+// ============================================================================
+// MIXING STREAMS UI
+// ============================================================================
+
+/**
+ * Append an airstream card to the mixing panel.
+ * State-variable and flow options are copied from the main form;
+ * volume flows are entered in m³/h.
+ * 
+ * @param {Object} [defaults] - { var1, val1, var2, val2, flowType, flow }
+ */
+function addStreamCard(defaults = {}) {
+    const list = document.getElementById("streamsList");
+    const stateOptions = document.getElementById("var1").innerHTML;
+    const flowOptions = document.getElementById("flowType").innerHTML;
+
+    const card = document.createElement("div");
+    card.className = "stream-card";
+    card.innerHTML = `
+        <div class="stream-header">
+            <strong class="stream-title"></strong>
+            <button type="button" class="stream-remove" data-i18n-title="stream.remove" title="${t("stream.remove")}">&times;</button>
+        </div>
+        <div class="input-pair">
+            <select class="stream-var1">${stateOptions}</select>
+            <input type="number" class="stream-val1" data-i18n-placeholder="ui.val1" placeholder="${t("ui.val1")}" step="0.01">
+        </div>
+        <div class="input-pair">
+            <select class="stream-var2">${stateOptions}</select>
+            <input type="number" class="stream-val2" data-i18n-placeholder="ui.val2" placeholder="${t("ui.val2")}" step="0.01">
+        </div>
+        <div class="input-pair">
+            <select class="stream-flow-type">${flowOptions}</select>
+            <input type="number" class="stream-flow" step="0.01" min="0">
+        </div>
+    `;
+
+    // Defaults are given in SI
+    const display = (quantity, value) => value === undefined ? "" : roundDisplay(toDisplay(quantity, value));
+    card.querySelector(".stream-var1").value = defaults.var1 || "";
+    card.querySelector(".stream-val1").value = display(VARIABLE_QUANTITIES[defaults.var1], defaults.val1);
+    card.querySelector(".stream-var2").value = defaults.var2 || "";
+    card.querySelector(".stream-val2").value = display(VARIABLE_QUANTITIES[defaults.var2], defaults.val2);
+    card.querySelector(".stream-flow-type").value = defaults.flowType || "m_da";
+    card.querySelector(".stream-flow").value = display(flowQuantityOf(defaults.flowType || "m_da"), defaults.flow);
+
+    const flowType = card.querySelector(".stream-flow-type");
+    flowType.addEventListener("change", () => updateStreamFlowPlaceholder(card));
+    updateStreamFlowPlaceholder(card);
+
+    card.querySelector(".stream-remove").addEventListener("click", () => {
+        if (list.children.length <= 2) {
+            alert(formatMessage("mixingStreams"));
+            return;
+        }
+        card.remove();
+        relabelStreamCards();
+    });
+
+    list.appendChild(card);
+    relabelStreamCards();
+}
+
+/**
+ * Show the flow unit of a stream card in its placeholder
+ */
+function updateStreamFlowPlaceholder(card) {
+    const quantity = flowQuantityOf(card.querySelector(".stream-flow-type").value);
+    card.querySelector(".stream-flow").placeholder = t("stream.flow", { unit: unitOf(quantity) });
+}
+
+function relabelStreamCards() {
+    document.querySelectorAll("#streamsList .stream-card").forEach((card, i) => {
+        card.querySelector(".stream-title").textContent = t("stream.title", { stream: String.fromCharCode(65 + i) });
+    });
+}
+
+/**
+ * Show the target fields used by the selected process kind:
+ * sensible → Tdb, humidifiers → W/RH, coil → ADP + BF or leaving Tdb + W/RH
+ */
+/**
+ * Read a numeric input entered in the display unit of a quantity, in SI
+ */
+function readDisplayInput(id, quantity) {
+    return fromDisplay(quantity, parseFloat(document.getElementById(id).value));
+}
+
+/**
+ * Convert the values of a parsed batch row from display units to SI
+ */
+function batchRowFromDisplay(row) {
+    if (!row.input) return row;
+    const input = { ...row.input };
+    input.val1 = fromDisplay(VARIABLE_QUANTITIES[input.var1], input.val1);
+    input.val2 = fromDisplay(VARIABLE_QUANTITIES[input.var2], input.val2);
+    if (input.P_total !== undefined) input.P_total = fromDisplay("pressure", input.P_total);
+    if (input.flow) {
+        input.flow = { ...input.flow, value: fromDisplay(flowQuantityOf(input.flow.type), input.flow.value) };
+    }
+    return { ...row, input };
+}
+
+// Quantities offered in the per-quantity unit selection (labels: "quantity." + key)
+const OVERRIDE_QUANTITIES = [
+    "temperature", "humidityRatio", "enthalpy", "pressure", "specificVolume",
+    "density", "massFlow", "volumeFlow", "power", "length", "velocity",
+    "absoluteHumidity", "specificHeat", "entropy", "volumeFraction",
+];
+
+/**
+ * Fill the per-quantity unit selects of the advanced panel
+ */
+function buildUnitOverrides() {
+    const container = document.getElementById("unitOverrides");
+    container.innerHTML = OVERRIDE_QUANTITIES.map(quantity => `
+        <div class="form-group">
+            <label for="unit-${quantity}">${t(`quantity.${quantity}`)}</label>
+            <select id="unit-${quantity}" data-quantity="${quantity}">
+                <option value="">${t("ui.unitDefault")}</option>
+                ${Object.keys(UNITS[quantity]).map(unit => `<option value="${unit}">${unit}</option>`).join("")}
+            </select>
+        </div>
+    `).join("");
+
+    container.querySelectorAll("select").forEach(select => {
+        select.value = appState.units.overrides[select.dataset.quantity] || "";
+        select.addEventListener("change", () => {
+            const overrides = { ...appState.units.overrides };
+            if (select.value) {
+                overrides[select.dataset.quantity] = select.value;
+            } else {
+                delete overrides[select.dataset.quantity];
+            }
+            setUnits({ ...appState.units, overrides });
+        });
+    });
+}
+
+/**
+ * Numeric inputs entered in display units, with their current quantity
+ */
+function unitInputs() {
+    const byVariable = (select, input) => ({ el: input, quantity: VARIABLE_QUANTITIES[select.value] });
+    const inputs = [
+        byVariable(document.getElementById("var1"), document.getElementById("val1")),
+        byVariable(document.getElementById("var2"), document.getElementById("val2")),
+        byVariable(document.getElementById("targetHumVar"), document.getElementById("targetHumVal")),
+        byVariable(document.getElementById("secondaryVar1"), document.getElementById("secondaryVal1")),
+        byVariable(document.getElementById("secondaryVar2"), document.getElementById("secondaryVal2")),
+        { el: document.getElementById("targetTdb"), quantity: "temperature" },
+        { el: document.getElementById("coilAdp"), quantity: "temperature" },
+        { el: document.getElementById("roomSensible"), quantity: "power" },
+        { el: document.getElementById("roomLatent"), quantity: "power" },
+        { el: document.getElementById("roomSupplyTdb"), quantity: "temperature" },
+        { el: document.getElementById("climateHeatingBase"), quantity: "temperature" },
+        { el: document.getElementById("climateCoolingBase"), quantity: "temperature" },
+        { el: document.getElementById("p_total"), quantity: "pressure" },
+        { el: document.getElementById("altitude"), quantity: "length" },
+        { el: document.getElementById("comfortMrt"), quantity: "temperature" },
+        { el: document.getElementById("comfortAirSpeed"), quantity: "velocity" },
+        { el: document.getElementById("psychrometerCoefficient"), quantity: "psychrometerCoefficient" },
+    ];
+
+    document.querySelectorAll("#streamsList .stream-card").forEach(card => {
+        inputs.push(
+            byVariable(card.querySelector(".stream-var1"), card.querySelector(".stream-val1")),
+            byVariable(card.querySelector(".stream-var2"), card.querySelector(".stream-val2")),
+            { el: card.querySelector(".stream-flow"), quantity: flowQuantityOf(card.querySelector(".stream-flow-type").value) },
+        );
+    });
+
+    document.querySelectorAll("#stepsList .step-card").forEach(card => {
+        inputs.push(
+            byVariable(card.querySelector(".step-target-var"), card.querySelector(".step-target-val")),
+            byVariable(card.querySelector(".step-var1"), card.querySelector(".step-val1")),
+            byVariable(card.querySelector(".step-var2"), card.querySelector(".step-val2")),
+            { el: card.querySelector(".step-flow"), quantity: flowQuantityOf(card.querySelector(".step-flow-type").value) },
+            { el: card.querySelector(".step-adp"), quantity: "temperature" },
+            { el: card.querySelector(".step-target-tdb"), quantity: "temperature" },
+            { el: card.querySelector(".step-sensible"), quantity: "power" },
+            { el: card.querySelector(".step-latent"), quantity: "power" },
+        );
+    });
+
+    document.querySelectorAll("#thresholdsList .threshold-card").forEach(card => {
+        inputs.push({ el: card.querySelector(".threshold-limit"), quantity: seriesQuantity(card.querySelector(".threshold-key").value) });
+    });
+
+    return inputs.filter(input => input.quantity);
+}
+
+/**
+ * Switch the display units. Entered values keep their physical meaning:
+ * they are converted to the new units, as are labels, results and chart.
+ * 
+ * @param {Object} units - { system: "SI" | "IP", overrides: { quantity: unit } }
+ */
+function setUnits(units) {
+    const inputs = unitInputs().map(input => ({
+        ...input,
+        value: fromDisplay(input.quantity, parseFloat(input.el.value)),
+    }));
+    const flowQuantity = flowQuantityOf(document.getElementById("flowType").value);
+    const flowSI = convertUnit(flowQuantity, parseFloat(document.getElementById("flowValue").value),
+        document.getElementById("flowUnit").value, true);
+
+    appState.units = units;
+
+    inputs.forEach(({ el, quantity, value }) => {
+        if (!isNaN(value)) el.value = roundDisplay(toDisplay(quantity, value));
+    });
+    updateFlowUnits();
+    if (!isNaN(flowSI)) {
+        document.getElementById("flowValue").value = roundDisplay(toDisplay(flowQuantity, flowSI));
+    }
+
+    refreshUnitLabels();
+    syncChartRangeInputs();
+    renderSavedStates();
+    updatePermalink();
+    if (appState.results) {
+        renderResults();
+    }
+}
+
+/**
+ * Write the display units into labels, variable options and placeholders
+ */
+function refreshUnitLabels() {
+    document.querySelectorAll(".unit-label").forEach(span => {
+        span.textContent = unitOf(span.dataset.quantity);
+    });
+
+    document.querySelectorAll("#var1, #var2, #targetHumVar, #secondaryVar1, #secondaryVar2, .stream-var1, .stream-var2, .step-var1, .step-var2, .step-target-var").forEach(select => {
+        Array.from(select.options).forEach(option => {
+            const quantity = VARIABLE_QUANTITIES[option.value];
+            if (quantity) {
+                option.textContent = `${variableInfo(option.value).name} [${unitOf(quantity)}]`;
+            }
+        });
+    });
+
+    document.getElementById("unitSystem").value = appState.units.system;
+    document.querySelectorAll("#streamsList .stream-card").forEach(updateStreamFlowPlaceholder);
+    document.querySelectorAll("#stepsList .step-card").forEach(updateStepFields);
+}
+
+/**
+ * Write the current language into the page: static texts (data-i18n,
+ * data-i18n-placeholder and data-i18n-title attributes), generated labels,
+ * and the current results or error
+ */
+function applyTranslations() {
+    document.documentElement.lang = settings.language;
+    document.querySelectorAll("[data-i18n]").forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll("[data-i18n-placeholder]").forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll("[data-i18n-title]").forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    document.getElementById("languageSelect").value = settings.language;
+
+    buildUnitOverrides();
+    refreshUnitLabels();
+    relabelStreamCards();
+    relabelStepCards();
+    relabelThresholdCards();
+    renderSavedStates();
+
+    if (appState.error) {
+        showError(appState.error);
+    } else if (appState.results) {
+        renderResults();
+    }
+    if (document.getElementById("testResults").classList.contains("show")) {
+        runSelfTest();
+    }
+}
+
+/**
+ * Switch the interface language and remember the choice
+ * 
+ * @param {string} language - Key of MESSAGES ("fr" or "en")
+ */
+function setLanguage(language) {
+    if (!MESSAGES[language]) return;
+    Psychrometrics.setLanguage(language);
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (e) {
+        // Storage disabled: the choice only lasts for this page
+    }
+    applyTranslations();
+}
+
+/**
+ * Show the current axis ranges in the chart inputs
+ */
+function syncChartRangeInputs() {
+    const { T_min, T_max, W_min, W_max } = appState.chart;
+    const T = (value) => parseFloat(toDisplay("temperature", value).toFixed(2));
+    const W = (value) => parseFloat(toDisplay("humidityRatio", value).toPrecision(4));
+    document.getElementById("chartTmin").value = T(T_min);
+    document.getElementById("chartTmax").value = T(T_max);
+    document.getElementById("chartWmin").value = W(W_min);
+    document.getElementById("chartWmax").value = W(W_max);
+}
+
+/**
+ * Apply new axis ranges and redraw
+ */
+function setChartView(view) {
+    Object.assign(appState.chart, view);
+    syncChartRangeInputs();
+    scheduleChartRedraw();
+}
+
+/**
+ * Redraw the chart at the next animation frame, coalescing bursts of
+ * wheel, drag and resize events into one drawing
+ */
+let chartRedrawPending = false;
+function scheduleChartRedraw() {
+    if (chartRedrawPending) return;
+    chartRedrawPending = true;
+    requestAnimationFrame(() => {
+        chartRedrawPending = false;
+        drawPsychrometricChart(appState.results, appState.overlay);
+    });
+}
+
+/**
+ * Hover readout, click to set the state, wheel zoom and drag pan
+ */
+function initChartInteraction() {
+    const canvas = document.getElementById("psychrometricChart");
+    const tooltip = document.getElementById("chartTooltip");
+    let drag = null;
+
+    // Pointer position in CSS pixels of the canvas
+    const pointerPosition = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    const inPlot = ({ x, y }) => chartLayout &&
+        x >= chartLayout.left && x <= chartLayout.right &&
+        y >= chartLayout.top && y <= chartLayout.bottom;
+
+    // State under the pointer, or null outside the plot or past saturation
+    const stateAt = (pos) => {
+        if (!inPlot(pos)) return null;
+        const Tdb = chartLayout.fromCanvasX(pos.x);
+        const W = chartLayout.fromCanvasY(pos.y);
+        if (W < 0 || W > saturationHumidityRatio(Tdb, chartLayout.P_total)) return null;
+        return computeState(Tdb, W, chartLayout.P_total);
+    };
+
+    const showTooltip = (pos) => {
+        const state = stateAt(pos);
+        if (!state) {
+            tooltip.classList.remove("show");
+            return;
+        }
+
+        tooltip.innerHTML = RESULT_DEFS
+            .filter(def => state[def.key] !== null && state[def.key] !== undefined)
+            .map(def => `<div><span>${t(`result.${def.key}`)}</span> <strong>${formatValue(toDisplay(def.quantity, state[def.key]), appState.precision)}</strong> ${unitOf(def.quantity)}</div>`)
+            .join("");
+
+        // Keep the tooltip on the side of the cursor with the most room
+        const flipX = pos.x > canvas.clientWidth / 2;
+        tooltip.style.left = `${canvas.offsetLeft + pos.x + (flipX ? -12 : 12)}px`;
+        tooltip.style.top = `${canvas.offsetTop + pos.y + 12}px`;
+        tooltip.style.transform = flipX ? "translateX(-100%)" : "none";
+        tooltip.classList.add("show");
+    };
+
+    canvas.addEventListener("pointerdown", (e) => {
+        const pos = pointerPosition(e);
+        if (!inPlot(pos)) return;
+        canvas.setPointerCapture(e.pointerId);
+        drag = { start: pos, view: { ...appState.chart }, moved: false };
+    });
+
+    canvas.addEventListener("pointermove", (e) => {
+        const pos = pointerPosition(e);
+
+        if (drag) {
+            const dx = pos.x - drag.start.x;
+            const dy = pos.y - drag.start.y;
+            if (Math.hypot(dx, dy) > 4) drag.moved = true;
+            if (!drag.moved) return;
+
+            tooltip.classList.remove("show");
+            const { T_min, T_max, W_min, W_max } = drag.view;
+            const dT = -dx / (chartLayout.right - chartLayout.left) * (T_max - T_min);
+            const dW = dy / (chartLayout.bottom - chartLayout.top) * (W_max - W_min);
+            // Stay within the solver's temperature range and above W = 0
+            const shiftT = Math.min(Math.max(dT, T_SEARCH_MIN - T_min), T_SEARCH_MAX - T_max);
+            const shiftW = Math.max(dW, -W_min);
+            setChartView({
+                T_min: T_min + shiftT,
+                T_max: T_max + shiftT,
+                W_min: W_min + shiftW,
+                W_max: W_max + shiftW,
+            });
+            return;
+        }
+
+        showTooltip(pos);
+    });
+
+    canvas.addEventListener("pointerup", (e) => {
+        if (!drag) return;
+        const wasClick = !drag.moved;
+        drag = null;
+        if (!wasClick) return;
+
+        // Click: make the point under the cursor the current state (ignored
+        // in modes whose chart shows more than a state and its process)
+        const state = stateAt(pointerPosition(e));
+        if (!state || ["mixing", "batch", "climate", "series", "cycle"].includes(appState.processType)) return;
+
+        document.getElementById("var1").value = "tdb";
+        document.getElementById("val1").value = roundDisplay(toDisplay("temperature", state.Tdb));
+        document.getElementById("var2").value = "w";
+        document.getElementById("val2").value = roundDisplay(toDisplay("humidityRatio", state.W));
+        updatePsychrometerInputs();
+        document.getElementById("calcBtn").click();
+    });
+
+    canvas.addEventListener("pointerleave", () => {
+        tooltip.classList.remove("show");
+    });
+
+    canvas.addEventListener("wheel", (e) => {
+        const pos = pointerPosition(e);
+        if (!inPlot(pos)) return;
+        e.preventDefault();
+
+        // Zoom around the cursor
+        const factor = e.deltaY < 0 ? 1 / 1.2 : 1.2;
+        const T0 = chartLayout.fromCanvasX(pos.x);
+        const W0 = chartLayout.fromCanvasY(pos.y);
+        const { T_min, T_max, W_min, W_max } = appState.chart;
+        const view = {
+            T_min: Math.max(T_SEARCH_MIN, T0 - (T0 - T_min) * factor),
+            T_max: Math.min(T_SEARCH_MAX, T0 + (T_max - T0) * factor),
+            W_min: Math.max(0, W0 - (W0 - W_min) * factor),
+            W_max: W0 + (W_max - W0) * factor,
+        };
+        if (view.T_max - view.T_min < 0.5 || view.W_max - view.W_min < 1e-4) return;
+        setChartView(view);
+    }, { passive: false });
+}
+
+function updateProcessFields() {
+    const kind = document.getElementById("processKind").value;
+    const coilMode = document.getElementById("coilMode").value;
+    const isCoil = kind === "coil";
+    const byLeavingState = isCoil && coilMode === "leaving";
+
+    const show = (id, visible) => {
+        document.getElementById(id).style.display = visible ? "block" : "none";
+    };
+    show("coilModeGroup", isCoil);
+    show("coilAdpGroup", isCoil && coilMode === "adp");
+    show("targetTdbGroup", kind === "sensible" || byLeavingState);
+    show("targetHumGroup", kind === "steam" || kind === "spray" || byLeavingState);
+
+    const evaporativeMode = document.getElementById("evaporativeMode").value;
+    const isEvaporative = kind === "evaporative";
+    const hasIndirect = isEvaporative && evaporativeMode !== "direct";
+    show("evaporativeModeGroup", isEvaporative);
+    show("evaporativeEffectivenessGroup", isEvaporative);
+    show("evaporativeDirectGroup", evaporativeMode !== "indirect");
+    show("evaporativeIndirectGroup", evaporativeMode !== "direct");
+    show("evaporativeSecondaryGroup", hasIndirect);
+    show("evaporativeSecondaryState", hasIndirect && document.getElementById("evaporativeSecondary").value === "state");
+}
+
+/**
+ * Show the supply temperature when it defines the supply air
+ */
+function updateRoomFields() {
+    document.getElementById("roomSupplyTdbGroup").style.display =
+        document.getElementById("roomSupplyMode").value === "tdb" ? "block" : "none";
+}
+
+/**
+ * Unit choices for the flow value: every mass or volume flow unit,
+ * preselecting the display unit
+ */
+function updateFlowUnits() {
+    const quantity = flowQuantityOf(document.getElementById("flowType").value);
+    const unitSelect = document.getElementById("flowUnit");
+
+    unitSelect.innerHTML = Object.keys(UNITS[quantity])
+        .map(unit => `<option value="${unit}">${unit}</option>`).join("");
+    unitSelect.value = unitOf(quantity);
+}
+
+/**
+ * Flow specification in SI (kg/s or m³/h) from the flow inputs
+ */
+function readFlowInputs() {
+    const type = document.getElementById("flowType").value;
+    const quantity = flowQuantityOf(type);
+    const value = parseFloat(document.getElementById("flowValue").value);
+
+    appState.flow = {
+        type,
+        value: convertUnit(quantity, value, document.getElementById("flowUnit").value, true),
+        unit: quantity === "volumeFlow" ? "m3/h" : "kg/s",
+    };
+    return appState.flow;
+}
+
+/**
+ * Comfort options in SI from the comfort panel, checked against the
+ * validity ranges of the PMV model. An empty MRT means MRT = Tdb.
+ */
+function readComfortInputs() {
+    const MRT = readDisplayInput("comfortMrt", "temperature");
+    appState.comfort = {
+        enabled: document.getElementById("comfortEnabled").checked,
+        met: parseFloat(document.getElementById("comfortMet").value),
+        clo: parseFloat(document.getElementById("comfortClo").value),
+        airSpeed: readDisplayInput("comfortAirSpeed", "velocity"),
+        MRT: isNaN(MRT) ? null : MRT,
+    };
+    if (appState.comfort.enabled) {
+        validateComfortOptions(appState.comfort);
+    }
+    return appState.comfort;
+}
+
+/**
+ * Psychrometer behind the wet-bulb input, or null when the wet-bulb is
+ * thermodynamic or not among the two variables
+ * 
+ * @returns {Object|null} { instrument, coefficient [1/K] } for solvePsychrometer
+ */
+function readPsychrometerInputs() {
+    appState.psychrometer = {
+        instrument: document.getElementById("psychrometerType").value,
+        coefficient: readDisplayInput("psychrometerCoefficient", "psychrometerCoefficient"),
+    };
+    const usesWetBulb = appState.var1 === "twb" || appState.var2 === "twb";
+    return usesWetBulb && appState.psychrometer.instrument !== "thermodynamic" ? appState.psychrometer : null;
+}
+
+/**
+ * Show the psychrometer settings when the wet-bulb is an input
+ */
+function updatePsychrometerInputs() {
+    const usesWetBulb = ["var1", "var2"].some(id => document.getElementById(id).value === "twb");
+    document.getElementById("psychrometerGroup").style.display = usesWetBulb ? "block" : "none";
+    document.getElementById("psychrometerCustom").style.display =
+        document.getElementById("psychrometerType").value === "custom" ? "block" : "none";
+}
+
+/**
+ * Solve every stream card into a state carrying its own dry-air mass flow.
+ * Values and flows are entered in display units.
+ * 
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {Object[]} States for solveMixing
+ */
+/**
+ * Secondary air of the indirect evaporative stage, from the process panel
+ * 
+ * @returns {Object|null} Secondary state, or null when the inlet air is used
+ *   (or the cooler has no indirect stage)
+ */
+function readEvaporativeSecondary(P_total) {
+    const indirect = document.getElementById("processKind").value === "evaporative"
+        && document.getElementById("evaporativeMode").value !== "direct";
+    if (!indirect || document.getElementById("evaporativeSecondary").value !== "state") return null;
+
+    const var1 = document.getElementById("secondaryVar1").value;
+    const var2 = document.getElementById("secondaryVar2").value;
+    try {
+        return solveState({
+            var1,
+            val1: readDisplayInput("secondaryVal1", VARIABLE_QUANTITIES[var1]),
+            var2,
+            val2: readDisplayInput("secondaryVal2", VARIABLE_QUANTITIES[var2]),
+            P_total,
+        });
+    } catch (e) {
+        throw new PsychroError("secondaryAir", { cause: e });
+    }
+}
+
+function readMixingStreams(P_total) {
+    return Array.from(document.querySelectorAll("#streamsList .stream-card")).map((card, i) => {
+        const flowType = card.querySelector(".stream-flow-type").value;
+        const flowQuantity = flowQuantityOf(flowType);
+        const flow = fromDisplay(flowQuantity, parseFloat(card.querySelector(".stream-flow").value));
+        const var1 = card.querySelector(".stream-var1").value;
+        const var2 = card.querySelector(".stream-var2").value;
+
+        try {
+            return solveState({
+                var1,
+                val1: fromDisplay(VARIABLE_QUANTITIES[var1], parseFloat(card.querySelector(".stream-val1").value)),
+                var2,
+                val2: fromDisplay(VARIABLE_QUANTITIES[var2], parseFloat(card.querySelector(".stream-val2").value)),
+                P_total,
+                flow: { type: flowType, value: flow, unit: flowQuantity === "volumeFlow" ? "m3/h" : "kg/s" }
+            });
+        } catch (e) {
+            throw new PsychroError("stream", { stream: String.fromCharCode(65 + i), cause: e });
+        }
+    });
+}
+
+// ============================================================================
+// AIR HANDLING CYCLE UI
+// ============================================================================
+
+// Format tag of exported cycles, checked on import
+const CYCLE_FORMAT = "psychro-cycle";
+const CYCLE_VERSION = 1;
+
+// Step kinds offered besides those of the process panel (labels: "cycle.kind." + key)
+const CYCLE_EXTRA_KINDS = ["recovery", "mixing", "room"];
+
+// Example cycle: winter operation with heat recovery, return-air mixing,
+// preheating, steam humidification and reheating (SI units)
+const EXAMPLE_CYCLE = {
+    start: { var1: "tdb", val1: -10, var2: "rh", val2: 80, flowType: "m_da", flow: 0.5 },
+    P_total: 101325,
+    steps: [
+        { kind: "recovery", exhaust: { var1: "tdb", val1: 22, var2: "rh", val2: 40 }, sensibleEffectiveness: 0.6, latentEffectiveness: 0 },
+        { kind: "mixing", stream: { var1: "tdb", val1: 22, var2: "rh", val2: 40, flowType: "m_da", flow: 0.5 } },
+        { kind: "sensible", targetTdb: 18 },
+        { kind: "steam", targetVar: "w", targetVal: 0.0065 },
+        { kind: "sensible", targetTdb: 30 },
+        { kind: "room", sensible: -6, latent: 0.5 },
+    ],
+};
+
+/**
+ * Append a step card to the cycle panel. Process kinds, coil modes,
+ * variables and flow types are copied from the main form.
+ * 
+ * @param {Object} [step] - Step definition in SI (see readCycleStep)
+ */
+function addStepCard(step = {}) {
+    const list = document.getElementById("stepsList");
+    const kindOptions = document.getElementById("processKind").innerHTML + CYCLE_EXTRA_KINDS
+        .map(kind => `<option value="${kind}" data-i18n="cycle.kind.${kind}">${t(`cycle.kind.${kind}`)}</option>`).join("");
+    const stateOptions = document.getElementById("var1").innerHTML;
+    const unit = (quantity) => `<span class="unit-label" data-quantity="${quantity}">${unitOf(quantity)}</span>`;
+    const label = (key, quantity) => `<label><span data-i18n="${key}">${t(key)}</span> [${quantity ? unit(quantity) : "–"}]</label>`;
+
+    // Fields are shown for the kinds listed in data-fields ("coil-adp":
+    // coil given by ADP, "coil-leaving": coil given by its leaving state,
+    // "evaporative-<mode>": evaporative cooler type, "evaporative-secondary":
+    // secondary air given as a state)
+    const card = document.createElement("div");
+    card.className = "stream-card step-card";
+    card.innerHTML = `
+        <div class="stream-header">
+            <strong class="step-title"></strong>
+            <span>
+                <button type="button" class="stream-remove step-up" data-i18n-title="cycle.up" title="${t("cycle.up")}">&uarr;</button>
+                <button type="button" class="stream-remove step-remove" data-i18n-title="cycle.remove" title="${t("cycle.remove")}">&times;</button>
+            </span>
+        </div>
+        <div class="input-pair">
+            <select class="step-kind">${kindOptions}</select>
+            <input type="text" class="step-label" data-i18n-placeholder="cycle.label" placeholder="${t("cycle.label")}">
+        </div>
+        <div class="step-field" data-fields="coil">
+            <select class="step-coil-mode">${document.getElementById("coilMode").innerHTML}</select>
+        </div>
+        <div class="step-field input-pair" data-fields="coil-adp">
+            <div><label>ADP [${unit("temperature")}]</label><input type="number" class="step-adp" step="0.1"></div>
+            <div>${label("ui.coil.bf")}<input type="number" class="step-bf" step="0.01" min="0" max="0.99"></div>
+        </div>
+        <div class="step-field" data-fields="sensible coil-leaving">
+            ${label("ui.process.targetTdb", "temperature")}
+            <input type="number" class="step-target-tdb" step="0.1">
+        </div>
+        <div class="step-field" data-fields="steam spray coil-leaving">
+            <label data-i18n="ui.process.targetHum">${t("ui.process.targetHum")}</label>
+            <div class="input-pair">
+                <select class="step-target-var">${document.getElementById("targetHumVar").innerHTML}</select>
+                <input type="number" class="step-target-val" step="0.01">
+            </div>
+        </div>
+        <div class="step-field" data-fields="evaporative">
+            <select class="step-evaporative-mode">${document.getElementById("evaporativeMode").innerHTML}</select>
+        </div>
+        <div class="step-field input-pair" data-fields="evaporative">
+            <div class="step-field" data-fields="evaporative-direct evaporative-twoStage">${label("ui.evaporative.directEffectiveness")}<input type="number" class="step-eff-direct" step="0.01" min="0" max="1"></div>
+            <div class="step-field" data-fields="evaporative-indirect evaporative-twoStage">${label("ui.evaporative.indirectEffectiveness")}<input type="number" class="step-eff-indirect" step="0.01" min="0" max="1"></div>
+        </div>
+        <div class="step-field" data-fields="evaporative-indirect evaporative-twoStage">
+            <select class="step-secondary">${document.getElementById("evaporativeSecondary").innerHTML}</select>
+        </div>
+        <div class="step-field" data-fields="recovery mixing evaporative-secondary">
+            <label class="step-air-label"></label>
+            <div class="input-pair">
+                <select class="step-var1">${stateOptions}</select>
+                <input type="number" class="step-val1" data-i18n-placeholder="ui.val1" placeholder="${t("ui.val1")}" step="0.01">
+            </div>
+            <div class="input-pair">
+                <select class="step-var2">${stateOptions}</select>
+                <input type="number" class="step-val2" data-i18n-placeholder="ui.val2" placeholder="${t("ui.val2")}" step="0.01">
+            </div>
+        </div>
+        <div class="step-field input-pair" data-fields="mixing">
+            <select class="step-flow-type">${document.getElementById("flowType").innerHTML}</select>
+            <input type="number" class="step-flow" step="0.01" min="0">
+        </div>
+        <div class="step-field input-pair" data-fields="recovery">
+            <div>${label("cycle.sensibleEffectiveness")}<input type="number" class="step-eff-sensible" step="0.01" min="0" max="1"></div>
+            <div>${label("cycle.latentEffectiveness")}<input type="number" class="step-eff-latent" step="0.01" min="0" max="1"></div>
+        </div>
+        <div class="step-field input-pair" data-fields="room">
+            <div>${label("ui.room.sensible", "power")}<input type="number" class="step-sensible" step="0.1"></div>
+            <div>${label("ui.room.latent", "power")}<input type="number" class="step-latent" step="0.1"></div>
+        </div>
+    `;
+
+    // Definitions are given in SI
+    const set = (selector, value) => {
+        if (value !== undefined && value !== null) card.querySelector(selector).value = value;
+    };
+    const display = (quantity, value) => value === undefined || value === null ? "" : roundDisplay(toDisplay(quantity, value));
+    const air = step.exhaust || step.stream || step.secondary || {};
+    set(".step-kind", step.kind);
+    set(".step-label", step.label);
+    set(".step-coil-mode", step.coilMode);
+    set(".step-adp", display("temperature", step.adp));
+    set(".step-bf", step.bf);
+    set(".step-target-tdb", display("temperature", step.targetTdb));
+    set(".step-target-var", step.targetVar);
+    set(".step-target-val", display(VARIABLE_QUANTITIES[card.querySelector(".step-target-var").value], step.targetVal));
+    set(".step-var1", air.var1 || "tdb");
+    set(".step-val1", display(VARIABLE_QUANTITIES[air.var1], air.val1));
+    set(".step-var2", air.var2 || "rh");
+    set(".step-val2", display(VARIABLE_QUANTITIES[air.var2], air.val2));
+    set(".step-flow-type", air.flowType || "m_da");
+    set(".step-flow", display(flowQuantityOf(air.flowType || "m_da"), air.flow));
+    set(".step-evaporative-mode", step.evaporativeMode);
+    set(".step-eff-direct", step.directEffectiveness);
+    set(".step-eff-indirect", step.indirectEffectiveness);
+    set(".step-secondary", step.kind === "evaporative" ? (step.secondary ? "state" : "inlet") : undefined);
+    set(".step-eff-sensible", step.sensibleEffectiveness);
+    set(".step-eff-latent", step.latentEffectiveness);
+    set(".step-sensible", display("power", step.sensible));
+    set(".step-latent", display("power", step.latent));
+
+    ["step-kind", "step-coil-mode", "step-flow-type", "step-evaporative-mode", "step-secondary"].forEach(name => {
+        card.querySelector(`.${name}`).addEventListener("change", () => updateStepFields(card));
+    });
+    updateStepFields(card);
+
+    card.querySelector(".step-up").addEventListener("click", () => {
+        if (card.previousElementSibling) {
+            list.insertBefore(card, card.previousElementSibling);
+            relabelStepCards();
+        }
+    });
+    card.querySelector(".step-remove").addEventListener("click", () => {
+        if (list.children.length <= 1) {
+            alert(formatMessage("cycleEmpty"));
+            return;
+        }
+        card.remove();
+        relabelStepCards();
+    });
+
+    list.appendChild(card);
+    relabelStepCards();
+}
+
+/**
+ * Show the fields used by the step kind, the label of its second air
+ * (exhaust, mixed stream or secondary air) and the unit of its flow
+ */
+function updateStepFields(card) {
+    const kind = card.querySelector(".step-kind").value;
+    const shown = [kind];
+    if (kind === "coil") shown.push(`coil-${card.querySelector(".step-coil-mode").value}`);
+    if (kind === "evaporative") {
+        const evaporativeMode = card.querySelector(".step-evaporative-mode").value;
+        shown.push(`evaporative-${evaporativeMode}`);
+        if (evaporativeMode !== "direct" && card.querySelector(".step-secondary").value === "state") {
+            shown.push("evaporative-secondary");
+        }
+    }
+
+    card.querySelectorAll(".step-field").forEach(field => {
+        field.style.display = field.dataset.fields.split(" ").some(name => shown.includes(name)) ? "block" : "none";
+    });
+
+    const airLabel = card.querySelector(".step-air-label");
+    airLabel.dataset.i18n = kind === "recovery" ? "cycle.exhaust"
+        : kind === "evaporative" ? "ui.evaporative.secondary" : "cycle.stream";
+    airLabel.textContent = t(airLabel.dataset.i18n);
+    const flowQuantity = flowQuantityOf(card.querySelector(".step-flow-type").value);
+    card.querySelector(".step-flow").placeholder = t("stream.flow", { unit: unitOf(flowQuantity) });
+}
+
+function relabelStepCards() {
+    document.querySelectorAll("#stepsList .step-card").forEach((card, i) => {
+        card.querySelector(".step-title").textContent = t("cycle.step", { step: i + 1 });
+    });
+}
+
+/**
+ * Definition of a step card, in SI units. Only the fields of the step
+ * kind are kept; empty inputs give NaN, reported by the solver.
+ * 
+ * @returns {Object} { kind, label?, ... } with, depending on the kind:
+ *   targetTdb; targetVar, targetVal; coilMode, adp, bf;
+ *   exhaust { var1, val1, var2, val2 }, sensibleEffectiveness, latentEffectiveness;
+ *   stream { var1, val1, var2, val2, flowType, flow }; sensible, latent [kW];
+ *   evaporativeMode, directEffectiveness, indirectEffectiveness,
+ *   secondary? { var1, val1, var2, val2 }
+ */
+function readCycleStep(card) {
+    const value = (selector) => parseFloat(card.querySelector(selector).value);
+    const display = (selector, quantity) => fromDisplay(quantity, value(selector));
+    const kind = card.querySelector(".step-kind").value;
+    const step = { kind };
+    const label = card.querySelector(".step-label").value.trim();
+    if (label) step.label = label;
+
+    const coilMode = card.querySelector(".step-coil-mode").value;
+    const byLeavingState = kind === "coil" && coilMode === "leaving";
+    if (kind === "coil") {
+        step.coilMode = coilMode;
+    }
+    if (kind === "coil" && coilMode === "adp") {
+        step.adp = display(".step-adp", "temperature");
+        step.bf = value(".step-bf");
+    }
+    if (kind === "sensible" || byLeavingState) {
+        step.targetTdb = display(".step-target-tdb", "temperature");
+    }
+    if (kind === "steam" || kind === "spray" || byLeavingState) {
+        step.targetVar = card.querySelector(".step-target-var").value;
+        step.targetVal = display(".step-target-val", VARIABLE_QUANTITIES[step.targetVar]);
+    }
+
+    const evaporativeMode = card.querySelector(".step-evaporative-mode").value;
+    const bySecondaryState = kind === "evaporative" && evaporativeMode !== "direct"
+        && card.querySelector(".step-secondary").value === "state";
+    if (kind === "evaporative") {
+        step.evaporativeMode = evaporativeMode;
+        if (evaporativeMode !== "indirect") step.directEffectiveness = value(".step-eff-direct");
+        if (evaporativeMode !== "direct") step.indirectEffectiveness = value(".step-eff-indirect");
+    }
+
+    if (kind === "recovery" || kind === "mixing" || bySecondaryState) {
+        const var1 = card.querySelector(".step-var1").value;
+        const var2 = card.querySelector(".step-var2").value;
+        const air = {
+            var1,
+            val1: display(".step-val1", VARIABLE_QUANTITIES[var1]),
+            var2,
+            val2: display(".step-val2", VARIABLE_QUANTITIES[var2]),
+        };
+        if (kind === "mixing") {
+            air.flowType = card.querySelector(".step-flow-type").value;
+            air.flow = display(".step-flow", flowQuantityOf(air.flowType));
+            step.stream = air;
+        } else if (kind === "evaporative") {
+            step.secondary = air;
+        } else {
+            step.exhaust = air;
+            step.sensibleEffectiveness = value(".step-eff-sensible");
+            step.latentEffectiveness = value(".step-eff-latent");
+        }
+    }
+
+    if (kind === "room") {
+        step.sensible = display(".step-sensible", "power");
+        step.latent = display(".step-latent", "power");
+    }
+    return step;
+}
+
+/**
+ * solveProcess specification of a step definition: the exhaust, mixed
+ * stream or secondary air is solved into a state
+ * 
+ * @param {Object} step - Step definition in SI (see readCycleStep)
+ * @param {number} P_total - Total pressure [Pa]
+ */
+function cycleStepProcess(step, P_total) {
+    const air = step.exhaust || step.stream || step.secondary;
+    if (!air) return step;
+
+    const flow = step.stream
+        ? { type: air.flowType, value: air.flow, unit: flowQuantityOf(air.flowType) === "volumeFlow" ? "m3/h" : "kg/s" }
+        : undefined;
+    const state = solveState({ var1: air.var1, val1: air.val1, var2: air.var2, val2: air.val2, P_total, flow });
+    if (step.stream) return { ...step, stream: state };
+    return step.secondary ? { ...step, secondary: state } : { ...step, exhaust: state };
+}
+
+/**
+ * Solve the cycle of the step cards from a start state
+ * 
+ * @param {Object} start - State entering the first step
+ * @returns {Object} solveCycle result, with the step definitions as
+ *   `definitions` and the solveProcess specifications as `processes`
+ */
+function solveCycleSteps(start) {
+    const definitions = Array.from(document.querySelectorAll("#stepsList .step-card")).map(readCycleStep);
+    const steps = definitions.map((step, i) => {
+        try {
+            return cycleStepProcess(step, start.P_total);
+        } catch (e) {
+            throw new PsychroError("cycleStep", { step: i + 1, cause: e });
+        }
+    });
+    return { ...solveCycle(start, steps), definitions, processes: steps };
+}
+
+// Numeric fields of each step kind (see readCycleStep); coils and
+// evaporative coolers are keyed by their mode, as in the data-fields of the card
+const CYCLE_STEP_NUMBERS = {
+    "sensible": ["targetTdb"],
+    "steam": ["targetVal"],
+    "spray": ["targetVal"],
+    "coil-adp": ["adp", "bf"],
+    "coil-leaving": ["targetTdb", "targetVal"],
+    "evaporative-direct": ["directEffectiveness"],
+    "evaporative-indirect": ["indirectEffectiveness"],
+    "evaporative-twoStage": ["directEffectiveness", "indirectEffectiveness"],
+    "recovery": ["sensibleEffectiveness", "latentEffectiveness"],
+    "mixing": [],
+    "room": ["sensible", "latent"],
+};
+
+/**
+ * Whether a value is a step definition the step cards can show: known
+ * kind and options, and finite numbers in every field the kind uses
+ */
+function isCycleStep(step) {
+    if (!step || typeof step !== "object") return false;
+    const kinds = Array.from(document.getElementById("processKind").options).map(option => option.value)
+        .concat(CYCLE_EXTRA_KINDS);
+    const options = (id) => Array.from(document.getElementById(id).options).map(option => option.value).filter(Boolean);
+    const finite = (object, names) => names.every(name => Number.isFinite(object[name]));
+    const air = step.exhaust || step.stream || step.secondary;
+    const variant = step.kind === "coil" ? `coil-${step.coilMode || "adp"}`
+        : step.kind === "evaporative" ? `evaporative-${step.evaporativeMode || "direct"}` : step.kind;
+    return kinds.includes(step.kind)
+        && (step.targetVar === undefined || options("targetHumVar").includes(step.targetVar))
+        && (step.coilMode === undefined || options("coilMode").includes(step.coilMode))
+        && (step.evaporativeMode === undefined || options("evaporativeMode").includes(step.evaporativeMode))
+        && finite(step, CYCLE_STEP_NUMBERS[variant])
+        && (!air || (options("var1").includes(air.var1) && options("var1").includes(air.var2)
+            && (air.flowType === undefined || options("flowType").includes(air.flowType))
+            && finite(air, step.stream ? ["val1", "val2", "flow"] : ["val1", "val2"])));
+}
+
+/**
+ * Replace the step cards with a list of step definitions
+ * 
+ * @param {Object[]} steps - Step definitions in SI, checked with isCycleStep
+ */
+function setCycleSteps(steps) {
+    document.getElementById("stepsList").innerHTML = "";
+    steps.forEach(step => addStepCard(step));
+}
+
+/**
+ * Fill the form with a cycle: start state and flow, pressure and steps
+ * 
+ * @param {Object} cycle - { start: { var1, val1, var2, val2, flowType, flow }, P_total, steps } in SI
+ */
+function applyCycle(cycle) {
+    const display = (quantity, value) => roundDisplay(toDisplay(quantity, value));
+    const { start } = cycle;
+    document.getElementById("var1").value = start.var1;
+    document.getElementById("val1").value = display(VARIABLE_QUANTITIES[start.var1], start.val1);
+    document.getElementById("var2").value = start.var2;
+    document.getElementById("val2").value = display(VARIABLE_QUANTITIES[start.var2], start.val2);
+    document.getElementById("flowType").value = start.flowType;
+    updateFlowUnits();
+    document.getElementById("flowValue").value = display(flowQuantityOf(start.flowType), start.flow);
+    updatePsychrometerInputs();
+    document.getElementById("p_total").value = display("pressure", cycle.P_total);
+    document.getElementById("p_total").dispatchEvent(new Event("input"));
+    setCycleSteps(cycle.steps);
+
+    const radio = document.querySelector('input[name="processType"][value="cycle"]');
+    radio.checked = true;
+    radio.dispatchEvent(new Event("change"));
+}
+
+/**
+ * Cycle of the form, in SI units, as saved in JSON files
+ */
+function cycleData() {
+    const flow = readFlowInputs();
+    const var1 = document.getElementById("var1").value;
+    const var2 = document.getElementById("var2").value;
+    return {
+        format: CYCLE_FORMAT,
+        version: CYCLE_VERSION,
+        start: {
+            var1,
+            val1: readDisplayInput("val1", VARIABLE_QUANTITIES[var1]),
+            var2,
+            val2: readDisplayInput("val2", VARIABLE_QUANTITIES[var2]),
+            flowType: flow.type,
+            flow: flow.value,
+        },
+        P_total: readDisplayInput("p_total", "pressure"),
+        steps: Array.from(document.querySelectorAll("#stepsList .step-card")).map(readCycleStep),
+    };
+}
+
+/**
+ * Check a parsed cycle file
+ * 
+ * @returns {Object|null} The cycle, or null when the data is not a valid export
+ */
+function parseCycle(data) {
+    if (!data || data.format !== CYCLE_FORMAT || data.version !== CYCLE_VERSION) return null;
+    const { start, steps } = data;
+    const variables = Array.from(document.getElementById("var1").options).map(option => option.value).filter(Boolean);
+    const flowTypes = Array.from(document.getElementById("flowType").options).map(option => option.value);
+    const valid = start && variables.includes(start.var1) && variables.includes(start.var2)
+        && flowTypes.includes(start.flowType) && [start.val1, start.val2, start.flow, data.P_total].every(Number.isFinite)
+        && Array.isArray(steps) && steps.length > 0 && steps.every(isCycleStep);
+    return valid ? data : null;
+}
+
+function exportCycle() {
+    const json = JSON.stringify(cycleData(), null, 2);
+    downloadBlob(new Blob([json], { type: "application/json" }), `${t("file.cycle")}.json`);
+}
+
+/**
+ * Load a cycle exported as JSON into the form and calculate it
+ */
+function importCycle(file) {
+    file.text().then(text => {
+        let cycle = null;
+        try {
+            cycle = parseCycle(JSON.parse(text));
+        } catch (e) {
+            // Not JSON: reported below
+        }
+        if (!cycle) {
+            alert(t("cycle.importError"));
+            return;
+        }
+        applyCycle(cycle);
+        document.getElementById("calcBtn").click();
+    }).catch(showError);
+}
+
+// ============================================================================
+// CLIMATE ANALYSIS UI
+// ============================================================================
+
+// Size of the density bins drawn on the chart (SI: K, kg_w/kg_da)
+const CLIMATE_BIN = { dT: 1, dW: 0.0005 };
+
+/**
+ * Analyze the loaded weather file with the degree-day bases of the panel.
+ * Zones: below the heating base, above the cooling base, above the comfort
+ * humidity limit, and the comfort zone itself when comfort is enabled.
+ * 
+ * @returns {Object} analyzeClimate result, plus the file name, the 0.4 %
+ *   cooling and dehumidification design states and the density bins
+ */
+function solveClimate() {
+    if (!appState.climateFile) {
+        throw new PsychroError("climateFile");
+    }
+    const heatingBase = readDisplayInput("climateHeatingBase", "temperature");
+    const coolingBase = readDisplayInput("climateCoolingBase", "temperature");
+    const climate = analyzeClimate(parseEpw(appState.climateFile.text), {
+        heatingBase,
+        coolingBase,
+        zones: [
+            { name: "heating", Tdb: [null, heatingBase] },
+            { name: "cooling", Tdb: [coolingBase, null] },
+            { name: "humid", W: [COMFORT_W_MAX, null] },
+        ],
+    });
+    if (appState.comfort.enabled) {
+        const hours = climate.hours.filter(hour => evaluateComfort(hour.state, appState.comfort).inZone).length;
+        climate.zones.push({ name: "comfort", hours, fraction: hours / climate.hours.length });
+    }
+
+    const [cooling] = climate.cooling;
+    const [dehumidification] = climate.dehumidification;
+    const P_total = climate.P_mean;
+    climate.coolingState = solveState({ var1: "tdb", val1: cooling.Tdb, var2: "twb", val2: cooling.MCWB, P_total });
+    climate.dehumidificationState = solveState({ var1: "tdb", val1: dehumidification.MCDB, var2: "w", val2: dehumidification.W, P_total });
+
+    const bins = new Map();
+    climate.hours.forEach(({ state }) => {
+        const T = Math.floor(state.Tdb / CLIMATE_BIN.dT) * CLIMATE_BIN.dT;
+        const W = Math.floor(state.W / CLIMATE_BIN.dW) * CLIMATE_BIN.dW;
+        const key = `${T},${W}`;
+        if (!bins.has(key)) bins.set(key, { T, W, count: 0 });
+        bins.get(key).count++;
+    });
+    climate.bins = Array.from(bins.values());
+    climate.name = appState.climateFile.name;
+    return climate;
+}
+
+// ============================================================================
+// TIME SERIES UI
+// ============================================================================
+
+// Sensor colors, as "r, g, b" for the trend lines and chart clouds
+const SERIES_COLORS = ["30, 100, 200", "230, 130, 0", "40, 160, 90", "200, 40, 120", "120, 80, 200", "110, 110, 110"];
+
+// Thresholds offered on first load (SI): humid and dry air
+const DEFAULT_THRESHOLDS = [
+    { key: "T_dew", type: "above", limit: 15 },
+    { key: "RH", type: "below", limit: 30 },
+];
+
+// Short symbols of the watched properties, for threshold names
+const SERIES_SYMBOLS = { Tdb: "Tdb", RH: "RH", T_dew: "Tdp", W: "W", h: "h", Twb: "Twb" };
+
+// Periods listed per threshold and sensor before the remainder is counted
+const SERIES_PERIODS_SHOWN = 5;
+
+// Candidate spacings of the time axis [h]
+const SERIES_TIME_STEPS = [0.25, 0.5, 1, 2, 3, 6, 12, 24, 48, 168, 336, 720];
+
+/**
+ * Quantity of a property watched by thresholds and trends
+ */
+function seriesQuantity(key) {
+    return RESULT_DEFS.find(def => def.key === key).quantity;
+}
+
+/**
+ * Add a threshold card (limit given in SI)
+ */
+function addThresholdCard(threshold = { key: "RH", type: "above", limit: 60 }) {
+    const list = document.getElementById("thresholdsList");
+    const card = document.createElement("div");
+    card.className = "stream-card threshold-card";
+    card.innerHTML = `
+        <div class="stream-header">
+            <strong class="stream-title"></strong>
+            <button type="button" class="stream-remove" data-i18n-title="series.removeThreshold" title="${t("series.removeThreshold")}">&times;</button>
+        </div>
+        <div class="input-pair">
+            <select class="threshold-key">${SERIES_THRESHOLD_KEYS.map(key => `<option value="${key}"></option>`).join("")}</select>
+            <select class="threshold-type">
+                <option value="above"></option>
+                <option value="below"></option>
+            </select>
+        </div>
+        <div class="input-pair">
+            <input type="number" class="threshold-limit" step="0.1">
+            <span>[<span class="unit-label threshold-unit"></span>]</span>
+        </div>
+    `;
+
+    const key = card.querySelector(".threshold-key");
+    key.value = threshold.key;
+    card.querySelector(".threshold-type").value = threshold.type;
+    card.querySelector(".threshold-unit").dataset.quantity = seriesQuantity(threshold.key);
+    card.querySelector(".threshold-limit").value = roundDisplay(toDisplay(seriesQuantity(threshold.key), threshold.limit));
+
+    key.addEventListener("change", () => {
+        card.querySelector(".threshold-unit").dataset.quantity = seriesQuantity(key.value);
+        refreshUnitLabels();
+    });
+    card.querySelector(".stream-remove").addEventListener("click", () => {
+        card.remove();
+        relabelThresholdCards();
+    });
+
+    list.appendChild(card);
+    relabelThresholdCards();
+    refreshUnitLabels();
+}
+
+/**
+ * Number the threshold cards and write their option texts
+ */
+function relabelThresholdCards() {
+    document.querySelectorAll("#thresholdsList .threshold-card").forEach((card, i) => {
+        card.querySelector(".stream-title").textContent = t("series.threshold", { n: i + 1 });
+        card.querySelectorAll(".threshold-key option").forEach(option => {
+            option.textContent = t(`result.${option.value}`);
+        });
+        card.querySelectorAll(".threshold-type option").forEach(option => {
+            option.textContent = t(`series.${option.value}`);
+        });
+    });
+    const trend = document.getElementById("seriesTrend");
+    const selected = trend.value || "T_dew";
+    trend.innerHTML = SERIES_THRESHOLD_KEYS.map(key => `<option value="${key}">${t(`result.${key}`)}</option>`).join("");
+    trend.value = selected;
+}
+
+/**
+ * Replace the threshold cards (limits in SI)
+ */
+function setThresholds(thresholds) {
+    document.getElementById("thresholdsList").innerHTML = "";
+    thresholds.forEach(threshold => addThresholdCard(threshold));
+}
+
+/**
+ * Thresholds of the cards, with limits in SI
+ */
+function readThresholds() {
+    return Array.from(document.querySelectorAll("#thresholdsList .threshold-card")).map(card => {
+        const key = card.querySelector(".threshold-key").value;
+        return {
+            key,
+            type: card.querySelector(".threshold-type").value,
+            limit: fromDisplay(seriesQuantity(key), parseFloat(card.querySelector(".threshold-limit").value)),
+        };
+    });
+}
+
+/**
+ * Short name of a threshold, in display units ("Tdp > 15 °C")
+ */
+function thresholdName(threshold) {
+    const quantity = seriesQuantity(threshold.key);
+    const sign = threshold.type === "above" ? ">" : "<";
+    return `${SERIES_SYMBOLS[threshold.key]} ${sign} ${roundDisplay(toDisplay(quantity, threshold.limit))} ${unitOf(quantity)}`;
+}
+
+/**
+ * Solve the logger table of the panel (values in display units) against
+ * the thresholds of the cards
+ * 
+ * @param {number} P_total - Pressure of samples without p_total [Pa]
+ * @returns {Object} solveSeries result
+ */
+function solveSeriesTable(P_total) {
+    const samples = parseSeriesTable(document.getElementById("seriesInput").value).map(batchRowFromDisplay);
+    return solveSeries(samples, { P_total, thresholds: readThresholds() });
+}
+
+/**
+ * Timestamp on the UTC clock of parseTimestamp, as "YYYY-MM-DD hh:mm"
+ */
+function formatTimestamp(time) {
+    return new Date(time).toISOString().slice(0, 16).replace("T", " ");
+}
+
+/**
+ * Display name of a sensor (unnamed sensors get a generic one)
+ */
+function sensorName(name) {
+    return name || t("series.sensor");
+}
+
+/**
+ * Display a time series: the last sample of the first sensor in the main
+ * table, every sample on the chart (one color per sensor), the trend of
+ * the selected property and the periods beyond each threshold
+ */
+function displaySeriesResults(series) {
+    const [first] = series.sensors;
+    displayResults(first.samples[first.samples.length - 1].state, {
+        scatter: series.sensors.map((sensor, i) => ({
+            states: sensor.samples.map(sample => sample.state),
+            color: `rgba(${SERIES_COLORS[i % SERIES_COLORS.length]}, 0.6)`,
+            size: 3,
+        })),
+    });
+
+    const count = series.sensors.reduce((sum, sensor) => sum + sensor.samples.length, 0);
+    const start = Math.min(...series.sensors.map(sensor => sensor.start));
+    const end = Math.max(...series.sensors.map(sensor => sensor.end));
+    document.getElementById("seriesSummaryTitle").textContent = t("series.title", {
+        samples: count,
+        sensors: series.sensors.length,
+        start: formatTimestamp(start),
+        end: formatTimestamp(end),
+        sensor: sensorName(first.name),
+    });
+    const [error] = series.errors;
+    document.getElementById("seriesErrors").textContent = error
+        ? t("series.errors", { count: series.errors.length, line: error.line, cause: errorMessage(error.error) })
+        : "";
+
+    const column = (label, quantity) => `<th>${label}${quantity ? `<br><span class="unit">${unitOf(quantity)}</span>` : ""}</th>`;
+    document.getElementById("seriesThresholdsHead").innerHTML = `<tr>${column(t("series.thresholdName"))}${
+        column(t("series.sensorName"))}${column(t("series.hours"), "hours")}${column(t("series.periods"))}</tr>`;
+    document.getElementById("seriesThresholdsBody").innerHTML = series.thresholds.map(threshold => {
+        const quantity = seriesQuantity(threshold.key);
+        return threshold.sensors.map(sensor => {
+            const periods = sensor.periods.slice(0, SERIES_PERIODS_SHOWN).map(period => t("series.period", {
+                start: formatTimestamp(period.start),
+                end: formatTimestamp(period.end),
+                hours: roundDisplay(period.hours),
+                extreme: `${formatValue(toDisplay(quantity, period.extreme), appState.precision)} ${unitOf(quantity)}`,
+            }));
+            if (sensor.periods.length > SERIES_PERIODS_SHOWN) {
+                periods.push(t("series.morePeriods", { count: sensor.periods.length - SERIES_PERIODS_SHOWN }));
+            }
+            return `
+        <tr>
+            <td>${escapeHtml(thresholdName(threshold))}</td>
+            <td>${escapeHtml(sensorName(sensor.name))}</td>
+            <td class="value">${formatValue(sensor.hours, appState.precision)}</td>
+            <td class="series-periods">${periods.join("<br>") || t("series.noPeriod")}</td>
+        </tr>
+    `;
+        }).join("");
+    }).join("");
+    document.getElementById("seriesSummary").style.display = "block";
+    drawSeriesChart();
+
+    displaySummary(t("summary.series"), [
+        { label: t("summary.seriesDuration"), quantity: "hours", value: (end - start) / 3600e3 },
+        ...series.thresholds.map(threshold => ({
+            label: t("summary.seriesThreshold", { threshold: thresholdName(threshold) }),
+            quantity: "hours",
+            value: threshold.hours,
+        })),
+    ]);
+}
+
+/**
+ * Trend chart of the selected property: one line per sensor (broken at
+ * logging interruptions) and the limits of the thresholds on it
+ */
+function drawSeriesChart() {
+    const series = appState.series;
+    const canvas = document.getElementById("seriesChart");
+    if (!series || !canvas) return;
+
+    const key = document.getElementById("seriesTrend").value;
+    const quantity = seriesQuantity(key);
+    const w = Math.round(canvas.clientWidth) || 600;
+    const h = Math.round(w * 0.45);
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+        canvas.width = Math.round(w * dpr);
+        canvas.height = Math.round(h * dpr);
+    }
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = "white";
+    ctx.fillRect(0, 0, w, h);
+
+    // Ranges: every sample and the limits of the thresholds on this property
+    const limits = series.thresholds.filter(threshold => threshold.key === key);
+    let min = Infinity;
+    let max = -Infinity;
+    series.sensors.forEach(sensor => sensor.samples.forEach(sample => {
+        min = Math.min(min, sample.state[key]);
+        max = Math.max(max, sample.state[key]);
+    }));
+    limits.forEach(threshold => {
+        min = Math.min(min, threshold.limit);
+        max = Math.max(max, threshold.limit);
+    });
+    const pad = (max - min) * 0.05 || Math.abs(max) * 0.05 || 1;
+    min -= pad;
+    max += pad;
+    const start = Math.min(...series.sensors.map(sensor => sensor.start));
+    const end = Math.max(start + 3600e3, ...series.sensors.map(sensor => sensor.end));
+
+    const left = 55, right = w - 15, top = 20, bottom = h - 30;
+    const toX = (time) => left + (time - start) / (end - start) * (right - left);
+    const toY = (value) => bottom - (value - min) / (max - min) * (bottom - top);
+
+    // Grid and axes
+    ctx.strokeStyle = "rgba(200, 200, 200, 0.6)";
+    ctx.lineWidth = 0.5;
+    ctx.fillStyle = "rgb(80, 80, 80)";
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    chartTicks(quantity, min, max, 5).ticks.forEach(tick => {
+        const y = toY(tick.value);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+        ctx.stroke();
+        ctx.fillText(String(tick.display), left - 5, y);
+    });
+
+    const span = (end - start) / 3600e3;
+    const stepHours = SERIES_TIME_STEPS.find(step => span / step <= 6) || SERIES_TIME_STEPS[SERIES_TIME_STEPS.length - 1];
+    const step = stepHours * 3600e3;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let time = Math.ceil(start / step) * step; time <= end; time += step) {
+        const x = toX(time);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        const label = formatTimestamp(time);
+        ctx.fillText(stepHours >= 24 ? label.slice(0, 10) : label.slice(5), x, bottom + 5);
+    }
+
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    ctx.fillText(`${t(`result.${key}`)} [${unitOf(quantity)}]`, left, top - 6);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, right - left, bottom - top);
+    ctx.clip();
+
+    // Threshold limits
+    ctx.strokeStyle = "rgb(255, 50, 50)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 4]);
+    limits.forEach(threshold => {
+        ctx.beginPath();
+        ctx.moveTo(left, toY(threshold.limit));
+        ctx.lineTo(right, toY(threshold.limit));
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // One line per sensor, lifted at interruptions
+    ctx.lineWidth = 1.5;
+    series.sensors.forEach((sensor, i) => {
+        ctx.strokeStyle = `rgb(${SERIES_COLORS[i % SERIES_COLORS.length]})`;
+        ctx.beginPath();
+        let lifted = true;
+        sensor.samples.forEach(sample => {
+            const x = toX(sample.time);
+            const y = toY(sample.state[key]);
+            if (lifted) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+            lifted = sample.gap;
+        });
+        ctx.stroke();
+    });
+    ctx.restore();
+
+    // Legend, when sensors have names: one line per sensor, top right
+    if (series.sensors.length > 1 || series.sensors[0].name) {
+        ctx.textAlign = "right";
+        ctx.textBaseline = "middle";
+        series.sensors.forEach((sensor, i) => {
+            const y = top + 10 + i * 14;
+            ctx.fillStyle = `rgb(${SERIES_COLORS[i % SERIES_COLORS.length]})`;
+            ctx.fillRect(right - 14, y - 4, 8, 8);
+            ctx.fillStyle = "rgb(80, 80, 80)";
+            ctx.fillText(sensorName(sensor.name), right - 20, y);
+        });
+        ctx.textBaseline = "alphabetic";
+    }
+}
+
+// ============================================================================
+// SAVED STATES
+// ============================================================================
+
+// Browser storage key of the saved states
+const SAVED_STATES_STORAGE_KEY = "psychro.savedStates";
+// Format tag of stored and exported sets, checked on import
+const SAVED_STATES_FORMAT = "psychro-states";
+const SAVED_STATES_VERSION = 1;
+
+// Quantity in which the difference of two values is shown, when it differs
+// from the quantity itself (offset scales)
+const DIFF_QUANTITIES = { temperature: "temperatureDiff", enthalpy: "enthalpyDiff" };
+
+/**
+ * Check an entry read from storage or from an imported file.
+ * Entries are stored in SI: { id, name, savedAt, Tdb, W, P_total, m_da,
+ * inputs: { var1, val1, var2, val2, psychrometer? } or null }
+ */
+function isSavedEntry(entry) {
+    if (!entry || typeof entry.name !== "string") return false;
+    if (![entry.Tdb, entry.W, entry.P_total, entry.m_da].every(Number.isFinite)) return false;
+    // Same pressure range as the form (solveState)
+    if (entry.P_total < P_TOTAL_MIN || entry.P_total > P_TOTAL_MAX) return false;
+    const { inputs } = entry;
+    return !inputs || (Boolean(STATE_PROPERTIES[inputs.var1]) && Boolean(STATE_PROPERTIES[inputs.var2])
+        && Number.isFinite(inputs.val1) && Number.isFinite(inputs.val2));
+}
+
+/**
+ * Entries of a stored or exported set. Invalid entries are dropped and
+ * every entry gets a fresh id, so that imported sets never collide.
+ * 
+ * @returns {Object} { entries, skipped }, or null if the data is not a saved set
+ */
+function parseSavedStates(data) {
+    if (!data || data.format !== SAVED_STATES_FORMAT || !Array.isArray(data.states)) return null;
+    const entries = data.states.filter(isSavedEntry).map(entry => ({
+        id: newSavedStateId(),
+        name: entry.name,
+        savedAt: typeof entry.savedAt === "string" ? entry.savedAt : null,
+        Tdb: entry.Tdb,
+        W: entry.W,
+        P_total: entry.P_total,
+        m_da: entry.m_da,
+        inputs: entry.inputs || null,
+    }));
+    return { entries, skipped: data.states.length - entries.length };
+}
+
+let savedStateCounter = 0;
+function newSavedStateId() {
+    savedStateCounter++;
+    return `s${Date.now().toString(36)}-${savedStateCounter}`;
+}
+
+function savedStatesData() {
+    return {
+        format: SAVED_STATES_FORMAT,
+        version: SAVED_STATES_VERSION,
+        states: appState.saved.entries.map(({ id, ...entry }) => entry),
+    };
+}
+
+function loadSavedStates() {
+    try {
+        const parsed = parseSavedStates(JSON.parse(localStorage.getItem(SAVED_STATES_STORAGE_KEY)));
+        return parsed ? parsed.entries : [];
+    } catch (e) {
+        // Storage disabled or unreadable: start with an empty set
+        return [];
+    }
+}
+
+function storeSavedStates() {
+    try {
+        localStorage.setItem(SAVED_STATES_STORAGE_KEY, JSON.stringify(savedStatesData()));
+    } catch (e) {
+        // Storage disabled or full: the set only lasts for this page
+    }
+}
+
+/**
+ * Full state of a saved entry, recomputed with the active saturation model
+ */
+function savedEntryState(entry) {
+    const state = computeState(entry.Tdb, entry.W, entry.P_total);
+    return Object.assign(state, resolveFlows(state, { type: "m_da", value: entry.m_da }));
+}
+
+/**
+ * Default name of a state: its dry-bulb temperature and relative humidity
+ */
+function defaultStateName(state) {
+    return `${formatValue(toDisplay("temperature", state.Tdb), 3)} ${unitOf("temperature")} / ${formatValue(state.RH, 3)} %`;
+}
+
+/**
+ * Add the displayed state to the saved set. The inputs of a single-state
+ * calculation are kept so that reloading restores them; other states
+ * reload as Tdb + W.
+ */
+function saveCurrentState() {
+    const state = appState.results;
+    if (!state || appState.error) {
+        alert(t("saved.noResult"));
+        return;
+    }
+
+    let inputs = null;
+    if (appState.processType === "single") {
+        inputs = { var1: appState.var1, val1: appState.val1, var2: appState.var2, val2: appState.val2 };
+        if (state.psychrometer) {
+            inputs.psychrometer = { instrument: state.psychrometer.instrument, coefficient: state.psychrometer.A };
+        }
+    }
+
+    const nameInput = document.getElementById("savedName");
+    appState.saved.entries.push({
+        id: newSavedStateId(),
+        name: nameInput.value.trim() || defaultStateName(state),
+        savedAt: new Date().toISOString(),
+        Tdb: state.Tdb,
+        W: state.W,
+        P_total: state.P_total,
+        m_da: state.m_da,
+        inputs,
+    });
+    nameInput.value = "";
+    storeSavedStates();
+    renderSavedStates();
+}
+
+/**
+ * Put a saved state back into the form (single-state mode) and calculate it
+ */
+function reloadSavedState(entry) {
+    const single = document.querySelector('input[name="processType"][value="single"]');
+    single.checked = true;
+    single.dispatchEvent(new Event("change"));
+
+    const inputs = entry.inputs || { var1: "tdb", val1: entry.Tdb, var2: "w", val2: entry.W };
+    const display = (key, value) => roundDisplay(toDisplay(VARIABLE_QUANTITIES[key], value));
+    document.getElementById("var1").value = inputs.var1;
+    document.getElementById("val1").value = display(inputs.var1, inputs.val1);
+    document.getElementById("var2").value = inputs.var2;
+    document.getElementById("val2").value = display(inputs.var2, inputs.val2);
+
+    const psychrometer = inputs.psychrometer;
+    document.getElementById("psychrometerType").value = psychrometer
+        ? (PSYCHROMETER_COEFFICIENTS[psychrometer.instrument] ? psychrometer.instrument : "custom")
+        : "thermodynamic";
+    if (psychrometer) {
+        document.getElementById("psychrometerCoefficient").value =
+            roundDisplay(toDisplay("psychrometerCoefficient", psychrometer.coefficient));
+    }
+    updatePsychrometerInputs();
+
+    document.getElementById("p_total").value = roundDisplay(toDisplay("pressure", entry.P_total));
+    document.getElementById("p_total").dispatchEvent(new Event("input"));
+    document.getElementById("flowType").value = "m_da";
+    updateFlowUnits();
+    document.getElementById("flowValue").value = roundDisplay(toDisplay("massFlow", entry.m_da));
+
+    document.getElementById("calcBtn").click();
+}
+
+/**
+ * Saved states checked for comparison, in list order
+ */
+function selectedSavedEntries() {
+    return appState.saved.entries.filter(entry => appState.saved.selected.has(entry.id));
+}
+
+/**
+ * Checked saved states as chart points, when plotting is enabled
+ */
+function savedStatesOverlay() {
+    if (!appState.saved.plot) return null;
+    const points = selectedSavedEntries().map(entry => ({
+        state: entry,
+        label: entry.name,
+        color: "rgb(90, 70, 180)",
+    }));
+    return points.length ? { points } : null;
+}
+
+/**
+ * List of saved states, with their selection, rename, reload and delete
+ * controls, followed by the comparison table
+ */
+function renderSavedStates() {
+    const list = document.getElementById("savedList");
+    const { entries, selected } = appState.saved;
+    document.getElementById("savedEmpty").style.display = entries.length ? "none" : "block";
+
+    list.innerHTML = "";
+    entries.forEach(entry => {
+        const item = document.createElement("li");
+        item.className = "saved-item";
+        item.innerHTML = `
+            <input type="checkbox" class="saved-select" title="${t("saved.select")}">
+            <input type="text" class="saved-name" title="${t("saved.rename")}">
+            <button type="button" class="btn btn--secondary btn--sm saved-reload">${t("saved.reload")}</button>
+            <button type="button" class="stream-remove saved-delete" title="${t("saved.delete")}">&times;</button>
+        `;
+        const checkbox = item.querySelector(".saved-select");
+        checkbox.checked = selected.has(entry.id);
+        checkbox.addEventListener("change", () => {
+            if (checkbox.checked) selected.add(entry.id);
+            else selected.delete(entry.id);
+            renderSavedComparison();
+            redrawSavedStates();
+        });
+
+        const name = item.querySelector(".saved-name");
+        name.value = entry.name;
+        if (entry.savedAt) {
+            name.title = `${t("saved.rename")} (${new Date(entry.savedAt).toLocaleString(t("locale"))})`;
+        }
+        name.addEventListener("change", () => {
+            entry.name = name.value.trim() || entry.name;
+            name.value = entry.name;
+            storeSavedStates();
+            renderSavedComparison();
+            redrawSavedStates();
+        });
+
+        item.querySelector(".saved-reload").addEventListener("click", () => reloadSavedState(entry));
+        item.querySelector(".saved-delete").addEventListener("click", () => {
+            appState.saved.entries = entries.filter(other => other !== entry);
+            selected.delete(entry.id);
+            storeSavedStates();
+            renderSavedStates();
+            redrawSavedStates();
+        });
+        list.appendChild(item);
+    });
+
+    renderSavedComparison();
+}
+
+/**
+ * Side-by-side table of the checked states. Every column after the first
+ * also shows its difference from the first (the reference).
+ */
+function renderSavedComparison() {
+    const box = document.getElementById("savedCompare");
+    const entries = selectedSavedEntries();
+    document.getElementById("savedCompareHint").style.display =
+        appState.saved.entries.length && entries.length < 2 ? "block" : "none";
+    if (entries.length < 2) {
+        box.style.display = "none";
+        return;
+    }
+
+    const states = entries.map(savedEntryState);
+    document.getElementById("compareHead").innerHTML = `
+        <tr>
+            <th>${t("ui.col.property")}</th>
+            <th>${t("ui.col.unit")}</th>
+            ${entries.map((entry, i) => `<th>${escapeHtml(entry.name)}${i === 0 ? ` <span class="unit">(${t("saved.reference")})</span>` : ""}</th>`).join("")}
+        </tr>
+    `;
+
+    const cell = (quantity, value) => formatValue(toDisplay(quantity, value), appState.precision);
+    document.getElementById("compareBody").innerHTML = RESULT_DEFS
+        .filter(def => states.some(state => state[def.key] !== null))
+        .map(def => {
+            const reference = states[0][def.key];
+            const diffQuantity = DIFF_QUANTITIES[def.quantity] || def.quantity;
+            const cells = states.map((state, i) => {
+                const value = state[def.key];
+                if (value === null) return `<td class="value">–</td>`;
+                if (i === 0 || reference === null) return `<td class="value">${cell(def.quantity, value)}</td>`;
+                const diff = value - reference;
+                const sign = diff > 0 ? "+" : "";
+                return `<td class="value">${cell(def.quantity, value)}<br><span class="compare-diff">${sign}${cell(diffQuantity, diff)}</span></td>`;
+            });
+            return `<tr><td class="label">${t(`result.${def.key}`)}</td><td class="unit">${unitOf(def.quantity)}</td>${cells.join("")}</tr>`;
+        })
+        .join("");
+    box.style.display = "block";
+}
+
+/**
+ * Redraw the chart after the plotted selection changed
+ */
+function redrawSavedStates() {
+    if (appState.results) {
+        drawPsychrometricChart(appState.results, appState.overlay);
+    }
+}
+
+function exportSavedStates() {
+    const json = JSON.stringify(savedStatesData(), null, 2);
+    downloadBlob(new Blob([json], { type: "application/json" }), `${t("file.states")}.json`);
+}
+
+/**
+ * Append the states of an exported JSON file to the saved set
+ */
+function importSavedStates(file) {
+    file.text().then(text => {
+        let parsed = null;
+        try {
+            parsed = parseSavedStates(JSON.parse(text));
+        } catch (e) {
+            // Not JSON: reported below
+        }
+        if (!parsed) {
+            alert(t("saved.importError"));
+            return;
+        }
+        appState.saved.entries.push(...parsed.entries);
+        storeSavedStates();
+        renderSavedStates();
+        alert(t("saved.imported", { count: parsed.entries.length })
+            + (parsed.skipped ? t("saved.skipped", { count: parsed.skipped }) : ""));
+    });
+}
+
+// ============================================================================
+// PERMALINKS
+// ============================================================================
+
+// Significant digits of the numbers written into a permalink
+const PERMALINK_DIGITS = 10;
+
+/**
+ * Number for a permalink: SI value rounded to drop conversion noise
+ */
+function permalinkNumber(value) {
+    return String(Number(value.toPrecision(PERMALINK_DIGITS)));
+}
+
+/**
+ * Parameters describing the calculation entered in the form, in SI units
+ * so that a link reads the same whatever units it is opened with.
+ * Called after a successful calculation.
+ * 
+ * @returns {URLSearchParams} Calculation parameters (units and precision excluded)
+ */
+function calculationParams() {
+    const params = new URLSearchParams();
+    const number = (name, value) => params.set(name, permalinkNumber(value));
+    params.set("mode", appState.processType);
+
+    if (appState.processType === "mixing") {
+        document.querySelectorAll("#streamsList .stream-card").forEach(card => {
+            const var1 = card.querySelector(".stream-var1").value;
+            const var2 = card.querySelector(".stream-var2").value;
+            const flowType = card.querySelector(".stream-flow-type").value;
+            const value = (selector, quantity) =>
+                permalinkNumber(fromDisplay(quantity, parseFloat(card.querySelector(selector).value)));
+            params.append("stream", [
+                var1, value(".stream-val1", VARIABLE_QUANTITIES[var1]),
+                var2, value(".stream-val2", VARIABLE_QUANTITIES[var2]),
+                flowType, value(".stream-flow", flowQuantityOf(flowType)),
+            ].join(","));
+        });
+    } else if (appState.processType === "batch") {
+        // The table stays in the display units carried by the link
+        params.set("batch", document.getElementById("batchInput").value);
+    } else if (appState.processType === "climate") {
+        // The weather file is too large for a link: only the settings travel
+        number("heating_base", readDisplayInput("climateHeatingBase", "temperature"));
+        number("cooling_base", readDisplayInput("climateCoolingBase", "temperature"));
+        params.set("display", document.getElementById("climateDisplay").value);
+    } else if (appState.processType === "series") {
+        // The table stays in the display units carried by the link, limits are SI
+        params.set("series", document.getElementById("seriesInput").value);
+        readThresholds().forEach(threshold => {
+            params.append("threshold", [threshold.key, threshold.type, permalinkNumber(threshold.limit)].join(","));
+        });
+        params.set("trend", document.getElementById("seriesTrend").value);
+    } else {
+        params.set("var1", appState.var1);
+        number("val1", appState.val1);
+        params.set("var2", appState.var2);
+        number("val2", appState.val2);
+        number(`${appState.flow.type}_ref`, appState.flow.value);
+
+        const psychrometer = readPsychrometerInputs();
+        if (psychrometer) {
+            params.set("psychrometer", psychrometer.instrument);
+            if (psychrometer.instrument === "custom") number("coefficient", psychrometer.coefficient);
+        }
 
-    const resultDefs = [
-        { key: "Tdb", label: "Température sèche", unit: "°C" },
-        { key: "W", label: "Ratio d'humidité", unit: "kg_w/kg_da" },
-        { key: "RH", label: "Humidité relative", unit: "%" },
-        { key: "h", label: "Enthalpie", unit: "kJ/kg_da" },
-        { key: "Twb", label: "Température humide", unit: "°C" },
-        { key: "T_dew", label: "Température de rosée", unit: "°C" },
-        { key: "rho", label: "Densité", unit: "kg/m³" },
-        { key: "m_da", label: "Débit masse air sec", unit: "kg/s" },
-        { key: "V_dot", label: "Débit volumétrique", unit: "m³/h" },
-        { key: "Pv", label: "Pression de vapeur", unit: "Pa" },
-    ];
+        if (appState.processType === "process") {
+            const kind = document.getElementById("processKind").value;
+            const coilMode = document.getElementById("coilMode").value;
+            const byLeavingState = kind === "coil" && coilMode === "leaving";
+            params.set("process", kind);
+            if (kind === "coil") {
+                params.set("coil_mode", coilMode);
+            }
+            if (kind === "coil" && coilMode === "adp") {
+                number("adp", readDisplayInput("coilAdp", "temperature"));
+                number("bf", parseFloat(document.getElementById("coilBf").value));
+            }
+            if (kind === "sensible" || byLeavingState) {
+                number("target_tdb", readDisplayInput("targetTdb", "temperature"));
+            }
+            if (kind === "steam" || kind === "spray" || byLeavingState) {
+                const targetVar = document.getElementById("targetHumVar").value;
+                params.set("target_var", targetVar);
+                number("target_val", readDisplayInput("targetHumVal", VARIABLE_QUANTITIES[targetVar]));
+            }
+            if (kind === "evaporative") {
+                const evaporativeMode = document.getElementById("evaporativeMode").value;
+                params.set("evaporative_mode", evaporativeMode);
+                if (evaporativeMode !== "indirect") {
+                    number("direct_eff", parseFloat(document.getElementById("evaporativeDirect").value));
+                }
+                if (evaporativeMode !== "direct") {
+                    number("indirect_eff", parseFloat(document.getElementById("evaporativeIndirect").value));
+                }
+                if (evaporativeMode !== "direct" && document.getElementById("evaporativeSecondary").value === "state") {
+                    const var1 = document.getElementById("secondaryVar1").value;
+                    const var2 = document.getElementById("secondaryVar2").value;
+                    params.set("secondary", [
+                        var1, permalinkNumber(readDisplayInput("secondaryVal1", VARIABLE_QUANTITIES[var1])),
+                        var2, permalinkNumber(readDisplayInput("secondaryVal2", VARIABLE_QUANTITIES[var2])),
+                    ].join(","));
+                }
+            }
+        }
 
-    resultDefs.forEach(def => {
-        const value = state[def.key];
-        const tr = document.createElement("tr");
-        
-        // Get the short key for variable lookup
-        let varKey = def.key.toLowerCase();
-        if (def.key === "Tdb") varKey = "tdb";
-        if (def.key === "W") varKey = "w";
-        if (def.key === "RH") varKey = "rh";
-        if (def.key === "h") varKey = "h";
-        if (def.key === "Twb") varKey = "twb";
-        if (def.key === "T_dew") varKey = "tdp";
-        if (def.key === "m_da") varKey = "m_da";
-        if (def.key === "V_dot") varKey = "v_dot";
-        if (def.key === "Pv") varKey = "pv";
-        if (def.key === "rho") varKey = "rho";
-        
-        const hasExplanation = VARIABLE_EXPLANATIONS[varKey];
-        
-        tr.innerHTML = `
-            <td class="label">${def.label}</td>
-            <td class="unit">${def.unit}</td>
-            <td class="value">${formatValue(value, appState.precision)}</td>
-            <td>${hasExplanation ? `<button class="info-btn" data-var="${varKey}">ℹ️</button>` : ""}</td>
-        `;
-        tbody.appendChild(tr);
-    });
+        if (appState.processType === "room") {
+            const supply = document.getElementById("roomSupplyMode").value;
+            number("room_sensible", readDisplayInput("roomSensible", "power"));
+            number("room_latent", readDisplayInput("roomLatent", "power"));
+            params.set("supply", supply);
+            if (supply === "tdb") number("supply_tdb", readDisplayInput("roomSupplyTdb", "temperature"));
+        }
 
-    document.getElementById("results").style.display = "block";
-    document.getElementById("errorBox").classList.remove("show");
-    
-    // Draw chart
-    drawPsychrometricChart(state);
+        if (appState.processType === "cycle") {
+            const round = (key, value) => typeof value === "number" ? Number(permalinkNumber(value)) : value;
+            params.set("steps", JSON.stringify(appState.cycle.definitions, round));
+        }
+    }
+
+    number("p_total", appState.p_total);
+    if (settings.saturationModel !== document.getElementById("satModel").options[0].value) {
+        params.set("model", settings.saturationModel);
+    }
+    if (appState.comfort.enabled) {
+        params.set("comfort", "1");
+        number("met", appState.comfort.met);
+        number("clo", appState.comfort.clo);
+        number("air_speed", appState.comfort.airSpeed);
+        if (appState.comfort.MRT !== null) number("mrt", appState.comfort.MRT);
+    }
+    return params;
 }
 
-function showError(message) {
-    document.getElementById("errorBox").textContent = message;
-    document.getElementById("errorBox").classList.add("show");
-    document.getElementById("results").style.display = "none";
-    document.getElementById("successBox").classList.remove("show");
+/**
+ * Write the last calculation, display units and precision into the page
+ * URL, without adding a history entry
+ */
+function updatePermalink() {
+    if (!appState.link) return;
+    const params = new URLSearchParams(appState.link);
+    params.set("units", appState.units.system);
+    Object.entries(appState.units.overrides).forEach(([quantity, unit]) => params.set(`unit.${quantity}`, unit));
+    params.set("precision", appState.precision);
+    try {
+        history.replaceState(null, "", `${location.pathname}?${params}`);
+    } catch (e) {
+        // Some file:// pages refuse URL changes: the link is not updated
+    }
 }
 
-// ============================================================================
-// MODAL & EXPLANATIONS
-// ============================================================================
+/**
+ * Required permalink parameter
+ */
+function permalinkParam(params, name) {
+    const value = params.get(name);
+    if (value === null || value === "") {
+        throw new PsychroError("permalinkMissing", { param: name });
+    }
+    return value;
+}
 
-function showExplanation(varKey) {
-    const info = VARIABLE_EXPLANATIONS[varKey];
-    if (!info) return;
-    
-    document.getElementById("explanationTitle").textContent = info.name;
-    document.getElementById("explanationText").innerHTML = `
-        <strong>Unité:</strong> ${info.unit}<br><br>
-        ${info.explanation}
-    `;
-    document.getElementById("explanationModal").classList.add("show");
+/**
+ * Required numeric permalink parameter
+ */
+function permalinkValue(params, name) {
+    const text = permalinkParam(params, name);
+    const value = Number(text);
+    if (!Number.isFinite(value)) {
+        throw new PsychroError("permalinkValue", { param: name, value: text });
+    }
+    return value;
 }
 
-function closeExplanation() {
-    document.getElementById("explanationModal").classList.remove("show");
+/**
+ * Select the option given by a required permalink parameter
+ */
+function selectPermalinkOption(selectId, params, name) {
+    const select = document.getElementById(selectId);
+    const value = permalinkParam(params, name);
+    if (!Array.from(select.options).some(option => option.value === value)) {
+        throw new PsychroError("permalinkValue", { param: name, value });
+    }
+    select.value = value;
+    return value;
 }
 
-// ============================================================================
-// SELF-TEST
-// ============================================================================
+/**
+ * Fill the form from the parameters of a permalink. Invalid parameters
+ * throw a PsychroError; values out of range are left to the solver.
+ * 
+ * @param {URLSearchParams} params - Parameters written by updatePermalink
+ */
+function applyPermalinkParams(params) {
+    // Units first: the values below are converted into them
+    const system = params.get("units") || "SI";
+    if (!Object.hasOwn(UNIT_SYSTEMS, system)) {
+        throw new PsychroError("permalinkValue", { param: "units", value: system });
+    }
+    const overrides = {};
+    for (const [name, unit] of params) {
+        if (!name.startsWith("unit.")) continue;
+        const quantity = name.slice("unit.".length);
+        if (!OVERRIDE_QUANTITIES.includes(quantity) || !Object.hasOwn(UNITS[quantity], unit)) {
+            throw new PsychroError("permalinkValue", { param: name, value: unit });
+        }
+        overrides[quantity] = unit;
+    }
+    setUnits({ system, overrides });
+    buildUnitOverrides();
 
-const EXAMPLE_DATA = {
-    inputs: { var1: "tdb", val1: 40.227, var2: "rh", val2: 50.456 },
-    expected: {
-        Tdb: 40.227,
-        W: 0.024140,
-        RH: 50.456,
-        h: 102.590,
-        Twb: 30.589,
-        T_dew: 27.950,
+    if (params.has("precision")) {
+        const precision = params.get("precision");
+        const button = Array.from(document.querySelectorAll(".precision-btn")).find(btn => btn.dataset.prec === precision);
+        if (!button) {
+            throw new PsychroError("permalinkValue", { param: "precision", value: precision });
+        }
+        button.click();
     }
-};
 
-function runSelfTest() {
-    const testResults = document.getElementById("testResults");
-    testResults.innerHTML = "";
+    if (params.has("model")) {
+        setSaturationModel(selectPermalinkOption("satModel", params, "model"));
+    }
 
-    const tests = [
-        {
-            name: "Tdb + RH → W",
-            fn: () => {
-                const state = solveState({
-                    var1: "tdb", val1: 40.227,
-                    var2: "rh", val2: 50.456,
-                    P_total: 101325,
-                    m_da_ref: 1.0
-                });
-                const match = Math.abs(state.W - 0.024140) < 0.001;
-                return { pass: match, actual: state.W, expected: 0.024140 };
+    const mode = permalinkParam(params, "mode");
+    const radio = Array.from(document.querySelectorAll('input[name="processType"]')).find(input => input.value === mode);
+    if (!radio) {
+        throw new PsychroError("permalinkValue", { param: "mode", value: mode });
+    }
+    radio.checked = true;
+    radio.dispatchEvent(new Event("change"));
+
+    const display = (quantity, value) => roundDisplay(toDisplay(quantity, value));
+    const optionsOf = (id) => Array.from(document.getElementById(id).options).map(option => option.value).filter(Boolean);
+    const variables = optionsOf("var1");
+    const flowTypes = optionsOf("flowType");
+    document.getElementById("p_total").value = display("pressure", permalinkValue(params, "p_total"));
+    document.getElementById("p_total").dispatchEvent(new Event("input"));
+
+    if (mode === "mixing") {
+        const streams = params.getAll("stream").map(stream => {
+            const [var1, val1, var2, val2, flowType, flow] = stream.split(",");
+            const values = [val1, val2, flow].map(text => text ? Number(text) : NaN);
+            if (!variables.includes(var1) || !variables.includes(var2) || !flowTypes.includes(flowType)
+                || !values.every(Number.isFinite)) {
+                throw new PsychroError("permalinkValue", { param: "stream", value: stream });
             }
-        },
-        {
-            name: "Tdb + RH → h",
-            fn: () => {
-                const state = solveState({
-                    var1: "tdb", val1: 40.227,
-                    var2: "rh", val2: 50.456,
-                    P_total: 101325,
-                    m_da_ref: 1.0
-                });
-                const match = Math.abs(state.h - 102.590) < 2;
-                return { pass: match, actual: state.h, expected: 102.590 };
+            return { var1, val1: values[0], var2, val2: values[1], flowType, flow: values[2] };
+        });
+        document.getElementById("streamsList").innerHTML = "";
+        streams.forEach(stream => addStreamCard(stream));
+    } else if (mode === "batch") {
+        document.getElementById("batchInput").value = permalinkParam(params, "batch");
+    } else if (mode === "climate") {
+        document.getElementById("climateHeatingBase").value = display("temperature", permalinkValue(params, "heating_base"));
+        document.getElementById("climateCoolingBase").value = display("temperature", permalinkValue(params, "cooling_base"));
+        selectPermalinkOption("climateDisplay", params, "display");
+    } else if (mode === "series") {
+        document.getElementById("seriesInput").value = permalinkParam(params, "series");
+        setThresholds(params.getAll("threshold").map(threshold => {
+            const [key, type, limit] = threshold.split(",");
+            if (!SERIES_THRESHOLD_KEYS.includes(key) || !["above", "below"].includes(type)
+                || !limit || !Number.isFinite(Number(limit))) {
+                throw new PsychroError("permalinkValue", { param: "threshold", value: threshold });
             }
-        },
-        {
-            name: "Tdb + RH → Twb",
-            fn: () => {
-                const state = solveState({
-                    var1: "tdb", val1: 40.227,
-                    var2: "rh", val2: 50.456,
-                    P_total: 101325,
-                    m_da_ref: 1.0
-                });
-                const match = Math.abs(state.Twb - 30.589) < 1;
-                return { pass: match, actual: state.Twb, expected: 30.589 };
+            return { key, type, limit: Number(limit) };
+        }));
+        selectPermalinkOption("seriesTrend", params, "trend");
+    } else {
+        const var1 = selectPermalinkOption("var1", params, "var1");
+        const var2 = selectPermalinkOption("var2", params, "var2");
+        document.getElementById("val1").value = display(VARIABLE_QUANTITIES[var1], permalinkValue(params, "val1"));
+        document.getElementById("val2").value = display(VARIABLE_QUANTITIES[var2], permalinkValue(params, "val2"));
+
+        const flowType = flowTypes.find(type => params.has(`${type}_ref`));
+        if (flowType) {
+            document.getElementById("flowType").value = flowType;
+            updateFlowUnits();
+            document.getElementById("flowValue").value = display(flowQuantityOf(flowType), permalinkValue(params, `${flowType}_ref`));
+        }
+
+        document.getElementById("psychrometerType").value = "thermodynamic";
+        if (params.has("psychrometer") && selectPermalinkOption("psychrometerType", params, "psychrometer") === "custom") {
+            document.getElementById("psychrometerCoefficient").value =
+                display("psychrometerCoefficient", permalinkValue(params, "coefficient"));
+        }
+        updatePsychrometerInputs();
+
+        if (mode === "process") {
+            selectPermalinkOption("processKind", params, "process");
+            if (params.has("coil_mode")) selectPermalinkOption("coilMode", params, "coil_mode");
+            if (params.has("adp")) document.getElementById("coilAdp").value = display("temperature", permalinkValue(params, "adp"));
+            if (params.has("bf")) document.getElementById("coilBf").value = permalinkValue(params, "bf");
+            if (params.has("target_tdb")) {
+                document.getElementById("targetTdb").value = display("temperature", permalinkValue(params, "target_tdb"));
             }
-        },
-        {
-            name: "Tdb + RH → Tdp",
-            fn: () => {
-                const state = solveState({
-                    var1: "tdb", val1: 40.227,
-                    var2: "rh", val2: 50.456,
-                    P_total: 101325,
-                    m_da_ref: 1.0
-                });
-                const match = Math.abs(state.T_dew - 27.950) < 1;
-                return { pass: match, actual: state.T_dew, expected: 27.950 };
+            if (params.has("target_var")) {
+                const targetVar = selectPermalinkOption("targetHumVar", params, "target_var");
+                document.getElementById("targetHumVal").value =
+                    display(VARIABLE_QUANTITIES[targetVar], permalinkValue(params, "target_val"));
             }
-        },
-        {
-            name: "Tdb + W → RH",
-            fn: () => {
-                const state = solveState({
-                    var1: "tdb", val1: 40.227,
-                    var2: "w", val2: 0.024140,
-                    P_total: 101325,
-                    m_da_ref: 1.0
-                });
-                const match = Math.abs(state.RH - 50.456) < 2;
-                return { pass: match, actual: state.RH, expected: 50.456 };
+            if (params.has("evaporative_mode")) selectPermalinkOption("evaporativeMode", params, "evaporative_mode");
+            if (params.has("direct_eff")) document.getElementById("evaporativeDirect").value = permalinkValue(params, "direct_eff");
+            if (params.has("indirect_eff")) document.getElementById("evaporativeIndirect").value = permalinkValue(params, "indirect_eff");
+            document.getElementById("evaporativeSecondary").value = params.has("secondary") ? "state" : "inlet";
+            if (params.has("secondary")) {
+                const secondary = params.get("secondary");
+                const [var1, val1, var2, val2] = secondary.split(",");
+                const values = [val1, val2].map(text => text ? Number(text) : NaN);
+                if (!variables.includes(var1) || !variables.includes(var2) || !values.every(Number.isFinite)) {
+                    throw new PsychroError("permalinkValue", { param: "secondary", value: secondary });
+                }
+                document.getElementById("secondaryVar1").value = var1;
+                document.getElementById("secondaryVal1").value = display(VARIABLE_QUANTITIES[var1], values[0]);
+                document.getElementById("secondaryVar2").value = var2;
+                document.getElementById("secondaryVal2").value = display(VARIABLE_QUANTITIES[var2], values[1]);
             }
+            updateProcessFields();
         }
-    ];
 
-    let passCount = 0;
-    tests.forEach(test => {
-        try {
-            const result = test.fn();
-            const className = result.pass ? "pass" : "fail";
-            const icon = result.pass ? "✓" : "✗";
-            const item = document.createElement("div");
-            item.className = `test-item ${className}`;
-            item.innerHTML = `
-                <span class="test-icon">${icon}</span>
-                <span>${test.name}: ${formatValue(result.actual, 4)} (attendu: ${formatValue(result.expected, 4)})</span>
-            `;
-            testResults.appendChild(item);
-            if (result.pass) passCount++;
-        } catch (e) {
-            const item = document.createElement("div");
-            item.className = "test-item fail";
-            item.innerHTML = `<span class="test-icon">✗</span><span>${test.name}: ${e.message}</span>`;
-            testResults.appendChild(item);
+        if (mode === "room") {
+            document.getElementById("roomSensible").value = display("power", permalinkValue(params, "room_sensible"));
+            document.getElementById("roomLatent").value = display("power", permalinkValue(params, "room_latent"));
+            if (selectPermalinkOption("roomSupplyMode", params, "supply") === "tdb") {
+                document.getElementById("roomSupplyTdb").value = display("temperature", permalinkValue(params, "supply_tdb"));
+            }
+            updateRoomFields();
         }
-    });
 
-    testResults.classList.add("show");
-    console.log(`✓ Tests: ${passCount}/${tests.length} réussis`);
+        if (mode === "cycle") {
+            const text = permalinkParam(params, "steps");
+            let steps = null;
+            try {
+                steps = JSON.parse(text);
+            } catch (e) {
+                // Not JSON: reported below
+            }
+            if (!Array.isArray(steps) || steps.length === 0 || !steps.every(isCycleStep)) {
+                throw new PsychroError("permalinkValue", { param: "steps", value: text });
+            }
+            setCycleSteps(steps);
+        }
+    }
+
+    const comfort = params.get("comfort") === "1";
+    document.getElementById("comfortEnabled").checked = comfort;
+    if (comfort) {
+        document.getElementById("comfortMet").value = permalinkValue(params, "met");
+        document.getElementById("comfortClo").value = permalinkValue(params, "clo");
+        document.getElementById("comfortAirSpeed").value = display("velocity", permalinkValue(params, "air_speed"));
+        document.getElementById("comfortMrt").value = params.has("mrt") ? display("temperature", permalinkValue(params, "mrt")) : "";
+    }
+}
+
+/**
+ * Restore the calculation of the page URL, if any, and run it. A broken
+ * link is reported like any calculation error.
+ */
+function applyPermalink() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has("mode")) return;
+    try {
+        applyPermalinkParams(params);
+        document.getElementById("calcBtn").click();
+    } catch (e) {
+        showError(e);
+    }
+}
+
+/**
+ * Copy the link of the current calculation to the clipboard, or show it
+ * where the clipboard is unavailable
+ */
+function copyPermalink() {
+    if (!appState.link) {
+        alert(t("permalink.noResult"));
+        return;
+    }
+    const url = location.href;
+    const fallback = () => prompt(t("permalink.copy"), url);
+    if (!navigator.clipboard) {
+        fallback();
+        return;
+    }
+    navigator.clipboard.writeText(url).then(() => alert(t("permalink.copied")), fallback);
 }
 
 // ============================================================================
@@ -880,50 +5106,335 @@ function runSelfTest() {
 // ============================================================================
 
 document.addEventListener("DOMContentLoaded", () => {
+    // Interface language: the remembered choice, else the browser's
+    settings.language = preferredLanguage();
+
     // Calculate button
     document.getElementById("calcBtn").addEventListener("click", () => {
         try {
             appState.error = null;
-            appState.results = solveState({
-                var1: document.getElementById("var1").value,
-                val1: parseFloat(document.getElementById("val1").value),
-                var2: document.getElementById("var2").value,
-                val2: parseFloat(document.getElementById("val2").value),
-                P_total: parseFloat(document.getElementById("p_total").value),
-                m_da_ref: parseFloat(document.getElementById("m_da_ref").value)
-            });
+            appState.process = null;
+            appState.mixing = null;
+            appState.room = null;
+            appState.cycle = null;
+            appState.batch = null;
+            appState.climate = null;
+            appState.series = null;
+            const P_total = readDisplayInput("p_total", "pressure");
+            appState.p_total = P_total;
+            readComfortInputs();
+
+            if (appState.processType === "mixing") {
+                appState.mixing = solveMixing(readMixingStreams(P_total));
+                appState.results = appState.mixing.mixed;
+            } else if (appState.processType === "batch") {
+                const rows = solveBatch(
+                    parseBatchTable(document.getElementById("batchInput").value).map(batchRowFromDisplay),
+                    P_total
+                );
+                const first = rows.findIndex(row => row.state);
+                if (first < 0) {
+                    throw new PsychroError("batchNoRow", { line: rows[0].line, cause: rows[0].error });
+                }
+                appState.batch = { rows, sort: { key: "line", dir: 1 }, selected: first };
+                appState.results = rows[first].state;
+            } else if (appState.processType === "climate") {
+                appState.climate = solveClimate();
+                appState.results = appState.climate.coolingState;
+            } else if (appState.processType === "series") {
+                appState.series = solveSeriesTable(P_total);
+                const [first] = appState.series.sensors;
+                appState.results = first.samples[first.samples.length - 1].state;
+            } else {
+                appState.var1 = document.getElementById("var1").value;
+                appState.val1 = readDisplayInput("val1", VARIABLE_QUANTITIES[appState.var1]);
+                appState.var2 = document.getElementById("var2").value;
+                appState.val2 = readDisplayInput("val2", VARIABLE_QUANTITIES[appState.var2]);
+
+                const inputs = {
+                    var1: appState.var1,
+                    val1: appState.val1,
+                    var2: appState.var2,
+                    val2: appState.val2,
+                    P_total,
+                    flow: readFlowInputs()
+                };
+                const psychrometer = readPsychrometerInputs();
+                const state = psychrometer ? solvePsychrometer({ ...inputs, psychrometer }) : solveState(inputs);
 
-            displayResults(appState.results);
+                if (appState.processType === "process") {
+                    appState.process = solveProcess(state, {
+                        kind: document.getElementById("processKind").value,
+                        targetTdb: readDisplayInput("targetTdb", "temperature"),
+                        targetVar: document.getElementById("targetHumVar").value,
+                        targetVal: readDisplayInput("targetHumVal", VARIABLE_QUANTITIES[document.getElementById("targetHumVar").value]),
+                        coilMode: document.getElementById("coilMode").value,
+                        adp: readDisplayInput("coilAdp", "temperature"),
+                        bf: parseFloat(document.getElementById("coilBf").value),
+                        evaporativeMode: document.getElementById("evaporativeMode").value,
+                        directEffectiveness: parseFloat(document.getElementById("evaporativeDirect").value),
+                        indirectEffectiveness: parseFloat(document.getElementById("evaporativeIndirect").value),
+                        secondary: readEvaporativeSecondary(P_total)
+                    });
+                    appState.results = appState.process.outlet;
+                } else if (appState.processType === "room") {
+                    const byTemperature = document.getElementById("roomSupplyMode").value === "tdb";
+                    appState.room = solveRoomLoad(state, {
+                        sensible: readDisplayInput("roomSensible", "power"),
+                        latent: readDisplayInput("roomLatent", "power"),
+                        supplyTdb: byTemperature ? readDisplayInput("roomSupplyTdb", "temperature") : null,
+                        flow: byTemperature ? null : inputs.flow
+                    });
+                    appState.results = appState.room.supply;
+                } else if (appState.processType === "cycle") {
+                    appState.cycle = solveCycleSteps(state);
+                    appState.results = appState.cycle.states[appState.cycle.states.length - 1];
+                } else {
+                    appState.results = state;
+                }
+            }
+
+            renderResults();
+            appState.link = calculationParams();
+            updatePermalink();
             document.getElementById("successBox").classList.add("show");
-            document.getElementById("successMsg").textContent = "Calcul réussi!";
         } catch (e) {
-            showError(e.message);
+            showError(e);
         }
     });
 
     // Example button
     document.getElementById("exampleBtn").addEventListener("click", () => {
         document.getElementById("var1").value = "tdb";
-        document.getElementById("val1").value = "40.227";
+        document.getElementById("val1").value = roundDisplay(toDisplay("temperature", 40.227));
         document.getElementById("var2").value = "rh";
         document.getElementById("val2").value = "50.456";
         document.getElementById("calcBtn").click();
         runSelfTest();
     });
 
+    // Link to the current calculation
+    document.getElementById("copyLinkBtn").addEventListener("click", copyPermalink);
+
+    // Calculation mode (single state / process / mixing / batch / room loads / cycle / climate / series)
+    document.querySelectorAll('input[name="processType"]').forEach(radio => {
+        radio.addEventListener("change", () => {
+            appState.processType = radio.value;
+            document.getElementById("processPanel").classList.toggle("open", radio.value === "process");
+            document.getElementById("mixingPanel").classList.toggle("open", radio.value === "mixing");
+            document.getElementById("batchPanel").classList.toggle("open", radio.value === "batch");
+            document.getElementById("roomPanel").classList.toggle("open", radio.value === "room");
+            document.getElementById("cyclePanel").classList.toggle("open", radio.value === "cycle");
+            document.getElementById("climatePanel").classList.toggle("open", radio.value === "climate");
+            document.getElementById("seriesPanel").classList.toggle("open", radio.value === "series");
+            document.getElementById("stateInputs").style.display =
+                ["mixing", "batch", "climate", "series"].includes(radio.value) ? "none" : "block";
+        });
+    });
+
+    // Flow specification
+    document.getElementById("flowType").addEventListener("change", updateFlowUnits);
+    updateFlowUnits();
+
+    // Mixing streams: return air + outdoor air by default
+    addStreamCard({ var1: "tdb", val1: 24, var2: "rh", val2: 50, flowType: "m_da", flow: 0.8 });
+    addStreamCard({ var1: "tdb", val1: 32, var2: "rh", val2: 40, flowType: "m_da", flow: 0.2 });
+    document.getElementById("addStreamBtn").addEventListener("click", () => addStreamCard());
+
+    // Cycle steps: the example winter cycle by default, saved and reloaded as JSON
+    setCycleSteps(EXAMPLE_CYCLE.steps);
+    document.getElementById("addStepBtn").addEventListener("click", () => addStepCard());
+    document.getElementById("exampleCycleBtn").addEventListener("click", () => {
+        applyCycle(EXAMPLE_CYCLE);
+        document.getElementById("calcBtn").click();
+    });
+    document.getElementById("exportCycleBtn").addEventListener("click", exportCycle);
+    document.getElementById("importCycleBtn").addEventListener("click", () => {
+        document.getElementById("importCycleFile").click();
+    });
+    document.getElementById("importCycleFile").addEventListener("change", (e) => {
+        if (e.target.files.length) importCycle(e.target.files[0]);
+        e.target.value = "";
+    });
+
+    // Process kind: show only the targets the selected process needs
+    document.getElementById("processKind").addEventListener("change", updateProcessFields);
+    document.getElementById("coilMode").addEventListener("change", updateProcessFields);
+    document.getElementById("evaporativeMode").addEventListener("change", updateProcessFields);
+    document.getElementById("evaporativeSecondary").addEventListener("change", updateProcessFields);
+    ["secondaryVar1", "secondaryVar2"].forEach(id => {
+        document.getElementById(id).innerHTML = document.getElementById("var1").innerHTML;
+    });
+    document.getElementById("secondaryVar1").value = "tdb";
+    document.getElementById("secondaryVal1").value = roundDisplay(toDisplay("temperature", 26));
+    document.getElementById("secondaryVar2").value = "rh";
+    document.getElementById("secondaryVal2").value = 50;
+    updateProcessFields();
+
+    // Room loads: supply air given by its temperature or its flow
+    document.getElementById("roomSupplyMode").addEventListener("change", updateRoomFields);
+    updateRoomFields();
+
+    // Altitude ↔ barometric pressure (standard atmosphere), in display units
+    document.getElementById("altitude").addEventListener("input", () => {
+        const Z = readDisplayInput("altitude", "length");
+        if (!isNaN(Z)) {
+            document.getElementById("p_total").value = roundDisplay(toDisplay("pressure", pressureFromAltitude(Z)));
+        }
+    });
+    document.getElementById("p_total").addEventListener("input", () => {
+        const P = readDisplayInput("p_total", "pressure");
+        if (P > 0) {
+            document.getElementById("altitude").value = Math.round(toDisplay("length", altitudeFromPressure(P)));
+        }
+    });
+
+    // Unit system and per-quantity overrides
+    buildUnitOverrides();
+    document.getElementById("unitSystem").addEventListener("change", (e) => {
+        setUnits({ ...appState.units, system: e.target.value });
+    });
+
+    // Saturation vapor pressure model
+    document.getElementById("satModel").addEventListener("change", (e) => {
+        setSaturationModel(e.target.value);
+        if (appState.results) {
+            document.getElementById("calcBtn").click();
+        }
+    });
+
+    // Chart line toggles and axis ranges
+    document.querySelectorAll(".chart-line-toggle").forEach(box => {
+        box.addEventListener("change", () => {
+            appState.chart.lines[box.dataset.line] = box.checked;
+            drawPsychrometricChart(appState.results, appState.overlay);
+        });
+    });
+
+    ["chartTmin", "chartTmax", "chartWmin", "chartWmax"].forEach(id => {
+        document.getElementById(id).addEventListener("change", () => {
+            const T_min = readDisplayInput("chartTmin", "temperature");
+            const T_max = readDisplayInput("chartTmax", "temperature");
+            const W_min = readDisplayInput("chartWmin", "humidityRatio");
+            const W_max = readDisplayInput("chartWmax", "humidityRatio");
+
+            if (!(T_max > T_min) || !(W_max > W_min) || !(W_min >= 0) || T_min < T_SEARCH_MIN || T_max > T_SEARCH_MAX) {
+                const T_unit = unitOf("temperature");
+                const T_limits = [T_SEARCH_MIN, T_SEARCH_MAX].map(T => roundDisplay(toDisplay("temperature", T)));
+                alert(t("alert.chartRanges", { min: T_limits[0], max: T_limits[1], unit: T_unit }));
+                syncChartRangeInputs();
+                return;
+            }
+
+            setChartView({ T_min, T_max, W_min, W_max });
+        });
+    });
+
+    document.getElementById("chartResetBtn").addEventListener("click", () => {
+        setChartView(CHART_DEFAULT_VIEW);
+    });
+
+    initChartInteraction();
+
+    // Chart exports and printable report
+    document.getElementById("exportSvgBtn").addEventListener("click", exportChartSVG);
+    document.getElementById("exportPngBtn").addEventListener("click", exportChartPNG);
+    document.getElementById("printReportBtn").addEventListener("click", printReport);
+
+    // Batch mode: load a CSV file into the table area, export results
+    document.getElementById("batchFile").addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            document.getElementById("batchInput").value = text;
+        });
+    });
+    document.getElementById("exportCsvBtn").addEventListener("click", exportBatchCSV);
+
+    // Climate mode: the weather file stays in memory, and loading one runs the analysis
+    document.getElementById("climateFile").addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            appState.climateFile = { name: file.name, text };
+            document.getElementById("calcBtn").click();
+        });
+    });
+    document.getElementById("climateDisplay").addEventListener("change", () => {
+        if (appState.climate) {
+            renderResults();
+            updatePermalink();
+        }
+    });
+
+    // Series mode: load a logger file into the table area, edit the thresholds
+    document.getElementById("seriesFile").addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            document.getElementById("seriesInput").value = text;
+        });
+    });
+    setThresholds(DEFAULT_THRESHOLDS);
+    document.getElementById("addThresholdBtn").addEventListener("click", () => addThresholdCard());
+    document.getElementById("seriesTrend").addEventListener("change", (e) => {
+        if (!appState.series) return;
+        drawSeriesChart();
+        appState.link.set("trend", e.target.value);
+        updatePermalink();
+    });
+    window.addEventListener("resize", () => {
+        if (appState.results) scheduleChartRedraw();
+        if (appState.series) drawSeriesChart();
+    });
+
     // Advanced toggle
     document.getElementById("advToggle").addEventListener("click", () => {
         document.getElementById("advPanel").classList.toggle("open");
     });
 
+    // Thermal comfort: any change re-runs the current calculation
+    document.getElementById("comfortToggle").addEventListener("click", () => {
+        document.getElementById("comfortPanel").classList.toggle("open");
+    });
+    ["comfortEnabled", "comfortMet", "comfortClo", "comfortMrt", "comfortAirSpeed"].forEach(id => {
+        document.getElementById(id).addEventListener("change", () => {
+            if (appState.results) {
+                document.getElementById("calcBtn").click();
+            }
+        });
+    });
+
+    // Saved states, kept in browser storage
+    document.getElementById("savedToggle").addEventListener("click", () => {
+        document.getElementById("savedPanel").classList.toggle("open");
+    });
+    document.getElementById("saveStateBtn").addEventListener("click", saveCurrentState);
+    document.getElementById("savedPlot").addEventListener("change", (e) => {
+        appState.saved.plot = e.target.checked;
+        redrawSavedStates();
+    });
+    document.getElementById("exportStatesBtn").addEventListener("click", exportSavedStates);
+    document.getElementById("importStatesBtn").addEventListener("click", () => {
+        document.getElementById("importStatesFile").click();
+    });
+    document.getElementById("importStatesFile").addEventListener("change", (e) => {
+        if (e.target.files.length) importSavedStates(e.target.files[0]);
+        e.target.value = "";
+    });
+    appState.saved.entries = loadSavedStates();
+    renderSavedStates();
+
     // Precision selector
     document.querySelectorAll(".precision-btn").forEach(btn => {
         btn.addEventListener("click", () => {
             document.querySelectorAll(".precision-btn").forEach(b => b.classList.remove("active"));
             btn.classList.add("active");
             appState.precision = parseInt(btn.dataset.prec);
+            renderSavedComparison();
+            updatePermalink();
             if (appState.results) {
-                displayResults(appState.results);
+                renderResults();
             }
         });
     });
@@ -940,7 +5451,7 @@ document.addEventListener("DOMContentLoaded", () => {
             document.getElementById(`${tabName}-content`).classList.add("active");
             
             if (tabName === "chart" && appState.results) {
-                setTimeout(() => drawPsychrometricChart(appState.results), 0);
+                setTimeout(() => drawPsychrometricChart(appState.results, appState.overlay), 0);
             }
         });
     });
@@ -951,7 +5462,7 @@ document.addEventListener("DOMContentLoaded", () => {
         const v2 = document.getElementById("var2").value;
         if (v1 && v1 === v2) {
             document.getElementById("var2").value = "";
-            alert("Sélectionnez deux variables différentes.");
+            alert(t("alert.sameVariables"));
         }
     });
 
@@ -960,10 +5471,21 @@ document.addEventListener("DOMContentLoaded", () => {
         const v2 = document.getElementById("var2").value;
         if (v2 && v1 === v2) {
             document.getElementById("var1").value = "";
-            alert("Sélectionnez deux variables différentes.");
+            alert(t("alert.sameVariables"));
         }
     });
 
+    // Psychrometer settings, shown for a wet-bulb input
+    ["var1", "var2", "psychrometerType"].forEach(id => {
+        document.getElementById(id).addEventListener("change", updatePsychrometerInputs);
+    });
+
+    // Language switch
+    document.getElementById("languageSelect").addEventListener("change", (e) => {
+        setLanguage(e.target.value);
+    });
+    applyTranslations();
+
     // Modal handlers
     document.getElementById("resultsBody").addEventListener("click", (e) => {
         if (e.target.classList.contains("info-btn")) {
@@ -984,4 +5506,7 @@ document.addEventListener("DOMContentLoaded", () => {
     // Initialize
     console.log("✓ Calculateur Psychrométrique chargé");
     runSelfTest();
+
+    // Calculation shared through the page URL
+    applyPermalink();
 });
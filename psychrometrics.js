@@ -0,0 +1,2777 @@
+/**
+ * PSYCHROMETRICS - Headless moist-air property library
+ * 
+ * DOM-free physics of the psychrometric calculator: saturation models,
+ * moist-air properties, the two-variable state solver, air-handling
+ * processes, adiabatic mixing and batch tables. The page (app.js) and
+ * any other tool use the exact same calculations.
+ * 
+ * Loading:
+ * - Browser: <script src="psychrometrics.js"> defines `Psychrometrics`
+ * - Node / CommonJS bundlers: const psy = require("./psychrometrics.js")
+ * - AMD: define(["psychrometrics"], (psy) => ...)
+ * 
+ * Conventions:
+ * - Every value is SI: °C, kg_w/kg_da, kJ/kg_da, Pa, m³/kg_da, kg/s, m³/h, kW
+ * - Results are plain objects (see computeState for the state properties)
+ * - Invalid inputs throw a PsychroError with a stable `code` and its
+ *   `params`; the message is in the language of `settings.language`
+ * 
+ * References:
+ * - ASHRAE Fundamentals Handbook (SI)
+ * - Hyland–Wexler, IAPWS and Magnus formulas for saturation pressure,
+ *   over liquid water and over ice
+ * - Psychrometric relations (ISO/IEC standards)
+ */
+
+(function (root, factory) {
+    if (typeof define === "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Psychrometrics = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+"use strict";
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONSTANTS = {
+    // Gas constant for dry air [J/(kg·K)]
+    R_DA: 287.058,
+    // Specific heat of dry air [kJ/(kg·K)]
+    C_DA: 1.006,
+    // Latent heat of vaporization at 0°C [kJ/kg]
+    H_FG_0: 2501,
+    // Temperature coefficient for latent heat [kJ/(kg·K)]
+    H_FG_T: 1.86,
+    // Humidity ratio factor
+    K_W: 0.622,
+    // Standard atmospheric pressure [Pa]
+    P_STD: 101325,
+    // Gas constant for water vapor [J/(kg·K)]
+    R_V: 461.52,
+    // Specific heat of liquid water [kJ/(kg·K)]
+    C_W: 4.186,
+    // Steam supply temperature for steam humidifiers [°C]
+    T_STEAM: 100,
+    // Specific heat of ice [kJ/(kg·K)]
+    C_ICE: 2.1,
+    // Latent heat of fusion at 0°C [kJ/kg]
+    H_IF: 333.4,
+    // Density of standard air (dry, 20°C, 101325 Pa) [kg/m³]
+    RHO_STD: 1.204,
+};
+
+/**
+ * Physical model settings shared by every solver
+ */
+const settings = {
+    // Saturation vapor pressure model (key of SATURATION_MODELS)
+    saturationModel: "hyland_wexler",
+    // Language of error messages (key of ERROR_MESSAGES)
+    language: "fr",
+};
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Error messages per language, keyed by PsychroError code.
+ * `{name}` placeholders are filled from the error's params.
+ */
+const ERROR_MESSAGES = {
+    fr: {
+        unknownModel: "Modèle de pression de saturation inconnu: {model}",
+        flowNegative: "Le débit doit être positif.",
+        unknownVolumeUnit: "Unité de débit volumique inconnue : {unit}",
+        unknownFlowType: "Type de débit inconnu : {type}",
+        missingInputs: "Sélectionnez deux variables et entrez les valeurs.",
+        pressureRange: "La pression totale doit être comprise entre {min} et {max} Pa.",
+        sameVariables: "Les deux variables indépendantes doivent être différentes.",
+        twbAboveTdb: "La température humide ne peut pas dépasser la température sèche.",
+        tdpAboveTdb: "La température de rosée ne peut pas dépasser la température sèche.",
+        dependentPair: "Paire non indépendante : {var1} et {var2} dépendent tous deux uniquement du ratio d'humidité.",
+        dependentTemperaturePair: "Paire non indépendante : {var1} et {var2} dépendent tous deux uniquement de la température sèche.",
+        psychrometerPair: "Le mode psychromètre nécessite la paire Tdb + Twb (lectures des deux thermomètres).",
+        psychrometerInstrument: "Type de psychromètre inconnu : {instrument}.",
+        psychrometerCoefficient: "Coefficient psychrométrique hors plage : {value} K⁻¹ (attendu entre {min} et {max}).",
+        psychrometerDry: "Lectures incohérentes : la dépression psychrométrique donne une pression de vapeur négative.",
+        unknownVariable: "Variable inconnue : {key}",
+        rhRange: "L'humidité relative doit être entre 0 et 100%.",
+        wNegative: "Le ratio d'humidité ne peut pas être négatif.",
+        pvRange: "La pression de vapeur doit être positive et inférieure à la pression totale.",
+        outOfRange: "Valeur hors plage pour {key} : {value} (attendu entre {min} et {max}).",
+        noSolution: "Aucun état physique ne correspond à {var1} = {val1} et {var2} = {val2}.",
+        ambiguousPair: "Paire ambiguë : {var1} = {val1} et {var2} = {val2} correspondent à deux états (Tdb = {T1} °C et {T2} °C). Choisissez une autre paire.",
+        supersaturated: "État sursaturé (non physique).",
+        unknownProcess: "Processus non implémenté: {kind}",
+        missingTargetTdb: "Entrez la température sèche de sortie.",
+        belowDewPoint: "La température de sortie est sous le point de rosée : le refroidissement ne peut plus être sensible.",
+        missingTargetHumidity: "Entrez la consigne d'humidité de sortie.",
+        missingTargetVar: "Sélectionnez la consigne d'humidité de sortie (W ou RH).",
+        humidifierDrying: "La consigne d'humidité est inférieure à l'état d'entrée : un humidificateur ne peut pas déshumidifier.",
+        recoveryEffectiveness: "L'efficacité de récupération doit être comprise entre 0 et 1.",
+        recoveryExhaust: "Définissez l'air extrait de la récupération de chaleur.",
+        recoverySaturated: "L'air sortant de la récupération serait sursaturé (condensation ou givrage non modélisés).",
+        targetSupersaturated: "Consigne d'humidité inatteignable : l'air serait sursaturé en sortie.",
+        missingAdp: "Entrez la température du point de rosée de l'appareil (ADP).",
+        bypassRange: "Le facteur de bipasse doit être compris entre 0 et 1.",
+        adpAboveDewPoint: "L'ADP doit être inférieur au point de rosée d'entrée pour déshumidifier.",
+        coilNotCoolingDrying: "L'état de sortie d'une batterie froide doit être plus froid et plus sec que l'état d'entrée.",
+        adpNotFound: "La ligne de la batterie ne coupe pas la courbe de saturation : ADP introuvable.",
+        evaporativeMode: "Type de refroidisseur évaporatif inconnu : {mode} (direct, indirect ou twoStage).",
+        evaporativeEffectiveness: "L'efficacité du refroidisseur évaporatif doit être comprise entre 0 et 1.",
+        evaporativeSecondary: "La température humide de l'air secondaire doit être inférieure à la température sèche d'entrée pour refroidir.",
+        mixingStreams: "Le mélange nécessite au moins deux flux d'air.",
+        mixingFlow: "Le débit total d'air sec doit être positif.",
+        mixingFog: "Le mélange est sursaturé : formation de brouillard (condensation non modélisée).",
+        roomLoads: "Entrez les charges sensible et latente du local (au moins une non nulle).",
+        roomSupplySpec: "Entrez la température ou le débit de l'air soufflé.",
+        roomSupplyTemperature: "L'air soufflé doit être plus froid que le local pour une charge sensible positive, plus chaud pour une charge négative.",
+        roomFlow: "Le débit d'air soufflé doit être positif.",
+        roomSupplySaturated: "L'air soufflé serait sursaturé : augmentez la température ou le débit de soufflage.",
+        roomSupplyDry: "Charge latente trop forte pour ce soufflage : l'air soufflé aurait un ratio d'humidité négatif.",
+        batchEmpty: "Le tableau doit contenir une ligne d'en-tête et au moins une ligne de données.",
+        batchColumns: "Colonnes inconnues : {unknown}. Colonnes acceptées : {accepted}.",
+        batchNumber: "Valeur non numérique dans la colonne {name} : « {raw} »",
+        batchFlowColumns: "Une seule colonne de débit par ligne",
+        batchProperties: "Deux variables d'état attendues, {count} renseignée(s)",
+        batchNoRow: "Aucune ligne n'a pu être calculée (ligne {line} : {cause})",
+        epwFormat: "Fichier EPW invalide : ligne LOCATION ou DATA PERIODS introuvable.",
+        epwRecord: "Enregistrement EPW incomplet.",
+        epwMissing: "Température sèche ou point de rosée manquant.",
+        epwEmpty: "Le fichier EPW ne contient aucune heure exploitable.",
+        climateBase: "Les températures de base des degrés-jours doivent être des nombres.",
+        climateFile: "Chargez un fichier météo EPW.",
+        seriesTime: "Colonne d'horodatage manquante ({accepted}).",
+        seriesColumns: "Deux colonnes de variables d'état attendues par capteur, trouvé : {columns}.",
+        seriesTimestamp: "Horodatage illisible : « {raw} » (AAAA-MM-JJ hh:mm ou JJ/MM/AAAA hh:mm)",
+        seriesNoSample: "Aucun échantillon n'a pu être calculé (ligne {line} : {cause})",
+        seriesSingleSample: "Ligne {line} : seul échantillon calculé de son capteur, sa durée est inconnue (au moins deux relevés par capteur).",
+        seriesThreshold: "Seuil invalide : propriété parmi {keys}, sens « above » ou « below » et limite numérique.",
+        stream: "Flux {stream} : {cause}",
+        secondaryAir: "Air secondaire : {cause}",
+        cycleEmpty: "Le cycle doit comporter au moins une étape.",
+        cycleStep: "Étape {step} : {cause}",
+        permalinkMissing: "Lien invalide : le paramètre « {param} » est manquant.",
+        permalinkValue: "Lien invalide : valeur « {value} » incorrecte pour le paramètre « {param} ».",
+        comfortRange: "Paramètre de confort {name} hors du domaine de validité de l'ISO 7730 : {value} (attendu entre {min} et {max}).",
+        comfortNoConvergence: "Le calcul du PMV ne converge pas pour ces conditions.",
+        unknownLanguage: "Langue inconnue : {language}",
+    },
+    en: {
+        unknownModel: "Unknown saturation pressure model: {model}",
+        flowNegative: "The flow must be positive.",
+        unknownVolumeUnit: "Unknown volume flow unit: {unit}",
+        unknownFlowType: "Unknown flow type: {type}",
+        missingInputs: "Select two variables and enter their values.",
+        pressureRange: "The total pressure must be between {min} and {max} Pa.",
+        sameVariables: "The two independent variables must be different.",
+        twbAboveTdb: "The wet-bulb temperature cannot exceed the dry-bulb temperature.",
+        tdpAboveTdb: "The dew-point temperature cannot exceed the dry-bulb temperature.",
+        dependentPair: "Pair not independent: {var1} and {var2} both depend only on the humidity ratio.",
+        dependentTemperaturePair: "Pair not independent: {var1} and {var2} both depend only on the dry-bulb temperature.",
+        psychrometerPair: "Psychrometer mode requires the pair Tdb + Twb (readings of both thermometers).",
+        psychrometerInstrument: "Unknown psychrometer type: {instrument}.",
+        psychrometerCoefficient: "Psychrometric coefficient out of range: {value} K⁻¹ (expected between {min} and {max}).",
+        psychrometerDry: "Inconsistent readings: the wet-bulb depression gives a negative vapor pressure.",
+        unknownVariable: "Unknown variable: {key}",
+        rhRange: "The relative humidity must be between 0 and 100%.",
+        wNegative: "The humidity ratio cannot be negative.",
+        pvRange: "The vapor pressure must be positive and lower than the total pressure.",
+        outOfRange: "Value out of range for {key}: {value} (expected between {min} and {max}).",
+        noSolution: "No physical state matches {var1} = {val1} and {var2} = {val2}.",
+        ambiguousPair: "Ambiguous pair: {var1} = {val1} and {var2} = {val2} match two states (Tdb = {T1} °C and {T2} °C). Choose another pair.",
+        supersaturated: "Supersaturated state (not physical).",
+        unknownProcess: "Process not implemented: {kind}",
+        missingTargetTdb: "Enter the leaving dry-bulb temperature.",
+        belowDewPoint: "The leaving temperature is below the dew point: the cooling can no longer be sensible.",
+        missingTargetHumidity: "Enter the leaving humidity setpoint.",
+        missingTargetVar: "Select the leaving humidity setpoint (W or RH).",
+        humidifierDrying: "The humidity setpoint is below the inlet state: a humidifier cannot dehumidify.",
+        recoveryEffectiveness: "The heat recovery effectiveness must be between 0 and 1.",
+        recoveryExhaust: "Define the exhaust air of the heat recovery.",
+        recoverySaturated: "The air leaving the heat recovery would be supersaturated (condensation or frosting is not modeled).",
+        targetSupersaturated: "Humidity setpoint out of reach: the leaving air would be supersaturated.",
+        missingAdp: "Enter the apparatus dew point (ADP) temperature.",
+        bypassRange: "The bypass factor must be between 0 and 1.",
+        adpAboveDewPoint: "The ADP must be below the entering dew point to dehumidify.",
+        coilNotCoolingDrying: "The leaving state of a cooling coil must be colder and drier than the entering state.",
+        adpNotFound: "The coil line does not meet the saturation curve: ADP not found.",
+        evaporativeMode: "Unknown evaporative cooler type: {mode} (direct, indirect or twoStage).",
+        evaporativeEffectiveness: "The evaporative cooler effectiveness must be between 0 and 1.",
+        evaporativeSecondary: "The wet-bulb temperature of the secondary air must be below the entering dry-bulb temperature to cool.",
+        mixingStreams: "Mixing needs at least two airstreams.",
+        mixingFlow: "The total dry-air flow must be positive.",
+        mixingFog: "The mixture is supersaturated: fog forms (condensation is not modeled).",
+        roomLoads: "Enter the sensible and latent room loads (at least one non-zero).",
+        roomSupplySpec: "Enter the supply air temperature or flow.",
+        roomSupplyTemperature: "The supply air must be colder than the room for a positive sensible load, warmer for a negative one.",
+        roomFlow: "The supply air flow must be positive.",
+        roomSupplySaturated: "The supply air would be supersaturated: raise the supply temperature or flow.",
+        roomSupplyDry: "Latent load too high for this supply: the supply air would have a negative humidity ratio.",
+        batchEmpty: "The table must have a header line and at least one data line.",
+        batchColumns: "Unknown columns: {unknown}. Accepted columns: {accepted}.",
+        batchNumber: "Non-numeric value in column {name}: “{raw}”",
+        batchFlowColumns: "Only one flow column per row",
+        batchProperties: "Two state variables expected, {count} given",
+        batchNoRow: "No row could be solved (line {line}: {cause})",
+        epwFormat: "Invalid EPW file: LOCATION or DATA PERIODS line not found.",
+        epwRecord: "Incomplete EPW record.",
+        epwMissing: "Missing dry-bulb or dew point.",
+        epwEmpty: "The EPW file holds no usable hour.",
+        climateBase: "The degree-day base temperatures must be numbers.",
+        climateFile: "Load an EPW weather file.",
+        seriesTime: "Missing timestamp column ({accepted}).",
+        seriesColumns: "Two state variable columns expected per sensor, found: {columns}.",
+        seriesTimestamp: "Unreadable timestamp: “{raw}” (YYYY-MM-DD hh:mm or DD/MM/YYYY hh:mm)",
+        seriesNoSample: "No sample could be solved (line {line}: {cause})",
+        seriesSingleSample: "Line {line}: only solved sample of its sensor, so its duration is unknown (at least two readings per sensor).",
+        seriesThreshold: "Invalid threshold: property among {keys}, type “above” or “below” and a numeric limit.",
+        stream: "Stream {stream}: {cause}",
+        secondaryAir: "Secondary air: {cause}",
+        cycleEmpty: "The cycle needs at least one step.",
+        cycleStep: "Step {step}: {cause}",
+        permalinkMissing: "Invalid link: the “{param}” parameter is missing.",
+        permalinkValue: "Invalid link: incorrect value “{value}” for the “{param}” parameter.",
+        comfortRange: "Comfort parameter {name} outside the ISO 7730 validity range: {value} (expected between {min} and {max}).",
+        comfortNoConvergence: "The PMV calculation does not converge for these conditions.",
+        unknownLanguage: "Unknown language: {language}",
+    },
+};
+
+/**
+ * Message of an error code, with `{name}` placeholders filled from
+ * `params` (error parameters are replaced by their own message)
+ * 
+ * @param {string} code - Key of ERROR_MESSAGES
+ * @param {Object} [params] - Placeholder values
+ * @param {string} [language] - Defaults to settings.language
+ * @returns {string}
+ */
+function formatMessage(code, params = {}, language = settings.language) {
+    const messages = ERROR_MESSAGES[language] || ERROR_MESSAGES.fr;
+    const template = messages[code] !== undefined ? messages[code] : code;
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return value instanceof Error ? errorMessage(value, language) : String(value);
+    });
+}
+
+/**
+ * Error thrown by the library: a stable `code` plus the values of its
+ * message, so that callers can test the code and show the message in
+ * any language
+ */
+class PsychroError extends Error {
+    /**
+     * @param {string} code - Key of ERROR_MESSAGES
+     * @param {Object} [params] - Placeholder values of the message
+     */
+    constructor(code, params = {}) {
+        super(formatMessage(code, params));
+        this.name = "PsychroError";
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * Message of any error in a language (other errors keep their message)
+ * 
+ * @param {Error} error
+ * @param {string} [language] - Defaults to settings.language
+ * @returns {string}
+ */
+function errorMessage(error, language = settings.language) {
+    return error instanceof PsychroError ? formatMessage(error.code, error.params, language) : error.message;
+}
+
+/**
+ * Select the language of error messages
+ * 
+ * @param {string} language - Key of ERROR_MESSAGES ("fr" or "en")
+ */
+function setLanguage(language) {
+    if (!ERROR_MESSAGES[language]) {
+        throw new PsychroError("unknownLanguage", { language });
+    }
+    settings.language = language;
+}
+
+// ============================================================================
+// THERMODYNAMIC FUNCTIONS
+// ============================================================================
+
+/**
+ * Saturation vapor pressure formulations, over liquid water and over ice.
+ * Each function takes a temperature [°C] and returns a pressure [Pa].
+ * 
+ * References:
+ * - Magnus: Lawrence (2005) over water, Sonntag (1990) over ice
+ * - Hyland–Wexler: ASHRAE Fundamentals (SI) 2017, Ch. 1, Eq. 5 and 6
+ * - IAPWS: Wagner & Pruß (2002) over water, Wagner et al. (2011) over ice
+ */
+const SATURATION_MODELS = {
+    magnus: {
+        name: "Magnus",
+        water: (T) => 611.2 * Math.exp((17.27 * T) / (237.7 + T)),
+        ice: (T) => 611.2 * Math.exp((22.46 * T) / (272.62 + T)),
+    },
+    hyland_wexler: {
+        name: "Hyland–Wexler (ASHRAE)",
+        water: (T) => {
+            const T_K = T + 273.15;
+            return Math.exp(
+                -5.8002206e3 / T_K + 1.3914993 - 4.8640239e-2 * T_K
+                + 4.1764768e-5 * T_K ** 2 - 1.4452093e-8 * T_K ** 3
+                + 6.5459673 * Math.log(T_K)
+            );
+        },
+        ice: (T) => {
+            const T_K = T + 273.15;
+            return Math.exp(
+                -5.6745359e3 / T_K + 6.3925247 - 9.6778430e-3 * T_K
+                + 6.2215701e-7 * T_K ** 2 + 2.0747825e-9 * T_K ** 3
+                - 9.4840240e-13 * T_K ** 4 + 4.1635019 * Math.log(T_K)
+            );
+        },
+    },
+    iapws: {
+        name: "IAPWS",
+        water: (T) => {
+            const T_c = 647.096; // [K] critical temperature
+            const p_c = 22.064e6; // [Pa] critical pressure
+            const tau = 1 - (T + 273.15) / T_c;
+            const sum = -7.85951783 * tau + 1.84408259 * tau ** 1.5
+                - 11.7866497 * tau ** 3 + 22.6807411 * tau ** 3.5
+                - 15.9618719 * tau ** 4 + 1.80122502 * tau ** 7.5;
+            return p_c * Math.exp((T_c / (T + 273.15)) * sum);
+        },
+        ice: (T) => {
+            const T_t = 273.16; // [K] triple-point temperature
+            const p_t = 611.657; // [Pa] triple-point pressure
+            const theta = (T + 273.15) / T_t;
+            const sum = -21.2144006 * theta ** 0.00333333333
+                + 27.3203819 * theta ** 1.20666667
+                - 6.10598130 * theta ** 1.70333333;
+            return p_t * Math.exp(sum / theta);
+        },
+    },
+};
+
+/**
+ * Select the saturation vapor pressure model used by every solver
+ * 
+ * @param {string} model - Key of SATURATION_MODELS
+ */
+function setSaturationModel(model) {
+    if (!SATURATION_MODELS[model]) {
+        throw new PsychroError("unknownModel", { model });
+    }
+    settings.saturationModel = model;
+}
+
+/**
+ * Saturation vapor pressure with the selected model.
+ * Following ASHRAE, saturation is taken over ice below 0°C unless a
+ * phase is forced (dew point and wet-bulb are defined over liquid water).
+ * Valid range: -100°C to +200°C (Hyland–Wexler, IAPWS)
+ * 
+ * @param {number} T - Temperature [°C]
+ * @param {string} [phase="auto"] - "auto" (ice below 0°C), "water" or "ice"
+ * @returns {number} Saturation vapor pressure [Pa]
+ */
+function saturationVaporPressure(T, phase = "auto") {
+    const model = SATURATION_MODELS[settings.saturationModel];
+    const overIce = phase === "ice" || (phase === "auto" && T < 0);
+    return overIce ? model.ice(T) : model.water(T);
+}
+
+/**
+ * Inverse of saturationVaporPressure: find temperature given saturation pressure
+ * Bisection on ln(p_sat), which is monotonic in T for every model.
+ * 
+ * @param {number} p_sat - Saturation vapor pressure [Pa]
+ * @param {string} [phase="auto"] - "auto" (ice below 0°C), "water" or "ice"
+ * @returns {number} Temperature [°C]
+ */
+function temperatureFromSaturationPressure(p_sat, phase = "auto") {
+    if (!(p_sat > 0)) return -Infinity;
+
+    const target = Math.log(p_sat);
+    let T_low = -100;
+    let T_high = 200;
+    const tolerance = 1e-6; // [°C]
+    const maxIterations = 100;
+    let iterations = 0;
+
+    while (T_high - T_low > tolerance && iterations < maxIterations) {
+        const T_mid = (T_low + T_high) / 2;
+
+        if (Math.log(saturationVaporPressure(T_mid, phase)) < target) {
+            T_low = T_mid;
+        } else {
+            T_high = T_mid;
+        }
+        iterations++;
+    }
+
+    return (T_low + T_high) / 2;
+}
+
+/**
+ * Barometric pressure from altitude, standard atmosphere
+ * P = 101325 * (1 - 2.25577e-5 * Z)^5.2559
+ * 
+ * Reference: ASHRAE Fundamentals (SI), Ch. 1, Eq. 3
+ * 
+ * @param {number} Z - Altitude above sea level [m]
+ * @returns {number} Barometric pressure [Pa]
+ */
+function pressureFromAltitude(Z) {
+    return CONSTANTS.P_STD * Math.pow(1 - 2.25577e-5 * Z, 5.2559);
+}
+
+/**
+ * Inverse: altitude of the standard atmosphere at a given pressure
+ * 
+ * @param {number} P_total - Barometric pressure [Pa]
+ * @returns {number} Altitude above sea level [m]
+ */
+function altitudeFromPressure(P_total) {
+    return (1 - Math.pow(P_total / CONSTANTS.P_STD, 1 / 5.2559)) / 2.25577e-5;
+}
+
+/**
+ * Compute humidity ratio from vapor pressure and dry-air partial pressure
+ * W = 0.622 * Pv / (P_total - Pv)
+ * 
+ * @param {number} Pv - Vapor pressure [Pa]
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {number} Humidity ratio [kg_w/kg_da]
+ */
+function humidityRatioFromVaporPressure(Pv, P_total) {
+    if (Pv >= P_total) return Infinity;
+    return CONSTANTS.K_W * Pv / (P_total - Pv);
+}
+
+/**
+ * Inverse: compute vapor pressure from humidity ratio
+ * Pv = P_total * W / (0.622 + W)
+ * 
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {number} Vapor pressure [Pa]
+ */
+function vaporPressureFromHumidityRatio(W, P_total) {
+    return P_total * W / (CONSTANTS.K_W + W);
+}
+
+/**
+ * Compute relative humidity from vapor pressure and saturation pressure
+ * RH = 100 * Pv / p_sat(T)
+ * 
+ * @param {number} Pv - Vapor pressure [Pa]
+ * @param {number} T - Temperature [°C]
+ * @returns {number} Relative humidity [%]
+ */
+function relativeHumidity(Pv, T) {
+    const p_sat = saturationVaporPressure(T);
+    return 100 * Pv / p_sat;
+}
+
+/**
+ * Compute saturation humidity ratio
+ * W_sat = 0.622 * p_sat(T) / (P_total - p_sat(T))
+ * 
+ * @param {number} T - Temperature [°C]
+ * @param {number} P_total - Total pressure [Pa]
+ * @param {string} [phase="auto"] - "auto" (ice below 0°C), "water" or "ice"
+ * @returns {number} Saturation humidity ratio [kg_w/kg_da]
+ */
+function saturationHumidityRatio(T, P_total, phase = "auto") {
+    const p_sat = saturationVaporPressure(T, phase);
+    return humidityRatioFromVaporPressure(p_sat, P_total);
+}
+
+/**
+ * Compute enthalpy of moist air
+ * h = c_da * T + W * (h_fg_0 + h_fg_T * T)
+ * 
+ * Reference: ASHRAE Fundamentals (SI)
+ * 
+ * @param {number} T - Dry-bulb temperature [°C]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @returns {number} Enthalpy [kJ/kg_da]
+ */
+function enthalpy(T, W) {
+    const h_fg = CONSTANTS.H_FG_0 + CONSTANTS.H_FG_T * T;
+    return CONSTANTS.C_DA * T + W * h_fg;
+}
+
+/**
+ * Inverse of the enthalpy relation: dry-bulb temperature from h and W
+ * T = (h - W * h_fg_0) / (c_da + W * h_fg_T)
+ * 
+ * @param {number} h - Enthalpy [kJ/kg_da]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @returns {number} Dry-bulb temperature [°C]
+ */
+function dryBulbFromEnthalpy(h, W) {
+    return (h - W * CONSTANTS.H_FG_0) / (CONSTANTS.C_DA + W * CONSTANTS.H_FG_T);
+}
+
+/**
+ * Compute wet-bulb temperature using iterative root-finding
+ * Uses bisection method with safeguards on the adiabatic saturation balance:
+ *   h(Tdb, W) + (W_sat* - W) * h_c(T*) = h(T*, W_sat*)
+ * where h_c is the enthalpy of the condensed phase at T*.
+ * With phase "ice" this gives the ice-bulb temperature.
+ * 
+ * Reference: ASHRAE Fundamentals (SI), Ch. 1, Eq. 35 and 37
+ * 
+ * @param {number} Tdb - Dry-bulb temperature [°C]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @param {number} P_total - Total pressure [Pa]
+ * @param {string} [phase="water"] - "water" (wet-bulb) or "ice" (ice-bulb)
+ * @returns {number} Wet-bulb temperature [°C]
+ */
+function wetBulbTemperature(Tdb, W, P_total, phase = "water") {
+    const h_target = enthalpy(Tdb, W);
+    // Enthalpy of liquid water or ice [kJ/kg]
+    const h_condensed = (T) => phase === "ice"
+        ? -CONSTANTS.H_IF + CONSTANTS.C_ICE * T
+        : CONSTANTS.C_W * T;
+    
+    const p_v = vaporPressureFromHumidityRatio(W, P_total);
+    const T_dew = temperatureFromSaturationPressure(p_v, phase);
+    
+    let T_low = Math.max(T_dew - 5, -100);
+    // Slightly supersaturated W (the solver's search margin) puts the
+    // wet-bulb between Tdb and the dew point, so that Twb = Tdb stays reachable
+    let T_high = Math.max(Tdb, T_dew);
+    
+    const tolerance = 1e-6; // [°C]
+    const maxIterations = 100;
+    let iterations = 0;
+    
+    while (T_high - T_low > tolerance && iterations < maxIterations) {
+        const T_mid = (T_low + T_high) / 2;
+        const W_sat_mid = saturationHumidityRatio(T_mid, P_total, phase);
+        const h_mid = enthalpy(T_mid, W_sat_mid) - (W_sat_mid - W) * h_condensed(T_mid);
+        
+        if (h_mid < h_target) {
+            T_low = T_mid;
+        } else {
+            T_high = T_mid;
+        }
+        
+        iterations++;
+    }
+    
+    return (T_low + T_high) / 2;
+}
+
+/**
+ * Compute density of moist air
+ * ρ = P_total / (R_mix * T_K)
+ * where R_mix = R_da * (1 + 1.6078*W) / (1 + W)
+ * 
+ * @param {number} Tdb - Dry-bulb temperature [°C]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {number} Density [kg/m³]
+ */
+function density(Tdb, W, P_total) {
+    const T_K = Tdb + 273.15;
+    const R_mix = CONSTANTS.R_DA * (1 + 1.6078 * W) / (1 + W);
+    return P_total / (R_mix * T_K);
+}
+
+/**
+ * Compute specific volume of moist air per unit mass of dry air
+ * v = R_da * T_K * (1 + 1.6078*W) / P_total
+ * 
+ * @param {number} Tdb - Dry-bulb temperature [°C]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {number} Specific volume [m³/kg_da]
+ */
+function specificVolume(Tdb, W, P_total) {
+    const T_K = Tdb + 273.15;
+    return CONSTANTS.R_DA * T_K * (1 + 1.6078 * W) / P_total;
+}
+
+/**
+ * Compute absolute humidity, the mass of water vapor per unit volume of moist air
+ * ρ_v = W / v
+ * 
+ * @param {number} Tdb - Dry-bulb temperature [°C]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {number} Absolute humidity [kg_w/m³]
+ */
+function absoluteHumidity(Tdb, W, P_total) {
+    return W / specificVolume(Tdb, W, P_total);
+}
+
+/**
+ * Compute the specific heat of moist air per unit mass of dry air
+ * c_p = c_da + W * c_pv
+ * 
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @returns {number} Specific heat [kJ/(kg_da·K)]
+ */
+function moistAirSpecificHeat(W) {
+    return CONSTANTS.C_DA + W * CONSTANTS.H_FG_T;
+}
+
+/**
+ * Compute the specific entropy of moist air per unit mass of dry air,
+ * both components treated as ideal gases at their partial pressures.
+ * s = c_da ln(T/T0) - R_da ln(p_da/P_std) + W * (h_fg_0/T0 + c_pv ln(T/T0) - R_v ln(Pv/p_ws0))
+ * 
+ * Reference (s = 0): dry air at 0°C and 101325 Pa, liquid water at 0°C
+ * 
+ * @param {number} Tdb - Dry-bulb temperature [°C]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {number} Specific entropy [kJ/(kg_da·K)]
+ */
+function specificEntropy(Tdb, W, P_total) {
+    const T0 = 273.15;
+    const lnT = Math.log((Tdb + 273.15) / T0);
+    const Pv = vaporPressureFromHumidityRatio(W, P_total);
+    const s_da = CONSTANTS.C_DA * lnT - CONSTANTS.R_DA / 1000 * Math.log((P_total - Pv) / CONSTANTS.P_STD);
+    if (W === 0) return s_da;
+
+    // Vapor leaves the liquid reference at 0°C through evaporation at p_ws(0°C)
+    const p_ws0 = saturationVaporPressure(0, "water");
+    const s_v = CONSTANTS.H_FG_0 / T0 + CONSTANTS.H_FG_T * lnT - CONSTANTS.R_V / 1000 * Math.log(Pv / p_ws0);
+    return s_da + W * s_v;
+}
+
+/**
+ * Compute the mole (volume) fraction of water vapor
+ * x_v = Pv / P_total = W / (0.622 + W)
+ * 
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @returns {number} Volume fraction [–] (× 10⁶ for ppmv)
+ */
+function vaporVolumeFraction(W) {
+    return W / (CONSTANTS.K_W + W);
+}
+
+/**
+ * Compute the virtual temperature, at which dry air at the same pressure
+ * would have the density of the moist air
+ * T_v = T_K * (1 + 1.6078*W) / (1 + W)
+ * 
+ * @param {number} Tdb - Dry-bulb temperature [°C]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @returns {number} Virtual temperature [°C]
+ */
+function virtualTemperature(Tdb, W) {
+    return (Tdb + 273.15) * (1 + 1.6078 * W) / (1 + W) - 273.15;
+}
+
+/**
+ * Volume flow units and their factor to m³/s
+ */
+const VOLUME_FLOW_UNITS = {
+    "m3/h": 1 / 3600,
+    "m3/s": 1,
+    "L/s": 1e-3,
+};
+
+/**
+ * Resolve a flow specification into every flow quantity for a state.
+ * The dry-air mass flow is the one conserved through processes; the
+ * others follow from the state:
+ *   ṁ = ṁ_da * (1 + W)
+ *   V̇ = ṁ_da * v              (actual conditions)
+ *   V̇_std = ṁ / ρ_std         (standard air, 20°C and 101325 Pa)
+ * 
+ * @param {Object} state - State with W and v
+ * @param {Object} flow - { type: "m_da" | "m_ma" | "v_actual" | "v_std", value, unit }
+ *   `unit` is a key of VOLUME_FLOW_UNITS for volume flows (mass flows are in kg/s)
+ * @returns {Object} { m_da [kg/s], m_ma [kg/s], V_dot [m³/h], V_dot_std [m³/h] }
+ */
+function resolveFlows(state, flow) {
+    const { type, value, unit } = flow;
+
+    if (value === null || isNaN(value) || value < 0) {
+        throw new PsychroError("flowNegative");
+    }
+
+    let m_da;
+    if (type === "m_da") {
+        m_da = value;
+    } else if (type === "m_ma") {
+        m_da = value / (1 + state.W);
+    } else if (type === "v_actual" || type === "v_std") {
+        if (!VOLUME_FLOW_UNITS[unit]) {
+            throw new PsychroError("unknownVolumeUnit", { unit });
+        }
+        const V_m3s = value * VOLUME_FLOW_UNITS[unit];
+        m_da = type === "v_actual"
+            ? V_m3s / state.v
+            : V_m3s * CONSTANTS.RHO_STD / (1 + state.W);
+    } else {
+        throw new PsychroError("unknownFlowType", { type });
+    }
+
+    const m_ma = m_da * (1 + state.W);
+    return {
+        m_da,
+        m_ma,
+        V_dot: m_da * state.v * 3600,
+        V_dot_std: (m_ma / CONSTANTS.RHO_STD) * 3600,
+    };
+}
+
+// ============================================================================
+// SOLVER: Given Two Independent Variables
+// ============================================================================
+
+/**
+ * State properties accepted as solver inputs.
+ * Every property is a function of (Tdb, W) at a given total pressure:
+ * - `compute(Tdb, W, P_total)` evaluates the property
+ * - `toW(value, P_total)` is set for properties that fix W on their own
+ *   (two such properties together do not define a state)
+ * - `toT(value)` likewise for properties that fix Tdb on their own
+ * - `range` is the physically admissible input interval
+ */
+const STATE_PROPERTIES = {
+    tdb: {
+        compute: (Tdb) => Tdb,
+        toT: (Tdb) => Tdb,
+        range: [-100, 200],
+    },
+    w: {
+        compute: (Tdb, W) => W,
+        toW: (W) => W,
+        range: [0, Infinity],
+    },
+    rh: {
+        compute: (Tdb, W, P_total) => relativeHumidity(vaporPressureFromHumidityRatio(W, P_total), Tdb),
+        range: [0, 100],
+    },
+    h: {
+        compute: (Tdb, W) => enthalpy(Tdb, W),
+        range: [-Infinity, Infinity],
+    },
+    twb: {
+        compute: (Tdb, W, P_total) => wetBulbTemperature(Tdb, W, P_total),
+        range: [-100, 200],
+    },
+    tdp: {
+        compute: (Tdb, W, P_total) => temperatureFromSaturationPressure(vaporPressureFromHumidityRatio(W, P_total), "water"),
+        toW: (Tdp, P_total) => humidityRatioFromVaporPressure(saturationVaporPressure(Tdp, "water"), P_total),
+        range: [-100, 200],
+    },
+    pv: {
+        compute: (Tdb, W, P_total) => vaporPressureFromHumidityRatio(W, P_total),
+        toW: (Pv, P_total) => humidityRatioFromVaporPressure(Pv, P_total),
+        range: [0, Infinity],
+    },
+    v: {
+        compute: (Tdb, W, P_total) => specificVolume(Tdb, W, P_total),
+        range: [0, Infinity],
+    },
+    mu: {
+        compute: (Tdb, W, P_total) => W / saturationHumidityRatio(Tdb, P_total),
+        range: [0, 1],
+    },
+    ah: {
+        compute: (Tdb, W, P_total) => absoluteHumidity(Tdb, W, P_total),
+        range: [0, Infinity],
+    },
+    cp: {
+        compute: (Tdb, W) => moistAirSpecificHeat(W),
+        toW: (cp) => (cp - CONSTANTS.C_DA) / CONSTANTS.H_FG_T,
+        range: [CONSTANTS.C_DA, Infinity],
+    },
+    s: {
+        compute: (Tdb, W, P_total) => specificEntropy(Tdb, W, P_total),
+        range: [-Infinity, Infinity],
+    },
+    xv: {
+        compute: (Tdb, W) => vaporVolumeFraction(W),
+        toW: (x_v) => CONSTANTS.K_W * x_v / (1 - x_v),
+        range: [0, 1],
+    },
+    tv: {
+        compute: (Tdb, W) => virtualTemperature(Tdb, W),
+        range: [-100, 200],
+    },
+    pws: {
+        compute: (Tdb) => saturationVaporPressure(Tdb),
+        toT: (Pws) => temperatureFromSaturationPressure(Pws),
+        range: [0, Infinity],
+    },
+};
+
+// Search interval for the dry-bulb temperature [°C]
+const T_SEARCH_MIN = -100;
+const T_SEARCH_MAX = 200;
+// Upper bound on W where saturation does not limit it (p_sat >= P_total) [kg_w/kg_da]
+const W_SEARCH_MAX = 1;
+// Margin above W_sat searched by the inner solver, as tolerated by the supersaturation check
+const W_SAT_MARGIN = 1.005;
+// Admissible total pressure, sea level down to about 5500 m [Pa]
+const P_TOTAL_MIN = 50000;
+const P_TOTAL_MAX = 150000;
+
+/**
+ * Solve the full state of moist air from any two independent state properties
+ * 
+ * @param {Object} inputs - { var1, val1, var2, val2, P_total, flow }
+ *   `flow` is a resolveFlows specification (default: 1 kg/s of dry air)
+ * @returns {Object} State with every property, plus m_da, m_ma, V_dot and V_dot_std
+ */
+function solveState(inputs) {
+    const { var1, val1, var2, val2, P_total } = inputs;
+    const flow = inputs.flow || { type: "m_da", value: 1.0 };
+    
+    if (!var1 || !var2 || val1 === null || val2 === null || isNaN(val1) || isNaN(val2)) {
+        throw new PsychroError("missingInputs");
+    }
+
+    if (!(P_total >= P_TOTAL_MIN && P_total <= P_TOTAL_MAX)) {
+        throw new PsychroError("pressureRange", { min: P_TOTAL_MIN, max: P_TOTAL_MAX });
+    }
+    
+    if (var1 === var2) {
+        throw new PsychroError("sameVariables");
+    }
+
+    [[var1, val1], [var2, val2]].forEach(([key, value]) => {
+        validateStateProperty(key, value, P_total);
+    });
+
+    const given = { [var1]: val1, [var2]: val2 };
+    if (given.tdb !== undefined && given.twb > given.tdb) {
+        throw new PsychroError("twbAboveTdb");
+    }
+    if (given.tdb !== undefined && given.tdp > given.tdb + 0.1) {
+        throw new PsychroError("tdpAboveTdb");
+    }
+
+    if (STATE_PROPERTIES[var1].toW && STATE_PROPERTIES[var2].toW) {
+        throw new PsychroError("dependentPair", { var1, var2 });
+    }
+    if (STATE_PROPERTIES[var1].toT && STATE_PROPERTIES[var2].toT) {
+        throw new PsychroError("dependentTemperaturePair", { var1, var2 });
+    }
+
+    const { Tdb, W } = solveTdbW(var1, val1, var2, val2, P_total);
+    const state = computeState(Tdb, W, P_total);
+
+    return Object.assign(state, resolveFlows(state, flow));
+}
+
+/**
+ * Check that a solver input is a known state property within its range
+ */
+function validateStateProperty(key, value, P_total) {
+    if (!STATE_PROPERTIES[key]) {
+        throw new PsychroError("unknownVariable", { key });
+    }
+
+    const [min, max] = STATE_PROPERTIES[key].range;
+    if (key === "rh" && (value < min || value > max)) {
+        throw new PsychroError("rhRange");
+    }
+    if (key === "w" && value < min) {
+        throw new PsychroError("wNegative");
+    }
+    if (key === "pv" && (value < 0 || value >= P_total)) {
+        throw new PsychroError("pvRange");
+    }
+    if (value < min || value > max) {
+        throw new PsychroError("outOfRange", { key, value, min, max });
+    }
+}
+
+/**
+ * Two-variable root-finding engine: find (Tdb, W) matching two properties.
+ * 
+ * - Tdb given (or a property that fixes it): W is direct (W-fixing
+ *   property) or a 1-D root in W
+ * - W-fixing property given: Tdb is a 1-D root along constant W
+ * - Otherwise: nested search, the inner root gives W(Tdb) from the first
+ *   property and the outer root matches the second property in Tdb
+ * 
+ * Every property is monotonic in W at fixed Tdb, so the inner search is a
+ * plain bisection. The outer search scans Tdb for a sign change first.
+ * 
+ * @returns {Object} { Tdb, W }
+ */
+function solveTdbW(var1, val1, var2, val2, P_total) {
+    // Order inputs: Tdb-fixing properties first, then W-fixing ones, then RH
+    // and μ (which give a W at every Tdb, unlike h or v in cold air), wet-bulb
+    // last (the outer property is evaluated once per step, the inner one many times)
+    const rank = (key) => STATE_PROPERTIES[key].toT ? 0
+        : STATE_PROPERTIES[key].toW ? 1
+        : key === "rh" || key === "mu" ? 2
+        : key === "twb" ? 4 : 3;
+    let [a, va, b, vb] = [var1, val1, var2, val2];
+    if (rank(b) < rank(a)) {
+        [a, va, b, vb] = [b, vb, a, va];
+    }
+    const propA = STATE_PROPERTIES[a];
+    const propB = STATE_PROPERTIES[b];
+    const noSolution = () => new PsychroError("noSolution", { var1, val1, var2, val2 });
+
+    let Tdb, W;
+
+    if (propA.toT) {
+        Tdb = propA.toT(va);
+        W = propB.toW ? propB.toW(vb, P_total) : humidityRatioAt(propB, vb, Tdb, P_total);
+    } else if (propA.toW) {
+        W = propA.toW(va, P_total);
+        // Below the saturation temperature of this W the air would be supersaturated
+        const T_sat = temperatureFromSaturationPressure(vaporPressureFromHumidityRatio(W, P_total));
+        Tdb = findRoot(
+            (T) => propB.compute(T, W, P_total) - vb,
+            Math.max(T_SEARCH_MIN, T_sat), T_SEARCH_MAX
+        );
+    } else {
+        const [T_min, T_max] = temperatureRangeOf(propA, va, P_total);
+        const f = (T) => {
+            const W_T = humidityRatioAt(propA, va, T, P_total);
+            return W_T === null ? NaN : propB.compute(T, W_T, P_total) - vb;
+        };
+        const roots = findRoots(f, T_min, T_max, 2);
+        // A second root means two states share both values (entropy peaks
+        // along a wet-bulb line below 0 °C): refuse to pick one
+        if (roots.length > 1) {
+            throw new PsychroError("ambiguousPair", {
+                var1, val1, var2, val2,
+                T1: Number(roots[0].toFixed(2)),
+                T2: Number(roots[1].toFixed(2)),
+            });
+        }
+        Tdb = roots.length ? roots[0] : null;
+        W = Tdb === null ? null : humidityRatioAt(propA, va, Tdb, P_total);
+    }
+
+    if (Tdb === null || !isFinite(Tdb) || W === null || !isFinite(W) || W < 0) {
+        throw noSolution();
+    }
+
+    const RH = relativeHumidity(vaporPressureFromHumidityRatio(W, P_total), Tdb);
+    if (RH > 100.5) {
+        throw new PsychroError("supersaturated");
+    }
+
+    return { Tdb, W };
+}
+
+/**
+ * Dry-bulb interval on which a property can reach its target, bounded by
+ * dry air and the inner solver's saturation margin. For h, v or Twb in
+ * cold air this band is narrower than the outer scan step.
+ * A bound that does not exist (RH and μ at saturation, absolute humidity
+ * in dry air) is left at the end of the search range.
+ * 
+ * @returns {number[]} [T_min, T_max] [°C]
+ */
+function temperatureRangeOf(prop, target, P_total) {
+    const T_dry = findRoot((T) => prop.compute(T, 0, P_total) - target, T_SEARCH_MIN, T_SEARCH_MAX);
+    const T_sat = findRoot(
+        (T) => prop.compute(T, saturationHumidityRatio(T, P_total) * W_SAT_MARGIN, P_total) - target,
+        T_SEARCH_MIN, T_SEARCH_MAX
+    );
+    if (T_dry === null && T_sat === null) {
+        return [T_SEARCH_MIN, T_SEARCH_MAX];
+    }
+    // Properties with a saturation bound increase with Tdb at fixed W,
+    // so saturation is the cold end of the band
+    const lo = T_sat === null ? T_SEARCH_MIN : T_sat;
+    const hi = T_dry === null ? T_SEARCH_MAX : T_dry;
+    // Step just inside the bounds, where the inner search may not converge
+    const margin = 1e-6;
+    return [Math.min(lo, hi) + margin, Math.max(lo, hi) - margin];
+}
+
+/**
+ * Inner search: humidity ratio at which a property reaches its target at
+ * a fixed dry-bulb temperature. Bisection on W in [0, W_sat(Tdb)].
+ * 
+ * @returns {number|null} W [kg_w/kg_da], or null if out of reach
+ */
+function humidityRatioAt(prop, target, Tdb, P_total) {
+    const W_max = Math.min(saturationHumidityRatio(Tdb, P_total) * W_SAT_MARGIN, W_SEARCH_MAX);
+    const f = (W) => prop.compute(Tdb, W, P_total) - target;
+
+    let W_low = 0;
+    let W_high = W_max;
+    let f_low = f(W_low);
+    const f_high = f(W_high);
+
+    if (f_low === 0) return W_low;
+    if (f_high === 0) return W_high;
+    if (!(f_low * f_high < 0)) return null;
+
+    const tolerance = 1e-12;
+    const maxIterations = 100;
+    let iterations = 0;
+
+    while (W_high - W_low > tolerance && iterations < maxIterations) {
+        const W_mid = (W_low + W_high) / 2;
+        const f_mid = f(W_mid);
+
+        if (f_mid * f_low > 0) {
+            W_low = W_mid;
+            f_low = f_mid;
+        } else {
+            W_high = W_mid;
+        }
+        iterations++;
+    }
+
+    return (W_low + W_high) / 2;
+}
+
+/**
+ * Outer search: first root of f on [lo, hi]. The interval is scanned for
+ * a sign change between two finite values, then refined by bisection.
+ * 
+ * @returns {number|null} Root, or null if f never changes sign
+ */
+function findRoot(f, lo, hi, steps = 300) {
+    const [root] = findRoots(f, lo, hi, 1, steps);
+    return root === undefined ? null : root;
+}
+
+/**
+ * Roots of f on [lo, hi], one per sign change of the scan, in increasing
+ * order; the scan stops after `limit` roots
+ * 
+ * @returns {number[]} Roots (empty if f never changes sign)
+ */
+function findRoots(f, lo, hi, limit = Infinity, steps = 300) {
+    const dx = (hi - lo) / steps;
+    const roots = [];
+    let x_prev = lo;
+    let f_prev = f(lo);
+
+    for (let i = 1; i <= steps && roots.length < limit; i++) {
+        const x = lo + i * dx;
+        const fx = f(x);
+
+        if (fx === 0) {
+            roots.push(x);
+        } else if (isFinite(f_prev) && isFinite(fx) && f_prev * fx < 0) {
+            roots.push(bisectRoot(f, x_prev, x, f_prev));
+        }
+
+        x_prev = x;
+        f_prev = fx;
+    }
+
+    return roots;
+}
+
+/**
+ * Bisection of f on [x_low, x_high], where f changes sign
+ * 
+ * @param {number} f_low - f(x_low)
+ * @returns {number} Root
+ */
+function bisectRoot(f, x_low, x_high, f_low) {
+    const tolerance = 1e-9;
+    const maxIterations = 100;
+    let iterations = 0;
+
+    while (x_high - x_low > tolerance && iterations < maxIterations) {
+        const x_mid = (x_low + x_high) / 2;
+        const f_mid = f(x_mid);
+
+        if (f_mid * f_low > 0) {
+            x_low = x_mid;
+            f_low = f_mid;
+        } else {
+            x_high = x_mid;
+        }
+        iterations++;
+    }
+    return (x_low + x_high) / 2;
+}
+
+/**
+ * Compute every property of moist air from dry-bulb temperature and humidity ratio
+ * 
+ * @param {number} Tdb - Dry-bulb temperature [°C]
+ * @param {number} W - Humidity ratio [kg_w/kg_da]
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {Object} State (without flows)
+ */
+function computeState(Tdb, W, P_total) {
+    const Pv = vaporPressureFromHumidityRatio(W, P_total);
+    const RH = relativeHumidity(Pv, Tdb);
+    const Twb = wetBulbTemperature(Tdb, W, P_total);
+    const T_dew = temperatureFromSaturationPressure(Pv, "water");
+
+    return {
+        Tdb,
+        W,
+        RH: Math.min(RH, 100),
+        h: enthalpy(Tdb, W),
+        Twb,
+        T_dew,
+        // Below freezing, also report saturation over ice
+        T_frost: T_dew < 0 ? temperatureFromSaturationPressure(Pv, "ice") : null,
+        T_ice: Twb < 0 ? wetBulbTemperature(Tdb, W, P_total, "ice") : null,
+        Pv,
+        rho: density(Tdb, W, P_total),
+        v: specificVolume(Tdb, W, P_total),
+        mu: Math.min(W / saturationHumidityRatio(Tdb, P_total), 1),
+        rho_v: absoluteHumidity(Tdb, W, P_total),
+        cp: moistAirSpecificHeat(W),
+        s: specificEntropy(Tdb, W, P_total),
+        x_v: vaporVolumeFraction(W),
+        T_v: virtualTemperature(Tdb, W),
+        Pws: saturationVaporPressure(Tdb),
+        P_total,
+        altitude: altitudeFromPressure(P_total),
+        model: settings.saturationModel,
+    };
+}
+
+// ============================================================================
+// PSYCHROMETER: Instrument Readings → State
+// ============================================================================
+
+/**
+ * Psychrometric coefficient A [1/K] of common instruments, wick over water
+ * (WMO Guide to Instruments and Methods of Observation, Vol. I, Ch. 4).
+ * A reading follows the psychrometer equation
+ * Pv = p_ws(Twb) - A * P_total * (Tdb - Twb)
+ * rather than the adiabatic saturation balance of the thermodynamic wet-bulb.
+ */
+const PSYCHROMETER_COEFFICIENTS = {
+    // Assmann type, ventilated at 2.5–5 m/s
+    aspirated: 6.53e-4,
+    // Whirled by hand at 3–5 m/s
+    sling: 6.67e-4,
+    // Unventilated, in a Stevenson screen
+    screen: 7.99e-4,
+};
+
+// Admissible user coefficient [1/K]
+const PSYCHROMETER_COEFFICIENT_RANGE = [3e-4, 1.5e-3];
+
+/**
+ * Psychrometric coefficient of an instrument, or the user's own
+ * 
+ * @param {Object} psychrometer - { instrument, coefficient }
+ *   instrument: key of PSYCHROMETER_COEFFICIENTS, or "custom" with `coefficient` [1/K]
+ * @returns {number} A [1/K], wick over water
+ */
+function psychrometerCoefficient(psychrometer) {
+    const { instrument, coefficient } = psychrometer;
+    if (instrument !== "custom") {
+        if (!PSYCHROMETER_COEFFICIENTS[instrument]) {
+            throw new PsychroError("psychrometerInstrument", { instrument });
+        }
+        return PSYCHROMETER_COEFFICIENTS[instrument];
+    }
+
+    const [min, max] = PSYCHROMETER_COEFFICIENT_RANGE;
+    if (!(coefficient >= min && coefficient <= max)) {
+        throw new PsychroError("psychrometerCoefficient", { value: coefficient, min, max });
+    }
+    return coefficient;
+}
+
+/**
+ * Vapor pressure from dry- and wet-bulb readings (psychrometer equation).
+ * Below 0°C the wick is taken as frozen: saturation over ice, and A scaled
+ * by h_fg / h_sg since the wick now sublimates.
+ * 
+ * @param {number} Tdb - Dry-bulb reading [°C]
+ * @param {number} Twb - Wet-bulb reading [°C]
+ * @param {number} A - Psychrometric coefficient over water [1/K]
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {number} Vapor pressure [Pa]
+ */
+function psychrometerVaporPressure(Tdb, Twb, A, P_total) {
+    const phase = Twb < 0 ? "ice" : "water";
+    const A_wick = phase === "ice" ? A * CONSTANTS.H_FG_0 / (CONSTANTS.H_FG_0 + CONSTANTS.H_IF) : A;
+    return saturationVaporPressure(Twb, phase) - A_wick * P_total * (Tdb - Twb);
+}
+
+/**
+ * Solve the true state from the readings of a real psychrometer
+ * 
+ * @param {Object} inputs - solveState inputs with the pair tdb + twb, where
+ *   twb is the instrument reading, plus `psychrometer` ({ instrument, coefficient })
+ * @returns {Object} State, with `psychrometer`: { instrument, A, Twb_reading,
+ *   Twb_thermo, dTwb }, dTwb = reading - thermodynamic wet-bulb [K]
+ *   (ice-bulb for a frozen wick)
+ */
+function solvePsychrometer(inputs) {
+    const { var1, val1, var2, val2, P_total } = inputs;
+    const given = { [var1]: val1, [var2]: val2 };
+    if (given.tdb === undefined || given.twb === undefined) {
+        throw new PsychroError("psychrometerPair");
+    }
+    if (given.twb > given.tdb) {
+        throw new PsychroError("twbAboveTdb");
+    }
+
+    const A = psychrometerCoefficient(inputs.psychrometer);
+    const Pv = psychrometerVaporPressure(given.tdb, given.twb, A, P_total);
+    if (!(Pv >= 0)) {
+        throw new PsychroError("psychrometerDry");
+    }
+
+    const state = solveState({ ...inputs, var1: "tdb", val1: given.tdb, var2: "pv", val2: Pv });
+    const Twb_thermo = given.twb < 0 ? wetBulbTemperature(state.Tdb, state.W, P_total, "ice") : state.Twb;
+    state.psychrometer = {
+        instrument: inputs.psychrometer.instrument,
+        A,
+        Twb_reading: given.twb,
+        Twb_thermo,
+        dTwb: given.twb - Twb_thermo,
+    };
+    return state;
+}
+
+// ============================================================================
+// PROCESSES: Inlet State → Outlet State
+// ============================================================================
+
+/**
+ * Compute the outlet state of a single air-handling process.
+ * The dry-air mass flow is conserved, so the outlet carries the inlet m_da.
+ * 
+ * Supported process kinds:
+ * - "sensible": heating or cooling at constant W to a target Tdb
+ * - "steam":    steam injection (h_g at T_STEAM) to a target W or RH
+ * - "spray":    adiabatic spray with water at the inlet wet-bulb to a target W or RH
+ * - "coil":     cooling and dehumidifying coil, from ADP + bypass factor
+ *               (coilMode "adp") or from a leaving Tdb + W/RH (coilMode "leaving")
+ * - "recovery": heat recovery against an exhaust state, with sensible and
+ *               latent effectiveness (latent 0: plate or sensible wheel)
+ * - "mixing":   adiabatic mixing with a second stream carrying its own m_da;
+ *               the outlet carries the sum of both flows
+ * - "room":     room gains picked up by the air (sensible and latent [kW])
+ * - "evaporative": evaporative cooler, direct (along the inlet wet-bulb),
+ *               indirect (against a wetted secondary airstream) or two-stage
+ *               (evaporativeMode "direct", "indirect" or "twoStage")
+ * 
+ * @param {Object} inlet - Inlet state returned by solveState
+ * @param {Object} process - { kind, targetTdb, targetVar, targetVal, coilMode, adp, bf }
+ *   or { kind, exhaust, sensibleEffectiveness, latentEffectiveness },
+ *   { kind, stream }, { kind, sensible, latent } or { kind, evaporativeMode,
+ *   directEffectiveness, indirectEffectiveness, secondary }
+ * @returns {Object} { inlet, outlet, dT, dW, dh, Q, m_w, coil?, evaporative? }
+ *   Q [kW] is positive for heat added, m_w [kg/s] positive for water added;
+ *   both are 0 for mixing, which adds no energy or water from outside
+ */
+function solveProcess(inlet, process) {
+    const { kind } = process;
+    let outlet;
+
+    if (kind === "sensible") {
+        outlet = solveSensibleProcess(inlet, process.targetTdb);
+    } else if (kind === "steam" || kind === "spray") {
+        // Enthalpy of the added water [kJ/kg_w]
+        const h_water = kind === "steam"
+            ? CONSTANTS.H_FG_0 + CONSTANTS.H_FG_T * CONSTANTS.T_STEAM
+            : CONSTANTS.C_W * inlet.Twb;
+        outlet = solveHumidificationProcess(inlet, h_water, process.targetVar, process.targetVal);
+    } else if (kind === "coil") {
+        return solveCoolingCoil(inlet, process);
+    } else if (kind === "evaporative") {
+        return solveEvaporativeCooler(inlet, process);
+    } else if (kind === "recovery") {
+        outlet = solveHeatRecovery(inlet, process);
+    } else if (kind === "mixing") {
+        if (!process.stream) {
+            throw new PsychroError("mixingStreams");
+        }
+        outlet = solveMixing([inlet, process.stream]).mixed;
+    } else if (kind === "room") {
+        outlet = solveRoomGains(inlet, process);
+    } else {
+        throw new PsychroError("unknownProcess", { kind });
+    }
+
+    const dT = outlet.Tdb - inlet.Tdb;
+    const dW = outlet.W - inlet.W;
+    const dh = outlet.h - inlet.h;
+
+    return {
+        kind,
+        inlet,
+        outlet,
+        dT,
+        dW,
+        dh,
+        Q: kind === "mixing" ? 0 : inlet.m_da * dh,
+        m_w: kind === "mixing" ? 0 : inlet.m_da * dW,
+    };
+}
+
+function solveSensibleProcess(inlet, targetTdb) {
+    if (targetTdb === null || isNaN(targetTdb)) {
+        throw new PsychroError("missingTargetTdb");
+    }
+    if (targetTdb < inlet.T_dew) {
+        throw new PsychroError("belowDewPoint");
+    }
+
+    return solveState({
+        var1: "tdb", val1: targetTdb,
+        var2: "w", val2: inlet.W,
+        P_total: inlet.P_total,
+        flow: { type: "m_da", value: inlet.m_da }
+    });
+}
+
+/**
+ * Heat recovery between the inlet and an exhaust stream of equal dry-air
+ * flow (the effectiveness is that of the balanced exchanger):
+ *   T_out = T_in + ε_s * (T_ex - T_in),  W_out = W_in + ε_l * (W_ex - W_in)
+ */
+function solveHeatRecovery(inlet, process) {
+    const { exhaust, sensibleEffectiveness } = process;
+    const latentEffectiveness = process.latentEffectiveness || 0;
+    if (!exhaust) {
+        throw new PsychroError("recoveryExhaust");
+    }
+    if (![sensibleEffectiveness, latentEffectiveness].every(e => e >= 0 && e <= 1)) {
+        throw new PsychroError("recoveryEffectiveness");
+    }
+
+    const Tdb = inlet.Tdb + sensibleEffectiveness * (exhaust.Tdb - inlet.Tdb);
+    const W = inlet.W + latentEffectiveness * (exhaust.W - inlet.W);
+    if (W > saturationHumidityRatio(Tdb, inlet.P_total) * W_SAT_MARGIN) {
+        throw new PsychroError("recoverySaturated");
+    }
+
+    return solveState({
+        var1: "tdb", val1: Tdb,
+        var2: "w", val2: W,
+        P_total: inlet.P_total,
+        flow: { type: "m_da", value: inlet.m_da }
+    });
+}
+
+/**
+ * Room gains picked up by the supply air, split as in solveRoomLoad:
+ *   T_r = T_s + Q_sensible / (ṁ_da * (c_da + W_s * h_fg_T))
+ *   W_r = W_s + Q_latent / (ṁ_da * (h_fg_0 + h_fg_T * T_r))
+ */
+function solveRoomGains(inlet, process) {
+    const { sensible, latent } = process;
+    if (!Number.isFinite(sensible) || !Number.isFinite(latent)) {
+        throw new PsychroError("roomLoads");
+    }
+
+    const Tdb = inlet.Tdb + sensible / (inlet.m_da * moistAirSpecificHeat(inlet.W));
+    const W = inlet.W + latent / (inlet.m_da * (CONSTANTS.H_FG_0 + CONSTANTS.H_FG_T * Tdb));
+
+    return solveState({
+        var1: "tdb", val1: Tdb,
+        var2: "w", val2: W,
+        P_total: inlet.P_total,
+        flow: { type: "m_da", value: inlet.m_da }
+    });
+}
+
+/**
+ * Humidification along h_out = h_in + (W_out - W_in) * h_water.
+ * A target RH is reached by bisection on W_out.
+ */
+function solveHumidificationProcess(inlet, h_water, targetVar, targetVal) {
+    if (targetVal === null || isNaN(targetVal)) {
+        throw new PsychroError("missingTargetHumidity");
+    }
+
+    const P_total = inlet.P_total;
+    const tdbAt = (W) => dryBulbFromEnthalpy(inlet.h + (W - inlet.W) * h_water, W);
+    const rhAt = (W) => relativeHumidity(vaporPressureFromHumidityRatio(W, P_total), tdbAt(W));
+
+    let W_out;
+    if (targetVar === "w") {
+        if (targetVal <= inlet.W) {
+            throw new PsychroError("humidifierDrying");
+        }
+        W_out = targetVal;
+    } else if (targetVar === "rh") {
+        if (targetVal > 100) {
+            throw new PsychroError("rhRange");
+        }
+        // The bisection starts at the inlet W, so it cannot find a drier state
+        if (targetVal <= inlet.RH) {
+            throw new PsychroError("humidifierDrying");
+        }
+
+        let W_low = inlet.W;
+        let W_high = inlet.W + 0.1;
+        const tolerance = 1e-7;
+        const maxIterations = 100;
+        let iterations = 0;
+
+        while (W_high - W_low > tolerance && iterations < maxIterations) {
+            const W_mid = (W_low + W_high) / 2;
+
+            if (rhAt(W_mid) < targetVal) {
+                W_low = W_mid;
+            } else {
+                W_high = W_mid;
+            }
+            iterations++;
+        }
+        W_out = (W_low + W_high) / 2;
+    } else {
+        throw new PsychroError("missingTargetVar");
+    }
+
+    if (rhAt(W_out) > 100.5) {
+        throw new PsychroError("targetSupersaturated");
+    }
+
+    return solveState({
+        var1: "tdb", val1: tdbAt(W_out),
+        var2: "w", val2: W_out,
+        P_total,
+        flow: { type: "m_da", value: inlet.m_da }
+    });
+}
+
+/**
+ * Cooling and dehumidifying coil.
+ * 
+ * The coil is modelled as a mix of air leaving at the apparatus dew point
+ * (saturated at ADP) and air bypassing the coil unchanged:
+ *   h_2 = h_adp + BF * (h_1 - h_adp),  W_2 = W_adp + BF * (W_1 - W_adp)
+ * When the leaving state is given instead, the ADP is where the line 1 → 2
+ * extended meets the saturation curve, and BF = (h_2 - h_adp) / (h_1 - h_adp).
+ * 
+ * Loads are reported as positive cooling values [kW]:
+ *   Q_total    = ṁ_da * (h_1 - h_2)
+ *   Q_sensible = ṁ_da * (h(T_1, W_2) - h_2)
+ *   Q_latent   = Q_total - Q_sensible
+ *   ṁ_cond     = ṁ_da * (W_1 - W_2)
+ * 
+ * @param {Object} inlet - Entering state returned by solveState
+ * @param {Object} process - { coilMode, adp, bf } or { coilMode, targetTdb, targetVar, targetVal }
+ * @returns {Object} Process result with an extra `coil` block
+ */
+function solveCoolingCoil(inlet, process) {
+    const P_total = inlet.P_total;
+    let adp, bf, outlet;
+
+    if (process.coilMode === "adp") {
+        adp = process.adp;
+        bf = process.bf;
+        if (adp === null || isNaN(adp)) {
+            throw new PsychroError("missingAdp");
+        }
+        if (bf === null || isNaN(bf) || bf < 0 || bf >= 1) {
+            throw new PsychroError("bypassRange");
+        }
+        if (adp >= inlet.T_dew) {
+            throw new PsychroError("adpAboveDewPoint");
+        }
+
+        const W_adp = saturationHumidityRatio(adp, P_total);
+        const h_adp = enthalpy(adp, W_adp);
+        const W_out = W_adp + bf * (inlet.W - W_adp);
+        const h_out = h_adp + bf * (inlet.h - h_adp);
+
+        outlet = solveState({
+            var1: "tdb", val1: dryBulbFromEnthalpy(h_out, W_out),
+            var2: "w", val2: W_out,
+            P_total,
+            flow: { type: "m_da", value: inlet.m_da }
+        });
+    } else {
+        if (process.targetTdb === null || isNaN(process.targetTdb)) {
+            throw new PsychroError("missingTargetTdb");
+        }
+        if (process.targetVal === null || isNaN(process.targetVal)) {
+            throw new PsychroError("missingTargetHumidity");
+        }
+
+        outlet = solveState({
+            var1: "tdb", val1: process.targetTdb,
+            var2: process.targetVar, val2: process.targetVal,
+            P_total,
+            flow: { type: "m_da", value: inlet.m_da }
+        });
+
+        if (outlet.Tdb >= inlet.Tdb || outlet.W >= inlet.W) {
+            throw new PsychroError("coilNotCoolingDrying");
+        }
+
+        adp = apparatusDewPoint(inlet, outlet);
+        const h_adp = enthalpy(adp, saturationHumidityRatio(adp, P_total));
+        bf = (outlet.h - h_adp) / (inlet.h - h_adp);
+    }
+
+    const Q_total = inlet.m_da * (inlet.h - outlet.h);
+    const Q_sensible = inlet.m_da * (enthalpy(inlet.Tdb, outlet.W) - outlet.h);
+    const Q_latent = Q_total - Q_sensible;
+
+    return {
+        kind: "coil",
+        inlet,
+        outlet,
+        dT: outlet.Tdb - inlet.Tdb,
+        dW: outlet.W - inlet.W,
+        dh: outlet.h - inlet.h,
+        Q: -Q_total,
+        m_w: inlet.m_da * (outlet.W - inlet.W),
+        coil: {
+            adp,
+            bf,
+            Q_total,
+            Q_sensible,
+            Q_latent,
+            SHR: Q_sensible / Q_total,
+            m_condensate: inlet.m_da * (inlet.W - outlet.W),
+        },
+    };
+}
+
+/**
+ * Find the apparatus dew point: the saturated point on the extension of
+ * the coil line 1 → 2 in (h, W) coordinates. Bisection on the line
+ * parameter t, where t = 1 is the leaving state and the intersection
+ * lies at t > 1.
+ * 
+ * @param {Object} inlet - Entering state
+ * @param {Object} outlet - Leaving state
+ * @returns {number} ADP [°C]
+ */
+function apparatusDewPoint(inlet, outlet) {
+    const P_total = inlet.P_total;
+    const pointAt = (t) => {
+        const W = inlet.W + t * (outlet.W - inlet.W);
+        const h = inlet.h + t * (outlet.h - inlet.h);
+        return { T: dryBulbFromEnthalpy(h, W), W };
+    };
+    const excess = (t) => {
+        const p = pointAt(t);
+        return p.W - saturationHumidityRatio(p.T, P_total);
+    };
+
+    // Step along the line until it crosses the saturation curve
+    let t_low = 1;
+    let t_high = 1;
+    while (excess(t_high) < 0) {
+        t_low = t_high;
+        t_high += 0.5;
+        if (pointAt(t_high).W < 0 || pointAt(t_high).T < -50) {
+            throw new PsychroError("adpNotFound");
+        }
+    }
+
+    const tolerance = 1e-7;
+    const maxIterations = 100;
+    let iterations = 0;
+
+    while (t_high - t_low > tolerance && iterations < maxIterations) {
+        const t_mid = (t_low + t_high) / 2;
+
+        if (excess(t_mid) < 0) {
+            t_low = t_mid;
+        } else {
+            t_high = t_mid;
+        }
+        iterations++;
+    }
+
+    return pointAt((t_low + t_high) / 2).T;
+}
+
+/**
+ * Evaporative cooler, with one or two stages.
+ * 
+ * Direct stage: the air is wetted and follows its wet-bulb line, with the
+ * saturation effectiveness ε_d and the water evaporated at Twb_in:
+ *   T_out = T_in - ε_d * (T_in - Twb_in),  h_out = h_in + (W_out - W_in) * c_w * Twb_in
+ * Indirect stage: the air is cooled at constant W through a heat exchanger
+ * whose other side is wetted secondary air (the inlet air itself unless a
+ * secondary state is given, whose wet-bulb is taken at its own pressure),
+ * with the wet-bulb effectiveness ε_i:
+ *   T_out = T_in - ε_i * (T_in - Twb_sec)
+ * The secondary air evaporates the water taking up the heat removed,
+ * at its wet-bulb: ṁ_w,sec = ṁ_da * (h_in - h_out) / (h_fg(Twb_sec) - c_w * Twb_sec)
+ * A two-stage unit is an indirect stage followed by a direct stage.
+ * 
+ * Wet-bulb temperatures are over liquid water (wetted media), also below 0 °C.
+ * 
+ * @param {Object} inlet - Entering state returned by solveState
+ * @param {Object} process - { evaporativeMode, directEffectiveness,
+ *   indirectEffectiveness, secondary }
+ * @returns {Object} Process result with an extra `evaporative` block:
+ *   { mode, stages: [{ stage, inlet, outlet, effectiveness, Twb, m_water }],
+ *   secondary, Q_cooling, m_water }; Q_cooling [kW] is the sensible cooling
+ *   of the air and m_water [kg/s] the water evaporated by all stages
+ */
+function solveEvaporativeCooler(inlet, process) {
+    const mode = process.evaporativeMode;
+    if (!["direct", "indirect", "twoStage"].includes(mode)) {
+        throw new PsychroError("evaporativeMode", { mode });
+    }
+
+    const stages = [];
+    let secondary = null;
+    let state = inlet;
+    if (mode !== "direct") {
+        secondary = process.secondary || inlet;
+        stages.push(indirectEvaporativeStage(state, secondary, process.indirectEffectiveness));
+        state = stages[0].outlet;
+    }
+    if (mode !== "indirect") {
+        stages.push(directEvaporativeStage(state, process.directEffectiveness));
+    }
+
+    const outlet = stages[stages.length - 1].outlet;
+    return {
+        kind: "evaporative",
+        inlet,
+        outlet,
+        dT: outlet.Tdb - inlet.Tdb,
+        dW: outlet.W - inlet.W,
+        dh: outlet.h - inlet.h,
+        Q: inlet.m_da * (outlet.h - inlet.h),
+        m_w: inlet.m_da * (outlet.W - inlet.W),
+        evaporative: {
+            mode,
+            stages,
+            secondary,
+            Q_cooling: inlet.m_da * (enthalpy(inlet.Tdb, outlet.W) - outlet.h),
+            m_water: stages.reduce((sum, stage) => sum + stage.m_water, 0),
+        },
+    };
+}
+
+function checkEvaporativeEffectiveness(effectiveness) {
+    if (!(effectiveness >= 0 && effectiveness <= 1)) {
+        throw new PsychroError("evaporativeEffectiveness");
+    }
+}
+
+function directEvaporativeStage(inlet, effectiveness) {
+    checkEvaporativeEffectiveness(effectiveness);
+    const P_total = inlet.P_total;
+    const Twb = wetBulbTemperature(inlet.Tdb, inlet.W, P_total);
+    const h_water = CONSTANTS.C_W * Twb;
+
+    // h(T_out, W_out) = c_da * T_out + W_out * h_fg(T_out), solved for W_out
+    const Tdb = inlet.Tdb - effectiveness * (inlet.Tdb - Twb);
+    const h_fg = CONSTANTS.H_FG_0 + CONSTANTS.H_FG_T * Tdb;
+    const W = (inlet.h - inlet.W * h_water - CONSTANTS.C_DA * Tdb) / (h_fg - h_water);
+
+    const outlet = solveState({
+        var1: "tdb", val1: Tdb,
+        var2: "w", val2: W,
+        P_total,
+        flow: { type: "m_da", value: inlet.m_da }
+    });
+    return { stage: "direct", inlet, outlet, effectiveness, Twb, m_water: inlet.m_da * (W - inlet.W) };
+}
+
+function indirectEvaporativeStage(inlet, secondary, effectiveness) {
+    checkEvaporativeEffectiveness(effectiveness);
+    const P_total = inlet.P_total;
+    const Twb = wetBulbTemperature(secondary.Tdb, secondary.W, secondary.P_total);
+    if (Twb >= inlet.Tdb) {
+        throw new PsychroError("evaporativeSecondary");
+    }
+
+    const Tdb = inlet.Tdb - effectiveness * (inlet.Tdb - Twb);
+    if (Tdb < inlet.T_dew) {
+        throw new PsychroError("belowDewPoint");
+    }
+
+    const outlet = solveState({
+        var1: "tdb", val1: Tdb,
+        var2: "w", val2: inlet.W,
+        P_total,
+        flow: { type: "m_da", value: inlet.m_da }
+    });
+    const h_evaporation = CONSTANTS.H_FG_0 + (CONSTANTS.H_FG_T - CONSTANTS.C_W) * Twb;
+    const m_water = inlet.m_da * (inlet.h - outlet.h) / h_evaporation;
+    return { stage: "indirect", inlet, outlet, effectiveness, Twb, m_water };
+}
+
+// ============================================================================
+// ADIABATIC MIXING
+// ============================================================================
+
+/**
+ * Adiabatic mixing of two or more airstreams at the same total pressure.
+ * Dry-air mass, water and energy balances:
+ *   ṁ_mix = Σ ṁ_i
+ *   W_mix = Σ ṁ_i W_i / ṁ_mix
+ *   h_mix = Σ ṁ_i h_i / ṁ_mix
+ * 
+ * @param {Object[]} streams - Inlet states returned by solveState (each with its m_da)
+ * @returns {Object} { streams, mixed, fractions }
+ */
+function solveMixing(streams) {
+    if (!streams || streams.length < 2) {
+        throw new PsychroError("mixingStreams");
+    }
+
+    const m_total = streams.reduce((sum, s) => sum + s.m_da, 0);
+    if (!(m_total > 0)) {
+        throw new PsychroError("mixingFlow");
+    }
+
+    const W_mix = streams.reduce((sum, s) => sum + s.m_da * s.W, 0) / m_total;
+    const h_mix = streams.reduce((sum, s) => sum + s.m_da * s.h, 0) / m_total;
+    const Tdb_mix = dryBulbFromEnthalpy(h_mix, W_mix);
+    const P_total = streams[0].P_total;
+
+    if (W_mix > saturationHumidityRatio(Tdb_mix, P_total)) {
+        throw new PsychroError("mixingFog");
+    }
+
+    const mixed = solveState({
+        var1: "tdb", val1: Tdb_mix,
+        var2: "w", val2: W_mix,
+        P_total,
+        flow: { type: "m_da", value: m_total }
+    });
+
+    return {
+        streams,
+        mixed,
+        fractions: streams.map(s => s.m_da / m_total),
+    };
+}
+
+// ============================================================================
+// ROOM LOADS: Design Conditions → Supply Air
+// ============================================================================
+
+// Extent of a room load line in humidity ratio steps [kg_w/kg_da] and enthalpy steps [kJ/kg_da]
+const LOAD_LINE_STEP_W = 5e-4;
+const LOAD_LINE_STEP_H = 1;
+const LOAD_LINE_MAX_STEPS = 1000;
+
+/**
+ * Supply air that holds a room at its design state against its loads.
+ * The supply air warms and wets up to the room state; the split follows
+ * the coil convention (sensible at the supply W, latent at the room Tdb):
+ *   Q_sensible = ṁ_da * (c_da + W_s * h_fg_T) * (T_r - T_s)
+ *   Q_latent   = ṁ_da * (W_r - W_s) * (h_fg_0 + h_fg_T * T_r)
+ *   Q_total    = ṁ_da * (h_r - h_s)
+ * Every supply state lies on the room load line, straight in (h, W):
+ *   SHR = Q_sensible / Q_total,  Δh/ΔW = (h_fg_0 + h_fg_T * T_r) / (1 - SHR)
+ * The supply temperature fixes the point on the line and the flow follows;
+ * a supply flow (any resolveFlows type, at supply conditions) fixes it the
+ * other way round.
+ * 
+ * @param {Object} room - Room design state returned by solveState
+ * @param {Object} loads - { sensible [kW], latent [kW], supplyTdb [°C] }
+ *   or { sensible, latent, flow } with a resolveFlows specification
+ * @returns {Object} { room, supply, Q_sensible, Q_latent, Q_total, SHR, slope,
+ *   dT, m_w, line, adp }. `supply` carries the flows, `m_w` [kg/s] is the
+ *   moisture the supply air picks up, `line` the load line from the room
+ *   to the saturation curve, which it meets at `adp` [°C] (null if it does not)
+ */
+function solveRoomLoad(room, loads) {
+    const Q_sensible = loads.sensible;
+    const Q_latent = loads.latent;
+    if (!Number.isFinite(Q_sensible) || !Number.isFinite(Q_latent) || (Q_sensible === 0 && Q_latent === 0)) {
+        throw new PsychroError("roomLoads");
+    }
+
+    const P_total = room.P_total;
+    const h_g = CONSTANTS.H_FG_0 + CONSTANTS.H_FG_T * room.Tdb;
+    // Supply state delivered by a dry-air flow
+    const supplyAt = (m_da) => {
+        const W = room.W - Q_latent / (m_da * h_g);
+        return { Tdb: dryBulbFromEnthalpy(room.h - (Q_sensible + Q_latent) / m_da, W), W };
+    };
+
+    let Tdb, W, m_da;
+    if (loads.supplyTdb !== undefined && loads.supplyTdb !== null && !isNaN(loads.supplyTdb)) {
+        Tdb = loads.supplyTdb;
+        const dT = room.Tdb - Tdb;
+        if (!(Q_sensible * dT > 0)) {
+            throw new PsychroError("roomSupplyTemperature");
+        }
+        W = (Q_sensible * h_g * room.W - Q_latent * CONSTANTS.C_DA * dT)
+            / (Q_sensible * h_g + Q_latent * CONSTANTS.H_FG_T * dT);
+        m_da = Q_sensible / (moistAirSpecificHeat(W) * dT);
+    } else if (loads.flow) {
+        if (!(loads.flow.value > 0)) {
+            throw new PsychroError("roomFlow");
+        }
+        // Volume flows are taken at the supply state: iterate on m_da
+        m_da = resolveFlows(room, loads.flow).m_da;
+        for (let i = 0; i < 50; i++) {
+            ({ Tdb, W } = supplyAt(m_da));
+            const next = resolveFlows({ W, v: specificVolume(Tdb, W, P_total) }, loads.flow).m_da;
+            const converged = Math.abs(next - m_da) <= 1e-12 * m_da;
+            m_da = next;
+            if (converged) break;
+        }
+        ({ Tdb, W } = supplyAt(m_da));
+    } else {
+        throw new PsychroError("roomSupplySpec");
+    }
+
+    if (W < 0) {
+        throw new PsychroError("roomSupplyDry");
+    }
+    if (W > saturationHumidityRatio(Tdb, P_total) * W_SAT_MARGIN) {
+        throw new PsychroError("roomSupplySaturated");
+    }
+
+    const supply = solveState({
+        var1: "tdb", val1: Tdb,
+        var2: "w", val2: W,
+        P_total,
+        flow: { type: "m_da", value: m_da }
+    });
+    const Q_total = Q_sensible + Q_latent;
+    const { line, adp } = roomLoadLine(room, Q_sensible, Q_latent);
+
+    return {
+        room,
+        supply,
+        Q_sensible,
+        Q_latent,
+        Q_total,
+        SHR: Q_sensible / Q_total,
+        slope: Q_latent === 0 ? Infinity : h_g * Q_total / Q_latent,
+        dT: room.Tdb - supply.Tdb,
+        m_w: Q_latent / h_g,
+        line,
+        adp,
+    };
+}
+
+/**
+ * Room load line: from the room state in the direction of its supply
+ * states, stepped in (h, W) until it meets the saturation curve (found by
+ * bisection, as for the coil ADP) or leaves the solver's temperature range
+ * 
+ * @returns {Object} { line: [{ Tdb, W }], adp: [°C] or null }
+ */
+function roomLoadLine(room, Q_sensible, Q_latent) {
+    const P_total = room.P_total;
+    const dh = Q_sensible + Q_latent;
+    const dW = Q_latent / (CONSTANTS.H_FG_0 + CONSTANTS.H_FG_T * room.Tdb);
+    const step = 1 / Math.max(Math.abs(dh) / LOAD_LINE_STEP_H, Math.abs(dW) / LOAD_LINE_STEP_W);
+    const pointAt = (t) => {
+        const W = room.W - t * dW;
+        return { Tdb: dryBulbFromEnthalpy(room.h - t * dh, W), W };
+    };
+    const excess = (t) => {
+        const p = pointAt(t);
+        return p.W - saturationHumidityRatio(p.Tdb, P_total);
+    };
+
+    const line = [{ Tdb: room.Tdb, W: room.W }];
+    for (let i = 1; i <= LOAD_LINE_MAX_STEPS; i++) {
+        const p = pointAt(i * step);
+        if (p.W < 0 || p.Tdb < T_SEARCH_MIN || p.Tdb > T_SEARCH_MAX) break;
+        if (saturationVaporPressure(p.Tdb) < P_total && excess(i * step) >= 0) {
+            let t_low = (i - 1) * step;
+            let t_high = i * step;
+            while (t_high - t_low > 1e-9 * step) {
+                const t_mid = (t_low + t_high) / 2;
+                if (excess(t_mid) < 0) {
+                    t_low = t_mid;
+                } else {
+                    t_high = t_mid;
+                }
+            }
+            const end = pointAt((t_low + t_high) / 2);
+            line.push(end);
+            return { line, adp: end.Tdb };
+        }
+        line.push(p);
+    }
+    return { line, adp: null };
+}
+
+// ============================================================================
+// AIR HANDLING CYCLES
+// ============================================================================
+
+/**
+ * Chain processes into an air handling cycle: each step starts from the
+ * outlet of the previous one (see solveProcess for the step kinds).
+ * Totals split the energy by origin: heating and cooling are supplied by
+ * coils and humidifiers, recovered heat comes from the exhaust, evaporative
+ * coolers are totalled apart (sensible cooling and water evaporated), and
+ * room gains are not counted as equipment loads.
+ * 
+ * @param {Object} start - First state (e.g. outdoor air) returned by solveState
+ * @param {Object[]} steps - solveProcess specifications, in order
+ * @returns {Object} { states, steps, heating, cooling, recovered,
+ *   humidification, condensate, evaporativeCooling, evaporation }: states[0]
+ *   is the start and states[i] the outlet of step i; energies in kW, water
+ *   flows in kg/s
+ */
+function solveCycle(start, steps) {
+    if (!steps || steps.length === 0) {
+        throw new PsychroError("cycleEmpty");
+    }
+
+    const results = [];
+    let state = start;
+    steps.forEach((step, i) => {
+        try {
+            results.push(solveProcess(state, step));
+        } catch (e) {
+            throw new PsychroError("cycleStep", { step: i + 1, cause: e });
+        }
+        state = results[i].outlet;
+    });
+
+    const total = (kinds, value) => results
+        .filter(result => kinds.includes(result.kind))
+        .reduce((sum, result) => sum + value(result), 0);
+
+    return {
+        states: [start, ...results.map(result => result.outlet)],
+        steps: results,
+        heating: total(["sensible", "steam", "spray"], r => Math.max(r.Q, 0)),
+        cooling: total(["sensible", "coil"], r => Math.max(-r.Q, 0)),
+        recovered: total(["recovery"], r => r.Q),
+        humidification: total(["steam", "spray"], r => r.m_w),
+        condensate: total(["coil"], r => r.coil.m_condensate),
+        evaporativeCooling: total(["evaporative"], r => r.evaporative.Q_cooling),
+        evaporation: total(["evaporative"], r => r.evaporative.m_water),
+    };
+}
+
+// ============================================================================
+// BATCH CALCULATION
+// ============================================================================
+
+// Optional flow columns of a batch table, with their unit
+const BATCH_FLOW_COLUMNS = {
+    m_da: "kg/s",
+    m_ma: "kg/s",
+    v_actual: "m3/h",
+    v_std: "m3/h",
+};
+
+/**
+ * Split a CSV or pasted spreadsheet table into rows of trimmed cells.
+ * Comma, semicolon and tab separators are detected from the header;
+ * with semicolons or tabs, decimal commas are accepted by `number`.
+ * 
+ * @param {string} text - Table text
+ * @returns {Object} { header: [names], rows: [{ line, cells }],
+ *   number(name, raw) } where number parses a cell of column `name`
+ */
+function splitTable(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
+    if (lines.length < 2) {
+        throw new PsychroError("batchEmpty");
+    }
+
+    const separator = lines[0].includes("\t") ? "\t" : lines[0].includes(";") ? ";" : ",";
+    const split = (line) => line.split(separator).map(cell => cell.trim().replace(/^"(.*)"$/, "$1"));
+    const number = (name, raw) => {
+        const value = Number(separator === "," ? raw : raw.replace(",", "."));
+        if (!isFinite(value)) {
+            throw new PsychroError("batchNumber", { name, raw });
+        }
+        return value;
+    };
+
+    return {
+        header: split(lines[0]),
+        rows: lines.slice(1).map((line, i) => ({ line: i + 2, cells: split(line) })),
+        number,
+    };
+}
+
+/**
+ * Parse a CSV or pasted spreadsheet table into batch rows.
+ * The header names the columns: state property keys (tdb, w, rh, h, twb,
+ * tdp, pv, v, mu), plus optional "label", "p_total" [Pa] and one flow
+ * column (m_da, m_ma [kg/s] or v_actual, v_std [m³/h]). The units are
+ * the SI ones; the page converts rows typed in display units with
+ * batchRowFromDisplay. Each row must fill exactly two property columns.
+ * Comma, semicolon and tab separators are detected from the header;
+ * with semicolons or tabs, decimal commas are accepted.
+ * 
+ * @param {string} text - Table text
+ * @returns {Object[]} Rows { line, label, input, error }, where input is
+ *   the solveState input (without pressure when the row has none) and
+ *   error the row's PsychroError
+ */
+function parseBatchTable(text) {
+    const table = splitTable(text);
+    const header = table.header.map(name => name.toLowerCase());
+
+    const known = (name) => name === "label" || name === "p_total" ||
+        STATE_PROPERTIES[name] || BATCH_FLOW_COLUMNS[name];
+    const unknown = header.filter(name => !known(name));
+    if (unknown.length) {
+        throw new PsychroError("batchColumns", {
+            unknown: unknown.join(", "),
+            accepted: ["label", ...Object.keys(STATE_PROPERTIES), "p_total", ...Object.keys(BATCH_FLOW_COLUMNS)].join(", "),
+        });
+    }
+
+    return table.rows.map(({ line, cells }) => {
+        const row = { line, label: "", input: null, error: null };
+        const properties = [];
+        const input = {};
+
+        try {
+            header.forEach((name, col) => {
+                const raw = cells[col] === undefined ? "" : cells[col];
+                if (name === "label") {
+                    row.label = raw;
+                    return;
+                }
+                if (raw === "") return;
+
+                const value = table.number(name, raw);
+
+                if (name === "p_total") {
+                    input.P_total = value;
+                } else if (BATCH_FLOW_COLUMNS[name]) {
+                    if (input.flow) throw new PsychroError("batchFlowColumns");
+                    input.flow = { type: name, value, unit: BATCH_FLOW_COLUMNS[name] };
+                } else {
+                    properties.push([name, value]);
+                }
+            });
+
+            if (properties.length !== 2) {
+                throw new PsychroError("batchProperties", { count: properties.length });
+            }
+            [[input.var1, input.val1], [input.var2, input.val2]] = properties;
+            row.input = input;
+        } catch (e) {
+            row.error = e;
+        }
+        return row;
+    });
+}
+
+/**
+ * Solve every batch row; a failing row keeps its own error
+ * 
+ * @param {Object[]} rows - Rows from parseBatchTable
+ * @param {number} P_total - Pressure of rows without a p_total column [Pa]
+ * @returns {Object[]} Rows completed with their state (or null)
+ */
+function solveBatch(rows, P_total) {
+    return rows.map(row => {
+        if (row.error) return { ...row, state: null };
+        try {
+            return { ...row, state: solveState({ P_total, ...row.input }), error: null };
+        } catch (e) {
+            return { ...row, state: null, error: e };
+        }
+    });
+}
+
+// ============================================================================
+// CLIMATE ANALYSIS (EnergyPlus EPW weather files)
+// ============================================================================
+
+// Design-condition percentiles: values exceeded during this percentage of
+// the hours of the year (ASHRAE Fundamentals, chapter 14)
+const CLIMATE_PERCENTILES = [0.4, 1, 2];
+// Half-width of the band of hours averaged into a coincident value [K]
+const CLIMATE_COINCIDENT_BAND = 0.5;
+// Missing-value markers of the EPW fields used here
+const EPW_MISSING = { Tdb: 99.9, Tdp: 99.9, P: 999999 };
+
+/**
+ * Parse an EnergyPlus weather file (.epw).
+ * The LOCATION line describes the site; hourly records follow the
+ * DATA PERIODS line, with the dry-bulb [°C] in field 7, the dew point [°C]
+ * in field 8 and the station pressure [Pa] in field 10.
+ * 
+ * @param {string} text - File contents
+ * @returns {Object} { location: { city, region, country, source, wmo,
+ *   latitude, longitude, timezone, elevation }, records: [{ line, month,
+ *   day, hour, Tdb, Tdp, P_total }], skipped: [{ line, error }] }, where
+ *   P_total is null when the pressure is missing
+ */
+function parseEpw(text) {
+    const lines = text.split(/\r?\n/);
+    const header = lines[0].split(",").map(cell => cell.trim());
+    const dataStart = lines.findIndex(line => /^DATA PERIODS/i.test(line)) + 1;
+    if (header[0].toUpperCase() !== "LOCATION" || dataStart === 0) {
+        throw new PsychroError("epwFormat");
+    }
+
+    const [, city, region, country, source, wmo, ...numbers] = header;
+    const [latitude, longitude, timezone, elevation] = numbers.map(Number);
+
+    const records = [];
+    const skipped = [];
+    lines.slice(dataStart).forEach((row, i) => {
+        if (row.trim() === "") return;
+        const line = dataStart + i + 1;
+        const cells = row.split(",").map(Number);
+        const [, month, day, hour] = cells;
+        const [Tdb, Tdp, P] = [cells[6], cells[7], cells[9]];
+
+        if (cells.length < 10 || ![month, day, hour, Tdb, Tdp].every(Number.isFinite)) {
+            skipped.push({ line, error: new PsychroError("epwRecord", { line }) });
+        } else if (Tdb >= EPW_MISSING.Tdb || Tdp >= EPW_MISSING.Tdp) {
+            skipped.push({ line, error: new PsychroError("epwMissing", { line }) });
+        } else {
+            const P_total = Number.isFinite(P) && P < EPW_MISSING.P ? P : null;
+            records.push({ line, month, day, hour, Tdb, Tdp, P_total });
+        }
+    });
+
+    if (records.length === 0) {
+        throw new PsychroError("epwEmpty");
+    }
+    return {
+        location: { city, region, country, source, wmo, latitude, longitude, timezone, elevation },
+        records,
+        skipped,
+    };
+}
+
+/**
+ * Value exceeded during `percent` % of the sorted (ascending) values,
+ * interpolated between neighbouring values
+ */
+function exceededValue(sorted, percent) {
+    const position = (1 - percent / 100) * (sorted.length - 1);
+    const i = Math.floor(position);
+    const next = sorted[Math.min(i + 1, sorted.length - 1)];
+    return sorted[i] + (position - i) * (next - sorted[i]);
+}
+
+/**
+ * Mean of `key` over the states whose `bandKey` lies within the coincident
+ * band around `value` (the nearest state when the band is empty)
+ */
+function coincidentMean(states, bandKey, value, key) {
+    let band = states.filter(state => Math.abs(state[bandKey] - value) <= CLIMATE_COINCIDENT_BAND);
+    if (band.length === 0) {
+        band = [states.reduce((a, b) => Math.abs(b[bandKey] - value) < Math.abs(a[bandKey] - value) ? b : a)];
+    }
+    return band.reduce((sum, state) => sum + state[key], 0) / band.length;
+}
+
+/**
+ * Climate analysis of the hourly records of a one-year weather file.
+ * Each record is solved from its dry-bulb, dew point and station pressure
+ * (standard atmosphere at the site elevation when missing). Dew points are
+ * given over water: above the saturation at the dry-bulb (fog, or ice
+ * below 0 °C) the air is taken as saturated.
+ * - Cooling: dry-bulb exceeded during 0.4, 1 and 2 % of the hours, with the
+ *   mean coincident wet-bulb (MCWB)
+ * - Dehumidification: dew point exceeded during the same fractions, with its
+ *   humidity ratio at the mean pressure and the mean coincident dry-bulb (MCDB)
+ * - Degree-days: daily mean dry-bulb below the heating base and above the
+ *   cooling base, summed over the days
+ * - Zones: hours with Tdb, W and RH inside the bounds [min, max) of each
+ *   zone, null for an open bound
+ * 
+ * @param {Object} epw - parseEpw result
+ * @param {Object} [options] - { heatingBase = 18, coolingBase = 18 [°C],
+ *   zones: [{ name, Tdb: [min, max], W: [min, max], RH: [min, max] }] }
+ * @returns {Object} { location, hours: [{ month, day, hour, state }], skipped,
+ *   P_mean, cooling: [{ percent, Tdb, MCWB }], dehumidification: [{ percent,
+ *   Tdp, W, MCDB }], degreeDays: { heating, cooling, heatingBase,
+ *   coolingBase, days }, zones: [{ ...zone, hours, fraction }] }
+ */
+function analyzeClimate(epw, options = {}) {
+    const { heatingBase = 18, coolingBase = 18, zones = [] } = options;
+    if (!Number.isFinite(heatingBase) || !Number.isFinite(coolingBase)) {
+        throw new PsychroError("climateBase");
+    }
+
+    const hours = [];
+    const skipped = [...epw.skipped];
+    epw.records.forEach(record => {
+        const { Tdb, Tdp } = record;
+        const P_total = record.P_total === null ? pressureFromAltitude(epw.location.elevation) : record.P_total;
+        try {
+            const W_sat = saturationHumidityRatio(Tdb, P_total);
+            const saturated = STATE_PROPERTIES.tdp.toW(Tdp, P_total) >= W_sat;
+            const state = solveState(saturated
+                ? { var1: "tdb", val1: Tdb, var2: "w", val2: W_sat, P_total }
+                : { var1: "tdb", val1: Tdb, var2: "tdp", val2: Tdp, P_total });
+            hours.push({ month: record.month, day: record.day, hour: record.hour, state });
+        } catch (e) {
+            skipped.push({ line: record.line, error: e });
+        }
+    });
+    if (hours.length === 0) {
+        throw new PsychroError("epwEmpty");
+    }
+
+    const states = hours.map(hour => hour.state);
+    const P_mean = states.reduce((sum, state) => sum + state.P_total, 0) / states.length;
+    const sorted = (key) => states.map(state => state[key]).sort((a, b) => a - b);
+    const dryBulbs = sorted("Tdb");
+    const dewPoints = sorted("T_dew");
+
+    const cooling = CLIMATE_PERCENTILES.map(percent => {
+        const value = exceededValue(dryBulbs, percent);
+        return { percent, Tdb: value, MCWB: coincidentMean(states, "Tdb", value, "Twb") };
+    });
+    const dehumidification = CLIMATE_PERCENTILES.map(percent => {
+        const value = exceededValue(dewPoints, percent);
+        return {
+            percent,
+            Tdp: value,
+            W: STATE_PROPERTIES.tdp.toW(value, P_mean),
+            MCDB: coincidentMean(states, "T_dew", value, "Tdb"),
+        };
+    });
+
+    const days = new Map();
+    hours.forEach(({ month, day, state }) => {
+        const key = month * 100 + day;
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(state.Tdb);
+    });
+    const degreeDays = { heating: 0, cooling: 0, heatingBase, coolingBase, days: days.size };
+    days.forEach(temperatures => {
+        const mean = temperatures.reduce((sum, T) => sum + T, 0) / temperatures.length;
+        degreeDays.heating += Math.max(0, heatingBase - mean);
+        degreeDays.cooling += Math.max(0, mean - coolingBase);
+    });
+
+    const within = (value, bounds) => !bounds
+        || ((bounds[0] === null || value >= bounds[0]) && (bounds[1] === null || value < bounds[1]));
+    const zoneHours = zones.map(zone => {
+        const count = states.filter(state =>
+            within(state.Tdb, zone.Tdb) && within(state.W, zone.W) && within(state.RH, zone.RH)).length;
+        return { ...zone, hours: count, fraction: count / states.length };
+    });
+
+    return {
+        location: epw.location,
+        hours,
+        skipped,
+        P_mean,
+        cooling,
+        dehumidification,
+        degreeDays,
+        zones: zoneHours,
+    };
+}
+
+// ============================================================================
+// TIME SERIES (DATA LOGGER LOGS)
+// ============================================================================
+
+// Accepted names of the timestamp column of a logger table
+const SERIES_TIME_COLUMNS = ["time", "timestamp", "date", "datetime"];
+// State properties a series threshold can watch
+const SERIES_THRESHOLD_KEYS = ["Tdb", "RH", "T_dew", "W", "h", "Twb"];
+// Intervals longer than this many typical intervals are logging interruptions
+const SERIES_GAP_FACTOR = 3;
+
+/**
+ * Parse a logger timestamp: "YYYY-MM-DD hh:mm[:ss]" (or with a "T") or
+ * day-first "DD/MM/YYYY hh:mm[:ss]"; the time of day is optional.
+ * Logger clocks usually carry no time zone: the time is read on a UTC
+ * clock, so that durations never include daylight-saving jumps. An ISO
+ * time may end with a zone ("Z", "+02:00", "-0500"), and is then
+ * converted to UTC.
+ * 
+ * @param {string} text - Timestamp
+ * @returns {number} Milliseconds on the UTC clock, NaN when unreadable
+ */
+function parseTimestamp(text) {
+    const clock = "[T ](\\d{1,2}):(\\d{2})(?::(\\d{2}(?:\\.\\d+)?))?";
+    const zone = "(Z|[+-]\\d{2}(?::?\\d{2})?)?";
+    let match = new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})(?:${clock}${zone})?$`).exec(text);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else {
+        match = new RegExp(`^(\\d{1,2})/(\\d{1,2})/(\\d{4})(?:${clock})?$`).exec(text);
+        if (!match) return NaN;
+        [, day, month, year] = match.map(Number);
+    }
+    const [hour, minute, second] = match.slice(4, 7).map(part => part === undefined ? 0 : Number(part));
+
+    const value = Date.UTC(year, month - 1, day, hour, minute) + second * 1000;
+    const date = new Date(value);
+    // Reject dates that Date.UTC would roll over (31/02, 25:00, ...)
+    if (date.getUTCDate() !== day || date.getUTCMonth() !== month - 1 || hour > 23 || minute > 59 || second >= 60) {
+        return NaN;
+    }
+    if (!match[7] || match[7] === "Z") return value;
+
+    // Zone offset: ±hh, ±hhmm or ±hh:mm ahead of UTC
+    const digits = match[7].slice(1).replace(":", "");
+    const offsetHours = Number(digits.slice(0, 2));
+    const offsetMinutes = digits.length > 2 ? Number(digits.slice(2)) : 0;
+    if (offsetHours > 23 || offsetMinutes > 59) return NaN;
+    const sign = match[7][0] === "-" ? -1 : 1;
+    return value - sign * (offsetHours * 60 + offsetMinutes) * 60e3;
+}
+
+/**
+ * Parse a data logger export into samples.
+ * The header names a timestamp column (time, timestamp, date or datetime),
+ * two state property columns per sensor (tdb, rh, tdp, ...), and optional
+ * "sensor" and "p_total" [Pa] columns. Several sensors share a line with
+ * suffixed columns ("tdb:North", "rh:North", "tdb:South", ...); otherwise
+ * the sensor column, if any, names the sensor of each line. Units and
+ * separators follow parseBatchTable. A sensor whose cells are all empty on
+ * a line was not logged then and gives no sample.
+ * 
+ * @param {string} text - Table text
+ * @returns {Object[]} Samples { line, sensor, time, input, error }, with
+ *   time from parseTimestamp and input the solveState input
+ */
+function parseSeriesTable(text) {
+    const table = splitTable(text);
+    const timeColumn = table.header.findIndex(name => SERIES_TIME_COLUMNS.includes(name.toLowerCase()));
+    if (timeColumn < 0) {
+        throw new PsychroError("seriesTime", { accepted: SERIES_TIME_COLUMNS.join(", ") });
+    }
+
+    // Property columns grouped by sensor suffix ("" without suffix)
+    const groups = new Map();
+    const unknown = [];
+    let sensorColumn = -1;
+    let pressureColumn = -1;
+    table.header.forEach((name, col) => {
+        const lower = name.toLowerCase();
+        if (col === timeColumn) return;
+        if (lower === "sensor") {
+            sensorColumn = col;
+        } else if (lower === "p_total") {
+            pressureColumn = col;
+        } else {
+            const colon = name.indexOf(":");
+            const key = (colon < 0 ? lower : lower.slice(0, colon)).trim();
+            const sensor = colon < 0 ? "" : name.slice(colon + 1).trim();
+            if (!STATE_PROPERTIES[key]) {
+                unknown.push(name);
+                return;
+            }
+            if (!groups.has(sensor)) groups.set(sensor, []);
+            groups.get(sensor).push({ key, name, col });
+        }
+    });
+    if (unknown.length) {
+        throw new PsychroError("batchColumns", {
+            unknown: unknown.join(", "),
+            accepted: [...SERIES_TIME_COLUMNS, "sensor", "p_total", ...Object.keys(STATE_PROPERTIES)].join(", "),
+        });
+    }
+    if (groups.size === 0) {
+        throw new PsychroError("seriesColumns", { columns: "–" });
+    }
+    groups.forEach(columns => {
+        if (columns.length !== 2) {
+            throw new PsychroError("seriesColumns", { columns: columns.map(column => column.name).join(", ") });
+        }
+    });
+
+    const samples = [];
+    table.rows.forEach(({ line, cells }) => {
+        const cell = (col) => cells[col] === undefined ? "" : cells[col];
+        groups.forEach((columns, suffix) => {
+            const raws = columns.map(({ col }) => cell(col));
+            if (raws.every(raw => raw === "")) return;
+
+            const sensor = suffix || (sensorColumn < 0 ? "" : cell(sensorColumn));
+            const sample = { line, sensor, time: NaN, input: null, error: null };
+            try {
+                sample.time = parseTimestamp(cell(timeColumn));
+                if (!Number.isFinite(sample.time)) {
+                    throw new PsychroError("seriesTimestamp", { raw: cell(timeColumn) });
+                }
+                const filled = raws.filter(raw => raw !== "").length;
+                if (filled !== 2) {
+                    throw new PsychroError("batchProperties", { count: filled });
+                }
+                const [[var1, val1], [var2, val2]] = columns.map(({ key, name, col }) => [key, table.number(name, cell(col))]);
+                sample.input = { var1, val1, var2, val2 };
+                if (pressureColumn >= 0 && cell(pressureColumn) !== "") {
+                    sample.input.P_total = table.number(table.header[pressureColumn], cell(pressureColumn));
+                }
+            } catch (e) {
+                sample.error = e;
+            }
+            samples.push(sample);
+        });
+    });
+
+    if (samples.length === 0) {
+        throw new PsychroError("batchEmpty");
+    }
+    return samples;
+}
+
+/**
+ * Solve logger samples and check them against thresholds.
+ * Samples are grouped by sensor and sorted by time; each sensor needs at
+ * least two solved samples. Each sample holds until the next one of its
+ * sensor; an interval longer than three typical (median) intervals is an
+ * interruption, over which the sample only holds for the typical interval,
+ * as does the last sample.
+ * A threshold { key, type: "above" | "below", limit } on Tdb, RH, T_dew,
+ * W, h or Twb (SI units) is broken by the samples strictly beyond its
+ * limit; consecutive breaking samples form a period.
+ * 
+ * @param {Object[]} samples - parseSeriesTable samples
+ * @param {Object} [options] - { P_total = 101325 (samples without
+ *   pressure) [Pa], thresholds }
+ * @returns {Object} { sensors: [{ name, samples: [{ line, time, duration,
+ *   gap, state }], hours, start, end }], errors: [{ line, sensor, error }],
+ *   thresholds: [{ ...threshold, hours, sensors: [{ name, hours,
+ *   periods: [{ start, end, hours, extreme }] }] }] }, durations in hours
+ *   and times in ms
+ */
+function solveSeries(samples, options = {}) {
+    const { P_total = 101325, thresholds = [] } = options;
+    thresholds.forEach(threshold => {
+        if (!SERIES_THRESHOLD_KEYS.includes(threshold.key) || !["above", "below"].includes(threshold.type)
+            || !Number.isFinite(threshold.limit)) {
+            throw new PsychroError("seriesThreshold", { keys: SERIES_THRESHOLD_KEYS.join(", ") });
+        }
+    });
+    if (samples.length === 0) {
+        throw new PsychroError("batchEmpty");
+    }
+
+    const errors = [];
+    const bySensor = new Map();
+    samples.forEach(sample => {
+        let { error } = sample;
+        let state = null;
+        if (!error) {
+            try {
+                state = solveState({ P_total, ...sample.input });
+            } catch (e) {
+                error = e;
+            }
+        }
+        if (error) {
+            errors.push({ line: sample.line, sensor: sample.sensor, error });
+            return;
+        }
+        if (!bySensor.has(sample.sensor)) bySensor.set(sample.sensor, []);
+        bySensor.get(sample.sensor).push({ line: sample.line, time: sample.time, state });
+    });
+    if (bySensor.size === 0) {
+        throw new PsychroError("seriesNoSample", { line: errors[0].line, cause: errors[0].error });
+    }
+
+    const sensors = Array.from(bySensor, ([name, list]) => {
+        if (list.length < 2) {
+            throw new PsychroError("seriesSingleSample", { line: list[0].line });
+        }
+        list.sort((a, b) => a.time - b.time);
+        const intervals = list.slice(1).map((sample, i) => sample.time - list[i].time).sort((a, b) => a - b);
+        const typical = intervals[Math.floor(intervals.length / 2)];
+        list.forEach((sample, i) => {
+            const interval = i + 1 < list.length ? list[i + 1].time - sample.time : typical;
+            sample.gap = interval > SERIES_GAP_FACTOR * typical;
+            sample.duration = (sample.gap ? typical : interval) / 3600e3;
+        });
+        const last = list[list.length - 1];
+        return {
+            name,
+            samples: list,
+            hours: list.reduce((sum, sample) => sum + sample.duration, 0),
+            start: list[0].time,
+            end: last.time + last.duration * 3600e3,
+        };
+    });
+
+    const checked = thresholds.map(threshold => {
+        const above = threshold.type === "above";
+        const results = sensors.map(sensor => {
+            const periods = [];
+            let period = null;
+            sensor.samples.forEach(sample => {
+                const value = sample.state[threshold.key];
+                if (above ? value <= threshold.limit : value >= threshold.limit) {
+                    period = null;
+                    return;
+                }
+                if (!period) {
+                    period = { start: sample.time, end: sample.time, hours: 0, extreme: value };
+                    periods.push(period);
+                }
+                period.end = sample.time + sample.duration * 3600e3;
+                period.hours += sample.duration;
+                period.extreme = above ? Math.max(period.extreme, value) : Math.min(period.extreme, value);
+                // An interruption ends the period
+                if (sample.gap) period = null;
+            });
+            return { name: sensor.name, hours: periods.reduce((sum, p) => sum + p.hours, 0), periods };
+        });
+        return { ...threshold, hours: results.reduce((sum, r) => sum + r.hours, 0), sensors: results };
+    });
+
+    return { sensors, errors, thresholds: checked };
+}
+
+// ============================================================================
+// THERMAL COMFORT (ASHRAE 55 / ISO 7730)
+// ============================================================================
+
+// Validity ranges of the PMV model (ISO 7730, §4): metabolic rate [met],
+// clothing insulation [clo], relative air speed [m/s], mean radiant temperature [°C]
+const COMFORT_LIMITS = {
+    met: [0.8, 4],
+    clo: [0, 2],
+    airSpeed: [0, 1],
+    MRT: [10, 40],
+};
+// Comfort zone: |PMV| ≤ 0.5 (PPD ≤ 10 %), humidity ratio ≤ 0.012 (ASHRAE 55, §5.3)
+const COMFORT_PMV_LIMIT = 0.5;
+const COMFORT_W_MAX = 0.012;
+
+/**
+ * Predicted Mean Vote (Fanger), ISO 7730 Annex D.
+ * The clothing surface temperature is found by fixed-point iteration.
+ * 
+ * @param {Object} conditions - { Tdb, MRT [°C], airSpeed [m/s], Pv [Pa], met, clo }
+ * @returns {number} PMV on the 7-point thermal sensation scale,
+ *   NaN if the clothing temperature does not converge
+ */
+function predictedMeanVote({ Tdb, MRT, airSpeed, Pv, met, clo }) {
+    const M = met * 58.15;                  // Metabolic rate [W/m²], no external work
+    const I_cl = 0.155 * clo;               // Clothing insulation [m²·K/W]
+    const f_cl = I_cl <= 0.078 ? 1 + 1.29 * I_cl : 1.05 + 0.645 * I_cl;
+    const h_c_forced = 12.1 * Math.sqrt(airSpeed);
+    const T_a = Tdb + 273;
+    const T_r = MRT + 273;
+
+    // Clothing surface temperature, in hundreds of kelvins
+    const p1 = I_cl * f_cl;
+    const p2 = p1 * 3.96;
+    const p3 = p1 * 100;
+    const p4 = p1 * T_a;
+    const p5 = 308.7 - 0.028 * M + p2 * Math.pow(T_r / 100, 4);
+    let x_n = (T_a + (35.5 - Tdb) / (3.5 * I_cl + 0.1)) / 100;
+    let x_f = x_n * 2;
+    let h_c = h_c_forced;
+    let iterations = 0;
+
+    while (Math.abs(x_n - x_f) > 1.5e-4) {
+        x_f = (x_f + x_n) / 2;
+        h_c = Math.max(h_c_forced, 2.38 * Math.pow(Math.abs(100 * x_f - T_a), 0.25));
+        x_n = (p5 + p4 * h_c - p2 * Math.pow(x_f, 4)) / (100 + p3 * h_c);
+        if (++iterations > 150) return NaN;
+    }
+    const T_cl = 100 * x_n - 273;
+
+    // Heat losses [W/m²]: skin diffusion, sweating, latent and dry respiration,
+    // radiation and convection from the clothing
+    const diffusion = 3.05e-3 * (5733 - 6.99 * M - Pv);
+    const sweating = M > 58.15 ? 0.42 * (M - 58.15) : 0;
+    const respirationLatent = 1.7e-5 * M * (5867 - Pv);
+    const respirationDry = 0.0014 * M * (34 - Tdb);
+    const radiation = 3.96 * f_cl * (Math.pow(x_n, 4) - Math.pow(T_r / 100, 4));
+    const convection = f_cl * h_c * (T_cl - Tdb);
+
+    const sensitivity = 0.303 * Math.exp(-0.036 * M) + 0.028;
+    return sensitivity * (M - diffusion - sweating - respirationLatent - respirationDry - radiation - convection);
+}
+
+/**
+ * Predicted Percentage of Dissatisfied, ISO 7730 Eq. 5
+ * 
+ * @param {number} PMV - Predicted Mean Vote
+ * @returns {number} PPD [%]
+ */
+function predictedPercentageDissatisfied(PMV) {
+    return 100 - 95 * Math.exp(-0.03353 * Math.pow(PMV, 4) - 0.2179 * Math.pow(PMV, 2));
+}
+
+/**
+ * Check the personal and environmental comfort inputs against the
+ * validity ranges of the PMV model
+ * 
+ * @param {Object} options - { met, clo, airSpeed, MRT } (MRT null: equal to Tdb)
+ */
+function validateComfortOptions(options) {
+    Object.entries(COMFORT_LIMITS).forEach(([name, [min, max]]) => {
+        const value = options[name];
+        if (name === "MRT" && (value === null || value === undefined)) return;
+        if (!(value >= min && value <= max)) {
+            throw new PsychroError("comfortRange", { name, value, min, max });
+        }
+    });
+}
+
+/**
+ * Thermal comfort of a state: PMV, PPD and operative temperature, and
+ * whether the state lies in the comfort zone (|PMV| ≤ 0.5, W ≤ 0.012)
+ * 
+ * @param {Object} state - State returned by solveState
+ * @param {Object} options - { met, clo, airSpeed [m/s], MRT [°C] or null for MRT = Tdb }
+ * @returns {Object} { PMV, PPD, MRT, T_op, inZone, withinModel }
+ *   withinModel is false outside the air temperature (10–30 °C) and
+ *   vapor pressure (0–2700 Pa) ranges of ISO 7730
+ */
+function evaluateComfort(state, options) {
+    validateComfortOptions(options);
+    const MRT = options.MRT === null || options.MRT === undefined ? state.Tdb : options.MRT;
+
+    const PMV = predictedMeanVote({ ...options, Tdb: state.Tdb, MRT, Pv: state.Pv });
+    if (!isFinite(PMV)) {
+        throw new PsychroError("comfortNoConvergence");
+    }
+
+    // Operative temperature, ASHRAE 55 Normative Appendix A
+    const A = options.airSpeed < 0.2 ? 0.5 : options.airSpeed < 0.6 ? 0.6 : 0.7;
+
+    return {
+        PMV,
+        PPD: predictedPercentageDissatisfied(PMV),
+        MRT,
+        T_op: A * state.Tdb + (1 - A) * MRT,
+        inZone: Math.abs(PMV) <= COMFORT_PMV_LIMIT && state.W <= COMFORT_W_MAX,
+        withinModel: state.Tdb >= 10 && state.Tdb <= 30 && state.Pv <= 2700,
+    };
+}
+
+/**
+ * Outline of the comfort zone on the psychrometric chart: for each
+ * humidity ratio up to 0.012, the dry-bulb temperatures where PMV = ±0.5,
+ * bounded on the left by saturation
+ * 
+ * @param {Object} options - Comfort options, as for evaluateComfort
+ * @param {number} P_total - Total pressure [Pa]
+ * @returns {Object[]} Closed polygon { Tdb, W }, empty if no state is comfortable
+ */
+function comfortZone(options, P_total) {
+    validateComfortOptions(options);
+    const pmvAt = (Tdb, W) => predictedMeanVote({
+        ...options,
+        Tdb,
+        MRT: options.MRT === null || options.MRT === undefined ? Tdb : options.MRT,
+        Pv: vaporPressureFromHumidityRatio(W, P_total),
+    });
+
+    const cold = [];
+    const warm = [];
+    const steps = 24;
+    for (let i = 0; i <= steps; i++) {
+        const W = COMFORT_W_MAX * i / steps;
+        const T_sat = W > 0 ? temperatureFromSaturationPressure(vaporPressureFromHumidityRatio(W, P_total)) : -Infinity;
+        const T_cold = findRoot((T) => pmvAt(T, W) + COMFORT_PMV_LIMIT, -10, 50, 120);
+        const T_warm = findRoot((T) => pmvAt(T, W) - COMFORT_PMV_LIMIT, -10, 50, 120);
+        if (T_cold === null || T_warm === null || T_warm <= T_sat) continue;
+
+        cold.push({ Tdb: Math.max(T_cold, T_sat), W });
+        warm.push({ Tdb: T_warm, W });
+    }
+
+    return cold.concat(warm.reverse());
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+return {
+    // Configuration
+    CONSTANTS,
+    settings,
+    SATURATION_MODELS,
+    STATE_PROPERTIES,
+    VOLUME_FLOW_UNITS,
+    BATCH_FLOW_COLUMNS,
+    T_SEARCH_MIN,
+    T_SEARCH_MAX,
+    P_TOTAL_MIN,
+    P_TOTAL_MAX,
+    setSaturationModel,
+
+    // Errors
+    ERROR_MESSAGES,
+    PsychroError,
+    formatMessage,
+    errorMessage,
+    setLanguage,
+
+    // Properties of moist air
+    saturationVaporPressure,
+    temperatureFromSaturationPressure,
+    pressureFromAltitude,
+    altitudeFromPressure,
+    humidityRatioFromVaporPressure,
+    vaporPressureFromHumidityRatio,
+    relativeHumidity,
+    saturationHumidityRatio,
+    enthalpy,
+    dryBulbFromEnthalpy,
+    wetBulbTemperature,
+    density,
+    specificVolume,
+    absoluteHumidity,
+    moistAirSpecificHeat,
+    specificEntropy,
+    vaporVolumeFraction,
+    virtualTemperature,
+
+    // States, processes and tables
+    resolveFlows,
+    solveState,
+    computeState,
+    humidityRatioAt,
+    findRoot,
+    PSYCHROMETER_COEFFICIENTS,
+    PSYCHROMETER_COEFFICIENT_RANGE,
+    psychrometerCoefficient,
+    psychrometerVaporPressure,
+    solvePsychrometer,
+    solveProcess,
+    apparatusDewPoint,
+    solveMixing,
+    solveCycle,
+    solveRoomLoad,
+    roomLoadLine,
+    parseBatchTable,
+    solveBatch,
+    CLIMATE_PERCENTILES,
+    parseEpw,
+    analyzeClimate,
+    SERIES_THRESHOLD_KEYS,
+    parseTimestamp,
+    parseSeriesTable,
+    solveSeries,
+
+    // Thermal comfort
+    COMFORT_LIMITS,
+    COMFORT_PMV_LIMIT,
+    COMFORT_W_MAX,
+    predictedMeanVote,
+    predictedPercentageDissatisfied,
+    validateComfortOptions,
+    evaluateComfort,
+    comfortZone,
+};
+}));
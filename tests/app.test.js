@@ -0,0 +1,152 @@
+/**
+ * Interface tests for app.js
+ *
+ * The page script runs in a sandbox with a minimal document, to check
+ * how results reach the HTML and how imported data is checked. Run from the repository root with:
+ * node --test tests/
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const psy = require("../psychrometrics.js");
+const { assertCode } = require("./helpers.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Element stub: records markup and text, accepts listeners and children
+function element() {
+    return {
+        innerHTML: "",
+        textContent: "",
+        style: {},
+        children: [],
+        options: [],
+        classList: { toggle() {}, add() {}, remove() {}, contains: () => false },
+        addEventListener() {},
+        appendChild(child) { this.children.push(child); },
+        querySelectorAll: () => [],
+    };
+}
+
+// app.js in a sandbox whose chart drawing is replaced by a no-op
+function loadApp() {
+    const elements = new Map();
+    const document = {
+        addEventListener() {},
+        createElement: element,
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, element());
+            return elements.get(id);
+        },
+    };
+    const context = vm.createContext({ Psychrometrics: psy, document });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, "../app.js"), "utf8"), context, { filename: "app.js" });
+    context.drawPsychrometricChart = () => {};
+    return { context, byId: (id) => document.getElementById(id) };
+}
+
+const PAYLOAD = "<img src=x onerror=alert(1)>";
+
+// ============================================
+// ESCAPING
+// ============================================
+
+describe("user text in results", () => {
+    it("is escaped for HTML", () => {
+        const { context } = loadApp();
+        assert.equal(context.escapeHtml(PAYLOAD), "&lt;img src=x onerror=alert(1)&gt;");
+        assert.equal(context.escapeHtml(`"a" & 'b'`), "&quot;a&quot; &amp; &#39;b&#39;");
+    });
+
+    it("stays text in batch labels and errors", () => {
+        const { context, byId } = loadApp();
+        const rows = psy.solveBatch(psy.parseBatchTable(`label,tdb,rh\n${PAYLOAD},20,50\nb,${PAYLOAD},50`), 101325);
+        context.displayBatchResults({ rows, sort: { key: "line", dir: 1 }, selected: 0 });
+
+        const html = byId("batchBody").children.map(tr => tr.innerHTML).join("");
+        assert.ok(!html.includes("<img"), html);
+        assert.equal(html.match(/&lt;img src=x onerror=alert\(1\)&gt;/g).length, 2);
+    });
+
+    it("stays text in summary labels", () => {
+        const { context, byId } = loadApp();
+        context.displaySummary("Résumé", [{ label: PAYLOAD, quantity: "power", value: 1 }]);
+        assert.ok(!byId("processBody").children[0].innerHTML.includes("<img"));
+    });
+});
+
+// ============================================
+// SAVED STATES
+// ============================================
+
+describe("saved state import", () => {
+    it("drops entries outside the pressure range of the form", () => {
+        const { context } = loadApp();
+        const entry = (P_total) => ({ name: `${P_total} Pa`, Tdb: 20, W: 0.007, P_total, m_da: 1, inputs: null });
+        const { entries, skipped } = context.parseSavedStates({
+            format: vm.runInContext("SAVED_STATES_FORMAT", context),
+            states: [entry(101325), entry(10), entry(1e6), entry(psy.P_TOTAL_MIN)],
+        });
+        assert.deepEqual(entries.map(e => e.P_total), [101325, psy.P_TOTAL_MIN]);
+        assert.equal(skipped, 2);
+    });
+});
+
+// ============================================
+// CYCLE IMPORT
+// ============================================
+
+describe("cycle step import", () => {
+    // Sandbox with the select options read by isCycleStep
+    function loadCycleApp() {
+        const app = loadApp();
+        const select = (id, values) => { app.byId(id).options = values.map(value => ({ value })); };
+        select("processKind", ["sensible", "steam", "spray", "coil", "evaporative"]);
+        select("targetHumVar", ["rh", "w"]);
+        select("coilMode", ["adp", "leaving"]);
+        select("evaporativeMode", ["direct", "indirect", "twoStage"]);
+        select("var1", ["tdb", "rh", "w"]);
+        select("flowType", ["m_da", "m_ma", "v_actual", "v_std"]);
+        return app;
+    }
+
+    it("accepts the steps of the example cycle", () => {
+        const { context } = loadCycleApp();
+        assert.ok(vm.runInContext("EXAMPLE_CYCLE.steps", context).every(context.isCycleStep));
+    });
+
+    it("rejects steps whose numbers are missing or not finite", () => {
+        const { context } = loadCycleApp();
+        const air = { var1: "tdb", val1: 22, var2: "rh", val2: 40 };
+        for (const step of [
+            { kind: "sensible", targetTdb: "abc" },
+            { kind: "sensible" },
+            { kind: "coil", coilMode: "adp", adp: 10, bf: null },
+            { kind: "evaporative", evaporativeMode: "twoStage", directEffectiveness: 0.8 },
+            { kind: "recovery", exhaust: { ...air, val2: "40" }, sensibleEffectiveness: 0.6, latentEffectiveness: 0 },
+            { kind: "mixing", stream: { ...air, flowType: "m_da", flow: null } },
+        ]) {
+            assert.equal(context.isCycleStep(step), false, JSON.stringify(step));
+        }
+    });
+});
+
+// ============================================
+// PERMALINKS
+// ============================================
+
+describe("permalink units", () => {
+    it("reject names inherited from Object.prototype", () => {
+        const { context } = loadApp();
+        for (const query of ["units=constructor", "units=toString", "unit.temperature=constructor"]) {
+            assertCode(() => context.applyPermalinkParams(new URLSearchParams(query)), "permalinkValue");
+        }
+    });
+});
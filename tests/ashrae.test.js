@@ -0,0 +1,184 @@
+/**
+ * Reference values from the ASHRAE Fundamentals Handbook (SI), Chapter 1
+ *
+ * Table 1: standard atmosphere, Table 2: saturated air at 101.325 kPa
+ * (W_s, v_s, h_s, s_s), Table 3: saturation vapor pressure over water and
+ * ice, and the wet-bulb example of the chapter.
+ * Run from the repository root with: node --test tests/
+ */
+
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+
+// ============================================
+// REFERENCE DATA
+// ============================================
+
+// Table 1: altitude [m] → pressure [kPa]
+const STANDARD_ATMOSPHERE = [
+    [-500, 107.478], [0, 101.325], [500, 95.461], [1000, 89.875], [1500, 84.556],
+    [2000, 79.495], [2500, 74.682], [3000, 70.108], [4000, 61.640], [5000, 54.020],
+];
+
+// Table 3: temperature [°C] → saturation pressure [kPa], over ice below 0°C
+const SATURATION_PRESSURE = [
+    [-40, 0.012841], [-20, 0.10326], [-10, 0.25990], [0.01, 0.61165],
+    [20, 2.3393], [25, 3.1699], [30, 4.2470], [40, 7.3849], [50, 12.352],
+];
+
+// Table 2: temperature [°C] → W_s at 101.325 kPa [kg_w/kg_da]
+const SATURATION_HUMIDITY_RATIO = [
+    [-20, 0.000637], [-10, 0.001606], [0, 0.003789], [10, 0.007661],
+    [20, 0.014758], [30, 0.027329], [40, 0.049141],
+];
+
+// Table 2: temperature [°C] → v_s [m³/kg_da], h_s [kJ/kg_da], s_s [kJ/(kg_da·K)]
+const SATURATED_AIR = [
+    [-20, 0.7176, -18.546], [-10, 0.7472, -6.072], [0, 0.7783, 9.475], [10, 0.8119, 29.352],
+    [20, 0.8500, 57.555], [30, 0.8962, 100.006], [40, 0.9568, 166.683],
+];
+const SATURATED_ENTROPY = [[10, 0.1071], [20, 0.2053], [30, 0.3461], [40, 0.5609]];
+
+// Example 2: 40 °C dry-bulb, 20 °C thermodynamic wet-bulb, 101.325 kPa
+const WET_BULB_EXAMPLE = { Tdb: 40, Twb: 20, W: 0.0065, RH: 14, h: 56.7, v: 0.896 };
+
+function assertRelative(actual, expected, tolerance, label) {
+    const error = Math.abs(actual / expected - 1);
+    assert.ok(
+        error <= tolerance,
+        `${label}: ${actual} vs ${expected} (${(100 * error).toFixed(3)} % > ${100 * tolerance} %)`
+    );
+}
+
+const initialModel = psy.settings.saturationModel;
+afterEach(() => psy.setSaturationModel(initialModel));
+
+// ============================================
+// TABLES
+// ============================================
+
+describe("ASHRAE Table 1, standard atmosphere", () => {
+    it("pressureFromAltitude matches to 1 Pa", () => {
+        for (const [Z, kPa] of STANDARD_ATMOSPHERE) {
+            assert.ok(Math.abs(psy.pressureFromAltitude(Z) - 1000 * kPa) <= 1, `${Z} m`);
+        }
+    });
+});
+
+describe("ASHRAE Table 3, saturation vapor pressure", () => {
+    for (const model of ["hyland_wexler", "iapws"]) {
+        it(`${psy.SATURATION_MODELS[model].name} within 0.05 %`, () => {
+            psy.setSaturationModel(model);
+            for (const [T, kPa] of SATURATION_PRESSURE) {
+                assertRelative(psy.saturationVaporPressure(T) / 1000, kPa, 5e-4, `${T} °C`);
+            }
+        });
+    }
+
+    it("Magnus within 0.6 % above 0 °C", () => {
+        psy.setSaturationModel("magnus");
+        for (const [T, kPa] of SATURATION_PRESSURE.filter(([T]) => T > 0)) {
+            assertRelative(psy.saturationVaporPressure(T) / 1000, kPa, 6e-3, `${T} °C`);
+        }
+    });
+
+    it("temperatureFromSaturationPressure inverts the table", () => {
+        for (const [T, kPa] of SATURATION_PRESSURE) {
+            assert.ok(Math.abs(psy.temperatureFromSaturationPressure(1000 * kPa) - T) <= 0.01, `${T} °C`);
+        }
+    });
+});
+
+describe("ASHRAE Table 2, saturation humidity ratio", () => {
+    // The library omits the enhancement factor f (1.0038 to 1.0049 over
+    // the table), so W_s runs 0.35 to 0.55 % below the table, never above
+    const BELOW_MIN = 3.5e-3;
+    const BELOW_MAX = 5.5e-3;
+
+    function assertBelowTable(actual, expected, label) {
+        const below = 1 - actual / expected;
+        assert.ok(
+            below >= BELOW_MIN && below <= BELOW_MAX,
+            `${label}: ${actual} vs ${expected} (${(100 * below).toFixed(3)} % below the table)`
+        );
+    }
+
+    it("sits below the table at 101.325 kPa by the enhancement factor", () => {
+        for (const [T, Ws] of SATURATION_HUMIDITY_RATIO) {
+            assertBelowTable(psy.saturationHumidityRatio(T, 101325), Ws, `${T} °C`);
+        }
+    });
+
+    // Table 2 is only published at 101.325 kPa. At 1500 m and 3000 m this
+    // checks the pressure term of Eq. 23 against Table 3 p_ws, within the
+    // Table 3 tolerance: it is not a comparison with reference W_s values.
+    it("follows Eq. 23 at 1500 m and 3000 m", () => {
+        for (const P of [84556, 70108]) {
+            for (const [T, kPa] of SATURATION_PRESSURE) {
+                const p_ws = 1000 * kPa;
+                const expected = 0.621945 * p_ws / (P - p_ws);
+                assertRelative(psy.saturationHumidityRatio(T, P), expected, 5e-4, `${T} °C at ${P} Pa`);
+            }
+        }
+    });
+
+    it("solveState reaches the table at 100 % RH", () => {
+        for (const [T, Ws] of SATURATION_HUMIDITY_RATIO) {
+            const state = psy.solveState({ var1: "tdb", val1: T, var2: "rh", val2: 100, P_total: 101325 });
+            assertBelowTable(state.W, Ws, `${T} °C`);
+        }
+    });
+});
+
+describe("ASHRAE Table 2, saturated air properties", () => {
+    const saturated = (T) => psy.solveState({ var1: "tdb", val1: T, var2: "rh", val2: 100, P_total: 101325 });
+
+    // Ideal-gas volumes run up to 0.04 % above the table's real-gas ones
+    it("v_s within 5e-4 m³/kg_da", () => {
+        for (const [T, v_s] of SATURATED_AIR) {
+            assert.ok(Math.abs(saturated(T).v - v_s) <= 5e-4, `${T} °C: ${saturated(T).v} vs ${v_s}`);
+        }
+    });
+
+    // The W_s gap (enhancement factor) times h_g, about 0.5 kJ/kg_da at 40 °C
+    it("h_s within 0.6 kJ/kg_da", () => {
+        for (const [T, , h_s] of SATURATED_AIR) {
+            assert.ok(Math.abs(saturated(T).h - h_s) <= 0.6, `${T} °C: ${saturated(T).h} vs ${h_s}`);
+        }
+    });
+
+    it("s_s within 0.5 %", () => {
+        for (const [T, s_s] of SATURATED_ENTROPY) {
+            assertRelative(saturated(T).s, s_s, 5e-3, `${T} °C`);
+        }
+    });
+
+    // Below 0 °C the table saturates over ice: the ice-bulb reaches Tdb
+    it("wet-bulb (ice-bulb below 0 °C) equals dry-bulb at saturation", () => {
+        for (const [T] of SATURATED_AIR) {
+            const state = saturated(T);
+            const bulb = T < 0 ? state.T_ice : state.Twb;
+            assert.ok(Math.abs(bulb - T) <= 1e-3, `${T} °C: ${bulb}`);
+        }
+    });
+});
+
+describe("ASHRAE wet-bulb example", () => {
+    const { Tdb, Twb, W, RH, h, v } = WET_BULB_EXAMPLE;
+
+    it("solves 40 °C / 20 °C wet-bulb to the published W, RH, h and v", () => {
+        const state = psy.solveState({ var1: "tdb", val1: Tdb, var2: "twb", val2: Twb, P_total: 101325 });
+        assert.ok(Math.abs(state.W - W) <= 1e-4, `W ${state.W}`);
+        assert.ok(Math.abs(state.RH - RH) <= 0.5, `RH ${state.RH}`);
+        assert.ok(Math.abs(state.h - h) <= 0.1, `h ${state.h}`);
+        assert.ok(Math.abs(state.v - v) <= 1e-3, `v ${state.v}`);
+    });
+
+    it("returns the wet-bulb from the published W", () => {
+        const state = psy.solveState({ var1: "tdb", val1: Tdb, var2: "w", val2: W, P_total: 101325 });
+        assert.ok(Math.abs(state.Twb - Twb) <= 0.15, `Twb ${state.Twb}`);
+    });
+});
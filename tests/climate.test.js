@@ -0,0 +1,140 @@
+/**
+ * Climate analysis tests for psychrometrics.js
+ *
+ * EPW weather file parsing, design-condition percentiles, degree-days and
+ * zone hours, on small synthetic files. Run from the repository root with:
+ * node --test tests/
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+const { assertClose, assertCode } = require("./helpers.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+const HEADER = [
+    "LOCATION,Testville,QC,CAN,Synthetic,716270,45.47,-73.75,-5.0,36.0",
+    "DESIGN CONDITIONS,0",
+    "TYPICAL/EXTREME PERIODS,0",
+    "GROUND TEMPERATURES,0",
+    "HOLIDAYS/DAYLIGHT SAVINGS,No,0,0,0",
+    "COMMENTS 1,Synthetic test file",
+    "COMMENTS 2,",
+    "DATA PERIODS,1,1,Data,Sunday, 1/ 1,12/31",
+];
+
+function record(month, day, hour, Tdb, Tdp, P = 101325) {
+    return `2001,${month},${day},${hour},60,?9?9?9?9,${Tdb},${Tdp},50,${P},0,0,0`;
+}
+
+function epw(records) {
+    return [...HEADER, ...records].join("\n");
+}
+
+// Two days: day 1 at a constant 10 °C, day 2 from 20 to 43 °C
+const DAYS = [
+    ...Array.from({ length: 24 }, (_, i) => record(1, 1, i + 1, 10, 5)),
+    ...Array.from({ length: 24 }, (_, i) => record(1, 2, i + 1, 20 + i, 5 + i / 2)),
+];
+
+// ============================================
+// PARSING
+// ============================================
+
+describe("EPW parsing", () => {
+    it("read the location and the hourly records", () => {
+        const { location, records, skipped } = psy.parseEpw(epw(DAYS));
+        assert.equal(location.city, "Testville");
+        assert.equal(location.wmo, "716270");
+        assert.equal(location.latitude, 45.47);
+        assert.equal(location.elevation, 36);
+        assert.equal(records.length, 48);
+        assert.deepEqual(skipped, []);
+        assert.deepEqual(records[24], { line: 33, month: 1, day: 2, hour: 1, Tdb: 20, Tdp: 5, P_total: 101325 });
+    });
+
+    it("skip missing and incomplete records", () => {
+        const { records, skipped } = psy.parseEpw(epw([
+            record(1, 1, 1, 10, 5, 999999),
+            record(1, 1, 2, 99.9, 5),
+            "2001,1,1,3,60",
+            "",
+        ]));
+        assert.equal(records.length, 1);
+        assert.equal(records[0].P_total, null);
+        assert.deepEqual(skipped.map(({ line, error }) => [line, error.code]), [[10, "epwMissing"], [11, "epwRecord"]]);
+    });
+
+    it("reject files without header or records", () => {
+        assertCode(() => psy.parseEpw("2001,1,1,1,60,?,10,5,50,101325"), "epwFormat");
+        assertCode(() => psy.parseEpw(HEADER.join("\n")), "epwEmpty");
+    });
+});
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+describe("climate analysis", () => {
+    it("solve each hour at its station pressure", () => {
+        const climate = psy.analyzeClimate(psy.parseEpw(epw([
+            record(7, 1, 1, 30, 20, 95000),
+            record(7, 1, 2, 30, 20, 999999),
+        ])));
+        const [first, second] = climate.hours;
+        assert.equal(first.state.P_total, 95000);
+        assertClose(first.state.T_dew, 20, 1e-6, "Tdp");
+        assertClose(second.state.P_total, psy.pressureFromAltitude(36), 1e-9, "altitude pressure");
+        assertClose(climate.P_mean, (95000 + second.state.P_total) / 2, 1e-9, "P_mean");
+    });
+
+    it("take dew points over saturation as saturated air", () => {
+        const climate = psy.analyzeClimate(psy.parseEpw(epw([record(1, 1, 1, -10, -9.5), record(1, 1, 2, 5, 5.2)])));
+        assert.equal(climate.skipped.length, 0);
+        climate.hours.forEach(({ state }) => {
+            assertClose(state.W, psy.saturationHumidityRatio(state.Tdb, 101325), 1e-12, "W");
+        });
+    });
+
+    it("find the design conditions exceeded by 0.4, 1 and 2 % of the hours", () => {
+        const records = Array.from({ length: 1000 }, (_, i) => record(1 + Math.floor(i / 100), 1 + (i % 100) % 28, 1, i / 20, i / 50));
+        const climate = psy.analyzeClimate(psy.parseEpw(epw(records)));
+        assert.deepEqual(climate.cooling.map(design => design.percent), psy.CLIMATE_PERCENTILES);
+
+        const [cooling04, cooling1] = climate.cooling;
+        assertClose(cooling04.Tdb, 0.996 * 999 / 20, 1e-9, "Tdb 0.4 %");
+        assertClose(cooling1.Tdb, 0.99 * 999 / 20, 1e-9, "Tdb 1 %");
+        const band = climate.hours.map(hour => hour.state).filter(state => Math.abs(state.Tdb - cooling04.Tdb) <= 0.5);
+        assertClose(cooling04.MCWB, band.reduce((sum, state) => sum + state.Twb, 0) / band.length, 1e-9, "MCWB");
+
+        const [dehumidification04] = climate.dehumidification;
+        assertClose(dehumidification04.Tdp, 0.996 * 999 / 50, 1e-6, "Tdp 0.4 %");
+        assertClose(dehumidification04.W, psy.solveState({ var1: "tdb", val1: 30, var2: "tdp", val2: dehumidification04.Tdp, P_total: 101325 }).W, 1e-12, "W");
+        assert.ok(dehumidification04.MCDB > 45);
+    });
+
+    it("sum the degree-days from the daily mean dry-bulb", () => {
+        const { degreeDays } = psy.analyzeClimate(psy.parseEpw(epw(DAYS)), { heatingBase: 15, coolingBase: 21 });
+        assert.equal(degreeDays.days, 2);
+        assertClose(degreeDays.heating, 5, 1e-9, "heating");
+        assertClose(degreeDays.cooling, 31.5 - 21, 1e-9, "cooling");
+        assertCode(() => psy.analyzeClimate(psy.parseEpw(epw(DAYS)), { heatingBase: NaN }), "climateBase");
+    });
+
+    it("count the hours inside each zone", () => {
+        const { zones } = psy.analyzeClimate(psy.parseEpw(epw(DAYS)), {
+            zones: [
+                { name: "cold", Tdb: [null, 18] },
+                { name: "mild", Tdb: [20, 26], RH: [null, null] },
+                { name: "humid", W: [0.01, null] },
+            ],
+        });
+        assert.deepEqual(zones.map(zone => [zone.name, zone.hours]), [["cold", 24], ["mild", 6], ["humid", 5]]);
+        assertClose(zones[0].fraction, 0.5, 1e-12, "fraction");
+    });
+});
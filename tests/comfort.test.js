@@ -0,0 +1,140 @@
+/**
+ * Thermal comfort tests for psychrometrics.js
+ *
+ * PMV/PPD against ISO 7730 Table D.1, the ASHRAE 55 comfort zone outline
+ * and the comfort evaluation of solved states.
+ * Run from the repository root with: node --test tests/
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+
+// ============================================
+// REFERENCE DATA
+// ============================================
+
+// ISO 7730 Table D.1: Tdb, MRT [°C], air speed [m/s], RH [%], met, clo → PMV, PPD [%]
+const ISO_7730_TABLE = [
+    [22, 22, 0.1, 60, 1.2, 0.5, -0.75, 17],
+    [27, 27, 0.1, 60, 1.2, 0.5, 0.77, 17],
+    [27, 27, 0.3, 60, 1.2, 0.5, 0.44, 9],
+    [23.5, 25.5, 0.1, 60, 1.2, 0.5, -0.01, 5],
+    [23.5, 25.5, 0.3, 60, 1.2, 0.5, -0.55, 11],
+    [19, 19, 0.1, 40, 1.2, 1.0, -0.60, 13],
+    [23.5, 23.5, 0.3, 40, 1.2, 1.0, 0.12, 5],
+    [23, 21, 0.1, 40, 1.2, 1.0, 0.05, 5],
+    [23, 21, 0.3, 40, 1.2, 1.0, -0.16, 6],
+    [22, 22, 0.1, 60, 1.6, 0.5, 0.05, 5],
+    [27, 27, 0.1, 60, 1.6, 0.5, 1.17, 34],
+    [27, 27, 0.3, 60, 1.6, 0.5, 0.95, 24],
+];
+
+const OFFICE = { met: 1.1, clo: 0.5, airSpeed: 0.1, MRT: null };
+
+function solve(Tdb, RH, P_total = 101325) {
+    return psy.solveState({ var1: "tdb", val1: Tdb, var2: "rh", val2: RH, P_total });
+}
+
+function assertCloseTo(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+}
+
+// ============================================
+// PMV / PPD
+// ============================================
+
+describe("ISO 7730 Table D.1", () => {
+    it("PMV within 0.02 and PPD within 1 %", () => {
+        for (const [Tdb, MRT, airSpeed, RH, met, clo, PMV, PPD] of ISO_7730_TABLE) {
+            // The table's vapor pressure is taken over liquid water
+            const Pv = RH / 100 * psy.saturationVaporPressure(Tdb, "water");
+            const pmv = psy.predictedMeanVote({ Tdb, MRT, airSpeed, Pv, met, clo });
+            const label = `${Tdb} °C / ${MRT} °C / ${airSpeed} m/s / ${met} met / ${clo} clo`;
+            assert.ok(Math.abs(pmv - PMV) <= 0.02, `${label}: PMV ${pmv} vs ${PMV}`);
+            assert.ok(Math.abs(psy.predictedPercentageDissatisfied(pmv) - PPD) <= 1, `${label}: PPD`);
+        }
+    });
+
+    it("PPD is 5 % at neutrality and symmetric", () => {
+        assert.equal(psy.predictedPercentageDissatisfied(0), 5);
+        assert.equal(psy.predictedPercentageDissatisfied(1), psy.predictedPercentageDissatisfied(-1));
+        assert.ok(Math.abs(psy.predictedPercentageDissatisfied(0.5) - 10.2) < 0.1);
+    });
+});
+
+// ============================================
+// COMFORT ZONE
+// ============================================
+
+describe("comfort zone", () => {
+    it("is bounded by PMV = ±0.5 and W ≤ 0.012", () => {
+        const zone = psy.comfortZone(OFFICE, 101325);
+        assert.ok(zone.length > 10);
+        for (const point of zone) {
+            assert.ok(point.W <= psy.COMFORT_W_MAX + 1e-12);
+            const Pv = psy.vaporPressureFromHumidityRatio(point.W, 101325);
+            const pmv = psy.predictedMeanVote({ ...OFFICE, Tdb: point.Tdb, MRT: point.Tdb, Pv });
+            assert.ok(Math.abs(Math.abs(pmv) - 0.5) < 1e-3, `PMV ${pmv} at ${point.Tdb} °C`);
+        }
+    });
+
+    it("moves to cooler temperatures with winter clothing", () => {
+        const left = (zone) => Math.min(...zone.map(p => p.Tdb));
+        const summer = psy.comfortZone(OFFICE, 101325);
+        const winter = psy.comfortZone({ ...OFFICE, clo: 1.0 }, 101325);
+        assert.ok(left(winter) < left(summer) - 2);
+    });
+
+    it("stays on the dry side of saturation", () => {
+        // Heavy clothing and activity push the zone below 15 °C
+        const zone = psy.comfortZone({ met: 2, clo: 1.5, airSpeed: 0.1, MRT: null }, 101325);
+        for (const point of zone) {
+            assert.ok(point.W <= psy.saturationHumidityRatio(point.Tdb, 101325) * 1.001);
+        }
+    });
+});
+
+// ============================================
+// STATE EVALUATION
+// ============================================
+
+describe("evaluateComfort", () => {
+    it("places a typical office state inside the zone", () => {
+        const comfort = psy.evaluateComfort(solve(25, 50), OFFICE);
+        assert.ok(comfort.inZone);
+        assert.ok(comfort.withinModel);
+        assert.equal(comfort.MRT, 25);
+        assert.equal(comfort.T_op, 25);
+    });
+
+    it("rejects warm, cold and humid states", () => {
+        assert.ok(!psy.evaluateComfort(solve(30, 40), OFFICE).inZone);
+        assert.ok(!psy.evaluateComfort(solve(19, 40), OFFICE).inZone);
+        const humid = solve(24, 80);
+        assert.ok(Math.abs(psy.evaluateComfort(humid, OFFICE).PMV) <= 0.5);
+        assert.ok(!psy.evaluateComfort(humid, OFFICE).inZone);
+    });
+
+    it("weights the operative temperature with air speed", () => {
+        const state = solve(24, 50);
+        assert.equal(psy.evaluateComfort(state, { ...OFFICE, MRT: 28 }).T_op, 26);
+        assertCloseTo(psy.evaluateComfort(state, { ...OFFICE, MRT: 28, airSpeed: 0.4 }).T_op, 25.6);
+    });
+
+    it("flags states outside the ISO 7730 range", () => {
+        assert.ok(!psy.evaluateComfort(solve(34, 30), OFFICE).withinModel);
+    });
+
+    it("rejects inputs outside the model's validity", () => {
+        const state = solve(25, 50);
+        for (const options of [{ met: 5 }, { clo: -0.1 }, { airSpeed: 1.5 }, { MRT: 50 }, { met: NaN }]) {
+            assert.throws(
+                () => psy.evaluateComfort(state, { ...OFFICE, ...options }),
+                (error) => error instanceof psy.PsychroError && error.code === "comfortRange"
+            );
+        }
+    });
+});
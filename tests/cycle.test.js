@@ -0,0 +1,124 @@
+/**
+ * Air handling cycle tests for psychrometrics.js
+ *
+ * Heat recovery, mixing and room gain steps, and the chaining of steps into
+ * a cycle with its energy and water totals. Run from the repository root
+ * with: node --test tests/
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+const { state, assertClose, assertCode } = require("./helpers.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+const OUTDOOR = state(-10, 80, 0.5);
+const RETURN = state(22, 40, 1.5);
+
+// ============================================
+// STEPS
+// ============================================
+
+describe("cycle steps", () => {
+    it("recover heat with the sensible and latent effectiveness", () => {
+        const result = psy.solveProcess(OUTDOOR, { kind: "recovery", exhaust: RETURN, sensibleEffectiveness: 0.7, latentEffectiveness: 0.5 });
+        assertClose(result.outlet.Tdb, -10 + 0.7 * 32, 1e-9, "Tdb");
+        assertClose(result.outlet.W, OUTDOOR.W + 0.5 * (RETURN.W - OUTDOOR.W), 1e-12, "W");
+        assert.equal(result.outlet.m_da, OUTDOOR.m_da);
+        assertClose(result.Q, OUTDOOR.m_da * result.dh, 1e-12, "Q");
+
+        const plate = psy.solveProcess(OUTDOOR, { kind: "recovery", exhaust: RETURN, sensibleEffectiveness: 0.6 });
+        assertClose(plate.dW, 0, 1e-15, "no latent recovery by default");
+    });
+
+    it("mix with a second stream without external energy", () => {
+        const result = psy.solveProcess(OUTDOOR, { kind: "mixing", stream: RETURN });
+        const mixed = psy.solveMixing([OUTDOOR, RETURN]).mixed;
+        assert.equal(result.outlet.m_da, 2);
+        assertClose(result.outlet.h, mixed.h, 1e-12, "h");
+        assert.equal(result.Q, 0);
+        assert.equal(result.m_w, 0);
+    });
+
+    it("pick up the room gains", () => {
+        const supply = state(14, 80, 1);
+        const result = psy.solveProcess(supply, { kind: "room", sensible: 10, latent: 3 });
+        const { outlet } = result;
+        assertClose(psy.moistAirSpecificHeat(supply.W) * result.dT, 10, 1e-9, "sensible");
+        assertClose(result.Q, 13, 1e-9, "total");
+        assertClose(result.m_w * (psy.CONSTANTS.H_FG_0 + psy.CONSTANTS.H_FG_T * outlet.Tdb), 3, 1e-9, "latent");
+    });
+
+    it("match solveRoomLoad in reverse", () => {
+        const room = state(24, 50, 1);
+        const load = psy.solveRoomLoad(room, { sensible: 10, latent: 3, supplyTdb: 14 });
+        const result = psy.solveProcess(load.supply, { kind: "room", sensible: 10, latent: 3 });
+        assertClose(result.outlet.Tdb, 24, 1e-9, "Tdb");
+        assertClose(result.outlet.W, room.W, 1e-12, "W");
+    });
+});
+
+// ============================================
+// CYCLES
+// ============================================
+
+describe("air handling cycles", () => {
+    const steps = [
+        { kind: "recovery", exhaust: RETURN, sensibleEffectiveness: 0.7, latentEffectiveness: 0 },
+        { kind: "mixing", stream: RETURN },
+        { kind: "sensible", targetTdb: 18 },
+        { kind: "steam", targetVar: "rh", targetVal: 45 },
+        { kind: "sensible", targetTdb: 30 },
+        { kind: "room", sensible: -5, latent: 0.5 },
+    ];
+
+    it("chain each step from the previous outlet", () => {
+        const cycle = psy.solveCycle(OUTDOOR, steps);
+        assert.equal(cycle.states.length, steps.length + 1);
+        assert.equal(cycle.states[0], OUTDOOR);
+        cycle.steps.forEach((step, i) => {
+            assert.equal(step.inlet, cycle.states[i]);
+            assert.equal(step.outlet, cycle.states[i + 1]);
+        });
+        assert.equal(cycle.states[6].m_da, 2);
+    });
+
+    it("split the totals by origin", () => {
+        const cycle = psy.solveCycle(OUTDOOR, steps);
+        const [recovery, , cooling, steam, heating] = cycle.steps;
+        assertClose(cycle.recovered, recovery.Q, 1e-12, "recovered");
+        assertClose(cycle.cooling, -cooling.Q, 1e-12, "cooling");
+        assertClose(cycle.heating, steam.Q + heating.Q, 1e-12, "heating");
+        assertClose(cycle.humidification, steam.m_w, 1e-15, "humidification");
+        assert.ok(steam.m_w > 0);
+        assert.equal(cycle.condensate, 0);
+    });
+
+    it("collect the condensate of cooling coils", () => {
+        const cycle = psy.solveCycle(state(32, 50, 1), [
+            { kind: "coil", coilMode: "adp", adp: 10, bf: 0.1 },
+            { kind: "sensible", targetTdb: 16 },
+        ]);
+        assertClose(cycle.condensate, cycle.steps[0].coil.m_condensate, 1e-15, "condensate");
+        assert.ok(cycle.condensate > 0);
+        assertClose(cycle.cooling, -cycle.steps[0].Q, 1e-12, "cooling");
+    });
+
+    it("report the failing step", () => {
+        assertCode(() => psy.solveCycle(OUTDOOR, []), "cycleEmpty");
+        assert.throws(
+            () => psy.solveCycle(OUTDOOR, [steps[0], { kind: "coil", coilMode: "adp", adp: 30, bf: 0.1 }]),
+            (error) => error.code === "cycleStep" && error.params.step === 2 && /^Étape 2 : /.test(error.message)
+        );
+        assertCode(() => psy.solveProcess(OUTDOOR, { kind: "recovery", exhaust: RETURN, sensibleEffectiveness: 1.2 }), "recoveryEffectiveness");
+        assertCode(() => psy.solveProcess(OUTDOOR, { kind: "recovery", sensibleEffectiveness: 0.7 }), "recoveryExhaust");
+        assertCode(() => psy.solveProcess(state(0, 100, 1), { kind: "recovery", exhaust: state(30, 90, 1), sensibleEffectiveness: 0.2, latentEffectiveness: 1 }), "recoverySaturated");
+        assertCode(() => psy.solveProcess(OUTDOOR, { kind: "mixing" }), "mixingStreams");
+        assertCode(() => psy.solveProcess(OUTDOOR, { kind: "room", sensible: 1, latent: NaN }), "roomLoads");
+    });
+});
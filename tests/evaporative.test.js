@@ -0,0 +1,107 @@
+/**
+ * Evaporative cooling tests for psychrometrics.js
+ *
+ * Direct, indirect and two-stage evaporative coolers: outlet states on the
+ * wet-bulb line, effectiveness definitions, water use and cooling capacity.
+ * Run from the repository root with: node --test tests/
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+const { state, assertClose, assertCode } = require("./helpers.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Hot and dry outdoor air, 1 kg/s of dry air
+const OUTDOOR = state(38, 15, 1);
+
+function evaporative(inlet, process) {
+    return psy.solveProcess(inlet, { kind: "evaporative", ...process });
+}
+
+// ============================================
+// COOLERS
+// ============================================
+
+describe("evaporative coolers", () => {
+    it("cool direct along the inlet wet-bulb", () => {
+        const Twb = psy.wetBulbTemperature(OUTDOOR.Tdb, OUTDOOR.W, OUTDOOR.P_total);
+        const result = evaporative(OUTDOOR, { evaporativeMode: "direct", directEffectiveness: 0.85 });
+        assertClose(result.outlet.Tdb, OUTDOOR.Tdb - 0.85 * (OUTDOOR.Tdb - Twb), 1e-9, "Tdb");
+        assertClose(psy.wetBulbTemperature(result.outlet.Tdb, result.outlet.W, 101325), Twb, 1e-5, "Twb");
+        assertClose(result.evaporative.m_water, result.outlet.W - OUTDOOR.W, 1e-15, "water");
+        assertClose(result.m_w, result.evaporative.m_water, 1e-15, "m_w");
+        assert.ok(result.evaporative.Q_cooling > 15);
+        assert.equal(result.evaporative.secondary, null);
+
+        const saturated = evaporative(OUTDOOR, { evaporativeMode: "direct", directEffectiveness: 1 });
+        assertClose(saturated.outlet.RH, 100, 1e-3, "RH");
+    });
+
+    it("cool indirect at constant W from the secondary wet-bulb", () => {
+        const room = state(26, 50, 1);
+        const TwbRoom = psy.wetBulbTemperature(room.Tdb, room.W, 101325);
+        const result = evaporative(OUTDOOR, { evaporativeMode: "indirect", indirectEffectiveness: 0.6, secondary: room });
+        assertClose(result.outlet.Tdb, OUTDOOR.Tdb - 0.6 * (OUTDOOR.Tdb - TwbRoom), 1e-9, "Tdb");
+        assert.equal(result.outlet.W, OUTDOOR.W);
+        assertClose(result.evaporative.Q_cooling, -result.Q, 1e-9, "capacity");
+        assert.equal(result.m_w, 0);
+
+        const [stage] = result.evaporative.stages;
+        const h_evaporation = 2501 + (1.86 - 4.186) * TwbRoom;
+        assertClose(stage.m_water, result.evaporative.Q_cooling / h_evaporation, 1e-12, "secondary water");
+
+        const selfCooled = evaporative(OUTDOOR, { evaporativeMode: "indirect", indirectEffectiveness: 0.6 });
+        assert.equal(selfCooled.evaporative.secondary, OUTDOOR);
+        assertClose(selfCooled.evaporative.stages[0].Twb, OUTDOOR.Twb, 1e-5, "secondary Twb");
+    });
+
+    it("take the secondary wet-bulb at the secondary pressure", () => {
+        const exhaust = psy.solveState({ var1: "tdb", val1: 26, var2: "w", val2: 0.0105, P_total: 85000, flow: { type: "m_da", value: 1 } });
+        const result = evaporative(OUTDOOR, { evaporativeMode: "indirect", indirectEffectiveness: 0.6, secondary: exhaust });
+        const [stage] = result.evaporative.stages;
+        assertClose(stage.Twb, exhaust.Twb, 1e-5, "secondary Twb");
+        assert.ok(Math.abs(stage.Twb - psy.wetBulbTemperature(exhaust.Tdb, exhaust.W, OUTDOOR.P_total)) > 0.3);
+    });
+
+    it("chain an indirect and a direct stage", () => {
+        const process = { directEffectiveness: 0.85, indirectEffectiveness: 0.6 };
+        const indirect = evaporative(OUTDOOR, { ...process, evaporativeMode: "indirect" });
+        const twoStage = evaporative(OUTDOOR, { ...process, evaporativeMode: "twoStage" });
+        const [first, second] = twoStage.evaporative.stages;
+        assert.deepEqual(twoStage.evaporative.stages.map(stage => stage.stage), ["indirect", "direct"]);
+        assert.equal(first.outlet.Tdb, indirect.outlet.Tdb);
+        assert.equal(second.inlet, first.outlet);
+        assert.ok(second.Twb < OUTDOOR.Twb);
+
+        const direct = evaporative(OUTDOOR, { ...process, evaporativeMode: "direct" });
+        assert.ok(twoStage.outlet.Tdb < direct.outlet.Tdb);
+        assert.ok(twoStage.outlet.W < direct.outlet.W);
+        assertClose(twoStage.evaporative.m_water, first.m_water + second.m_water, 1e-15, "water");
+    });
+
+    it("add up in cycles", () => {
+        const cycle = psy.solveCycle(OUTDOOR, [
+            { kind: "evaporative", evaporativeMode: "twoStage", directEffectiveness: 0.8, indirectEffectiveness: 0.5 },
+            { kind: "room", sensible: 10, latent: 1 },
+        ]);
+        const [cooler] = cycle.steps;
+        assertClose(cycle.evaporativeCooling, cooler.evaporative.Q_cooling, 1e-12, "cooling");
+        assertClose(cycle.evaporation, cooler.evaporative.m_water, 1e-15, "water");
+        assert.equal(cycle.cooling, 0);
+        assert.equal(cycle.humidification, 0);
+    });
+
+    it("reject invalid coolers", () => {
+        assertCode(() => evaporative(OUTDOOR, { evaporativeMode: "wet", directEffectiveness: 0.8 }), "evaporativeMode");
+        assertCode(() => evaporative(OUTDOOR, { evaporativeMode: "direct", directEffectiveness: 1.1 }), "evaporativeEffectiveness");
+        assertCode(() => evaporative(OUTDOOR, { evaporativeMode: "twoStage", directEffectiveness: 0.8 }), "evaporativeEffectiveness");
+        assertCode(() => evaporative(state(20, 50, 1), { evaporativeMode: "indirect", indirectEffectiveness: 0.6, secondary: state(30, 60, 1) }), "evaporativeSecondary");
+        assertCode(() => evaporative(state(20, 90, 1), { evaporativeMode: "indirect", indirectEffectiveness: 0.9, secondary: state(10, 20, 1) }), "belowDewPoint");
+    });
+});
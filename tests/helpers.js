@@ -0,0 +1,23 @@
+/**
+ * Assertions and fixtures shared by the test files (not a test file itself)
+ */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+function assertCode(fn, code) {
+    assert.throws(fn, (error) => error instanceof psy.PsychroError && error.code === code);
+}
+
+// State at 101 325 Pa from Tdb [°C] and RH [%], with m_da [kg/s] of dry air
+function state(Tdb, RH, m_da) {
+    return psy.solveState({ var1: "tdb", val1: Tdb, var2: "rh", val2: RH, P_total: 101325, flow: { type: "m_da", value: m_da } });
+}
+
+module.exports = { assertClose, assertCode, state };
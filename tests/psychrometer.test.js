@@ -0,0 +1,88 @@
+/**
+ * Psychrometer readings for psychrometrics.js
+ *
+ * Conversion of instrument wet-bulb readings to the true state with the
+ * psychrometer equation, and the difference from the thermodynamic wet-bulb.
+ * Run from the repository root with: node --test tests/
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+const { assertClose, assertCode } = require("./helpers.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+function read(Tdb, Twb, psychrometer, P_total = 101325) {
+    return psy.solvePsychrometer({ var1: "tdb", val1: Tdb, var2: "twb", val2: Twb, P_total, psychrometer });
+}
+
+// ============================================
+// PSYCHROMETER EQUATION
+// ============================================
+
+describe("psychrometer readings", () => {
+    it("follow the psychrometer equation", () => {
+        for (const P of [101325, 84556]) {
+            for (const instrument of Object.keys(psy.PSYCHROMETER_COEFFICIENTS)) {
+                const state = read(30, 22, { instrument }, P);
+                const A = psy.PSYCHROMETER_COEFFICIENTS[instrument];
+                const expected = psy.saturationVaporPressure(22, "water") - A * P * 8;
+                assertClose(state.Pv, expected, 1e-6, `${instrument} at ${P} Pa`);
+                assert.equal(state.psychrometer.A, A);
+            }
+        }
+    });
+
+    it("use saturation over ice for a frozen wick", () => {
+        const state = read(-2, -5, { instrument: "aspirated" });
+        const A_ice = 6.53e-4 * 2501 / (2501 + 333.4);
+        assertClose(A_ice, 5.76e-4, 1e-6, "WMO coefficient over ice");
+        assertClose(state.Pv, psy.saturationVaporPressure(-5, "ice") - A_ice * 101325 * 3, 1e-6, "Pv");
+        assertClose(state.psychrometer.Twb_thermo, state.T_ice, 1e-9, "compared with the ice-bulb");
+    });
+
+    it("report the difference from the thermodynamic wet-bulb", () => {
+        // An aspirated instrument reads close to the thermodynamic wet-bulb,
+        // an unventilated one well above it
+        const ref = psy.solveState({ var1: "tdb", val1: 25, var2: "rh", val2: 50, P_total: 101325 });
+        const aspirated = read(25, ref.Twb, { instrument: "aspirated" });
+        const screen = read(25, ref.Twb, { instrument: "screen" });
+        assert.ok(Math.abs(aspirated.psychrometer.dTwb) < 0.1);
+        assert.ok(screen.psychrometer.dTwb > 0.3);
+        assert.ok(screen.RH < aspirated.RH);
+        assertClose(screen.psychrometer.Twb_reading - screen.psychrometer.dTwb, screen.Twb, 1e-9, "Twb");
+    });
+
+    it("accept a custom coefficient", () => {
+        const sling = read(28, 20, { instrument: "sling" });
+        const custom = read(28, 20, { instrument: "custom", coefficient: 6.67e-4 });
+        assertClose(custom.W, sling.W, 1e-12, "W");
+    });
+
+    it("take the pair in either order", () => {
+        const a = read(28, 20, { instrument: "sling" });
+        const b = psy.solvePsychrometer({ var1: "twb", val1: 20, var2: "tdb", val2: 28, P_total: 101325, psychrometer: { instrument: "sling" } });
+        assert.equal(a.W, b.W);
+    });
+});
+
+// ============================================
+// ERRORS
+// ============================================
+
+describe("psychrometer errors", () => {
+    it("reject invalid readings and settings", () => {
+        const sling = { instrument: "sling" };
+        assertCode(() => psy.solvePsychrometer({ var1: "tdb", val1: 25, var2: "rh", val2: 50, P_total: 101325, psychrometer: sling }), "psychrometerPair");
+        assertCode(() => read(20, 21, sling), "twbAboveTdb");
+        assertCode(() => read(40, 5, sling), "psychrometerDry");
+        assertCode(() => read(25, 18, { instrument: "whirling" }), "psychrometerInstrument");
+        assertCode(() => read(25, 18, { instrument: "custom", coefficient: 0.01 }), "psychrometerCoefficient");
+        assertCode(() => read(25, 18, { instrument: "custom", coefficient: NaN }), "psychrometerCoefficient");
+    });
+});
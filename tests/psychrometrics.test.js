@@ -0,0 +1,300 @@
+/**
+ * Solver tests for psychrometrics.js
+ *
+ * Every input pair, round-trip consistency and edge cases near saturation
+ * and below 0°C. Run from the repository root with: node --test tests/
+ */
+
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+const { assertClose, assertCode } = require("./helpers.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+const PRESSURES = [101325, 84556, 70108]; // 0 m, 1500 m, 3000 m [Pa]
+
+// Reference states (Tdb [°C], RH [%]) spanning cold, humid and hot air
+const STATES = [[25, 50], [5, 80], [-10, 60], [-35, 70], [35, 20], [45, 90], [20, 99.5], [-20, 95]];
+
+// Pairs that only fix the humidity ratio, or only the dry-bulb temperature
+const W_FIXING = ["w", "tdp", "pv", "cp", "xv"];
+const DEPENDENT = new Map([
+    ...W_FIXING.flatMap((a, i) => W_FIXING.slice(i + 1).map(b => [`${a}+${b}`, "dependentPair"])),
+    ["tdb+pws", "dependentTemperaturePair"],
+]);
+
+// Pairs with two solutions in part of the range: below 0 °C the entropy
+// peaks along a wet-bulb line short of saturation, which the solver
+// reports rather than picking one (here for every reference state below 0 °C)
+const AMBIGUOUS = new Map([["twb+s", (Tdb) => Tdb < 0]]);
+
+// Value of a state property as returned by solveState
+const FIELDS = {
+    tdb: "Tdb", w: "W", rh: "RH", h: "h", twb: "Twb", tdp: "T_dew", pv: "Pv", v: "v", mu: "mu",
+    ah: "rho_v", cp: "cp", s: "s", xv: "x_v", tv: "T_v", pws: "Pws",
+};
+
+function solve(var1, val1, var2, val2, P_total = 101325) {
+    return psy.solveState({ var1, val1, var2, val2, P_total });
+}
+
+const initialSettings = { ...psy.settings };
+afterEach(() => {
+    psy.setSaturationModel(initialSettings.saturationModel);
+    psy.setLanguage(initialSettings.language);
+});
+
+// ============================================
+// INPUT PAIRS
+// ============================================
+
+describe("every input pair", () => {
+    const keys = Object.keys(psy.STATE_PROPERTIES);
+    const pairs = [];
+    keys.forEach((a, i) => keys.slice(i + 1).forEach((b) => pairs.push([a, b])));
+
+    for (const [a, b] of pairs) {
+        if (DEPENDENT.has(`${a}+${b}`)) {
+            it(`${a} + ${b} is rejected as dependent`, () => {
+                const ref = solve("tdb", 25, "rh", 50);
+                assertCode(() => solve(a, ref[FIELDS[a]], b, ref[FIELDS[b]]), DEPENDENT.get(`${a}+${b}`));
+            });
+            continue;
+        }
+
+        it(`${a} + ${b} recovers Tdb and W`, () => {
+            for (const P of PRESSURES) {
+                for (const [Tdb, RH] of STATES) {
+                    const ref = solve("tdb", Tdb, "rh", RH, P);
+                    const ambiguous = AMBIGUOUS.get(`${a}+${b}`);
+                    if (ambiguous && ambiguous(Tdb)) {
+                        assertCode(() => solve(a, ref[FIELDS[a]], b, ref[FIELDS[b]], P), "ambiguousPair");
+                        continue;
+                    }
+                    const state = solve(a, ref[FIELDS[a]], b, ref[FIELDS[b]], P);
+                    const where = `${a} + ${b} at ${Tdb} °C / ${RH} % / ${P} Pa`;
+                    assertClose(state.Tdb, ref.Tdb, 1e-3, `${where}, Tdb`);
+                    assertClose(state.W, ref.W, 1e-6, `${where}, W`);
+                }
+            }
+        });
+    }
+
+    it("accepts the pair in either order", () => {
+        const a = solve("h", 50, "twb", 18);
+        const b = solve("twb", 18, "h", 50);
+        assertClose(a.Tdb, b.Tdb, 1e-9, "Tdb");
+        assertClose(a.W, b.W, 1e-12, "W");
+    });
+});
+
+// ============================================
+// ROUND TRIP
+// ============================================
+
+describe("round-trip consistency", () => {
+    it("re-solving from any output pair reproduces every property", () => {
+        const ref = solve("tdb", 28, "rh", 45, 84556);
+        const tolerances = { Tdb: 1e-3, W: 1e-6, RH: 1e-2, h: 5e-3, Twb: 1e-3, T_dew: 1e-3, Pv: 0.1, rho: 1e-5, v: 1e-5, mu: 1e-4 };
+        for (const [a, b] of [["twb", "h"], ["rh", "h"], ["tdp", "v"], ["mu", "twb"], ["pv", "rh"]]) {
+            const state = solve(a, ref[FIELDS[a]], b, ref[FIELDS[b]], 84556);
+            for (const [key, tolerance] of Object.entries(tolerances)) {
+                assertClose(state[key], ref[key], tolerance, `${a} + ${b}, ${key}`);
+            }
+        }
+    });
+
+    it("computeState agrees with solveState", () => {
+        const state = solve("tdb", 22, "w", 0.008);
+        const direct = psy.computeState(22, 0.008, 101325);
+        for (const key of ["RH", "h", "Twb", "T_dew", "Pv", "rho", "v", "mu", "rho_v", "cp", "s", "x_v", "T_v", "Pws"]) {
+            assertClose(direct[key], state[key], 1e-9, key);
+        }
+    });
+
+    it("holds for every saturation model", () => {
+        for (const model of Object.keys(psy.SATURATION_MODELS)) {
+            psy.setSaturationModel(model);
+            const ref = solve("tdb", 30, "rh", 60);
+            const state = solve("twb", ref.Twb, "tdp", ref.T_dew);
+            assertClose(state.Tdb, 30, 1e-3, `${model}, Tdb`);
+            assertClose(state.RH, 60, 1e-2, `${model}, RH`);
+        }
+    });
+
+    it("altitude and pressure are inverse", () => {
+        for (const Z of [-500, 0, 1500, 3000, 5000]) {
+            assertClose(psy.altitudeFromPressure(psy.pressureFromAltitude(Z)), Z, 1e-3, `${Z} m`);
+        }
+    });
+});
+
+describe("derived properties", () => {
+    it("are consistent with the primary ones", () => {
+        for (const P of PRESSURES) {
+            const state = solve("tdb", 30, "rh", 60, P);
+            assertClose(state.rho_v, state.rho * state.W / (1 + state.W), 1e-9, "absolute humidity");
+            assertClose(state.x_v, state.Pv / P, 1e-12, "volume fraction");
+            assertClose(state.Pws * state.RH / 100, state.Pv, 1e-6, "saturation pressure");
+            // Dry air at T_v has the density of the moist air
+            assertClose(P / (287.058 * (state.T_v + 273.15)), state.rho, 1e-9, "virtual temperature");
+        }
+    });
+
+    it("match handbook values at 25 °C / 50 %", () => {
+        const state = solve("tdb", 25, "rh", 50);
+        assertClose(state.rho_v * 1000, 11.5, 0.05, "g/m³");
+        assertClose(state.cp, 1.006 + 1.86 * state.W, 1e-12, "c_p");
+        assertClose(state.x_v * 1e6, 15640, 20, "ppmv");
+    });
+
+    it("entropy is zero for dry air at 0 °C and 101325 Pa", () => {
+        assertClose(psy.computeState(0, 0, 101325).s, 0, 1e-12, "s");
+        const dry = psy.computeState(25, 0, 101325).s;
+        assertClose(dry, 1.006 * Math.log(298.15 / 273.15), 1e-12, "dry air at 25 °C");
+        assert.ok(psy.computeState(25, 0.01, 101325).s > dry, "vapor adds entropy");
+    });
+
+    it("saturation vapor pressure fixes Tdb on its own", () => {
+        const ref = solve("tdb", -15, "rh", 80);
+        const state = solve("pws", ref.Pws, "rh", 80);
+        assertClose(state.Tdb, -15, 1e-4, "Tdb over ice");
+    });
+});
+
+// ============================================
+// EDGE CASES
+// ============================================
+
+describe("near saturation", () => {
+    it("saturated air has Tdb = Twb = Tdp", () => {
+        const state = solve("tdb", 20, "rh", 100);
+        assertClose(state.Twb, 20, 1e-4, "Twb");
+        assertClose(state.T_dew, 20, 1e-4, "Tdp");
+        assertClose(state.mu, 1, 1e-9, "mu");
+    });
+
+    it("solves Tdb + Twb at saturation", () => {
+        for (const P of PRESSURES) {
+            const state = solve("tdb", 20, "twb", 20, P);
+            assertClose(state.RH, 100, 1e-2, `RH at ${P} Pa`);
+            assertClose(state.W, psy.saturationHumidityRatio(20, P), 1e-7, `W at ${P} Pa`);
+        }
+    });
+
+    it("solves Tdb + Tdp at saturation", () => {
+        const state = solve("tdb", 15, "tdp", 15);
+        assertClose(state.RH, 100, 1e-6, "RH");
+    });
+
+    it("completely dry air has no dew point", () => {
+        const state = solve("tdb", 20, "rh", 0);
+        assert.equal(state.W, 0);
+        assert.equal(state.T_dew, -Infinity);
+    });
+
+    it("rejects supersaturated inputs", () => {
+        assertCode(() => solve("tdb", 20, "w", 0.02), "supersaturated");
+        assertCode(() => solve("tdb", 20, "rh", 100.3), "rhRange");
+        assertCode(() => solve("tdb", 20, "twb", 21), "twbAboveTdb");
+        assertCode(() => solve("tdb", 20, "tdp", 21), "tdpAboveTdb");
+    });
+});
+
+describe("below 0 °C", () => {
+    it("reports frost point and ice-bulb temperature", () => {
+        const state = solve("tdb", -10, "rh", 50);
+        assert.ok(state.T_frost > state.T_dew, "frost point above dew point");
+        assert.ok(state.T_ice > state.Twb, "ice-bulb above wet-bulb");
+        assert.ok(state.T_ice < -10, "ice-bulb below Tdb");
+    });
+
+    it("takes saturation over ice", () => {
+        const state = solve("tdb", -10, "rh", 100);
+        assertClose(state.W, psy.saturationHumidityRatio(-10, 101325, "ice"), 1e-12, "W");
+        assertClose(state.T_frost, -10, 1e-4, "frost point");
+        assert.ok(state.T_dew < -10, "dew point over supercooled water below Tdb");
+    });
+
+    it("saturation over ice and water meet at the triple point", () => {
+        for (const model of Object.keys(psy.SATURATION_MODELS)) {
+            psy.setSaturationModel(model);
+            const ice = psy.saturationVaporPressure(0.01, "ice");
+            const water = psy.saturationVaporPressure(0.01, "water");
+            assertClose(ice / water, 1, 2e-3, model);
+        }
+    });
+
+    it("solves cold pairs at altitude", () => {
+        const ref = solve("tdb", -25, "rh", 70, 70108);
+        const state = solve("h", ref.h, "rh", 70, 70108);
+        assertClose(state.Tdb, -25, 1e-3, "Tdb");
+    });
+
+    it("rejects wet-bulb + entropy where two states match", () => {
+        const ref = solve("tdb", -10, "rh", 60);
+        try {
+            solve("twb", ref.Twb, "s", ref.s);
+            assert.fail("no error");
+        } catch (error) {
+            assert.equal(error.code, "ambiguousPair");
+            const { T1, T2 } = error.params;
+            assert.ok(T1 < T2, `${T1} < ${T2}`);
+            assertClose(T2, -10, 0.01, "reference state");
+            // Both dry-bulb temperatures lie on the wet-bulb line at that entropy
+            for (const T of [T1, T2]) {
+                const W = psy.humidityRatioAt(psy.STATE_PROPERTIES.s, ref.s, T, 101325);
+                assertClose(psy.wetBulbTemperature(T, W, 101325), ref.Twb, 0.02, `Twb at ${T} °C`);
+            }
+        }
+    });
+});
+
+// ============================================
+// ERRORS
+// ============================================
+
+describe("errors", () => {
+    it("carry a code, parameters and a translated message", () => {
+        try {
+            solve("tdb", 20, "tdb", 25);
+            assert.fail("expected a PsychroError");
+        } catch (error) {
+            assert.ok(error instanceof psy.PsychroError);
+            assert.equal(error.code, "sameVariables");
+            assert.notEqual(psy.errorMessage(error, "en"), psy.errorMessage(error, "fr"));
+        }
+    });
+
+    it("cover invalid inputs", () => {
+        assertCode(() => solve("tdb", 20, "rh", 50, 30000), "pressureRange");
+        assertCode(() => solve("tdb", 20, "foo", 50), "unknownVariable");
+        assertCode(() => solve("tdb", 20, "w", -0.001), "wNegative");
+        assertCode(() => psy.setSaturationModel("goff_gratch"), "unknownModel");
+        assertCode(() => psy.setLanguage("de"), "unknownLanguage");
+    });
+
+    it("reject humidifier targets at or below the inlet", () => {
+        const inlet = psy.solveState({ var1: "tdb", val1: 20, var2: "rh", val2: 60, P_total: 101325, flow: { type: "m_da", value: 1 } });
+        for (const kind of ["steam", "spray"]) {
+            assertCode(() => psy.solveProcess(inlet, { kind, targetVar: "rh", targetVal: 40 }), "humidifierDrying");
+            assertCode(() => psy.solveProcess(inlet, { kind, targetVar: "rh", targetVal: inlet.RH }), "humidifierDrying");
+            assertCode(() => psy.solveProcess(inlet, { kind, targetVar: "w", targetVal: inlet.W - 0.001 }), "humidifierDrying");
+            assert.ok(psy.solveProcess(inlet, { kind, targetVar: "rh", targetVal: 70 }).m_w > 0);
+        }
+    });
+
+    it("have a message in every language", () => {
+        const languages = Object.keys(psy.ERROR_MESSAGES);
+        for (const code of Object.keys(psy.ERROR_MESSAGES.fr)) {
+            for (const language of languages) {
+                assert.ok(psy.ERROR_MESSAGES[language][code], `${code} missing in ${language}`);
+            }
+        }
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Room load tests for psychrometrics.js
+ *
+ * Supply air state and flow from room loads, the room load line and its
+ * apparatus dew point. Run from the repository root with: node --test tests/
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+const { assertClose, assertCode } = require("./helpers.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+const ROOM = psy.solveState({ var1: "tdb", val1: 24, var2: "rh", val2: 50, P_total: 101325 });
+
+// ============================================
+// SUPPLY AIR
+// ============================================
+
+describe("supply air from room loads", () => {
+    it("balances the sensible, latent and total loads", () => {
+        const result = psy.solveRoomLoad(ROOM, { sensible: 10, latent: 3, supplyTdb: 14 });
+        const { supply } = result;
+        const m = supply.m_da;
+        assertClose(supply.Tdb, 14, 1e-9, "supply Tdb");
+        assertClose(result.SHR, 10 / 13, 1e-12, "SHR");
+        assertClose(m * psy.moistAirSpecificHeat(supply.W) * (ROOM.Tdb - supply.Tdb), 10, 1e-9, "sensible");
+        assertClose(m * (ROOM.h - supply.h), 13, 1e-9, "total");
+        assertClose(m * (ROOM.W - supply.W), result.m_w, 1e-12, "moisture");
+        assertClose(supply.V_dot, m * supply.v * 3600, 1e-6, "supply volume flow");
+    });
+
+    it("matches the textbook estimate", () => {
+        // Q_s ≈ 1.23 V̇ ΔT [kW, m³/s, K] for standard air
+        const result = psy.solveRoomLoad(ROOM, { sensible: 12, latent: 0, supplyTdb: 13 });
+        assertClose(result.supply.V_dot_std / 3600, 12 / (1.23 * 11), 0.01, "V̇_std");
+        assertClose(result.supply.W, ROOM.W, 1e-12, "no latent load, no moisture");
+    });
+
+    it("gives the same supply from its flow", () => {
+        const byTemperature = psy.solveRoomLoad(ROOM, { sensible: 8, latent: 2.5, supplyTdb: 15 });
+        for (const flow of [
+            { type: "m_da", value: byTemperature.supply.m_da },
+            { type: "v_actual", value: byTemperature.supply.V_dot, unit: "m3/h" },
+            { type: "v_std", value: byTemperature.supply.V_dot_std, unit: "m3/h" },
+        ]) {
+            const byFlow = psy.solveRoomLoad(ROOM, { sensible: 8, latent: 2.5, flow });
+            assertClose(byFlow.supply.Tdb, 15, 1e-6, `${flow.type}, Tdb`);
+            assertClose(byFlow.supply.W, byTemperature.supply.W, 1e-9, `${flow.type}, W`);
+        }
+    });
+
+    it("handles heating loads", () => {
+        const result = psy.solveRoomLoad(ROOM, { sensible: -5, latent: 1, supplyTdb: 35 });
+        assert.ok(result.supply.m_da > 0);
+        assert.ok(result.supply.W < ROOM.W);
+        assert.equal(result.adp, null);
+    });
+});
+
+// ============================================
+// LOAD LINE
+// ============================================
+
+describe("room load line", () => {
+    it("passes through every supply state and ends on saturation", () => {
+        const loads = { sensible: 10, latent: 3 };
+        const { line, adp, slope } = psy.solveRoomLoad(ROOM, { ...loads, supplyTdb: 14 });
+        assert.deepEqual(line[0], { Tdb: ROOM.Tdb, W: ROOM.W });
+        const end = line[line.length - 1];
+        assertClose(end.Tdb, adp, 0, "ends at the ADP");
+        assertClose(end.W, psy.saturationHumidityRatio(adp, 101325), 1e-9, "saturated");
+        for (const p of line.slice(1)) {
+            const dh = ROOM.h - psy.enthalpy(p.Tdb, p.W);
+            assertClose(dh / (ROOM.W - p.W), slope, 1e-6 * slope, `Δh/ΔW at ${p.Tdb} °C`);
+        }
+        const warmer = psy.solveRoomLoad(ROOM, { ...loads, supplyTdb: 18 }).supply;
+        assertClose((ROOM.h - warmer.h) / (ROOM.W - warmer.W), slope, 1e-6 * slope, "supply at 18 °C");
+    });
+
+    it("is vertical for a purely latent load", () => {
+        const result = psy.solveRoomLoad(ROOM, { sensible: 0, latent: 2, flow: { type: "m_da", value: 1 } });
+        assert.equal(result.SHR, 0);
+        assertClose(result.supply.Tdb, ROOM.Tdb, 1e-9, "Tdb");
+        assert.ok(result.line.every(p => Math.abs(p.Tdb - ROOM.Tdb) < 1e-9));
+    });
+});
+
+// ============================================
+// ERRORS
+// ============================================
+
+describe("room load errors", () => {
+    it("reject inconsistent inputs", () => {
+        const room = (loads) => () => psy.solveRoomLoad(ROOM, loads);
+        assertCode(room({ sensible: 0, latent: 0, supplyTdb: 14 }), "roomLoads");
+        assertCode(room({ sensible: NaN, latent: 1, supplyTdb: 14 }), "roomLoads");
+        assertCode(room({ sensible: 10, latent: 3 }), "roomSupplySpec");
+        assertCode(room({ sensible: 10, latent: 3, supplyTdb: 26 }), "roomSupplyTemperature");
+        assertCode(room({ sensible: 10, latent: 3, flow: { type: "m_da", value: 0 } }), "roomFlow");
+        assertCode(room({ sensible: 10, latent: 30, supplyTdb: 5 }), "roomSupplyDry");
+        assertCode(room({ sensible: 1, latent: -3, flow: { type: "m_da", value: 0.01 } }), "roomSupplySaturated");
+    });
+});
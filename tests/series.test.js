@@ -0,0 +1,180 @@
+/**
+ * Time series tests for psychrometrics.js
+ *
+ * Data logger tables (timestamps, sensors, suffixed columns), sample
+ * durations and threshold periods. Run from the repository root with:
+ * node --test tests/
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const psy = require("../psychrometrics.js");
+const { assertClose, assertCode } = require("./helpers.js");
+
+// ============================================
+// HELPERS
+// ============================================
+
+const HOUR = 3600e3;
+const T0 = Date.UTC(2024, 0, 15, 8, 0);
+
+// Hourly samples of one sensor, with the given dew points at 24 °C
+function dewPointLog(dewPoints) {
+    const lines = dewPoints.map((tdp, i) => `2024-01-15 ${String(8 + i).padStart(2, "0")}:00,24,${tdp}`);
+    return ["time,tdb,tdp", ...lines].join("\n");
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+describe("logger tables", () => {
+    it("read ISO and day-first timestamps on a UTC clock", () => {
+        assert.equal(psy.parseTimestamp("2024-01-15 08:00"), T0);
+        assert.equal(psy.parseTimestamp("2024-01-15T08:00:30"), T0 + 30e3);
+        assert.equal(psy.parseTimestamp("15/01/2024 08:00"), T0);
+        assert.equal(psy.parseTimestamp("2024-01-15"), Date.UTC(2024, 0, 15));
+        assert.ok(Number.isNaN(psy.parseTimestamp("31/02/2024 08:00")));
+        assert.ok(Number.isNaN(psy.parseTimestamp("2024-01-15 24:00")));
+        assert.ok(Number.isNaN(psy.parseTimestamp("yesterday")));
+    });
+
+    it("convert ISO timestamps with a zone to UTC", () => {
+        assert.equal(psy.parseTimestamp("2024-01-15T08:00Z"), T0);
+        assert.equal(psy.parseTimestamp("2024-01-15T09:00:00+01:00"), T0);
+        assert.equal(psy.parseTimestamp("2024-01-15 03:30-0430"), T0);
+        assert.equal(psy.parseTimestamp("2024-01-15T10:00+02"), T0);
+        assert.ok(Number.isNaN(psy.parseTimestamp("2024-01-15T08:00+25:00")));
+        assert.ok(Number.isNaN(psy.parseTimestamp("2024-01-15Z")));
+        assert.ok(Number.isNaN(psy.parseTimestamp("15/01/2024 08:00Z")));
+
+        // Daylight-saving change in the zone: the hour between the samples stays one hour
+        const samples = psy.parseSeriesTable("time,tdb,rh\n2024-03-31T01:30+01:00,21,50\n2024-03-31T03:30+02:00,21,50");
+        assert.equal(samples[1].time - samples[0].time, HOUR);
+    });
+
+    it("name sensors from a sensor column", () => {
+        const samples = psy.parseSeriesTable("timestamp;sensor;tdb;rh\n15/01/2024 08:00;North;21,5;40\n15/01/2024 08:00;South;23;35");
+        assert.deepEqual(samples.map(sample => [sample.line, sample.sensor, sample.time]), [[2, "North", T0], [3, "South", T0]]);
+        assert.deepEqual(samples[0].input, { var1: "tdb", val1: 21.5, var2: "rh", val2: 40 });
+    });
+
+    it("split suffixed columns into sensors and skip unlogged cells", () => {
+        const samples = psy.parseSeriesTable([
+            "Time,TDB:North,rh:North,tdb:South,rh:South,p_total",
+            "2024-01-15 08:00,21,40,23,35,95000",
+            "2024-01-15 08:05,21.2,41,,,95000",
+        ].join("\n"));
+        assert.deepEqual(samples.map(sample => [sample.line, sample.sensor]), [[2, "North"], [2, "South"], [3, "North"]]);
+        assert.equal(samples[1].input.P_total, 95000);
+        assert.equal(samples[1].input.val1, 23);
+    });
+
+    it("keep line errors and reject bad headers", () => {
+        const samples = psy.parseSeriesTable("time,tdb,rh\nnoon,21,40\n2024-01-15 08:00,21,\n2024-01-15 09:00,x,40");
+        assert.deepEqual(samples.map(sample => sample.error.code), ["seriesTimestamp", "batchProperties", "batchNumber"]);
+
+        assertCode(() => psy.parseSeriesTable("tdb,rh\n21,40"), "seriesTime");
+        assertCode(() => psy.parseSeriesTable("time,tdb,rh,tdp\n2024-01-15 08:00,21,40,"), "seriesColumns");
+        assertCode(() => psy.parseSeriesTable("time,temperature,rh\n2024-01-15 08:00,21,40"), "batchColumns");
+        assertCode(() => psy.parseSeriesTable("time,tdb,rh\n2024-01-15 08:00,,"), "batchEmpty");
+    });
+});
+
+// ============================================
+// SERIES
+// ============================================
+
+describe("time series", () => {
+    it("solve the samples in time order and hold each until the next", () => {
+        const samples = psy.parseSeriesTable("time,tdb,rh\n2024-01-15 09:00,22,50\n2024-01-15 08:00,21,50\n2024-01-15 10:00,23,50");
+        const { sensors, errors } = psy.solveSeries(samples);
+        assert.deepEqual(errors, []);
+        const [sensor] = sensors;
+        assert.deepEqual(sensor.samples.map(sample => sample.state.Tdb), [21, 22, 23]);
+        assert.deepEqual(sensor.samples.map(sample => sample.duration), [1, 1, 1]);
+        assert.equal(sensor.hours, 3);
+        assert.equal(sensor.start, T0);
+        assert.equal(sensor.end, T0 + 3 * HOUR);
+        assertClose(sensor.samples[0].state.T_dew, psy.solveState({ var1: "tdb", val1: 21, var2: "rh", val2: 50, P_total: 101325 }).T_dew, 1e-9, "T_dew");
+    });
+
+    it("use the table pressure, else the given one", () => {
+        const samples = psy.parseSeriesTable("time,tdb,rh,p_total\n2024-01-15 08:00,21,50,90000\n2024-01-15 09:00,21,50,");
+        const [sensor] = psy.solveSeries(samples, { P_total: 80000 }).sensors;
+        assert.deepEqual(sensor.samples.map(sample => sample.state.P_total), [90000, 80000]);
+    });
+
+    it("cap the duration of samples before an interruption", () => {
+        const samples = psy.parseSeriesTable(dewPointLog([10, 10, 10, 10]).replace("11:00", "18:00"));
+        const [sensor] = psy.solveSeries(samples).sensors;
+        assert.deepEqual(sensor.samples.map(sample => [sample.duration, sample.gap]), [[1, false], [1, false], [1, true], [1, false]]);
+        assert.equal(sensor.hours, 4);
+    });
+
+    it("report the hours and periods beyond each threshold", () => {
+        const samples = psy.parseSeriesTable(dewPointLog([12, 16, 17, 14, 15.5, 12]));
+        const [dewPoint, humidity] = psy.solveSeries(samples, {
+            thresholds: [
+                { key: "T_dew", type: "above", limit: 15 },
+                { key: "RH", type: "below", limit: 30 },
+            ],
+        }).thresholds;
+
+        assert.equal(dewPoint.hours, 3);
+        const [{ periods }] = dewPoint.sensors;
+        assert.equal(periods.length, 2);
+        assert.equal(periods[0].start, T0 + HOUR);
+        assert.equal(periods[0].end, T0 + 3 * HOUR);
+        assert.equal(periods[0].hours, 2);
+        assertClose(periods[0].extreme, 17, 1e-6, "extreme");
+        assert.equal(periods[1].hours, 1);
+
+        assert.equal(humidity.hours, 0);
+        assert.deepEqual(humidity.sensors[0].periods, []);
+    });
+
+    it("end periods at interruptions and keep sensors apart", () => {
+        const log = "time,tdp:A,tdb:A,tdp:B,tdb:B\n" + [0, 1, 2, 6].map(h =>
+            `2024-01-15 ${String(8 + h).padStart(2, "0")}:00,16,24,${h < 2 ? 16 : 10},24`).join("\n");
+        const { sensors, thresholds } = psy.solveSeries(psy.parseSeriesTable(log), { thresholds: [{ key: "T_dew", type: "above", limit: 15 }] });
+        assert.deepEqual(sensors.map(sensor => sensor.name), ["A", "B"]);
+        const [a, b] = thresholds[0].sensors;
+        assert.deepEqual(a.periods.map(period => period.hours), [3, 1]);
+        assert.deepEqual(b.periods.map(period => period.hours), [2]);
+        assert.equal(thresholds[0].hours, 6);
+    });
+
+    it("report failing samples and invalid thresholds", () => {
+        const samples = psy.parseSeriesTable("time,tdb,rh\n2024-01-15 08:00,21,140\n2024-01-15 09:00,21,40\n2024-01-15 10:00,21,40");
+        const { errors, sensors } = psy.solveSeries(samples);
+        assert.deepEqual(errors.map(({ line, error }) => [line, error.code]), [[2, "rhRange"]]);
+        assert.equal(sensors[0].samples.length, 2);
+
+        assert.throws(
+            () => psy.solveSeries(samples.slice(0, 1)),
+            (error) => error.code === "seriesNoSample" && error.params.line === 2
+        );
+        assertCode(() => psy.solveSeries([]), "batchEmpty");
+        assertCode(() => psy.solveSeries(samples, { thresholds: [{ key: "Pv", type: "above", limit: 1 }] }), "seriesThreshold");
+        assertCode(() => psy.solveSeries(samples, { thresholds: [{ key: "RH", type: "over", limit: 1 }] }), "seriesThreshold");
+        assertCode(() => psy.solveSeries(samples, { thresholds: [{ key: "RH", type: "below", limit: NaN }] }), "seriesThreshold");
+    });
+
+    it("require two solved samples per sensor", () => {
+        const single = psy.parseSeriesTable("time,tdb,rh\n2024-01-15 08:00,21,40");
+        assert.throws(
+            () => psy.solveSeries(single),
+            (error) => error.code === "seriesSingleSample" && error.params.line === 2
+        );
+
+        // A sensor left with one sample once the others failed
+        const log = "time,tdb:A,rh:A,tdb:B,rh:B\n2024-01-15 08:00,21,40,21,140\n2024-01-15 09:00,21,40,21,40";
+        assert.throws(
+            () => psy.solveSeries(psy.parseSeriesTable(log)),
+            (error) => error.code === "seriesSingleSample" && error.params.line === 3
+        );
+    });
+});